@@ -0,0 +1,56 @@
+const {
+  extractStartPayload,
+  parseStartPayload,
+  buildSourceCondition
+} = require('../lib/attributionService');
+
+const b64 = (s) => Buffer.from(s, 'utf8').toString('base64url');
+
+describe('attributionService', () => {
+  test('extrai payload do /start', () => {
+    expect(extractStartPayload('/start black_friday')).toBe('black_friday');
+    expect(extractStartPayload('/start@MeuBot abc-123')).toBe('abc-123');
+    expect(extractStartPayload('/start')).toBeNull();
+    expect(extractStartPayload('/start inválido!')).toBeNull();
+  });
+
+  test('payload simples vira campanha', () => {
+    expect(parseStartPayload('black_friday')).toEqual({
+      payload: 'black_friday',
+      encoding: 'plain',
+      campaign: 'black_friday',
+      utm: {},
+      params: {}
+    });
+  });
+
+  test('decodifica UTM em querystring base64url', () => {
+    const payload = b64('utm_source=fb&utm_medium=ads&utm_campaign=bf');
+    const parsed = parseStartPayload(payload);
+    expect(parsed.encoding).toBe('base64url');
+    expect(parsed.campaign).toBe('bf');
+    expect(parsed.utm).toEqual({ source: 'fb', medium: 'ads', campaign: 'bf' });
+    expect(parsed.params).toEqual({});
+  });
+
+  test('decodifica UTM em JSON base64url', () => {
+    const parsed = parseStartPayload(b64('{"source":"ig","campaign":"natal"}'));
+    expect(parsed.encoding).toBe('base64url');
+    expect(parsed.utm).toEqual({ source: 'ig', campaign: 'natal' });
+  });
+
+  test('payload que parece base64 mas não é UTM continua simples', () => {
+    expect(parseStartPayload('promo2024abc').encoding).toBe('plain');
+    expect(parseStartPayload('x'.repeat(65))).toBeNull();
+  });
+
+  test('monta condição parametrizada por first/last touch', () => {
+    const values = ['x', 'slug'];
+    const cond = buildSourceCondition({ campaign: 'bf', utm_source: 'fb', touch: 'any' }, 'bus', values);
+    expect(values).toEqual(['x', 'slug', 'bf', 'fb']);
+    expect(cond).toBe(
+      "(bus.first_campaign = $3 OR bus.last_campaign = $3) AND (bus.first_utm->>'source' = $4 OR bus.last_utm->>'source' = $4)"
+    );
+    expect(buildSourceCondition({ touch: 'first' }, 'bus', [])).toBeNull();
+  });
+});
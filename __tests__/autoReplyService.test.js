@@ -0,0 +1,59 @@
+const { matchAutoReply, createAutoReply } = require('../lib/autoReplyService');
+
+describe('autoReplyService.matchAutoReply', () => {
+  const rules = [
+    { id: 1, match_type: 'exact', pattern: 'Oi', case_sensitive: false, priority: 0 },
+    { id: 2, match_type: 'contains', pattern: 'preço', case_sensitive: false, priority: 0 },
+    { id: 3, match_type: 'regex', pattern: '^pix\\s+\\d+$', case_sensitive: false, priority: 0 },
+    { id: 4, match_type: 'contains', pattern: 'VIP', case_sensitive: true, priority: 0 },
+    { id: 5, match_type: 'contains', pattern: 'preço do vip', case_sensitive: false, priority: 10 }
+  ];
+
+  test('sem match retorna null', () => {
+    expect(matchAutoReply(rules, 'tchau')).toBeNull();
+    expect(matchAutoReply(rules, '')).toBeNull();
+  });
+
+  test('exact compara o texto inteiro ignorando caixa', () => {
+    expect(matchAutoReply(rules, ' oi ').id).toBe(1);
+    expect(matchAutoReply(rules, 'oi tudo bem')).toBeNull();
+  });
+
+  test('contains e regex', () => {
+    expect(matchAutoReply(rules, 'Qual o PREÇO?').id).toBe(2);
+    expect(matchAutoReply(rules, 'PIX 10').id).toBe(3);
+  });
+
+  test('case_sensitive respeita caixa', () => {
+    expect(matchAutoReply(rules, 'quero o VIP').id).toBe(4);
+    expect(matchAutoReply(rules, 'quero o vip')).toBeNull();
+  });
+
+  test('maior priority vence', () => {
+    expect(matchAutoReply(rules, 'qual o preço do VIP?').id).toBe(5);
+  });
+});
+
+describe('autoReplyService regex', () => {
+  const regexRule = (pattern) => ({ id: 9, match_type: 'regex', pattern, case_sensitive: false, priority: 0 });
+  const create = (pattern) => createAutoReply(
+    { query: jest.fn().mockResolvedValue({ rows: [{ id: 1 }] }) },
+    { slug: 'bot', name: 'r', match_type: 'regex', pattern, content: { text: 'ok' } }
+  );
+
+  test('rejeita quantificador aninhado e padrão longo na criação', async () => {
+    for (const pattern of ['(a+)+$', '(\\w*)*x', '((ab)+c){2,}', '(?:x|y+)*z']) {
+      await expect(create(pattern)).rejects.toThrow('AUTO_REPLY_REGEX_UNSAFE');
+    }
+    await expect(create('a'.repeat(101))).rejects.toThrow('AUTO_REPLY_REGEX_TOO_LONG');
+    await expect(create('(')).rejects.toThrow('AUTO_REPLY_REGEX_INVALID');
+    await expect(create('^(pix|boleto)\\s+\\d+$')).resolves.toEqual({ id: 1 });
+    await expect(create('[(a+)+]+')).resolves.toEqual({ id: 1 });
+  });
+
+  test('regra gravada insegura nunca casa; texto avaliado é limitado', () => {
+    expect(matchAutoReply([regexRule('(a+)+$')], 'a'.repeat(40) + '!')).toBeNull();
+    expect(matchAutoReply([regexRule('fim$')], 'x'.repeat(5000) + 'fim')).toBeNull();
+    expect(matchAutoReply([regexRule('^x+fim$')], 'x'.repeat(4000) + 'fim').id).toBe(9);
+  });
+});
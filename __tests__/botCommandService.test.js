@@ -0,0 +1,37 @@
+const { extractCommand, matchCommand, buildCommandMenus } = require('../lib/botCommandService');
+
+describe('botCommandService', () => {
+  const commands = [
+    { id: 1, command: 'help', language_code: '', description: 'Ajuda' },
+    { id: 2, command: 'help', language_code: 'en', description: 'Help' },
+    { id: 3, command: 'planos', language_code: '', description: 'Ver planos' },
+    { id: 4, command: 'support', language_code: 'en', description: 'Support' }
+  ];
+
+  test('extractCommand normaliza comando e ignora menção ao bot', () => {
+    expect(extractCommand('/Planos@MeuBot vip')).toBe('planos');
+    expect(extractCommand('/help')).toBe('help');
+    expect(extractCommand('help')).toBeNull();
+    expect(extractCommand('/help-me')).toBeNull();
+  });
+
+  test('matchCommand usa variação do idioma e cai no padrão', () => {
+    expect(matchCommand(commands, 'help', 'en-US').id).toBe(2);
+    expect(matchCommand(commands, 'help', 'pt-br').id).toBe(1);
+    expect(matchCommand(commands, 'planos', 'en').id).toBe(3);
+    expect(matchCommand(commands, 'support', 'pt')).toBeNull();
+  });
+
+  test('buildCommandMenus mescla padrão com variações por idioma', () => {
+    const menus = buildCommandMenus(commands);
+    expect(menus.get('')).toEqual([
+      { command: 'help', description: 'Ajuda' },
+      { command: 'planos', description: 'Ver planos' }
+    ]);
+    expect(menus.get('en')).toEqual([
+      { command: 'help', description: 'Help' },
+      { command: 'planos', description: 'Ver planos' },
+      { command: 'support', description: 'Support' }
+    ]);
+  });
+});
@@ -0,0 +1,70 @@
+const { extractUpdateUser, handleMyChatMember, isBlockedSendError } = require('../lib/botUserService');
+
+describe('botUserService.extractUpdateUser', () => {
+  const from = { id: 123, is_bot: false, first_name: 'Ana', username: 'ana', language_code: 'pt-br', is_premium: true };
+
+  test('extrai usuário de mensagem privada', () => {
+    expect(extractUpdateUser({ message: { from, chat: { id: 123, type: 'private' }, text: 'oi' } })).toEqual({
+      id: 123,
+      first_name: 'Ana',
+      last_name: null,
+      username: 'ana',
+      language_code: 'pt-br',
+      is_premium: true
+    });
+  });
+
+  test('extrai usuário de callback_query', () => {
+    const user = extractUpdateUser({ callback_query: { id: 'x', from, message: { chat: { id: 123, type: 'private' } } } });
+    expect(user.id).toBe(123);
+  });
+
+  test('ignora grupos, bots e updates sem from', () => {
+    expect(extractUpdateUser({ message: { from, chat: { id: -1, type: 'group' } } })).toBeNull();
+    expect(extractUpdateUser({ message: { from: { ...from, is_bot: true }, chat: { id: 1, type: 'private' } } })).toBeNull();
+    expect(extractUpdateUser({ channel_post: { chat: { id: -2 } } })).toBeNull();
+    expect(extractUpdateUser(null)).toBeNull();
+  });
+});
+
+describe('botUserService.handleMyChatMember', () => {
+  const mcm = (status, type = 'private') => ({
+    chat: { id: 123, type },
+    from: { id: 123, is_bot: false, first_name: 'Ana' },
+    date: 1700000000,
+    new_chat_member: { status, user: { id: 999, is_bot: true } }
+  });
+
+  test('kicked marca bloqueado e pula pendências', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rowCount: 1, rows: [] }) };
+    const result = await handleMyChatMember(pool, { slug: 'bot', my_chat_member: mcm('kicked') });
+
+    expect(result).toEqual({ ok: true, changed: true, downsells_skipped: 1, shots_skipped: 1 });
+    expect(pool.query).toHaveBeenCalledTimes(3);
+    expect(pool.query.mock.calls[0][1]).toEqual(['bot', 123, true, new Date(1700000000 * 1000)]);
+    expect(pool.query.mock.calls[1][0]).toMatch(/downsells_queue/);
+    expect(pool.query.mock.calls[2][0]).toMatch(/shots_queue/);
+  });
+
+  test('member desbloqueia sem mexer nas filas', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rowCount: 1, rows: [] }) };
+    const result = await handleMyChatMember(pool, { slug: 'bot', my_chat_member: mcm('member') });
+
+    expect(result.changed).toBe(true);
+    expect(pool.query).toHaveBeenCalledTimes(1);
+    expect(pool.query.mock.calls[0][1][2]).toBe(false);
+  });
+
+  test('ignora grupos', async () => {
+    const pool = { query: jest.fn() };
+    const result = await handleMyChatMember(pool, { slug: 'bot', my_chat_member: mcm('kicked', 'group') });
+    expect(result.ignored).toBe(true);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test('reconhece erros de envio por bloqueio', () => {
+    expect(isBlockedSendError('BOT_BLOCKED_BY_USER')).toBe(true);
+    expect(isBlockedSendError('Forbidden: bot was blocked by the user')).toBe(true);
+    expect(isBlockedSendError('CHAT_NOT_FOUND')).toBe(false);
+  });
+});
@@ -0,0 +1,28 @@
+const { validateActionConfig } = require('../lib/callbackActionService');
+
+describe('callbackActionService.validateActionConfig: generate_pix', () => {
+  const poolWithProduct = (product) => ({
+    query: jest.fn().mockResolvedValue({ rows: product ? [product] : [], rowCount: product ? 1 : 0 })
+  });
+
+  test('produto precisa existir no bot', async () => {
+    const pool = poolWithProduct({ id: 7, bot_slug: 'bot' });
+    expect(await validateActionConfig(pool, 'bot', 'generate_pix', { product_id: '7' })).toEqual({ product_id: 7 });
+    expect(pool.query.mock.calls[0][1]).toEqual([7, 'bot']);
+
+    await expect(validateActionConfig(poolWithProduct(null), 'bot', 'generate_pix', { product_id: 8 }))
+      .rejects.toThrow('ACTION_PRODUCT_NOT_FOUND');
+  });
+
+  test('sem produto exige preço inteiro positivo', async () => {
+    const pool = poolWithProduct(null);
+    expect(await validateActionConfig(pool, 'bot', 'generate_pix', { price_cents: 1990, description: 'VIP' }))
+      .toEqual({ price_cents: 1990, description: 'VIP' });
+
+    await expect(validateActionConfig(pool, 'bot', 'generate_pix', {})).rejects.toThrow('ACTION_PRICE_REQUIRED');
+    await expect(validateActionConfig(pool, 'bot', 'generate_pix', { description: 'VIP' })).rejects.toThrow('ACTION_PRICE_REQUIRED');
+    await expect(validateActionConfig(pool, 'bot', 'generate_pix', { price_cents: 0 })).rejects.toThrow('ACTION_PRICE_INVALID');
+    await expect(validateActionConfig(pool, 'bot', 'generate_pix', { price_cents: 19.9 })).rejects.toThrow('ACTION_PRICE_INVALID');
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
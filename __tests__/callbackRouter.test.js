@@ -0,0 +1,98 @@
+/**
+ * Testes do roteador de callback_query
+ */
+
+jest.mock('../lib/tokenService', () => ({
+  getTokenBySlug: jest.fn().mockResolvedValue('123:abc')
+}));
+
+jest.mock('../lib/telegramClient', () => ({
+  answerCallbackQuery: jest.fn().mockResolvedValue({ ok: true })
+}));
+
+jest.mock('../lib/messageContentService', () => ({
+  sendMessageContent: jest.fn().mockResolvedValue({ ok: true })
+}));
+
+const telegramClient = require('../lib/telegramClient');
+const { sendMessageContent } = require('../lib/messageContentService');
+const { handleCallbackQuery } = require('../lib/callbackRouter');
+
+function buildPool(actionRow) {
+  return {
+    query: jest.fn(async (sql) => {
+      if (sql.includes('FROM public.bot_callback_actions')) {
+        return { rows: actionRow ? [actionRow] : [], rowCount: actionRow ? 1 : 0 };
+      }
+      return { rows: [], rowCount: 1 };
+    })
+  };
+}
+
+const callback_query = {
+  id: 'cq-1',
+  data: 'vip',
+  from: { id: 42 },
+  message: { message_id: 7, chat: { id: 42 } }
+};
+
+describe('Callback Router', () => {
+
+  beforeEach(() => {
+    telegramClient.answerCallbackQuery.mockClear();
+  });
+
+  it('deve responder o callback mesmo sem ação configurada', async () => {
+    const pool = buildPool(null);
+
+    const result = await handleCallbackQuery(pool, { slug: 'bot', callback_query, request_id: 'r1' });
+
+    expect(result).toEqual({ ok: true, action_type: null });
+    expect(telegramClient.answerCallbackQuery).toHaveBeenCalledWith('123:abc', 'cq-1', {});
+    const funnelCall = pool.query.mock.calls.find(([sql]) => sql.includes('funnel_events_'));
+    expect(funnelCall[1]).toEqual(expect.arrayContaining(['button_click', 'bc:bot:cq-1']));
+  });
+
+  it('deve aplicar tag ao usuário e responder com answer_text', async () => {
+    const pool = buildPool({
+      action_key: 'vip',
+      action_type: 'tag_user',
+      config: { tag: 'interessado' },
+      answer_text: 'Anotado!'
+    });
+
+    const result = await handleCallbackQuery(pool, { slug: 'bot', callback_query, request_id: 'r2' });
+
+    expect(result.ok).toBe(true);
+    expect(telegramClient.answerCallbackQuery).toHaveBeenCalledWith('123:abc', 'cq-1', { text: 'Anotado!' });
+    const tagCall = pool.query.mock.calls.find(([sql]) => sql.includes('bot_user_tags'));
+    expect(tagCall[1]).toEqual(['bot', 42, 'interessado', 'callback:vip']);
+  });
+
+  describe('open_url', () => {
+    const botMessage = { ...callback_query, message: { ...callback_query.message, from: { id: 1, is_bot: true, username: 'MeuBot' } } };
+    const openUrl = (url) => buildPool({ action_key: 'vip', action_type: 'open_url', config: { url } });
+
+    beforeEach(() => sendMessageContent.mockClear());
+
+    it('abre pelo answerCallbackQuery só o link de /start do próprio bot', async () => {
+      const result = await handleCallbackQuery(openUrl('https://t.me/meubot?start=vip'), { slug: 'bot', callback_query: botMessage, request_id: 'r3' });
+
+      expect(result.ok).toBe(true);
+      expect(telegramClient.answerCallbackQuery).toHaveBeenCalledWith('123:abc', 'cq-1', { url: 'https://t.me/meubot?start=vip' });
+      expect(sendMessageContent).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      'https://t.me/OutroBot?start=vip',
+      'https://t.me/meubot',
+      'https://t.me/canal_qualquer',
+      'https://example.com/oferta'
+    ])('envia %s como botão de URL', async (url) => {
+      await handleCallbackQuery(openUrl(url), { slug: 'bot', callback_query: botMessage, request_id: 'r4' });
+
+      expect(telegramClient.answerCallbackQuery).toHaveBeenCalledWith('123:abc', 'cq-1', {});
+      expect(sendMessageContent.mock.calls[0][1].content.buttons).toEqual([[{ text: 'Abrir link', url }]]);
+    });
+  });
+});
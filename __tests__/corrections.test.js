@@ -90,6 +90,34 @@ describe('Correções Aplicadas', () => {
       await expect(scheduleDownsellsForStart(mockPool, params))
         .resolves.not.toThrow();
     });
+    
+    it('deve agendar downsell com after_start = false quando o id é explícito', async () => {
+      // Downsell 5 existe, está ativo, mas não dispara sozinho após o /start
+      const downsells = [{ id: 5, delay_minutes: 10, after_start: false }];
+      const mockPool = {
+        query: jest.fn(async (sql, values) => {
+          if (/FROM public\.bot_downsells/.test(sql)) {
+            const rows = downsells.filter(d =>
+              (!/after_start = true/.test(sql) || d.after_start) && (!values.includes(5) || d.id === 5));
+            return { rows: rows.map(({ id, delay_minutes }) => ({ id, delay_minutes })) };
+          }
+          return { rowCount: 1 };
+        })
+      };
+      
+      const scheduled = await scheduleDownsellsForStart(mockPool, {
+        bot_slug: 'test-bot',
+        telegram_id: 123456,
+        downsell_id_filter: 5
+      });
+      
+      expect(scheduled).toBe(1);
+      expect(mockPool.query.mock.calls[1][1][3]).toBe(5);
+      
+      // Sem id explícito, o mesmo downsell não é agendado
+      mockPool.query.mockClear();
+      expect(await scheduleDownsellsForStart(mockPool, { bot_slug: 'test-bot', telegram_id: 123456 })).toBe(0);
+    });
   });
   
   describe('Correção #11 - Cleanup de Memory Leak', () => {
@@ -0,0 +1,87 @@
+jest.mock('../lib/tokenService', () => ({ getTokenBySlug: jest.fn().mockResolvedValue('123:abc') }));
+jest.mock('../lib/telegramClient', () => ({
+  createChatInviteLink: jest.fn().mockResolvedValue({ ok: true, result: { invite_link: 'https://t.me/+abc' } }),
+  sendMessage: jest.fn().mockResolvedValue({ ok: true, message_id: 99 })
+}));
+jest.mock('../lib/messageContentService', () => ({ sendMessageContent: jest.fn() }));
+jest.mock('../lib/funnel', () => ({ insertFunnelEvent: jest.fn().mockResolvedValue({ ok: true, dedup: false }) }));
+
+const telegramClient = require('../lib/telegramClient');
+const { sendMessageContent } = require('../lib/messageContentService');
+const { insertFunnelEvent } = require('../lib/funnel');
+const { processDelivery, retryDelaySeconds, MAX_ATTEMPTS } = require('../lib/deliveryService');
+
+const product = {
+  id: '12',
+  name: 'VIP',
+  delivery_type: 'invite_link',
+  delivery_content: {},
+  delivery_media_refs: [],
+  delivery_chat_id: '-1001234567890',
+  delivery_url: null
+};
+const delivery = {
+  id: '7', bot_slug: 'bot', telegram_id: '42', transaction_id: 'tx1', product_id: '12', delivery_type: 'invite_link', attempts: 1
+};
+
+function mockPool() {
+  return { query: jest.fn().mockResolvedValueOnce({ rows: [product] }).mockResolvedValue({ rowCount: 1, rows: [] }) };
+}
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('deliveryService.processDelivery', () => {
+  test('convite de uso único com botão e evento delivered', async () => {
+    sendMessageContent.mockResolvedValue({ ok: true, message_id: 99 });
+    const pool = mockPool();
+
+    expect(await processDelivery(pool, delivery)).toEqual({ ok: true, message_id: 99 });
+    expect(telegramClient.createChatInviteLink).toHaveBeenCalledWith('123:abc', '-1001234567890', expect.objectContaining({ member_limit: 1 }));
+    expect(pool.query.mock.calls[1][1]).toEqual(['7', 'https://t.me/+abc']);
+
+    const { content, purpose } = sendMessageContent.mock.calls[0][1];
+    expect(purpose).toBe('delivery');
+    expect(content.buttons).toEqual([[{ text: 'Entrar', url: 'https://t.me/+abc' }]]);
+    expect(insertFunnelEvent).toHaveBeenCalledWith(pool, expect.objectContaining({
+      event_name: 'delivered',
+      event_id: 'dlv:bot:tx1',
+      meta: { product_id: 12, delivery_type: 'invite_link' }
+    }));
+  });
+
+  test('falha reaproveita o convite e reagenda até o limite de tentativas', async () => {
+    sendMessageContent.mockResolvedValue({ ok: false, error: 'TIMEOUT' });
+
+    let pool = mockPool();
+    expect(await processDelivery(pool, { ...delivery, invite_link: 'https://t.me/+old' }))
+      .toEqual({ ok: false, error: 'TIMEOUT', failed: false });
+    expect(telegramClient.createChatInviteLink).not.toHaveBeenCalled();
+    expect(pool.query.mock.calls[1][1]).toEqual(['7', 'pending', 'TIMEOUT', 30]);
+
+    pool = mockPool();
+    expect(await processDelivery(pool, { ...delivery, attempts: MAX_ATTEMPTS, invite_link: 'https://t.me/+old' }))
+      .toMatchObject({ ok: false, failed: true });
+    expect(pool.query.mock.calls[1][1][1]).toBe('failed');
+    expect(insertFunnelEvent).not.toHaveBeenCalled();
+  });
+
+  test('backoff exponencial limitado a 1h', () => {
+    expect([1, 2, 3].map(retryDelaySeconds)).toEqual([30, 60, 120]);
+    expect(retryDelaySeconds(20)).toBe(3600);
+  });
+
+  test('texto padrão chega ao Telegram escapado uma única vez', async () => {
+    process.env.DISABLE_GATEWAY_EVENTS = '1';
+    // Caminho real de envio: messageContentService -> queuedSend -> sendService
+    sendMessageContent.mockImplementation((...args) => jest.requireActual('../lib/messageContentService').sendMessageContent(...args));
+    const pool = { query: jest.fn().mockResolvedValueOnce({ rows: [product] }).mockResolvedValue({ rowCount: 1, rows: [] }) };
+
+    expect(await processDelivery(pool, { ...delivery, invite_link: 'https://t.me/+old' })).toMatchObject({ ok: true });
+
+    const [, chat_id, text, options] = telegramClient.sendMessage.mock.calls[0];
+    expect(chat_id).toBe('42');
+    expect(text).toBe('Pagamento aprovado\\! Toque no botão abaixo para entrar\\.');
+    expect(options.parse_mode).toBe('MarkdownV2');
+    expect(options.reply_markup.inline_keyboard).toEqual([[{ text: 'Entrar', url: 'https://t.me/+old' }]]);
+  });
+});
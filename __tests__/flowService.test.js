@@ -0,0 +1,186 @@
+jest.mock('../lib/pixChargeService', () => ({
+  generatePixCharge: jest.fn().mockResolvedValue({ ok: true }),
+  generateProductPixCharge: jest.fn().mockResolvedValue({ ok: true })
+}));
+
+const { generatePixCharge, generateProductPixCharge } = require('../lib/pixChargeService');
+const { validateFlowDefinition, createFlowVersion } = require('../lib/flowService');
+const { matchChoice, buildChoiceCallbackData, runState, startConversation } = require('../lib/flowEngine');
+
+describe('flowService.validateFlowDefinition', () => {
+  const valid = {
+    start: 'ola',
+    nodes: {
+      ola: { type: 'message', content: { text: 'Oi\\!' }, next: 'pergunta' },
+      pergunta: {
+        type: 'button_choice',
+        content: { text: 'Quer ver os planos?' },
+        choices: [{ id: 'sim', text: 'Sim', next: 'tag' }, { id: 'nao', text: 'Não', next: 'espera' }],
+        timeout_minutes: 60,
+        timeout_next: 'espera'
+      },
+      tag: { type: 'set_tag', tag: 'interessado', next: 'pix' },
+      pix: { type: 'payment', price_cents: 1990 },
+      espera: { type: 'wait', minutes: 30, next: 'cond' },
+      cond: { type: 'condition', rules: [{ when: { tag: 'interessado' }, next: 'pix' }], else: 'pergunta' }
+    }
+  };
+
+  test('definição completa é válida', () => {
+    const result = validateFlowDefinition(valid);
+    expect(result.valid).toBe(true);
+    expect(result.errors).toEqual([]);
+  });
+
+  test('aponta nó de destino inexistente e campos inválidos', () => {
+    const result = validateFlowDefinition({
+      start: 'a',
+      nodes: {
+        a: { type: 'wait', minutes: 0, next: 'x' },
+        b: { type: 'webhook', url: 'http://inseguro' }
+      }
+    });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(expect.arrayContaining([
+      { node: 'a', error: 'FLOW_WAIT_MINUTES_INVALID' },
+      { node: 'a', error: 'FLOW_NEXT_NODE_NOT_FOUND:x' },
+      { node: 'b', error: 'FLOW_WEBHOOK_URL_INVALID' }
+    ]));
+  });
+
+  test('pagamento por produto do catálogo ou valor avulso', () => {
+    const payment = (node) => validateFlowDefinition({ start: 'pix', nodes: { pix: { type: 'payment', ...node } } });
+
+    expect(payment({ product_id: 7 }).valid).toBe(true);
+    expect(payment({ price_cents: 1990 }).valid).toBe(true);
+    expect(payment({ product_id: 'abc' }).errors).toEqual([{ node: 'pix', error: 'FLOW_PRODUCT_INVALID' }]);
+    expect(payment({}).errors).toEqual([{ node: 'pix', error: 'FLOW_PRICE_INVALID' }]);
+  });
+
+  test('ciclo sem nó de espera é rejeitado', () => {
+    const result = validateFlowDefinition({
+      start: 'a',
+      nodes: {
+        a: { type: 'set_tag', tag: 'x', next: 'b' },
+        b: { type: 'condition', rules: [{ when: { paid: true }, next: 'a' }], else: 'a' }
+      }
+    });
+    expect(result.errors).toContainEqual({ node: 'a', error: 'FLOW_CYCLE_WITHOUT_WAIT' });
+  });
+
+  test('nó inalcançável gera apenas aviso', () => {
+    const result = validateFlowDefinition({
+      start: 'a',
+      nodes: {
+        a: { type: 'message', content: { text: 'a' } },
+        solto: { type: 'message', content: { text: 'b' } }
+      }
+    });
+    expect(result.valid).toBe(true);
+    expect(result.warnings).toEqual([{ node: 'solto', warning: 'FLOW_NODE_UNREACHABLE' }]);
+  });
+});
+
+describe('flowEngine.matchChoice', () => {
+  const node = { choices: [{ id: 'sim', text: 'Sim' }, { id: 'nao', text: 'Não' }] };
+
+  test('casa clique pelo callback_data do nó', () => {
+    expect(buildChoiceCallbackData('pergunta', 'sim')).toBe('f:pergunta:sim');
+    expect(matchChoice(node, 'pergunta', { callback_data: 'f:pergunta:nao' }).id).toBe('nao');
+    expect(matchChoice(node, 'outra', { callback_data: 'f:pergunta:nao' })).toBeNull();
+  });
+
+  test('casa resposta em texto pelo rótulo', () => {
+    expect(matchChoice(node, 'pergunta', { text: ' sim ' }).id).toBe('sim');
+    expect(matchChoice(node, 'pergunta', { text: 'talvez' })).toBeNull();
+  });
+});
+
+describe('flowEngine.runState', () => {
+  const definition = { start: 'espera', nodes: { espera: { type: 'wait', minutes: 5, next: 'depois' }, depois: { type: 'wait', minutes: 1 } } };
+  const makePool = (updatedRows) => ({
+    query: jest.fn(async (sql) => (/FROM public\.bot_flow_versions/.test(sql)
+      ? { rowCount: 1, rows: [{ definition }] }
+      : { rowCount: updatedRows, rows: [] }))
+  });
+
+  test('grava o estado só enquanto a execução está aberta', async () => {
+    const pool = makePool(1);
+    const state = await runState(pool, { id: 1, bot_slug: 'bot', telegram_id: '42', flow_id: 901, flow_version: 1, current_node: 'espera', vars: {} });
+    expect(state.status).toBe('waiting_timer');
+    expect(pool.query.mock.calls[1][0]).toMatch(/AND status IN \('running', 'waiting_input', 'waiting_timer'\)/);
+  });
+
+  test('execução cancelada no meio não é reaberta', async () => {
+    const pool = makePool(0);
+    const state = await runState(pool, { id: 2, bot_slug: 'bot', telegram_id: '42', flow_id: 902, flow_version: 1, current_node: 'espera', vars: {} });
+    expect(state.status).toBe('cancelled');
+  });
+});
+
+describe('flowEngine.startConversation', () => {
+  test('cancela a execução aberta e insere a nova num único comando; início concorrente perde', async () => {
+    const definition = { start: 'espera', nodes: { espera: { type: 'wait', minutes: 5 } } };
+    const pool = {
+      query: jest.fn(async (sql) => (/FROM public\.bot_flow_versions/.test(sql)
+        ? { rowCount: 1, rows: [{ definition }] }
+        : { rowCount: 0, rows: [] }))
+    };
+    const flow = { id: 903, active_version: 1, flow_key: 'boas_vindas' };
+
+    expect(await startConversation(pool, { slug: 'bot', flow, telegram_id: 42 })).toEqual({ ok: false, reason: 'FLOW_START_CONFLICT' });
+    expect(pool.query).toHaveBeenCalledTimes(2);
+    const [sql, params] = pool.query.mock.calls[1];
+    expect(sql).toMatch(/WITH cancelled AS \(\s*UPDATE public\.bot_flow_states/);
+    expect(sql).toMatch(/ON CONFLICT \(bot_slug, telegram_id\) WHERE status IN/);
+    expect(params).toEqual(['bot', 42, 903, 1, 'espera', '{}']);
+  });
+});
+
+describe('flowService.createFlowVersion', () => {
+  test('produto do nó payment precisa existir no bot', async () => {
+    const pool = {
+      query: jest.fn(async (sql) => (/FROM public\.bot_flows WHERE/.test(sql)
+        ? { rowCount: 1, rows: [{ id: 3 }] }
+        : { rowCount: 0, rows: [] }))
+    };
+    const definition = { start: 'pix', nodes: { pix: { type: 'payment', product_id: '8' } } };
+
+    await expect(createFlowVersion(pool, 'bot', 3, { definition })).rejects.toMatchObject({
+      message: 'FLOW_DEFINITION_INVALID',
+      errors: [{ node: 'pix', error: 'FLOW_PRODUCT_NOT_FOUND' }]
+    });
+    const productQuery = pool.query.mock.calls.find(([sql]) => /FROM public\.bot_products/.test(sql));
+    expect(productQuery[1]).toEqual([8, 'bot']);
+  });
+});
+
+describe('flowEngine nó payment', () => {
+  const run = (node, flow_id) => {
+    const definition = { start: 'pix', nodes: { pix: { type: 'payment', ...node } } };
+    const pool = {
+      query: jest.fn(async (sql) => (/FROM public\.bot_flow_versions/.test(sql)
+        ? { rowCount: 1, rows: [{ definition }] }
+        : { rowCount: 1, rows: [] }))
+    };
+    return runState(pool, { id: 5, bot_slug: 'bot', telegram_id: '42', flow_id, flow_version: 1, current_node: 'pix', vars: {} });
+  };
+
+  beforeEach(() => {
+    generatePixCharge.mockClear();
+    generateProductPixCharge.mockClear();
+  });
+
+  test('produto segue a cobrança do catálogo', async () => {
+    const state = await run({ product_id: 7 }, 904);
+    expect(state.status).toBe('completed');
+    expect(generateProductPixCharge).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ slug: 'bot', telegram_id: 42, product_id: 7 }));
+    expect(generatePixCharge).not.toHaveBeenCalled();
+  });
+
+  test('valor avulso segue a cobrança simples', async () => {
+    await run({ price_cents: 1990, description: 'VIP' }, 905);
+    expect(generatePixCharge).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ price_cents: 1990, description: 'VIP' }));
+    expect(generateProductPixCharge).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,105 @@
+const { getUpdateKind, recordInboundUpdate, markUpdateResult, replayInboundUpdate, failStaleProcessing } = require('../lib/inboundUpdateService');
+
+describe('inboundUpdateService.recordInboundUpdate', () => {
+  const update = {
+    update_id: 1001,
+    message: { from: { id: 123, is_bot: false, first_name: 'Ana' }, chat: { id: 123, type: 'private' }, text: '/start' }
+  };
+
+  test('primeiro recebimento grava e segue para processamento', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ id: 7, status: 'processing', inserted: true }] }) };
+    const result = await recordInboundUpdate(pool, { slug: 'bot', update });
+
+    expect(result).toEqual({ id: 7, duplicate: false, status: 'processing', retried: false });
+    expect(pool.query.mock.calls[0][1].slice(0, 4)).toEqual(['bot', 1001, 'message', 123]);
+  });
+
+  test('mesmo update_id é marcado como duplicata', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ id: 7, status: 'processed', inserted: false }] }) };
+    const result = await recordInboundUpdate(pool, { slug: 'bot', update });
+
+    expect(result.duplicate).toBe(true);
+    expect(pool.query.mock.calls[0][0]).toMatch(/ON CONFLICT \(bot_slug, update_id\)/);
+  });
+
+  test('reentrega de update parado em processing é processada de novo', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ id: 7, status: 'processing', inserted: false, claimed: true }] }) };
+    const result = await recordInboundUpdate(pool, { slug: 'bot', update });
+
+    expect(result).toEqual({ id: 7, duplicate: false, status: 'processing', retried: true });
+    expect(pool.query.mock.calls[0][0]).toMatch(/WHEN bot_inbound_updates\.status = 'processing'/);
+    expect(pool.query.mock.calls[0][1][5]).toBe(5);
+  });
+
+  test('exige update_id inteiro', async () => {
+    const pool = { query: jest.fn() };
+    await expect(recordInboundUpdate(pool, { slug: 'bot', update: { message: {} } })).rejects.toThrow('MISSING_PARAMS');
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('inboundUpdateService.markUpdateResult', () => {
+  test('grava falha com o erro e sucesso sem erro', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rowCount: 1 }) };
+    await markUpdateResult(pool, 7, { ok: false, error: 'BOOM', duration_ms: 12 });
+    await markUpdateResult(pool, 7, { ok: true, error: 'ignored', duration_ms: 5 });
+
+    expect(pool.query.mock.calls[0][1]).toEqual([7, 'failed', 'BOOM', 12]);
+    expect(pool.query.mock.calls[1][1]).toEqual([7, 'processed', null, 5]);
+  });
+});
+
+describe('inboundUpdateService.replayInboundUpdate', () => {
+  test('reprocessa o payload gravado e registra o resultado', async () => {
+    const payload = { update_id: 1001, callback_query: { id: 'cb' } };
+    const pool = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rowCount: 1, rows: [{ id: 7, payload }] })
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({ rowCount: 1, rows: [{ id: 7, status: 'processed', replay_count: 1, payload }] })
+    };
+    const processUpdate = jest.fn().mockResolvedValue({ ok: true, done_ms: 3 });
+
+    const result = await replayInboundUpdate(pool, { slug: 'bot', update_id: '1001', processUpdate, request_id: 'r1' });
+
+    expect(processUpdate).toHaveBeenCalledWith(expect.objectContaining({ slug: 'bot', update: payload, request_id: 'r1' }));
+    expect(pool.query.mock.calls[1][0]).toMatch(/replay_count = replay_count \+ 1/);
+    expect(pool.query.mock.calls[2][1].slice(0, 3)).toEqual([7, 'processed', null]);
+    expect(result.status).toBe('processed');
+  });
+
+  test('não reprocessa update ainda em processing', async () => {
+    const pool = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rowCount: 1, rows: [{ id: 7, status: 'processing', payload: {} }] })
+        .mockResolvedValueOnce({ rowCount: 0 })
+    };
+    const processUpdate = jest.fn();
+
+    await expect(replayInboundUpdate(pool, { slug: 'bot', update_id: '1001', processUpdate }))
+      .rejects.toThrow('INBOUND_UPDATE_IN_PROCESSING');
+    expect(pool.query.mock.calls[1][0]).toMatch(/WHERE id = \$1 AND status <> 'processing'/);
+    expect(processUpdate).not.toHaveBeenCalled();
+  });
+
+  test('update inexistente', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rowCount: 0, rows: [] }) };
+    await expect(replayInboundUpdate(pool, { slug: 'bot', update_id: '1', processUpdate: jest.fn() }))
+      .rejects.toThrow('INBOUND_UPDATE_NOT_FOUND');
+  });
+});
+
+test('inboundUpdateService.failStaleProcessing marca como failed o que ficou parado', async () => {
+  const pool = { query: jest.fn().mockResolvedValue({ rowCount: 2 }) };
+  expect(await failStaleProcessing(pool)).toBe(2);
+  expect(pool.query.mock.calls[0][0]).toMatch(/SET status = 'failed', error = 'PROCESSING_TIMEOUT'/);
+  expect(pool.query.mock.calls[0][1]).toEqual([5]);
+});
+
+test('inboundUpdateService.getUpdateKind', () => {
+  expect(getUpdateKind({ message: {} })).toBe('message');
+  expect(getUpdateKind({ callback_query: {} })).toBe('callback_query');
+  expect(getUpdateKind({ my_chat_member: {} })).toBe('my_chat_member');
+  expect(getUpdateKind({ edited_message: {} })).toBe('other');
+});
@@ -0,0 +1,59 @@
+/**
+ * Testes do inline keyboard (botões URL/callback)
+ */
+
+const { validateButtons, buildReplyMarkup, normalizeContentButtons } = require('../lib/inlineKeyboard');
+
+describe('Inline Keyboard', () => {
+
+  it('deve aceitar linhas com botões de URL e callback', () => {
+    const rows = validateButtons([
+      [{ text: ' Comprar ', url: 'https://example.com' }],
+      [{ text: 'Sim', callback_data: 'yes' }, { text: 'Canal', url: 'tg://resolve?domain=x' }]
+    ]);
+
+    expect(rows).toEqual([
+      [{ text: 'Comprar', url: 'https://example.com' }],
+      [{ text: 'Sim', callback_data: 'yes' }, { text: 'Canal', url: 'tg://resolve?domain=x' }]
+    ]);
+  });
+
+  it('deve rejeitar botão sem ação ou com duas ações', () => {
+    expect(() => validateButtons([[{ text: 'A' }]])).toThrow('BUTTON_ACTION_REQUIRED');
+    expect(() => validateButtons([[{ text: 'A', url: 'https://x.com', callback_data: 'a' }]]))
+      .toThrow('BUTTON_ACTION_REQUIRED');
+  });
+
+  it('deve converter botão de produto em callback_data', () => {
+    expect(validateButtons([[{ text: 'VIP', product_id: '12' }]])).toEqual([[{ text: 'VIP', callback_data: 'p:12' }]]);
+    expect(() => validateButtons([[{ text: 'VIP', product_id: 0 }]])).toThrow('BUTTON_PRODUCT_INVALID');
+    expect(() => validateButtons([[{ text: 'VIP', product_id: 1, url: 'https://x.com' }]])).toThrow('BUTTON_ACTION_REQUIRED');
+  });
+
+  it('deve aplicar limites do Telegram', () => {
+    const row = Array.from({ length: 9 }, (_, i) => ({ text: `b${i}`, callback_data: `${i}` }));
+    expect(() => validateButtons([row])).toThrow('BUTTONS_ROW_MAX_8');
+
+    expect(() => validateButtons([[{ text: 'A', callback_data: 'é'.repeat(33) }]]))
+      .toThrow('BUTTON_CALLBACK_DATA_TOO_LONG');
+
+    expect(() => validateButtons([[{ text: 'A', url: 'javascript:alert(1)' }]]))
+      .toThrow('BUTTON_URL_INVALID');
+
+    const many = Array.from({ length: 13 }, () =>
+      Array.from({ length: 8 }, () => ({ text: 'x', callback_data: 'x' }))
+    );
+    expect(() => validateButtons(many)).toThrow('BUTTONS_MAX_100');
+  });
+
+  it('deve montar reply_markup e omitir quando não há botões', () => {
+    expect(buildReplyMarkup(undefined)).toBeUndefined();
+    expect(buildReplyMarkup([[]])).toBeUndefined();
+    expect(buildReplyMarkup([[{ text: 'A', url: 'https://x.com' }]]))
+      .toEqual({ inline_keyboard: [[{ text: 'A', url: 'https://x.com' }]] });
+  });
+
+  it('deve remover buttons vazio do conteúdo', () => {
+    expect(normalizeContentButtons({ text: 'oi', buttons: [] })).toEqual({ text: 'oi' });
+  });
+});
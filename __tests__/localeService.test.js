@@ -0,0 +1,47 @@
+const {
+  normalizeLanguageCode,
+  normalizeContentVariants,
+  selectVariant,
+  localizeContent
+} = require('../lib/localeService');
+
+describe('localeService.normalizeContentVariants', () => {
+  test('normaliza códigos e descarta variantes vazias', () => {
+    const content = normalizeContentVariants({
+      text: 'Olá',
+      variants: { es: { text: 'Hola' }, EN: { text: 'Hi' }, fr: { text: '   ' } }
+    });
+
+    expect(content).toEqual({ text: 'Olá', variants: { es: { text: 'Hola' }, en: { text: 'Hi' } } });
+  });
+
+  test('omite variants quando todas estão vazias', () => {
+    expect(normalizeContentVariants({ text: 'Olá', variants: { es: { text: '' } } })).toEqual({ text: 'Olá' });
+  });
+
+  test('rejeita formato e código inválidos', () => {
+    expect(() => normalizeContentVariants({ text: 'a', variants: [] })).toThrow('MESSAGE_VARIANTS_MUST_BE_OBJECT');
+    expect(() => normalizeContentVariants({ text: 'a', variants: { 'es!': { text: 'b' } } })).toThrow('INVALID_LANGUAGE_CODE');
+    expect(() => normalizeContentVariants({ text: 'a', variants: { es: { text: 'x'.repeat(4097) } } }))
+      .toThrow('MESSAGE_VARIANT_TEXT_TOO_LONG');
+  });
+});
+
+describe('localeService.selectVariant / localizeContent', () => {
+  const variants = { pt: { text: 'Olá' }, es: { text: 'Hola', buttons: [[{ text: 'Comprar', url: 'https://x.y' }]] } };
+
+  test('código exato, depois idioma base', () => {
+    expect(normalizeLanguageCode('pt_BR')).toBe('pt-br');
+    expect(selectVariant(variants, 'es')).toEqual({ language: 'es', variant: variants.es });
+    expect(selectVariant(variants, 'pt-BR')).toEqual({ language: 'pt', variant: variants.pt });
+    expect(selectVariant(variants, 'en')).toBeNull();
+  });
+
+  test('sem variante usa o padrão; variante sem botões herda os do padrão', () => {
+    const buttons = [[{ text: 'Ver', callback_data: 'ver' }]];
+
+    expect(localizeContent({ text: 'Hello', buttons, variants }, 'en')).toEqual({ text: 'Hello', buttons, language: null });
+    expect(localizeContent({ text: 'Hello', buttons, variants }, 'pt-br')).toEqual({ text: 'Olá', buttons, language: 'pt' });
+    expect(localizeContent({ text: 'Hello', buttons, variants }, 'es').buttons).toEqual(variants.es.buttons);
+  });
+});
@@ -0,0 +1,91 @@
+jest.mock('../lib/tokenService', () => ({ getTokenBySlug: jest.fn().mockResolvedValue('123:abc') }));
+jest.mock('../lib/telegramClient', () => ({
+  banChatMember: jest.fn(),
+  unbanChatMember: jest.fn().mockResolvedValue({ ok: true, result: true }),
+  sendMessage: jest.fn().mockResolvedValue({ ok: true, message_id: 77 })
+}));
+jest.mock('../lib/messageContentService', () => ({ sendMessageContent: jest.fn() }));
+
+const telegramClient = require('../lib/telegramClient');
+const { sendMessageContent } = require('../lib/messageContentService');
+const {
+  MAX_REMOVE_ATTEMPTS,
+  listMemberships,
+  buildReminderContent,
+  sendRenewalReminder,
+  expireMembership
+} = require('../lib/membershipService');
+
+const membership = { id: '3', bot_slug: 'bot', telegram_id: '42', chat_id: '-1001234567890', remove_attempts: 1 };
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('membershipService', () => {
+  test('lembrete com dias restantes e botão de renovação do produto', () => {
+    const content = buildReminderContent(
+      { product_id: '12', product_name: 'VIP 30 dias', ends_at: '2026-10-04T12:00:00.000Z' },
+      new Date('2026-10-01T13:00:00.000Z')
+    );
+    expect(content.text).toBe('Seu acesso a *VIP 30 dias* vence em 3 dias\\. Renove agora para não perder o acesso:');
+    expect(content.buttons).toEqual([[{ text: 'Renovar', callback_data: 'p:12' }]]);
+  });
+
+  test('lembrete chega ao Telegram com o nome do produto escapado uma única vez', async () => {
+    process.env.DISABLE_GATEWAY_EVENTS = '1';
+    // Caminho real de envio: messageContentService -> queuedSend -> sendService
+    sendMessageContent.mockImplementation((...args) => jest.requireActual('../lib/messageContentService').sendMessageContent(...args));
+    const pool = { query: jest.fn().mockResolvedValue({ rowCount: 0, rows: [] }) };
+    const ends_at = new Date(Date.now() + 2.5 * 24 * 60 * 60 * 1000).toISOString();
+
+    const result = await sendRenewalReminder(pool, { id: '3', bot_slug: 'bot', telegram_id: '42', product_id: '12', product_name: 'VIP.Gold', ends_at });
+
+    expect(result).toMatchObject({ ok: true });
+    const [, chat_id, text, options] = telegramClient.sendMessage.mock.calls[0];
+    expect(chat_id).toBe('42');
+    expect(text).toBe('Seu acesso a *VIP\\.Gold* vence em 3 dias\\. Renove agora para não perder o acesso:');
+    expect(options.parse_mode).toBe('MarkdownV2');
+    expect(pool.query.mock.calls.some(([sql]) => /reminder_sent_at = NULL/.test(sql))).toBe(false);
+  });
+
+  test('falha no lembrete libera a reserva, exceto usuário que bloqueou o bot', async () => {
+    const reminder = { id: '3', bot_slug: 'bot', telegram_id: '42', product_id: '12', product_name: 'VIP', ends_at: new Date().toISOString() };
+
+    sendMessageContent.mockResolvedValue({ ok: false, error: 'TIMEOUT' });
+    let pool = { query: jest.fn().mockResolvedValue({ rowCount: 1 }) };
+    await sendRenewalReminder(pool, reminder);
+    expect(pool.query).toHaveBeenCalledWith(expect.stringMatching(/reminder_sent_at = NULL/), ['3']);
+
+    sendMessageContent.mockResolvedValue({ ok: false, error: 'BOT_BLOCKED_BY_USER' });
+    pool = { query: jest.fn() };
+    await sendRenewalReminder(pool, reminder);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test('vencida: ban + unban e status expired', async () => {
+    telegramClient.banChatMember.mockResolvedValue({ ok: true, result: true });
+    const pool = { query: jest.fn().mockResolvedValue({ rowCount: 1 }) };
+
+    expect(await expireMembership(pool, membership)).toEqual({ ok: true, expired: true });
+    expect(telegramClient.banChatMember).toHaveBeenCalledWith('123:abc', '-1001234567890', 42);
+    expect(telegramClient.unbanChatMember).toHaveBeenCalledWith('123:abc', '-1001234567890', 42);
+    expect(pool.query.mock.calls[0][1]).toEqual(['3', true, true, null]);
+  });
+
+  test('falha na remoção mantém ativa até o limite de tentativas', async () => {
+    telegramClient.banChatMember.mockResolvedValue({ ok: false, error: 'not enough rights' });
+    const pool = { query: jest.fn().mockResolvedValue({ rowCount: 1 }) };
+
+    expect(await expireMembership(pool, membership)).toEqual({ ok: false, expired: false });
+    expect(await expireMembership(pool, { ...membership, remove_attempts: MAX_REMOVE_ATTEMPTS }))
+      .toEqual({ ok: false, expired: true });
+    expect(pool.query.mock.calls[1][1]).toEqual(['3', true, false, 'not enough rights']);
+    expect(telegramClient.unbanChatMember).not.toHaveBeenCalled();
+  });
+
+  test('listagem valida filtros antes de consultar', async () => {
+    const pool = { query: jest.fn() };
+    await expect(listMemberships(pool, 'bot', { status: 'banned' })).rejects.toThrow('INVALID_STATUS');
+    await expect(listMemberships(pool, 'bot', { days: '0' })).rejects.toThrow('INVALID_DAYS');
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,58 @@
+jest.mock('../lib/paymentProviderService', () => ({ dispatchPaymentEvent: jest.fn() }));
+
+const { dispatchPaymentEvent } = require('../lib/paymentProviderService');
+const { processPaymentEvent, retryDelaySeconds, MAX_ATTEMPTS } = require('../lib/paymentEventWorker');
+
+const event = { provider: 'pushinpay', event_id: 'evt_1', event_type: 'payment_approved', transaction_id: 'tx1', bot_slug: 'bot', telegram_id: '42' };
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('paymentEventWorker.processPaymentEvent', () => {
+  test('evento processado grava processed', async () => {
+    dispatchPaymentEvent.mockResolvedValue({ ok: true });
+    const pool = { query: jest.fn().mockResolvedValue({ rowCount: 1 }) };
+
+    expect(await processPaymentEvent(pool, { id: '9', payload: event, process_attempts: 1 }, { request_id: 'r1' }))
+      .toEqual({ ok: true, result: { ok: true } });
+    expect(dispatchPaymentEvent).toHaveBeenCalledWith(pool, event, { request_id: 'r1' });
+    expect(pool.query.mock.calls[0][0]).toMatch(/processing_status = 'processed'/);
+  });
+
+  test('falha mantém pending com backoff até o limite de tentativas', async () => {
+    dispatchPaymentEvent.mockRejectedValue(new Error('DB_DOWN'));
+
+    let pool = { query: jest.fn().mockResolvedValue({ rowCount: 1 }) };
+    expect(await processPaymentEvent(pool, { id: '9', payload: event, process_attempts: 1 }))
+      .toEqual({ ok: false, error: 'DB_DOWN', failed: false });
+    expect(pool.query.mock.calls[0][1]).toEqual(['9', 'pending', 'DB_DOWN', 30]);
+
+    pool = { query: jest.fn().mockResolvedValue({ rowCount: 1 }) };
+    expect(await processPaymentEvent(pool, { id: '9', payload: event, process_attempts: MAX_ATTEMPTS }))
+      .toMatchObject({ ok: false, failed: true });
+    expect(pool.query.mock.calls[0][1][1]).toBe('failed');
+  });
+
+  test('handler que captura o erro e devolve { ok: false, error } continua pending', async () => {
+    dispatchPaymentEvent.mockResolvedValue({ ok: false, error: 'connection terminated' });
+    const pool = { query: jest.fn().mockResolvedValue({ rowCount: 1 }) };
+
+    expect(await processPaymentEvent(pool, { id: '9', payload: event, process_attempts: 2 }))
+      .toEqual({ ok: false, error: 'connection terminated', failed: false });
+    expect(pool.query).toHaveBeenCalledTimes(1);
+    expect(pool.query.mock.calls[0][0]).not.toMatch(/'processed'/);
+    expect(pool.query.mock.calls[0][1]).toEqual(['9', 'pending', 'connection terminated', 60]);
+  });
+
+  test('recusa definitiva ({ ok: false, reason }) é registrada como processed', async () => {
+    dispatchPaymentEvent.mockResolvedValue({ ok: false, reason: 'owner_not_found' });
+    const pool = { query: jest.fn().mockResolvedValue({ rowCount: 1 }) };
+
+    expect(await processPaymentEvent(pool, { id: '9', payload: event, process_attempts: 1 })).toMatchObject({ ok: true });
+    expect(pool.query.mock.calls[0][0]).toMatch(/processing_status = 'processed'/);
+  });
+
+  test('backoff exponencial limitado a 1h', () => {
+    expect([1, 2, 3].map(retryDelaySeconds)).toEqual([30, 60, 120]);
+    expect(retryDelaySeconds(20)).toBe(3600);
+  });
+});
@@ -0,0 +1,155 @@
+jest.mock('../lib/paymentWebhookService', () => ({
+  handlePixCreated: jest.fn().mockResolvedValue({ ok: true }),
+  handlePaymentApproved: jest.fn().mockResolvedValue({ ok: true }),
+  handlePixExpired: jest.fn().mockResolvedValue({ ok: true }),
+  handlePaymentRefunded: jest.fn().mockResolvedValue({ ok: true }),
+  handleChargeback: jest.fn().mockResolvedValue({ ok: true })
+}));
+
+const crypto = require('crypto');
+const { handlePaymentApproved, handlePixExpired, handleChargeback } = require('../lib/paymentWebhookService');
+const { PROVIDER_ADAPTERS, buildWebhookUrl, normalizeProviderEvents, dispatchPaymentEvent } = require('../lib/paymentProviderService');
+
+const pushinpayPaid = require('./fixtures/payments/pushinpay-paid.json');
+const mpNotification = require('./fixtures/payments/mercadopago-notification.json');
+const mpPayment = require('./fixtures/payments/mercadopago-payment-approved.json');
+const efiPix = require('./fixtures/payments/efi-pix-received.json');
+
+describe('paymentProviderService.normalizeProviderEvents', () => {
+  afterEach(() => { delete global.fetch; });
+
+  test('PushinPay: status e valor consultados na API; dono nunca vem da URL', async () => {
+    process.env.PUSHINPAY_API_KEY = 'pp-test';
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => pushinpayPaid });
+
+    // Corpo forjado (valor e status) com o dono de outra cobrança na query
+    const [event] = await normalizeProviderEvents('pushinpay', {
+      body: { ...pushinpayPaid, value: 1, status: 'created' },
+      query: { bot_slug: 'meu-bot', telegram_id: '123' }
+    });
+    expect(global.fetch.mock.calls[0][0]).toBe(`https://api.pushinpay.com.br/api/transactions/${pushinpayPaid.id}`);
+    expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer pp-test');
+    expect(event).toMatchObject({
+      provider: 'pushinpay',
+      event_id: `${pushinpayPaid.id}:paid`,
+      event_type: 'payment_approved',
+      transaction_id: pushinpayPaid.id,
+      bot_slug: null,
+      telegram_id: null,
+      amount_cents: 1990
+    });
+
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ ...pushinpayPaid, status: 'expired' }) });
+    const [expired] = await normalizeProviderEvents('pushinpay', { body: pushinpayPaid, query: {} });
+    expect(expired.event_type).toBe('pix_expired');
+
+    // Transação inexistente no gateway
+    global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+    await expect(normalizeProviderEvents('pushinpay', { body: { id: 'inventada', status: 'paid' } }))
+      .rejects.toThrow('PUSHINPAY_FETCH_FAILED_404');
+    await expect(normalizeProviderEvents('pushinpay', { body: {} })).rejects.toThrow('PAYMENT_PAYLOAD_INVALID');
+    delete process.env.PUSHINPAY_API_KEY;
+  });
+
+  test('Mercado Pago: consulta o pagamento e lê external_reference', async () => {
+    process.env.MERCADOPAGO_ACCESS_TOKEN = 'APP_USR-test';
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => mpPayment });
+
+    const [event] = await normalizeProviderEvents('mercadopago', { body: mpNotification, query: {} });
+    expect(global.fetch.mock.calls[0][0]).toBe('https://api.mercadopago.com/v1/payments/98765432101');
+    expect(event).toMatchObject({
+      event_id: '98765432101:approved',
+      event_type: 'payment_approved',
+      transaction_id: '98765432101',
+      bot_slug: 'meu-bot',
+      telegram_id: '123456789',
+      amount_cents: 1990
+    });
+
+    expect(await normalizeProviderEvents('mercadopago', { body: { type: 'merchant_order', data: { id: '1' } }, query: {} })).toEqual([]);
+    delete process.env.MERCADOPAGO_ACCESS_TOKEN;
+  });
+
+  test('Efí: um evento por PIX recebido; chamada de teste é ignorada', async () => {
+    const events = await normalizeProviderEvents('efi', { body: efiPix, query: {} });
+    expect(events).toEqual([expect.objectContaining({
+      event_id: efiPix.pix[0].endToEndId,
+      event_type: 'payment_approved',
+      transaction_id: efiPix.pix[0].txid,
+      bot_slug: null,
+      amount_cents: 1990
+    })]);
+
+    expect(await normalizeProviderEvents('efi', { body: { evento: 'teste_webhook' } })).toEqual([]);
+    await expect(normalizeProviderEvents('stripe', { body: {} })).rejects.toThrow('PAYMENT_PROVIDER_UNKNOWN');
+  });
+});
+
+describe('paymentProviderService adaptadores: verificação', () => {
+  const env = { PAYMENT_MERCADOPAGO_SECRET: 'novo,antigo', PAYMENT_EFI_SECRET: 'token-efi' };
+
+  test('Mercado Pago: x-signature sobre o manifesto, com rotação de segredo', () => {
+    const ts = '1760898610';
+    const manifest = `id:98765432101;request-id:req-1;ts:${ts};`;
+    const sign = (secret) => crypto.createHmac('sha256', secret).update(manifest).digest('hex');
+    const params = (v1, now = Number(ts) * 1000) => ({
+      provider: 'mercadopago',
+      headers: { 'x-signature': `ts=${ts},v1=${v1}`, 'x-request-id': 'req-1' },
+      query: { 'data.id': '98765432101' },
+      now,
+      env
+    });
+
+    expect(PROVIDER_ADAPTERS.mercadopago.verify(params(sign('antigo')))).toEqual({ ok: true, secret_index: 1 });
+    expect(PROVIDER_ADAPTERS.mercadopago.verify(params(sign('outro'))).error).toBe('PAYMENT_SIGNATURE_INVALID');
+    expect(PROVIDER_ADAPTERS.mercadopago.verify(params(sign('novo'), Number(ts) * 1000 + 301000)).error)
+      .toBe('PAYMENT_TIMESTAMP_OUT_OF_TOLERANCE');
+  });
+
+  test('PushinPay: token próprio da cobrança na URL, sem o segredo', () => {
+    const pushinpayEnv = { PAYMENT_PUSHINPAY_SECRET: 'segredo-pp', PUBLIC_BASE_URL: 'https://app.example.com/' };
+    const url = new URL(buildWebhookUrl('pushinpay', { bot_slug: 'bot', telegram_id: 42, with_token: true }, pushinpayEnv));
+    const query = Object.fromEntries(url.searchParams);
+    const verify = (q) => PROVIDER_ADAPTERS.pushinpay.verify({ provider: 'pushinpay', query: q, env: pushinpayEnv });
+
+    expect(url.pathname).toBe('/api/payment/pushinpay/webhook');
+    expect(url.search).not.toContain('segredo-pp');
+    expect(query.nonce).toMatch(/^[0-9a-f]{32}$/);
+    expect(verify(query)).toEqual({ ok: true, secret_index: 0 });
+    expect(verify({ ...query, telegram_id: '43' }).error).toBe('PAYMENT_SIGNATURE_INVALID');
+    expect(verify({ ...query, token: 'segredo-pp' }).error).toBe('PAYMENT_SIGNATURE_INVALID');
+    expect(verify({ bot_slug: 'bot', telegram_id: '42' }).error).toBe('PAYMENT_SIGNATURE_MISSING');
+
+    const other = new URL(buildWebhookUrl('pushinpay', { bot_slug: 'bot', telegram_id: 42, with_token: true }, pushinpayEnv));
+    expect(other.searchParams.get('token')).not.toBe(query.token);
+  });
+
+  test('Efí: segredo na URL do webhook', () => {
+    expect(PROVIDER_ADAPTERS.efi.verify({ provider: 'efi', query: { token: 'token-efi' }, env }).ok).toBe(true);
+    expect(PROVIDER_ADAPTERS.efi.verify({ provider: 'efi', query: { token: 'x' }, env }).error).toBe('PAYMENT_SIGNATURE_INVALID');
+  });
+});
+
+describe('paymentProviderService.dispatchPaymentEvent', () => {
+  test('completa o dono pela transação antes de aprovar', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ bot_slug: 'meu-bot', tg_id: '123' }] }) };
+    await dispatchPaymentEvent(pool, { provider: 'efi', event_type: 'payment_approved', transaction_id: 'tx1' });
+
+    expect(pool.query.mock.calls[0][1]).toEqual(['tx1']);
+    expect(pool.query.mock.calls[0][0]).toMatch(/FROM public\.payments/);
+    expect(pool.query.mock.calls[0][0]).not.toMatch(/funnel_events/);
+    expect(handlePaymentApproved).toHaveBeenCalledWith(pool, expect.objectContaining({ bot_slug: 'meu-bot', telegram_id: '123', transaction_id: 'tx1', provider: 'efi' }));
+  });
+
+  test('expiração e chargeback só precisam da transação; status sem ação é ignorado', async () => {
+    const pool = { query: jest.fn() };
+    await dispatchPaymentEvent(pool, { provider: 'pushinpay', event_type: 'pix_expired', transaction_id: 'tx2' });
+    expect(handlePixExpired).toHaveBeenCalledWith(pool, { transaction_id: 'tx2', provider: 'pushinpay' });
+
+    await dispatchPaymentEvent(pool, { provider: 'mercadopago', event_type: 'payment_chargeback', transaction_id: 'tx3' });
+    expect(handleChargeback).toHaveBeenCalledWith(pool, { transaction_id: 'tx3', provider: 'mercadopago' });
+
+    expect(await dispatchPaymentEvent(pool, { provider: 'mercadopago', event_type: null, status: 'in_process' })).toEqual({ ok: true, ignored: true });
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
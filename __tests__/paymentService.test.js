@@ -0,0 +1,58 @@
+const { canTransition, recordPaymentStatus, listPayments } = require('../lib/paymentService');
+
+describe('paymentService.canTransition', () => {
+  test('PAID só sai por estorno/chargeback; confirmação tardia vence CANCELED/FAILED', () => {
+    expect(canTransition('PENDING', 'PAID')).toBe(true);
+    expect(canTransition('CANCELED', 'PAID')).toBe(true);
+    expect(canTransition('PAID', 'CANCELED')).toBe(false);
+    expect(canTransition('PAID', 'PENDING')).toBe(false);
+    expect(canTransition('CANCELED', 'PENDING')).toBe(false);
+    expect(canTransition('PAID', 'REFUNDED')).toBe(true);
+    expect(canTransition('REFUNDED', 'CHARGEBACK')).toBe(true);
+    expect(canTransition('REFUNDED', 'PAID')).toBe(false);
+    expect(canTransition('PENDING', 'REFUNDED')).toBe(false);
+  });
+});
+
+describe('paymentService.recordPaymentStatus', () => {
+  const params = { transaction_id: 'tx1', status: 'PAID', provider: 'pushinpay', amount_cents: 1990, bot_slug: 'bot', telegram_id: 42 };
+
+  test('upsert com os status de origem permitidos', async () => {
+    const payment = { transaction_id: 'tx1', status: 'PAID', bot_slug: 'bot' };
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ previous_status: 'PENDING', payment }] }) };
+
+    expect(await recordPaymentStatus(pool, params)).toEqual({ applied: true, previous_status: 'PENDING', payment });
+    const [sql, values] = pool.query.mock.calls[0];
+    expect(sql).toContain('ON CONFLICT (transaction_id) DO UPDATE');
+    expect(values[8]).toEqual(['PENDING', 'CANCELED', 'FAILED', 'PAID']);
+  });
+
+  test('sem dono só atualiza; transição rejeitada não aplica', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ previous_status: 'PAID', payment: null }] }) };
+    const result = await recordPaymentStatus(pool, { transaction_id: 'tx1', status: 'CANCELED' });
+
+    expect(result).toEqual({ applied: false, previous_status: 'PAID', payment: null });
+    expect(pool.query.mock.calls[0][0]).not.toContain('INSERT INTO');
+    await expect(recordPaymentStatus(pool, { ...params, status: 'DISPUTED' })).rejects.toThrow('INVALID_PAYMENT_STATUS');
+  });
+});
+
+describe('paymentService.listPayments', () => {
+  test('filtros e totais por status', async () => {
+    const pool = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rows: [{ status: 'PAID', count: 2, amount_cents: '3980' }, { status: 'PENDING', count: 1, amount_cents: '0' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+    };
+
+    const result = await listPayments(pool, 'bot', { status: 'paid', telegram_id: '42', limit: 500 });
+    expect(result.total).toBe(3);
+    expect(result.limit).toBe(200);
+    expect(result.totals.PAID).toEqual({ count: 2, amount_cents: 3980 });
+    expect(result.totals.CANCELED).toEqual({ count: 0, amount_cents: 0 });
+    expect(pool.query.mock.calls[0][1]).toEqual(['bot', 'PAID', '42']);
+
+    await expect(listPayments(pool, 'bot', { status: 'x' })).rejects.toThrow('INVALID_STATUS');
+    await expect(listPayments(pool, 'bot', { from: 'ontem' })).rejects.toThrow('INVALID_DATE_RANGE');
+  });
+});
@@ -0,0 +1,62 @@
+const { signPayload, getProviderSecrets, verifyPaymentSignature, recordPaymentEvent } = require('../lib/paymentSignatureService');
+
+const env = { PAYMENT_PUSHINPAY_SECRET: 'novo,antigo' };
+const now = 1700000000000;
+const ts = now / 1000;
+const body = JSON.stringify({ bot_slug: 'bot', telegram_id: 42, transaction_id: 'tx1' });
+
+function verify(overrides = {}) {
+  return verifyPaymentSignature({
+    provider: 'pushinpay',
+    raw_body: Buffer.from(body),
+    timestamp: String(ts),
+    signature: `sha256=${signPayload('novo', ts, body)}`,
+    now,
+    env,
+    ...overrides
+  });
+}
+
+describe('paymentSignatureService.verifyPaymentSignature', () => {
+  test('aceita assinatura válida e o segredo anterior durante a rotação', () => {
+    expect(verify()).toEqual({ ok: true, secret_index: 0 });
+    expect(verify({ signature: signPayload('antigo', ts, body) })).toEqual({ ok: true, secret_index: 1 });
+  });
+
+  test('rejeita corpo alterado, segredo errado e provedor sem segredo', () => {
+    expect(verify({ raw_body: body.replace('tx1', 'tx2') }).error).toBe('PAYMENT_SIGNATURE_INVALID');
+    expect(verify({ signature: signPayload('outro', ts, body) }).error).toBe('PAYMENT_SIGNATURE_INVALID');
+    expect(verify({ signature: undefined }).error).toBe('PAYMENT_SIGNATURE_MISSING');
+    expect(verify({ provider: 'mercadopago' }).error).toBe('PAYMENT_WEBHOOK_SECRET_NOT_SET');
+    expect(verify({ provider: '../x' }).error).toBe('PAYMENT_PROVIDER_INVALID');
+  });
+
+  test('segredos só no namespace PAYMENT_<PROVIDER>_SECRET', () => {
+    const otherSecrets = { TELEGRAM_WEBHOOK_SECRET: 'tg', PUSHINPAY_WEBHOOK_SECRET: 'legado' };
+    expect(getProviderSecrets('telegram', otherSecrets)).toEqual([]);
+    expect(getProviderSecrets('pushinpay', otherSecrets)).toEqual([]);
+    expect(verify({ provider: 'telegram', signature: signPayload('tg', ts, body), env: otherSecrets }).error)
+      .toBe('PAYMENT_WEBHOOK_SECRET_NOT_SET');
+    expect(getProviderSecrets('pushinpay', env)).toEqual(['novo', 'antigo']);
+  });
+
+  test('rejeita timestamp fora da tolerância (reenvio antigo)', () => {
+    const old = ts - 301;
+    expect(verify({ timestamp: String(old), signature: signPayload('novo', old, body) }).error)
+      .toBe('PAYMENT_TIMESTAMP_OUT_OF_TOLERANCE');
+    expect(verify({ timestamp: 'abc' }).error).toBe('PAYMENT_TIMESTAMP_INVALID');
+  });
+});
+
+describe('paymentSignatureService.recordPaymentEvent', () => {
+  test('indica evento novo (pending) ou reenvio pela chave provider + event id', async () => {
+    const pool = { query: jest.fn().mockResolvedValueOnce({ rowCount: 1, rows: [{ id: '9' }] }).mockResolvedValueOnce({ rowCount: 0, rows: [] }) };
+    const params = { provider: 'pushinpay', event_id: 'evt_1', event_type: 'payment_approved', slug: 'bot', telegram_id: 42, request_id: 'r1', payload: {} };
+
+    expect(await recordPaymentEvent(pool, params)).toBe('9');
+    expect(await recordPaymentEvent(pool, params)).toBeNull();
+    expect(pool.query.mock.calls[0][1].slice(3, 6)).toEqual(['payment:pushinpay:evt_1', 'pushinpay', 'evt_1']);
+    expect(pool.query.mock.calls[0][0]).toMatch(/'pending', 1/);
+    await expect(recordPaymentEvent(pool, { ...params, event_id: '' })).rejects.toThrow('PAYMENT_EVENT_ID_MISSING');
+  });
+});
@@ -0,0 +1,113 @@
+jest.mock('../lib/downsellService', () => ({
+  scheduleDownsellsForPix: jest.fn().mockResolvedValue(2),
+  cancelDownsellsOnPayment: jest.fn().mockResolvedValue(1),
+  cancelDownsellsOnExpiration: jest.fn().mockResolvedValue(1)
+}));
+jest.mock('../lib/paymentService', () => ({ recordPaymentStatus: jest.fn() }));
+jest.mock('../lib/funnel', () => ({ insertFunnelEvent: jest.fn().mockResolvedValue({ ok: true, dedup: false }) }));
+jest.mock('../lib/deliveryService', () => ({
+  enqueueDelivery: jest.fn().mockResolvedValue({ enqueued: true, delivery_id: 5 }),
+  revokeDelivery: jest.fn().mockResolvedValue({ canceled: false, invite_revoked: true, notified: false })
+}));
+jest.mock('../lib/membershipService', () => ({
+  upsertMembershipForPayment: jest.fn().mockResolvedValue(null),
+  revokeMembership: jest.fn().mockResolvedValue({ id: '3' })
+}));
+
+const { scheduleDownsellsForPix, cancelDownsellsOnPayment } = require('../lib/downsellService');
+const { recordPaymentStatus } = require('../lib/paymentService');
+const { insertFunnelEvent } = require('../lib/funnel');
+const { enqueueDelivery, revokeDelivery } = require('../lib/deliveryService');
+const { upsertMembershipForPayment, revokeMembership } = require('../lib/membershipService');
+const { handlePixCreated, handlePaymentApproved, handlePaymentRefunded, handleChargeback } = require('../lib/paymentWebhookService');
+
+const pool = {};
+const params = { bot_slug: 'bot', telegram_id: 42, transaction_id: 'tx1', provider: 'pushinpay' };
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('paymentWebhookService: eventos de funil', () => {
+  test('pix_created com transaction_id, price_cents e data da cobrança', async () => {
+    recordPaymentStatus.mockResolvedValue({
+      applied: true,
+      previous_status: null,
+      payment: { amount_cents: 1990, created_at: '2026-10-01T12:00:00.000Z' }
+    });
+
+    expect(await handlePixCreated(pool, { ...params, amount_cents: 1990 })).toEqual({ ok: true, scheduled: 2 });
+    expect(insertFunnelEvent).toHaveBeenCalledWith(pool, expect.objectContaining({
+      slug: 'bot',
+      event_name: 'pix_created',
+      event_id: 'pix:bot:tx1',
+      tg_id: 42,
+      transaction_id: 'tx1',
+      price_cents: 1990,
+      occurredAt: new Date('2026-10-01T12:00:00.000Z')
+    }));
+  });
+
+  test('PIX já pago não gera pix_created nem downsells', async () => {
+    recordPaymentStatus.mockResolvedValue({ applied: false, previous_status: 'PAID', payment: null });
+
+    expect(await handlePixCreated(pool, params)).toMatchObject({ ok: true, skipped: true });
+    expect(insertFunnelEvent).not.toHaveBeenCalled();
+    expect(scheduleDownsellsForPix).not.toHaveBeenCalled();
+  });
+
+  test('payment_approved usa o valor gravado; falha no funil não impede o cancelamento', async () => {
+    recordPaymentStatus.mockResolvedValue({
+      applied: true,
+      previous_status: 'PENDING',
+      payment: { amount_cents: 4990, paid_at: '2026-10-02T08:00:00.000Z' }
+    });
+    insertFunnelEvent.mockRejectedValueOnce(new Error('partition missing'));
+
+    expect(await handlePaymentApproved(pool, params)).toEqual({ ok: true, canceled: 1 });
+    expect(insertFunnelEvent.mock.calls[0][1]).toMatchObject({ event_id: 'pay:bot:tx1', price_cents: 4990 });
+    expect(cancelDownsellsOnPayment).toHaveBeenCalled();
+    expect(enqueueDelivery).not.toHaveBeenCalled();
+  });
+
+  test('pagamento de produto cria a assinatura e enfileira a entrega', async () => {
+    recordPaymentStatus.mockResolvedValue({
+      applied: true,
+      previous_status: 'PENDING',
+      payment: { amount_cents: 4990, product_id: '12', paid_at: '2026-10-02T08:00:00.000Z' }
+    });
+
+    expect(await handlePaymentApproved(pool, params)).toEqual({ ok: true, canceled: 1, delivery_id: 5 });
+    expect(enqueueDelivery).toHaveBeenCalledWith(pool, { bot_slug: 'bot', telegram_id: 42, transaction_id: 'tx1', product_id: '12' });
+    expect(upsertMembershipForPayment).toHaveBeenCalledWith(pool, { bot_slug: 'bot', telegram_id: 42, transaction_id: 'tx1', product_id: '12' });
+  });
+
+  test('estorno de pagamento aprovado revoga o acesso e grava payment_refunded', async () => {
+    recordPaymentStatus.mockResolvedValue({
+      applied: true,
+      previous_status: 'PAID',
+      payment: { bot_slug: 'bot', telegram_id: '42', amount_cents: 4990, product_id: '12', refunded_at: '2026-10-05T10:00:00.000Z' }
+    });
+
+    expect(await handlePaymentRefunded(pool, { transaction_id: 'tx1', provider: 'pushinpay' })).toMatchObject({ ok: true });
+    expect(recordPaymentStatus).toHaveBeenCalledWith(pool, { transaction_id: 'tx1', status: 'REFUNDED', provider: 'pushinpay' });
+    expect(insertFunnelEvent.mock.calls[0][1]).toMatchObject({
+      event_name: 'payment_refunded',
+      event_id: 'ref:bot:tx1',
+      occurredAt: new Date('2026-10-05T10:00:00.000Z')
+    });
+    expect(revokeMembership).toHaveBeenCalledWith(pool, { bot_slug: 'bot', transaction_id: 'tx1' });
+    expect(revokeDelivery).toHaveBeenCalledWith(pool, expect.objectContaining({ product_id: '12', reason: 'REFUNDED' }));
+  });
+
+  test('chargeback após estorno só registra o evento', async () => {
+    recordPaymentStatus.mockResolvedValue({
+      applied: true,
+      previous_status: 'REFUNDED',
+      payment: { bot_slug: 'bot', telegram_id: '42', product_id: '12', refunded_at: '2026-10-05T10:00:00.000Z' }
+    });
+
+    expect(await handleChargeback(pool, { transaction_id: 'tx1' })).toEqual({ ok: true, revoked: null });
+    expect(insertFunnelEvent.mock.calls[0][1].event_id).toBe('cbk:bot:tx1');
+    expect(revokeMembership).not.toHaveBeenCalled();
+    expect(revokeDelivery).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,70 @@
+jest.mock('../lib/tokenService', () => ({ getTokenBySlug: jest.fn().mockResolvedValue('123:abc') }));
+jest.mock('../lib/telegramClient', () => ({ sendPhoto: jest.fn().mockResolvedValue({ ok: true, message_id: 9 }) }));
+jest.mock('../lib/paymentWebhookService', () => ({ handlePixCreated: jest.fn().mockResolvedValue({ ok: true, scheduled: 2 }) }));
+
+const telegramClient = require('../lib/telegramClient');
+const { handlePixCreated } = require('../lib/paymentWebhookService');
+const { isValidPixCode } = require('../lib/pixCodeService');
+const { generatePixCharge, generateProductPixCharge } = require('../lib/pixChargeService');
+
+const pool = { query: jest.fn().mockResolvedValue({ rows: [{ provider: 'fake' }] }) };
+const params = { slug: 'bot', telegram_id: 42, chat_id: 42, price_cents: 1990, description: 'Plano VIP', request_id: 'r1' };
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('pixChargeService.generatePixCharge', () => {
+  test('provedor fake: registra o PIX criado e envia QR + copia e cola', async () => {
+    const result = await generatePixCharge(pool, params);
+    expect(result).toMatchObject({ ok: true, provider: 'fake', message_id: 9 });
+    expect(result.transaction_id).toMatch(/^fake_[0-9a-f]{32}$/);
+
+    expect(handlePixCreated).toHaveBeenCalledWith(pool, {
+      bot_slug: 'bot',
+      telegram_id: 42,
+      transaction_id: result.transaction_id,
+      correlation_id: 'r1',
+      provider: 'fake',
+      amount_cents: 1990
+    });
+
+    const [, chat_id, png, options] = telegramClient.sendPhoto.mock.calls[0];
+    expect(chat_id).toBe(42);
+    expect(png.subarray(1, 4).toString()).toBe('PNG');
+    expect(options).toMatchObject({ filename: 'pix.png', parse_mode: 'MarkdownV2' });
+    expect(options.caption).toContain('R$ 19,90');
+
+    const pixCode = /`([^`]+)`/.exec(options.caption)[1];
+    expect(isValidPixCode(pixCode)).toBe(true);
+  });
+
+  test('sem preço ou sem cobrança no provedor não gera PIX', async () => {
+    expect(await generatePixCharge(pool, { ...params, price_cents: undefined })).toEqual({ ok: false, error: 'PIX_PRICE_NOT_CONFIGURED' });
+
+    pool.query.mockResolvedValueOnce({ rows: [{ provider: 'manual' }] });
+    expect(await generatePixCharge(pool, params)).toEqual({ ok: false, error: 'PIX_PROVIDER_NOT_CONFIGURED' });
+
+    pool.query.mockResolvedValueOnce({ rows: [{ provider: 'efi' }] });
+    expect(await generatePixCharge(pool, params)).toEqual({ ok: false, error: 'PIX_PROVIDER_CHARGE_NOT_SUPPORTED' });
+
+    expect(handlePixCreated).not.toHaveBeenCalled();
+    expect(telegramClient.sendPhoto).not.toHaveBeenCalled();
+  });
+
+  test('produto do catálogo: preço e descrição do produto no pagamento', async () => {
+    const product = { id: '12', name: 'VIP 30 dias', price_cents: 4990, currency: 'BRL', active: true };
+    const productPool = {
+      query: jest.fn(async (sql) => (sql.includes('bot_products')
+        ? { rows: [product] }
+        : { rows: [{ provider: 'fake' }] }))
+    };
+
+    const result = await generateProductPixCharge(productPool, { slug: 'bot', telegram_id: 42, chat_id: 42, product_id: 12, request_id: 'r2' });
+    expect(result.ok).toBe(true);
+    expect(handlePixCreated.mock.calls[0][1]).toMatchObject({ amount_cents: 4990, product_id: '12', downsell_id: null });
+    expect(telegramClient.sendPhoto.mock.calls[0][3].caption).toContain('VIP 30 dias');
+
+    product.currency = 'USD';
+    expect(await generateProductPixCharge(productPool, { slug: 'bot', telegram_id: 42, chat_id: 42, product_id: 12 }))
+      .toEqual({ ok: false, error: 'PIX_CURRENCY_UNSUPPORTED' });
+  });
+});
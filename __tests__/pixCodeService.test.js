@@ -0,0 +1,28 @@
+const { crc16, buildPixCode, isValidPixCode } = require('../lib/pixCodeService');
+
+describe('pixCodeService', () => {
+  test('CRC16-CCITT-FALSE', () => {
+    expect(crc16('123456789')).toBe('29B1');
+  });
+
+  test('reproduz o exemplo do manual do BR Code (Banco Central)', () => {
+    const code = buildPixCode({
+      key: '123e4567-e12b-12d1-a456-426655440000',
+      merchant_name: 'Fulano de Tal',
+      merchant_city: 'BRASÍLIA'
+    });
+    expect(code).toBe('00020126580014br.gov.bcb.pix0136123e4567-e12b-12d1-a456-4266554400005204000053039865802BR'
+      + '5913Fulano de Tal6008BRASILIA62070503***63041D3D');
+    expect(isValidPixCode(code)).toBe(true);
+    expect(isValidPixCode(code.replace('Fulano', 'Ciclano'))).toBe(false);
+  });
+
+  test('valor, txid e validações', () => {
+    const code = buildPixCode({ key: 'k@example.com', merchant_name: 'Loja', merchant_city: 'Sao Paulo', amount_cents: 1990, txid: 'fake_abc-123' });
+    expect(code).toContain('540519.90');
+    expect(code).toContain('62140510fakeabc123');
+
+    expect(() => buildPixCode({ merchant_name: 'Loja', merchant_city: 'SP' })).toThrow('PIX_KEY_MISSING');
+    expect(() => buildPixCode({ key: 'k', merchant_name: 'Loja', merchant_city: 'SP', amount_cents: 0 })).toThrow('PIX_AMOUNT_INVALID');
+  });
+});
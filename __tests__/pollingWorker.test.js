@@ -0,0 +1,59 @@
+jest.mock('../lib/telegramClient', () => ({
+  callApi: jest.fn()
+}));
+
+const { callApi } = require('../lib/telegramClient');
+const { pollOnce } = require('../lib/pollingWorker');
+
+describe('pollingWorker.pollOnce', () => {
+  beforeEach(() => callApi.mockReset());
+
+  test('entrega updates em ordem e persiste o próximo offset', async () => {
+    callApi.mockResolvedValue({ ok: true, result: [{ update_id: 10, message: {} }, { update_id: 11, message: {} }] });
+    const pool = { query: jest.fn().mockResolvedValue({ rowCount: 1 }) };
+    const ingest = jest.fn().mockResolvedValue();
+
+    const result = await pollOnce(pool, 'bot', { token: 't', offset: 10, ingest });
+
+    expect(callApi).toHaveBeenCalledWith('t', 'getUpdates', { offset: 10, timeout: 25 }, expect.any(Object));
+    expect(ingest.mock.calls.map(([arg]) => arg.update.update_id)).toEqual([10, 11]);
+    expect(result).toEqual({ ok: true, offset: 12, count: 2 });
+    expect(pool.query.mock.calls[0][1]).toEqual(['bot', 12]);
+  });
+
+  test('próximo update só entra depois do anterior terminar', async () => {
+    callApi.mockResolvedValue({ ok: true, result: [{ update_id: 20, message: {} }, { update_id: 21, message: {} }] });
+    const pool = { query: jest.fn().mockResolvedValue({ rowCount: 1 }) };
+    const order = [];
+    const ingest = jest.fn(async ({ update }) => {
+      order.push(`start:${update.update_id}`);
+      await new Promise(resolve => setImmediate(resolve));
+      order.push(`end:${update.update_id}`);
+    });
+
+    await pollOnce(pool, 'bot', { token: 't', offset: 20, ingest });
+    expect(order).toEqual(['start:20', 'end:20', 'start:21', 'end:21']);
+  });
+
+  test('falha no pipeline não trava o offset', async () => {
+    callApi.mockResolvedValue({ ok: true, result: [{ update_id: 5 }] });
+    const pool = { query: jest.fn().mockResolvedValue({ rowCount: 1 }) };
+    const ingest = jest.fn().mockRejectedValue(new Error('BOOM'));
+
+    const result = await pollOnce(pool, 'bot', { token: 't', offset: 0, ingest });
+    expect(result.offset).toBe(6);
+  });
+
+  test('409 remove o webhook e registra o erro sem avançar', async () => {
+    callApi
+      .mockResolvedValueOnce({ ok: false, status_code: 409, error: 'Conflict', description: 'Conflict: can\'t use getUpdates method while webhook is active' })
+      .mockResolvedValueOnce({ ok: true, result: true });
+    const pool = { query: jest.fn().mockResolvedValue({ rowCount: 1 }) };
+
+    const result = await pollOnce(pool, 'bot', { token: 't', offset: 7, ingest: jest.fn() });
+
+    expect(callApi.mock.calls[1][1]).toBe('deleteWebhook');
+    expect(result).toMatchObject({ ok: false, offset: 7, count: 0 });
+    expect(pool.query.mock.calls[0][0]).toMatch(/polling_error/);
+  });
+});
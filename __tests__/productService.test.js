@@ -0,0 +1,115 @@
+const {
+  validateProductFields,
+  createProduct,
+  updateProduct,
+  deleteProduct,
+  getProductRevenue,
+  parseProductCallback,
+  applyDownsellOffer,
+  resolveProductOffer
+} = require('../lib/productService');
+
+describe('productService.validateProductFields', () => {
+  test('normaliza campos e aplica padrões só na criação', () => {
+    expect(validateProductFields({ name: ' VIP 30 dias ', price_cents: '4990', currency: 'brl', access_days: 30, delivery_type: 'invite_link' }))
+      .toEqual({ name: 'VIP 30 dias', price_cents: 4990, currency: 'BRL', access_days: 30, delivery_type: 'invite_link' });
+    expect(validateProductFields({ access_days: null }, { partial: true })).toEqual({ access_days: null });
+
+    expect(() => validateProductFields({ name: 'X', price_cents: 0 })).toThrow('PRODUCT_PRICE_INVALID');
+    expect(() => validateProductFields({ name: 'X', price_cents: 100, currency: 'R$' })).toThrow('PRODUCT_CURRENCY_INVALID');
+    expect(() => validateProductFields({ delivery_type: 'email' }, { partial: true })).toThrow('PRODUCT_DELIVERY_TYPE_INVALID');
+    expect(validateProductFields({ reminder_days: '' }, { partial: true })).toEqual({ reminder_days: null });
+    expect(() => validateProductFields({ reminder_days: 90 }, { partial: true })).toThrow('PRODUCT_REMINDER_DAYS_INVALID');
+  });
+});
+
+describe('productService: botões e ofertas de downsell', () => {
+  test('callback_data do produto, com e sem downsell', () => {
+    expect(parseProductCallback('p:12')).toEqual({ product_id: 12, downsell_id: null });
+    expect(parseProductCallback('p:12:7')).toEqual({ product_id: 12, downsell_id: 7 });
+    expect(parseProductCallback('p:abc')).toBeNull();
+    expect(parseProductCallback('f:1:2')).toBeNull();
+  });
+
+  test('downsell reescreve só os botões do produto ofertado', () => {
+    const content = {
+      text: 'Última chance',
+      buttons: [[{ text: 'VIP', callback_data: 'p:12' }, { text: 'Outro', callback_data: 'p:13' }]],
+      variants: { en: { text: 'Last chance', buttons: [[{ text: 'VIP', callback_data: 'p:12' }]] } }
+    };
+    const result = applyDownsellOffer(content, { product_id: '12', downsell_id: 7 });
+
+    expect(result.buttons[0]).toEqual([{ text: 'VIP', callback_data: 'p:12:7' }, { text: 'Outro', callback_data: 'p:13' }]);
+    expect(result.variants.en.buttons[0][0].callback_data).toBe('p:12:7');
+    expect(applyDownsellOffer(content, { product_id: null, downsell_id: 7 })).toBe(content);
+  });
+
+  test('preço promocional só para quem recebeu o downsell', async () => {
+    const product = { id: '12', price_cents: 4990, currency: 'BRL', active: true };
+    const pool = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rows: [product] })
+        .mockResolvedValueOnce({ rows: [{ price_cents: 2990 }] })
+        .mockResolvedValueOnce({ rows: [product] })
+        .mockResolvedValueOnce({ rows: [] })
+    };
+
+    expect(await resolveProductOffer(pool, { slug: 'bot', telegram_id: 42, product_id: 12, downsell_id: 7 }))
+      .toEqual({ product, price_cents: 2990, downsell_id: 7 });
+    expect(pool.query.mock.calls[1][1]).toEqual([7, 'bot', 12, '42']);
+
+    expect(await resolveProductOffer(pool, { slug: 'bot', telegram_id: 42, product_id: 12, downsell_id: 8 }))
+      .toEqual({ product, price_cents: 4990, downsell_id: null });
+  });
+});
+
+describe('productService: remoção e receita', () => {
+  test('produto com pagamentos não é removido', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ in_use: true, deleted: 0 }] }) };
+    await expect(deleteProduct(pool, 'bot', 1)).rejects.toThrow('PRODUCT_IN_USE');
+
+    pool.query.mockResolvedValueOnce({ rows: [{ in_use: null, deleted: 0 }] });
+    expect(await deleteProduct(pool, 'bot', 2)).toBe(false);
+  });
+
+  test('receita por produto e avulsa', async () => {
+    const pool = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rows: [{ product_id: '12', name: 'VIP', active: true, paid_count: 3, revenue_cents: '12970', downsell_paid_count: 1 }] })
+        .mockResolvedValueOnce({ rows: [{ paid_count: 1, revenue_cents: '1990' }] })
+    };
+
+    const revenue = await getProductRevenue(pool, 'bot', { from: '2026-10-01' });
+    expect(revenue.products[0]).toMatchObject({ product_id: '12', revenue_cents: 12970, downsell_paid_count: 1 });
+    expect(revenue.unassigned).toEqual({ paid_count: 1, revenue_cents: 1990 });
+    expect(pool.query.mock.calls[0][1]).toEqual(['bot', new Date('2026-10-01'), null]);
+
+    await expect(getProductRevenue(pool, 'bot', { to: 'amanhã' })).rejects.toThrow('INVALID_DATE_RANGE');
+  });
+});
+
+describe('productService: configuração de entrega', () => {
+  test('tipo de entrega exige o campo correspondente', async () => {
+    const pool = { query: jest.fn() };
+
+    await expect(createProduct(pool, { slug: 'bot', name: 'VIP', price_cents: 4990, delivery_type: 'invite_link' }))
+      .rejects.toThrow('PRODUCT_DELIVERY_CHAT_REQUIRED');
+    await expect(createProduct(pool, { slug: 'bot', name: 'VIP', price_cents: 4990, delivery_type: 'invite_link', delivery_chat_id: 'canal' }))
+      .rejects.toThrow('PRODUCT_DELIVERY_CHAT_INVALID');
+    await expect(createProduct(pool, { slug: 'bot', name: 'Ebook', price_cents: 990, delivery_type: 'download_link', delivery_url: 'ftp://x' }))
+      .rejects.toThrow('PRODUCT_DELIVERY_URL_INVALID');
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test('update valida contra os valores atuais do produto', async () => {
+    const pool = {
+      query: jest.fn().mockResolvedValueOnce({
+        rows: [{ delivery_type: 'invite_link', delivery_content: {}, delivery_media_refs: [], delivery_chat_id: '-1001234567890', delivery_url: null }]
+      })
+    };
+
+    await expect(updateProduct(pool, 'bot', 12, { delivery_type: 'message' }))
+      .rejects.toThrow('PRODUCT_DELIVERY_CONTENT_REQUIRED');
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,56 @@
+const zlib = require('zlib');
+const { byteCapacity, encodeQr, qrCodePng, rsDivisor, rsRemainder } = require('../lib/qrCodeService');
+
+// Lê os 15 bits de formato ao redor do localizador superior esquerdo
+function readFormatBits(modules) {
+  let bits = 0;
+  const coords = [[8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8], [7, 8], [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]];
+  coords.forEach(([x, y], i) => { if (modules[y][x]) bits |= 1 << i; });
+  return bits ^ 0x5412;
+}
+
+describe('qrCodeService', () => {
+  test('Reed-Solomon: exemplo 1-M da norma', () => {
+    const data = [0x10, 0x20, 0x0C, 0x56, 0x61, 0x80, 0xEC, 0x11, 0xEC, 0x11, 0xEC, 0x11, 0xEC, 0x11, 0xEC, 0x11];
+    expect(rsRemainder(data, rsDivisor(10))).toEqual([0xA5, 0x24, 0xD4, 0xC1, 0xED, 0x36, 0xC7, 0x87, 0x2C, 0x55]);
+  });
+
+  test('capacidade em bytes bate com a tabela da norma', () => {
+    expect(byteCapacity(1, 'L')).toBe(17);
+    expect(byteCapacity(1, 'M')).toBe(14);
+    expect(byteCapacity(10, 'M')).toBe(213);
+    expect(byteCapacity(40, 'L')).toBe(2953);
+    expect(byteCapacity(40, 'H')).toBe(1273);
+  });
+
+  test('matriz: versão mínima, localizadores e informação de formato', () => {
+    const pix = '00020126580014br.gov.bcb.pix0136123e4567-e12b-12d1-a456-4266554400005204000053039865802BR'
+      + '5913Fulano de Tal6008BRASILIA62070503***63041D3D';
+    const qr = encodeQr(pix);
+    expect(qr.version).toBe(8);
+    expect(qr.size).toBe(49);
+
+    const finder = qr.modules.slice(0, 7).map(row => row.slice(0, 7).map(Number).join('')).join('|');
+    expect(finder).toBe('1111111|1000001|1011101|1011101|1011101|1000001|1111111');
+    // Nível M = 00, seguido dos 3 bits da máscara
+    expect(readFormatBits(qr.modules) >> 10).toBe(qr.mask);
+
+    expect(() => encodeQr('x'.repeat(2332))).toThrow('QR_DATA_TOO_LONG');
+  });
+
+  test('PNG em escala de cinza com borda', () => {
+    const png = qrCodePng('hello', { scale: 2, margin: 4 });
+    expect(png.subarray(0, 8).toString('hex')).toBe('89504e470d0a1a0a');
+    expect(png.toString('ascii', 12, 16)).toBe('IHDR');
+
+    const dimension = png.readUInt32BE(16);
+    expect(dimension).toBe((21 + 8) * 2);
+
+    const idatLength = png.readUInt32BE(33);
+    const raw = zlib.inflateSync(png.subarray(41, 41 + idatLength));
+    expect(raw.length).toBe((dimension + 1) * dimension);
+    // Canto da borda branco; primeiro módulo do localizador preto
+    expect(raw[1]).toBe(0xFF);
+    expect(raw[(dimension + 1) * 8 + 1 + 8]).toBe(0x00);
+  });
+});
@@ -0,0 +1,54 @@
+const { saveReturningPolicy, resolveReturningStart } = require('../lib/returningUserService');
+
+function policyPool(policy, claimRows) {
+  return {
+    query: jest.fn(async (sql) => {
+      if (sql.includes('SELECT returning_policy')) {
+        return { rowCount: 1, rows: [{ returning_policy: policy }] };
+      }
+      return { rowCount: claimRows, rows: claimRows > 0 ? [{ id: 1 }] : [] };
+    })
+  };
+}
+
+describe('returningUserService.saveReturningPolicy', () => {
+  const pool = { query: jest.fn(async (sql, params) => ({ rowCount: 1, rows: [{ returning_policy: JSON.parse(params[1]) }] })) };
+
+  test('valida cooldown e exige mensagem quando ativa', async () => {
+    await expect(saveReturningPolicy(pool, 'bot', { active: true, cooldown_minutes: 0, message: { text: 'Oi' } }))
+      .rejects.toThrow('RETURNING_POLICY_INVALID_COOLDOWN');
+    await expect(saveReturningPolicy(pool, 'bot', { active: true }))
+      .rejects.toThrow('RETURNING_POLICY_MESSAGE_REQUIRED');
+  });
+
+  test('aplica padrões (24h, sem reagendar downsells)', async () => {
+    const policy = await saveReturningPolicy(pool, 'bot', { active: true, message: { text: 'De volta!' } });
+    expect(policy).toMatchObject({ active: true, cooldown_minutes: 1440, reschedule_downsells: false, media_refs: [] });
+    expect(policy.message.text).toBe('De volta!');
+  });
+});
+
+describe('returningUserService.resolveReturningStart', () => {
+  const active = { active: true, cooldown_minutes: 60, reschedule_downsells: false, message: { text: 'Oi de novo' } };
+
+  test('política desativada não consulta o usuário', async () => {
+    const pool = policyPool({ ...active, active: false }, 1);
+    expect(await resolveReturningStart(pool, { slug: 'bot-off', telegram_id: 1 })).toEqual({ welcome_back: false, policy: null });
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('dentro do cooldown recebe boas-vindas; fora, sequência completa', async () => {
+    const within = await resolveReturningStart(policyPool(active, 0), { slug: 'bot-within', telegram_id: 1 });
+    expect(within).toEqual({ welcome_back: true, policy: active });
+
+    const pool = policyPool(active, 1);
+    const outside = await resolveReturningStart(pool, { slug: 'bot-outside', telegram_id: 1 });
+    expect(outside.welcome_back).toBe(false);
+    expect(pool.query.mock.calls[1][1][3]).toBe(60);
+  });
+
+  test('erro no banco mantém a sequência completa', async () => {
+    const pool = { query: jest.fn().mockRejectedValue(new Error('boom')) };
+    expect(await resolveReturningStart(pool, { slug: 'bot-err', telegram_id: 1 })).toEqual({ welcome_back: false, policy: null });
+  });
+});
@@ -0,0 +1,29 @@
+const { matchStartFlow } = require('../lib/startFlowService');
+
+describe('startFlowService.matchStartFlow', () => {
+  const flows = [
+    { id: 1, name: 'fb', match_type: 'prefix', match_value: 'fb', priority: 0 },
+    { id: 2, name: 'fb-natal', match_type: 'prefix', match_value: 'fb_natal', priority: 0 },
+    { id: 3, name: 'fb-natal-vip', match_type: 'exact', match_value: 'fb_natal', priority: 0 },
+    { id: 4, name: 'ig-a', match_type: 'prefix', match_value: 'ig', priority: 1 },
+    { id: 5, name: 'ig-b', match_type: 'prefix', match_value: 'ig', priority: 5 }
+  ];
+
+  test('sem payload ou sem match usa fluxo padrão', () => {
+    expect(matchStartFlow(flows, null)).toBeNull();
+    expect(matchStartFlow(flows, 'google')).toBeNull();
+  });
+
+  test('exato vence prefixo', () => {
+    expect(matchStartFlow(flows, 'fb_natal').id).toBe(3);
+  });
+
+  test('prefixo mais longo vence', () => {
+    expect(matchStartFlow(flows, 'fb_natal_2024').id).toBe(2);
+    expect(matchStartFlow(flows, 'fb_blackfriday').id).toBe(1);
+  });
+
+  test('empate decide priority', () => {
+    expect(matchStartFlow(flows, 'ig_story').id).toBe(5);
+  });
+});
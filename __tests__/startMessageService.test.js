@@ -0,0 +1,71 @@
+const {
+  normalizeExperiment,
+  pickVariant,
+  assignStartVariant,
+  twoProportionTest
+} = require('../lib/startMessageService');
+
+const variants = [
+  { key: 'A', weight: 50 },
+  { key: 'B', weight: 50, message: { text: 'Oferta B' } }
+];
+
+describe('startMessageService.normalizeExperiment', () => {
+  test('valida chaves, pesos e quantidade de variantes', () => {
+    expect(() => normalizeExperiment({ variants: [variants[0]] })).toThrow('START_EXPERIMENT_VARIANTS_MIN_2');
+    expect(() => normalizeExperiment({ variants: [variants[0], { key: 'A', weight: 10 }] })).toThrow('START_EXPERIMENT_DUPLICATE_KEY');
+    expect(() => normalizeExperiment({ variants: [variants[0], { key: 'B', weight: 0 }] })).toThrow('START_EXPERIMENT_INVALID_WEIGHT');
+    expect(() => normalizeExperiment({ variants: [variants[0], { key: 'b c', weight: 1 }] })).toThrow('START_EXPERIMENT_INVALID_KEY');
+    expect(normalizeExperiment(null)).toBeNull();
+  });
+
+  test('mantém o id enquanto as chaves não mudam; restart gera outro', () => {
+    const first = normalizeExperiment({ variants });
+    expect(first.active).toBe(true);
+    expect(first.variants[0].message).toBeNull();
+
+    const reweighted = normalizeExperiment({ variants: [{ key: 'A', weight: 20 }, { key: 'B', weight: 80 }] }, first);
+    expect(reweighted.id).toBe(first.id);
+    expect(reweighted.started_at).toBe(first.started_at);
+
+    expect(normalizeExperiment({ variants, restart: true }, first).id).not.toBe(first.id);
+    expect(normalizeExperiment({ variants: [...variants, { key: 'C', weight: 10 }] }, first).id).not.toBe(first.id);
+  });
+});
+
+describe('startMessageService.pickVariant / assignStartVariant', () => {
+  const experiment = normalizeExperiment({ variants: [{ key: 'A', weight: 90 }, { key: 'B', weight: 10 }] });
+
+  test('sorteio determinístico e proporcional aos pesos', () => {
+    expect(pickVariant(experiment, 123).key).toBe(pickVariant(experiment, 123).key);
+
+    let countA = 0;
+    for (let id = 1; id <= 2000; id++) {
+      if (pickVariant(experiment, id).key === 'A') countA++;
+    }
+    expect(countA / 2000).toBeGreaterThan(0.85);
+    expect(countA / 2000).toBeLessThan(0.95);
+  });
+
+  test('usa a variante já gravada para o usuário', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ variant_key: 'B' }] }) };
+    const assigned = await assignStartVariant(pool, { slug: 'bot', experiment, telegram_id: 42 });
+
+    expect(assigned).toEqual({ experiment_id: experiment.id, key: 'B', message: null });
+    expect(pool.query.mock.calls[0][1].slice(0, 3)).toEqual(['bot', experiment.id, 42]);
+  });
+
+  test('experimento pausado não sorteia', async () => {
+    const pool = { query: jest.fn() };
+    expect(await assignStartVariant(pool, { slug: 'bot', experiment: { ...experiment, active: false }, telegram_id: 42 })).toBeNull();
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('startMessageService.twoProportionTest', () => {
+  test('diferença grande é significativa; pequena não', () => {
+    expect(twoProportionTest(50, 1000, 100, 1000).p_value).toBeLessThan(0.05);
+    expect(twoProportionTest(50, 1000, 55, 1000).p_value).toBeGreaterThan(0.05);
+    expect(twoProportionTest(0, 100, 0, 100)).toBeNull();
+  });
+});
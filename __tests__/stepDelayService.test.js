@@ -0,0 +1,80 @@
+jest.mock('../lib/telegramClient', () => ({ callApi: jest.fn().mockResolvedValue({ ok: true }) }));
+jest.mock('../lib/tokenService', () => ({ getTokenBySlug: jest.fn().mockResolvedValue('token') }));
+
+const { callApi } = require('../lib/telegramClient');
+const {
+  normalizeStepDelay,
+  applyMediaStepDelays,
+  resolveStepDelay,
+  pauseWithChatAction,
+  forEachConcurrent
+} = require('../lib/stepDelayService');
+
+describe('stepDelayService.normalizeStepDelay / applyMediaStepDelays', () => {
+  test('valida delay_ms e remove quando ausente', () => {
+    expect(normalizeStepDelay({ text: 'Oi', delay_ms: 1500 })).toEqual({ text: 'Oi', delay_ms: 1500 });
+    expect(normalizeStepDelay({ text: 'Oi', delay_ms: null })).toEqual({ text: 'Oi' });
+    expect(() => normalizeStepDelay({ text: 'Oi', delay_ms: 30001 })).toThrow('INVALID_DELAY_MS');
+    expect(() => normalizeStepDelay({ text: 'Oi', delay_ms: 1.5 })).toThrow('INVALID_DELAY_MS');
+  });
+
+  test('copia delay_ms para as refs enriquecidas', () => {
+    const enriched = applyMediaStepDelays(
+      [{ sha256: 'a', kind: 'audio', delay_ms: 3000 }, { sha256: 'b', kind: 'photo' }],
+      [{ sha256: 'a', kind: 'audio', r2_key: 'k1' }, { sha256: 'b', kind: 'photo', r2_key: 'k2' }]
+    );
+    expect(enriched).toEqual([
+      { sha256: 'a', kind: 'audio', r2_key: 'k1', delay_ms: 3000 },
+      { sha256: 'b', kind: 'photo', r2_key: 'k2' }
+    ]);
+  });
+});
+
+describe('stepDelayService.resolveStepDelay', () => {
+  test('delay próprio vence; padrão do bot só depois da primeira etapa', () => {
+    expect(resolveStepDelay({ delay_ms: 0 }, 2000, false)).toBe(0);
+    expect(resolveStepDelay({ delay_ms: 500 }, 2000, true)).toBe(500);
+    expect(resolveStepDelay({}, 2000, true)).toBe(0);
+    expect(resolveStepDelay({}, 2000, false)).toBe(2000);
+  });
+});
+
+describe('stepDelayService.pauseWithChatAction', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('renova a ação do tipo da mídia enquanto espera', async () => {
+    callApi.mockClear();
+    const pause = pauseWithChatAction({}, { slug: 'bot', chat_id: '42', kind: 'audio', delay_ms: 10000 });
+    await jest.advanceTimersByTimeAsync(10000);
+    await pause;
+
+    expect(callApi).toHaveBeenCalledTimes(3);
+    expect(callApi.mock.calls[0].slice(1, 3)).toEqual(['sendChatAction', { chat_id: '42', action: 'record_voice' }]);
+  });
+
+  test('sem delay não chama o Telegram', async () => {
+    callApi.mockClear();
+    await pauseWithChatAction({}, { slug: 'bot', chat_id: '42', delay_ms: 0 });
+    expect(callApi).not.toHaveBeenCalled();
+  });
+});
+
+describe('stepDelayService.forEachConcurrent', () => {
+  test('respeita o limite de paralelismo e processa todos', async () => {
+    let running = 0;
+    let peak = 0;
+    const done = [];
+
+    await forEachConcurrent([1, 2, 3, 4, 5], 2, async (item) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setImmediate(resolve));
+      done.push(item);
+      running--;
+    });
+
+    expect(peak).toBe(2);
+    expect(done.sort()).toEqual([1, 2, 3, 4, 5]);
+  });
+});
@@ -0,0 +1,75 @@
+const {
+  extractPlaceholders,
+  validateTemplate,
+  renderTemplate,
+  renderMessageTemplate,
+  formatCents,
+  formatDuration
+} = require('../lib/templateService');
+const { escapeMarkdownV2 } = require('../lib/sendService');
+
+describe('templateService.extractPlaceholders / validateTemplate', () => {
+  test('extrai nome e fallback; ignora chaves escapadas', () => {
+    expect(extractPlaceholders('Oi {first_name|amigo}, {bot_name} \\{raw\\}')).toEqual([
+      { name: 'first_name', fallback: 'amigo' },
+      { name: 'bot_name', fallback: null }
+    ]);
+  });
+
+  test('sinaliza variáveis desconhecidas', () => {
+    expect(validateTemplate('Oi {first_name} {nome} {nome}')).toEqual({
+      valid: false,
+      variables: ['first_name', 'nome'],
+      unknown: ['nome']
+    });
+    expect(validateTemplate('sem variáveis').valid).toBe(true);
+  });
+});
+
+describe('templateService.renderTemplate', () => {
+  test('usa valor, fallback ou vazio; desconhecida fica literal', () => {
+    const text = 'Oi {first_name|amigo}{username}! {foo}';
+    expect(renderTemplate(text, { first_name: 'Ana', username: '@ana' })).toBe('Oi Ana@ana! {foo}');
+    expect(renderTemplate(text, { first_name: '  ' })).toBe('Oi amigo! {foo}');
+  });
+
+  test('modo raw escapa só os valores', () => {
+    expect(renderTemplate('*Oi* {first_name}', { first_name: 'a_b.c' }, { escape: escapeMarkdownV2 }))
+      .toBe('*Oi* a\\_b\\.c');
+  });
+});
+
+describe('templateService.renderMessageTemplate', () => {
+  test('carrega só as variáveis usadas; valores explícitos têm prioridade', async () => {
+    const pool = {
+      query: jest.fn().mockResolvedValue({
+        rows: [{ first_name: 'Ana', username: null, first_seen_at: new Date(Date.now() - 3 * 86400000 - 1000) }]
+      })
+    };
+
+    const text = await renderMessageTemplate(pool, {
+      slug: 'bot',
+      chat_id: '123',
+      text: '{first_name}, {username|sem user}, dia {days_since_start}, {pix_amount}',
+      template_vars: { pix_amount: 'R$ 9,90' }
+    });
+
+    expect(text).toBe('Ana, sem user, dia 3, R$ 9,90');
+    expect(pool.query).toHaveBeenCalledTimes(1);
+    expect(pool.query.mock.calls[0][0]).toMatch(/bot_users/);
+  });
+
+  test('erro no banco aplica fallbacks', async () => {
+    const pool = { query: jest.fn().mockRejectedValue(new Error('DOWN')) };
+    const text = await renderMessageTemplate(pool, { slug: 'bot', chat_id: '1', text: 'Oi {first_name|amigo}' });
+    expect(text).toBe('Oi amigo');
+  });
+});
+
+test('templateService.formatCents / formatDuration', () => {
+  expect(formatCents(1990)).toBe('R$ 19,90');
+  expect(formatCents(123456)).toBe('R$ 1.234,56');
+  expect(formatDuration(25 * 60000)).toBe('25 min');
+  expect(formatDuration(65 * 60000)).toBe('1 h 5 min');
+  expect(formatDuration(120 * 60000)).toBe('2 h');
+});
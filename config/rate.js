@@ -39,6 +39,9 @@ module.exports = {
   // Dedupe
   DEDUPE_START_DISABLED: true,    // Sem dedupe no /start (sempre enviar)
   
+  // Sequências com pausas entre etapas (downsell/disparo)
+  SEQUENCE_CONCURRENCY: 10,       // Itens do lote processados em paralelo (pausas não serializam o lote)
+  
   // Gateway events (feature flag para dev)
   GATEWAY_EVENTS_DISABLED_BY_DEFAULT: true  // Desligado por padrão em dev (evita I/O no hot-path)
 };
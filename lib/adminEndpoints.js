@@ -23,6 +23,75 @@ const {
   cancelShot
 } = require('./shotService');
 
+const { isButtonsError } = require('./inlineKeyboard');
+
+const {
+  listCallbackActions,
+  createCallbackAction,
+  updateCallbackAction,
+  deleteCallbackAction
+} = require('./callbackActionService');
+
+const { getFunnelReport } = require('./funnelReportService');
+
+const {
+  listStartFlows,
+  createStartFlow,
+  updateStartFlow,
+  deleteStartFlow
+} = require('./startFlowService');
+
+const { listBotUsers, getBotUser, getBlockStats } = require('./botUserService');
+
+const {
+  listAutoReplies,
+  createAutoReply,
+  updateAutoReply,
+  deleteAutoReply
+} = require('./autoReplyService');
+
+const {
+  listBotCommands,
+  createBotCommand,
+  updateBotCommand,
+  deleteBotCommand,
+  syncBotCommands
+} = require('./botCommandService');
+
+const {
+  validateFlowDefinition,
+  listFlows,
+  getFlow,
+  createFlow,
+  updateFlow,
+  createFlowVersion,
+  publishFlowVersion,
+  deleteFlow
+} = require('./flowService');
+
+const {
+  listInboundUpdates,
+  getInboundUpdate,
+  replayInboundUpdate
+} = require('./inboundUpdateService');
+
+const { getUpdateMode, setUpdateMode } = require('./updateModeService');
+
+const { TEMPLATE_VARIABLES, validateTemplate } = require('./templateService');
+
+const { DEFAULT_COOLDOWN_MINUTES, getReturningPolicy, saveReturningPolicy } = require('./returningUserService');
+
+const { listPayments } = require('./paymentService');
+const { listMemberships } = require('./membershipService');
+
+const {
+  listProducts,
+  createProduct,
+  updateProduct,
+  deleteProduct,
+  getProductRevenue
+} = require('./productService');
+
 function genReqId() {
   return (Date.now().toString(36) + '-' + require('crypto').randomUUID()).toLowerCase();
 }
@@ -59,7 +128,7 @@ function registerDownsellEndpoints(app, requireAdmin, getPgPool) {
   app.post('/api/admin/bots/:slug/downsells', requireAdmin, async (req, res) => {
     const request_id = genReqId();
     const slug = (req.params.slug || '').trim();
-    const { name, content, media_refs, delay_seconds, delay_minutes, active, after_start, after_pix } = req.body || {};
+    const { name, content, media_refs, delay_seconds, delay_minutes, active, after_start, after_pix, product_id, price_cents } = req.body || {};
     
     if (!slug) {
       return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
@@ -84,14 +153,16 @@ function registerDownsellEndpoints(app, requireAdmin, getPgPool) {
         delay_minutes: finalDelayMinutes,
         active,
         after_start: after_start !== undefined ? after_start : true,
-        after_pix: after_pix !== undefined ? after_pix : false
+        after_pix: after_pix !== undefined ? after_pix : false,
+        product_id,
+        price_cents
       });
       
       console.info('[ADMIN][DOWNSELLS][CREATE]', { request_id, slug, downsell_id: downsell.id });
       return res.status(201).json({ ok: true, downsell });
     } catch (err) {
       console.error('[ADMIN][DOWNSELLS][CREATE][ERR]', { request_id, slug, error: err.message });
-      return res.status(500).json({ ok: false, error: err.message });
+      return res.status(validationErrorStatus(err.message)).json({ ok: false, error: err.message });
     }
   });
 
@@ -100,7 +171,7 @@ function registerDownsellEndpoints(app, requireAdmin, getPgPool) {
     const request_id = genReqId();
     const slug = (req.params.slug || '').trim();
     const id = parseInt(req.params.id, 10);
-    const { name, content, media_refs, delay_seconds, delay_minutes, active, after_start, after_pix } = req.body || {};
+    const { name, content, media_refs, delay_seconds, delay_minutes, active, after_start, after_pix, product_id, price_cents } = req.body || {};
     
     if (!slug || !id) {
       return res.status(400).json({ ok: false, error: 'MISSING_PARAMS' });
@@ -118,7 +189,9 @@ function registerDownsellEndpoints(app, requireAdmin, getPgPool) {
         active,
         after_start,
         after_pix,
-        media_refs
+        media_refs,
+        product_id,
+        price_cents
       };
       
       // Suportar delay_seconds (legado) ou delay_minutes (novo)
@@ -134,7 +207,7 @@ function registerDownsellEndpoints(app, requireAdmin, getPgPool) {
       return res.json({ ok: true, downsell });
     } catch (err) {
       console.error('[ADMIN][DOWNSELLS][UPDATE][ERR]', { request_id, slug, id, error: err.message });
-      return res.status(500).json({ ok: false, error: err.message });
+      return res.status(validationErrorStatus(err.message)).json({ ok: false, error: err.message });
     }
   });
 
@@ -440,7 +513,7 @@ function registerShotEndpoints(app, requireAdmin, getPgPool) {
       return res.status(201).json({ ok: true, shot });
     } catch (err) {
       console.error('[ADMIN][SHOTS][CREATE][ERR]', { request_id, slug, error: err.message });
-      return res.status(500).json({ ok: false, error: err.message });
+      return res.status(validationErrorStatus(err.message)).json({ ok: false, error: err.message });
     }
   });
 
@@ -491,7 +564,7 @@ function registerShotEndpoints(app, requireAdmin, getPgPool) {
       return res.json({ ok: true, shot });
     } catch (err) {
       console.error('[ADMIN][SHOTS][UPDATE][ERR]', { request_id, slug, id, error: err.message });
-      return res.status(500).json({ ok: false, error: err.message });
+      return res.status(validationErrorStatus(err.message)).json({ ok: false, error: err.message });
     }
   });
 
@@ -606,7 +679,1255 @@ function registerShotEndpoints(app, requireAdmin, getPgPool) {
   });
 }
 
+/**
+ * Status HTTP para erros de validação de conteúdo/ações (400/404/409), senão 500
+ */
+function validationErrorStatus(code) {
+  if (!code) return 500;
+  if (code.endsWith('_NOT_FOUND')) return 404;
+  if (code.endsWith('_ALREADY_EXISTS') || code.endsWith('_IN_USE') || code.endsWith('_IN_PROCESSING')) return 409;
+  if (isButtonsError(code)) return 400;
+  if (/^(ACTION_|INVALID_|MESSAGE_|MEDIA_REFS_|ONLY_MARKDOWNV2|ANSWER_TEXT_|NO_FIELDS_|MISSING_|START_FLOW_|AUTO_REPLY_|BOT_COMMAND_|BOT_TOKEN_|FLOW_|RETURNING_POLICY_|PRODUCT_)/.test(code)) return 400;
+  return 500;
+}
+
+/**
+ * Registra endpoints de ações de botões (callback_query)
+ */
+function registerCallbackActionEndpoints(app, requireAdmin, getPgPool) {
+  // Listar ações
+  app.get('/api/admin/bots/:slug/callback-actions', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    
+    if (!slug) {
+      return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const actions = await listCallbackActions(pool, slug);
+      console.info('[ADMIN][CALLBACK_ACTIONS][LIST]', { request_id, slug, count: actions.length });
+      return res.json({ ok: true, actions });
+    } catch (err) {
+      console.error('[ADMIN][CALLBACK_ACTIONS][LIST][ERR]', { request_id, slug, error: err.message });
+      return res.status(500).json({ ok: false, error: 'LIST_FAILED' });
+    }
+  });
+
+  // Criar ação
+  app.post('/api/admin/bots/:slug/callback-actions', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const { action_key, action_type, config, answer_text, active } = req.body || {};
+    
+    if (!slug) {
+      return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const action = await createCallbackAction(pool, { slug, action_key, action_type, config, answer_text, active });
+      console.info('[ADMIN][CALLBACK_ACTIONS][CREATE]', { request_id, slug, action_key: action.action_key, action_type });
+      return res.status(201).json({ ok: true, action });
+    } catch (err) {
+      console.error('[ADMIN][CALLBACK_ACTIONS][CREATE][ERR]', { request_id, slug, error: err.message });
+      return res.status(validationErrorStatus(err.message)).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Atualizar ação
+  app.put('/api/admin/bots/:slug/callback-actions/:id', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const id = parseInt(req.params.id, 10);
+    const { action_type, config, answer_text, active } = req.body || {};
+    
+    if (!slug || !id) {
+      return res.status(400).json({ ok: false, error: 'MISSING_PARAMS' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const action = await updateCallbackAction(pool, slug, id, { action_type, config, answer_text, active });
+      console.info('[ADMIN][CALLBACK_ACTIONS][UPDATE]', { request_id, slug, id });
+      return res.json({ ok: true, action });
+    } catch (err) {
+      console.error('[ADMIN][CALLBACK_ACTIONS][UPDATE][ERR]', { request_id, slug, id, error: err.message });
+      return res.status(validationErrorStatus(err.message)).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Remover ação
+  app.delete('/api/admin/bots/:slug/callback-actions/:id', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const id = parseInt(req.params.id, 10);
+    
+    if (!slug || !id) {
+      return res.status(400).json({ ok: false, error: 'MISSING_PARAMS' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const deleted = await deleteCallbackAction(pool, slug, id);
+      if (!deleted) {
+        return res.status(404).json({ ok: false, error: 'CALLBACK_ACTION_NOT_FOUND' });
+      }
+      console.info('[ADMIN][CALLBACK_ACTIONS][DELETE]', { request_id, slug, id });
+      return res.json({ ok: true, deleted: true });
+    } catch (err) {
+      console.error('[ADMIN][CALLBACK_ACTIONS][DELETE][ERR]', { request_id, slug, id, error: err.message });
+      return res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+}
+
+/**
+ * Registra endpoint de relatório de funil por campanha
+ */
+function registerFunnelReportEndpoints(app, requireAdmin, getPgPool) {
+  // GET /api/admin/bots/:slug/funnel?from=&to=&touch=first|last&campaign=&utm_source=&utm_medium=
+  app.get('/api/admin/bots/:slug/funnel', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const { from, to, touch, campaign, utm_source, utm_medium, payload } = req.query;
+    
+    if (!slug) {
+      return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const report = await getFunnelReport(pool, { slug, from, to, touch, campaign, utm_source, utm_medium, payload });
+      console.info('[ADMIN][FUNNEL][REPORT]', { request_id, slug, touch: report.touch, campaigns: report.campaigns.length });
+      return res.json({ ok: true, ...report });
+    } catch (err) {
+      console.error('[ADMIN][FUNNEL][REPORT][ERR]', { request_id, slug, error: err.message });
+      return res.status(validationErrorStatus(err.message)).json({ ok: false, error: err.message });
+    }
+  });
+}
+
+/**
+ * Registra endpoints de fluxos de /start por campanha (deep-link)
+ */
+function registerStartFlowEndpoints(app, requireAdmin, getPgPool) {
+  // Listar fluxos
+  app.get('/api/admin/bots/:slug/start-flows', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    
+    if (!slug) {
+      return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const flows = await listStartFlows(pool, slug);
+      console.info('[ADMIN][START_FLOWS][LIST]', { request_id, slug, count: flows.length });
+      return res.json({ ok: true, flows });
+    } catch (err) {
+      console.error('[ADMIN][START_FLOWS][LIST][ERR]', { request_id, slug, error: err.message });
+      return res.status(500).json({ ok: false, error: 'LIST_FAILED' });
+    }
+  });
+
+  // Criar fluxo
+  app.post('/api/admin/bots/:slug/start-flows', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const { name, match_type, match_value, priority, message, media_refs, downsell_ids, active } = req.body || {};
+    
+    if (!slug) {
+      return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const flow = await createStartFlow(pool, {
+        slug, name, match_type, match_value, priority, message, media_refs, downsell_ids, active
+      });
+      console.info('[ADMIN][START_FLOWS][CREATE]', { request_id, slug, id: flow.id, match_type, match_value });
+      return res.status(201).json({ ok: true, flow });
+    } catch (err) {
+      console.error('[ADMIN][START_FLOWS][CREATE][ERR]', { request_id, slug, error: err.message });
+      return res.status(validationErrorStatus(err.message)).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Atualizar fluxo
+  app.put('/api/admin/bots/:slug/start-flows/:id', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const id = parseInt(req.params.id, 10);
+    const { name, match_type, match_value, priority, message, media_refs, downsell_ids, active } = req.body || {};
+    
+    if (!slug || !id) {
+      return res.status(400).json({ ok: false, error: 'MISSING_PARAMS' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const flow = await updateStartFlow(pool, slug, id, {
+        name, match_type, match_value, priority, message, media_refs, downsell_ids, active
+      });
+      console.info('[ADMIN][START_FLOWS][UPDATE]', { request_id, slug, id });
+      return res.json({ ok: true, flow });
+    } catch (err) {
+      console.error('[ADMIN][START_FLOWS][UPDATE][ERR]', { request_id, slug, id, error: err.message });
+      return res.status(validationErrorStatus(err.message)).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Remover fluxo
+  app.delete('/api/admin/bots/:slug/start-flows/:id', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const id = parseInt(req.params.id, 10);
+    
+    if (!slug || !id) {
+      return res.status(400).json({ ok: false, error: 'MISSING_PARAMS' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const deleted = await deleteStartFlow(pool, slug, id);
+      if (!deleted) {
+        return res.status(404).json({ ok: false, error: 'START_FLOW_NOT_FOUND' });
+      }
+      console.info('[ADMIN][START_FLOWS][DELETE]', { request_id, slug, id });
+      return res.json({ ok: true, deleted: true });
+    } catch (err) {
+      console.error('[ADMIN][START_FLOWS][DELETE][ERR]', { request_id, slug, id, error: err.message });
+      return res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+}
+
+/**
+ * Registra endpoints do registro de assinantes (bot_users)
+ */
+function registerBotUserEndpoints(app, requireAdmin, getPgPool) {
+  // Listar/buscar usuários: ?search=&blocked=&started=&limit=&offset=
+  app.get('/api/admin/bots/:slug/users', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const { search, blocked, started, limit, offset } = req.query;
+    
+    if (!slug) {
+      return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const result = await listBotUsers(pool, slug, { search, blocked, started, limit, offset });
+      console.info('[ADMIN][BOT_USERS][LIST]', { request_id, slug, count: result.users.length, total: result.total });
+      return res.json({ ok: true, ...result });
+    } catch (err) {
+      console.error('[ADMIN][BOT_USERS][LIST][ERR]', { request_id, slug, error: err.message });
+      return res.status(500).json({ ok: false, error: 'LIST_FAILED' });
+    }
+  });
+
+  // Estatísticas de bloqueio (taxa de bloqueio do bot)
+  app.get('/api/admin/bots/:slug/users/stats', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    
+    if (!slug) {
+      return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const stats = await getBlockStats(pool, slug);
+      console.info('[ADMIN][BOT_USERS][STATS]', { request_id, slug, block_rate: stats.block_rate });
+      return res.json({ ok: true, stats });
+    } catch (err) {
+      console.error('[ADMIN][BOT_USERS][STATS][ERR]', { request_id, slug, error: err.message });
+      return res.status(500).json({ ok: false, error: 'STATS_FAILED' });
+    }
+  });
+
+  // Detalhe do usuário
+  app.get('/api/admin/bots/:slug/users/:telegram_id', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const telegram_id = (req.params.telegram_id || '').trim();
+    
+    if (!slug || !/^\d+$/.test(telegram_id)) {
+      return res.status(400).json({ ok: false, error: 'MISSING_PARAMS' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const user = await getBotUser(pool, slug, telegram_id);
+      console.info('[ADMIN][BOT_USERS][GET]', { request_id, slug, telegram_id });
+      return res.json({ ok: true, user });
+    } catch (err) {
+      console.error('[ADMIN][BOT_USERS][GET][ERR]', { request_id, slug, telegram_id, error: err.message });
+      return res.status(validationErrorStatus(err.message)).json({ ok: false, error: err.message });
+    }
+  });
+}
+
+/**
+ * Registra endpoints de respostas automáticas por palavra-chave
+ */
+function registerAutoReplyEndpoints(app, requireAdmin, getPgPool) {
+  // Listar regras
+  app.get('/api/admin/bots/:slug/auto-replies', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    
+    if (!slug) {
+      return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const rules = await listAutoReplies(pool, slug);
+      console.info('[ADMIN][AUTO_REPLIES][LIST]', { request_id, slug, count: rules.length });
+      return res.json({ ok: true, rules });
+    } catch (err) {
+      console.error('[ADMIN][AUTO_REPLIES][LIST][ERR]', { request_id, slug, error: err.message });
+      return res.status(500).json({ ok: false, error: 'LIST_FAILED' });
+    }
+  });
+
+  // Criar regra
+  app.post('/api/admin/bots/:slug/auto-replies', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const { name, match_type, pattern, case_sensitive, priority, content, media_refs, active } = req.body || {};
+    
+    if (!slug) {
+      return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const rule = await createAutoReply(pool, {
+        slug, name, match_type, pattern, case_sensitive, priority, content, media_refs, active
+      });
+      console.info('[ADMIN][AUTO_REPLIES][CREATE]', { request_id, slug, id: rule.id, match_type });
+      return res.status(201).json({ ok: true, rule });
+    } catch (err) {
+      console.error('[ADMIN][AUTO_REPLIES][CREATE][ERR]', { request_id, slug, error: err.message });
+      return res.status(validationErrorStatus(err.message)).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Atualizar regra
+  app.put('/api/admin/bots/:slug/auto-replies/:id', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const id = parseInt(req.params.id, 10);
+    const { name, match_type, pattern, case_sensitive, priority, content, media_refs, active } = req.body || {};
+    
+    if (!slug || !id) {
+      return res.status(400).json({ ok: false, error: 'MISSING_PARAMS' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const rule = await updateAutoReply(pool, slug, id, {
+        name, match_type, pattern, case_sensitive, priority, content, media_refs, active
+      });
+      console.info('[ADMIN][AUTO_REPLIES][UPDATE]', { request_id, slug, id });
+      return res.json({ ok: true, rule });
+    } catch (err) {
+      console.error('[ADMIN][AUTO_REPLIES][UPDATE][ERR]', { request_id, slug, id, error: err.message });
+      return res.status(validationErrorStatus(err.message)).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Remover regra
+  app.delete('/api/admin/bots/:slug/auto-replies/:id', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const id = parseInt(req.params.id, 10);
+    
+    if (!slug || !id) {
+      return res.status(400).json({ ok: false, error: 'MISSING_PARAMS' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const deleted = await deleteAutoReply(pool, slug, id);
+      if (!deleted) {
+        return res.status(404).json({ ok: false, error: 'AUTO_REPLY_NOT_FOUND' });
+      }
+      console.info('[ADMIN][AUTO_REPLIES][DELETE]', { request_id, slug, id });
+      return res.json({ ok: true, deleted: true });
+    } catch (err) {
+      console.error('[ADMIN][AUTO_REPLIES][DELETE][ERR]', { request_id, slug, id, error: err.message });
+      return res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+}
+
+/**
+ * Registra endpoints de comandos personalizados
+ * Toda alteração re-sincroniza o menu no Telegram (setMyCommands); falha no sync não desfaz a alteração
+ */
+function registerBotCommandEndpoints(app, requireAdmin, getPgPool) {
+  const runSync = async (pool, slug, extra_languages, request_id) => {
+    try {
+      return await syncBotCommands(pool, slug, { extra_languages });
+    } catch (err) {
+      console.error('[ADMIN][COMMANDS][SYNC][ERR]', { request_id, slug, error: err.message });
+      return { ok: false, error: err.message };
+    }
+  };
+
+  // Listar comandos
+  app.get('/api/admin/bots/:slug/commands', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    
+    if (!slug) {
+      return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const commands = await listBotCommands(pool, slug);
+      const bot = await pool.query(
+        `SELECT commands_synced_at, commands_sync_error FROM public.bots WHERE slug = $1`,
+        [slug]
+      );
+      console.info('[ADMIN][COMMANDS][LIST]', { request_id, slug, count: commands.length });
+      return res.json({
+        ok: true,
+        commands,
+        synced_at: bot.rows[0]?.commands_synced_at || null,
+        sync_error: bot.rows[0]?.commands_sync_error || null
+      });
+    } catch (err) {
+      console.error('[ADMIN][COMMANDS][LIST][ERR]', { request_id, slug, error: err.message });
+      return res.status(500).json({ ok: false, error: 'LIST_FAILED' });
+    }
+  });
+
+  // Criar comando
+  app.post('/api/admin/bots/:slug/commands', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const { command, language_code, description, content, media_refs, active } = req.body || {};
+    
+    if (!slug) {
+      return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const created = await createBotCommand(pool, {
+        slug, command, language_code, description, content, media_refs, active
+      });
+      const sync = await runSync(pool, slug, [], request_id);
+      console.info('[ADMIN][COMMANDS][CREATE]', { request_id, slug, id: created.id, command: created.command, synced: sync.ok });
+      return res.status(201).json({ ok: true, command: created, sync });
+    } catch (err) {
+      console.error('[ADMIN][COMMANDS][CREATE][ERR]', { request_id, slug, error: err.message });
+      return res.status(validationErrorStatus(err.message)).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Forçar sincronização do menu
+  app.post('/api/admin/bots/:slug/commands/sync', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    
+    if (!slug) {
+      return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    const sync = await runSync(pool, slug, [], request_id);
+    return res.status(sync.ok ? 200 : 502).json({ ok: sync.ok, sync, error: sync.error });
+  });
+
+  // Atualizar comando
+  app.put('/api/admin/bots/:slug/commands/:id', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const id = parseInt(req.params.id, 10);
+    const { command, language_code, description, content, media_refs, active } = req.body || {};
+    
+    if (!slug || !id) {
+      return res.status(400).json({ ok: false, error: 'MISSING_PARAMS' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const updated = await updateBotCommand(pool, slug, id, {
+        command, language_code, description, content, media_refs, active
+      });
+      const sync = await runSync(pool, slug, [updated.previous_language_code], request_id);
+      console.info('[ADMIN][COMMANDS][UPDATE]', { request_id, slug, id, synced: sync.ok });
+      return res.json({ ok: true, command: updated.command, sync });
+    } catch (err) {
+      console.error('[ADMIN][COMMANDS][UPDATE][ERR]', { request_id, slug, id, error: err.message });
+      return res.status(validationErrorStatus(err.message)).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Remover comando
+  app.delete('/api/admin/bots/:slug/commands/:id', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const id = parseInt(req.params.id, 10);
+    
+    if (!slug || !id) {
+      return res.status(400).json({ ok: false, error: 'MISSING_PARAMS' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const deleted = await deleteBotCommand(pool, slug, id);
+      if (!deleted) {
+        return res.status(404).json({ ok: false, error: 'BOT_COMMAND_NOT_FOUND' });
+      }
+      const sync = await runSync(pool, slug, [deleted.language_code], request_id);
+      console.info('[ADMIN][COMMANDS][DELETE]', { request_id, slug, id, synced: sync.ok });
+      return res.json({ ok: true, deleted: true, sync });
+    } catch (err) {
+      console.error('[ADMIN][COMMANDS][DELETE][ERR]', { request_id, slug, id, error: err.message });
+      return res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+}
+
+/**
+ * Registra endpoints de fluxos de conversa (criação, validação e versões)
+ */
+function registerFlowEndpoints(app, requireAdmin, getPgPool) {
+  // Erros de definição trazem a lista por nó
+  const sendFlowError = (res, err) => res.status(validationErrorStatus(err.message)).json({
+    ok: false,
+    error: err.message,
+    ...(err.errors ? { errors: err.errors } : {})
+  });
+
+  // Listar fluxos
+  app.get('/api/admin/bots/:slug/flows', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    
+    if (!slug) {
+      return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const flows = await listFlows(pool, slug);
+      console.info('[ADMIN][FLOWS][LIST]', { request_id, slug, count: flows.length });
+      return res.json({ ok: true, flows });
+    } catch (err) {
+      console.error('[ADMIN][FLOWS][LIST][ERR]', { request_id, slug, error: err.message });
+      return res.status(500).json({ ok: false, error: 'LIST_FAILED' });
+    }
+  });
+
+  // Validar definição sem salvar
+  app.post('/api/admin/bots/:slug/flows/validate', requireAdmin, async (req, res) => {
+    const { definition } = req.body || {};
+    const result = validateFlowDefinition(definition);
+    return res.json({ ok: true, ...result });
+  });
+
+  // Criar fluxo (versão 1)
+  app.post('/api/admin/bots/:slug/flows', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const { flow_key, name, trigger_type, trigger_value, definition, note, publish, active } = req.body || {};
+    
+    if (!slug) {
+      return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const flow = await createFlow(pool, {
+        slug, flow_key, name, trigger_type, trigger_value, definition, note, publish: publish === true, active
+      });
+      console.info('[ADMIN][FLOWS][CREATE]', { request_id, slug, id: flow.id, flow_key: flow.flow_key, published: !!flow.active_version });
+      return res.status(201).json({ ok: true, flow });
+    } catch (err) {
+      console.error('[ADMIN][FLOWS][CREATE][ERR]', { request_id, slug, error: err.message });
+      return sendFlowError(res, err);
+    }
+  });
+
+  // Detalhe do fluxo (?version=N para uma versão específica)
+  app.get('/api/admin/bots/:slug/flows/:id', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const id = parseInt(req.params.id, 10);
+    const version = req.query.version ? parseInt(req.query.version, 10) : undefined;
+    
+    if (!slug || !id) {
+      return res.status(400).json({ ok: false, error: 'MISSING_PARAMS' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const flow = await getFlow(pool, slug, id, { version });
+      return res.json({ ok: true, flow });
+    } catch (err) {
+      console.error('[ADMIN][FLOWS][GET][ERR]', { request_id, slug, id, error: err.message });
+      return sendFlowError(res, err);
+    }
+  });
+
+  // Atualizar nome, gatilho ou ativo
+  app.put('/api/admin/bots/:slug/flows/:id', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const id = parseInt(req.params.id, 10);
+    const { name, trigger_type, trigger_value, active } = req.body || {};
+    
+    if (!slug || !id) {
+      return res.status(400).json({ ok: false, error: 'MISSING_PARAMS' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const flow = await updateFlow(pool, slug, id, { name, trigger_type, trigger_value, active });
+      console.info('[ADMIN][FLOWS][UPDATE]', { request_id, slug, id });
+      return res.json({ ok: true, flow });
+    } catch (err) {
+      console.error('[ADMIN][FLOWS][UPDATE][ERR]', { request_id, slug, id, error: err.message });
+      return sendFlowError(res, err);
+    }
+  });
+
+  // Nova versão da definição
+  app.post('/api/admin/bots/:slug/flows/:id/versions', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const id = parseInt(req.params.id, 10);
+    const { definition, note, publish } = req.body || {};
+    
+    if (!slug || !id) {
+      return res.status(400).json({ ok: false, error: 'MISSING_PARAMS' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const result = await createFlowVersion(pool, slug, id, { definition, note, publish: publish === true });
+      console.info('[ADMIN][FLOWS][VERSION]', { request_id, slug, id, version: result.version, published: result.published });
+      return res.status(201).json({ ok: true, ...result });
+    } catch (err) {
+      console.error('[ADMIN][FLOWS][VERSION][ERR]', { request_id, slug, id, error: err.message });
+      return sendFlowError(res, err);
+    }
+  });
+
+  // Publicar versão
+  app.post('/api/admin/bots/:slug/flows/:id/versions/:version/publish', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const id = parseInt(req.params.id, 10);
+    const version = parseInt(req.params.version, 10);
+    
+    if (!slug || !id || !version) {
+      return res.status(400).json({ ok: false, error: 'MISSING_PARAMS' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const flow = await publishFlowVersion(pool, slug, id, version);
+      console.info('[ADMIN][FLOWS][PUBLISH]', { request_id, slug, id, version });
+      return res.json({ ok: true, flow });
+    } catch (err) {
+      console.error('[ADMIN][FLOWS][PUBLISH][ERR]', { request_id, slug, id, version, error: err.message });
+      return sendFlowError(res, err);
+    }
+  });
+
+  // Remover fluxo
+  app.delete('/api/admin/bots/:slug/flows/:id', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const id = parseInt(req.params.id, 10);
+    
+    if (!slug || !id) {
+      return res.status(400).json({ ok: false, error: 'MISSING_PARAMS' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const deleted = await deleteFlow(pool, slug, id);
+      if (!deleted) {
+        return res.status(404).json({ ok: false, error: 'FLOW_NOT_FOUND' });
+      }
+      console.info('[ADMIN][FLOWS][DELETE]', { request_id, slug, id });
+      return res.json({ ok: true, deleted: true });
+    } catch (err) {
+      console.error('[ADMIN][FLOWS][DELETE][ERR]', { request_id, slug, id, error: err.message });
+      return res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+}
+
+/**
+ * Registra endpoints do log de updates recebidos (inspeção e replay)
+ * @param {Function} processUpdate - Processador do webhook (server.js)
+ */
+function registerInboundUpdateEndpoints(app, requireAdmin, getPgPool, processUpdate) {
+  // Listar updates: ?status=&kind=&telegram_id=&limit=&offset=
+  app.get('/api/admin/bots/:slug/updates', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const { status, kind, telegram_id, limit, offset } = req.query;
+    
+    if (!slug) {
+      return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const result = await listInboundUpdates(pool, slug, { status, kind, telegram_id, limit, offset });
+      console.info('[ADMIN][UPDATES][LIST]', { request_id, slug, count: result.updates.length, total: result.total });
+      return res.json({ ok: true, ...result });
+    } catch (err) {
+      console.error('[ADMIN][UPDATES][LIST][ERR]', { request_id, slug, error: err.message });
+      const status = validationErrorStatus(err.message);
+      return res.status(status).json({ ok: false, error: status === 500 ? 'LIST_FAILED' : err.message });
+    }
+  });
+
+  // Detalhe do update (payload completo)
+  app.get('/api/admin/bots/:slug/updates/:update_id', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const update_id = (req.params.update_id || '').trim();
+    
+    if (!slug || !/^\d+$/.test(update_id)) {
+      return res.status(400).json({ ok: false, error: 'MISSING_PARAMS' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const update = await getInboundUpdate(pool, slug, update_id);
+      console.info('[ADMIN][UPDATES][GET]', { request_id, slug, update_id });
+      return res.json({ ok: true, update });
+    } catch (err) {
+      console.error('[ADMIN][UPDATES][GET][ERR]', { request_id, slug, update_id, error: err.message });
+      return res.status(validationErrorStatus(err.message)).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Reprocessar update gravado (depuração: envia mensagens de novo ao usuário)
+  app.post('/api/admin/bots/:slug/updates/:update_id/replay', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const update_id = (req.params.update_id || '').trim();
+    
+    if (!slug || !/^\d+$/.test(update_id)) {
+      return res.status(400).json({ ok: false, error: 'MISSING_PARAMS' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const update = await replayInboundUpdate(pool, { slug, update_id, processUpdate, request_id });
+      console.info('[ADMIN][UPDATES][REPLAY]', { request_id, slug, update_id, status: update.status });
+      return res.json({ ok: true, update });
+    } catch (err) {
+      console.error('[ADMIN][UPDATES][REPLAY][ERR]', { request_id, slug, update_id, error: err.message });
+      return res.status(validationErrorStatus(err.message)).json({ ok: false, error: err.message });
+    }
+  });
+}
+
+/**
+ * Registra endpoints do modo de recebimento de updates (webhook ou long-polling)
+ */
+function registerUpdateModeEndpoints(app, requireAdmin, getPgPool) {
+  // Modo atual e estado do polling (offset, último ciclo, erro)
+  app.get('/api/admin/bots/:slug/update-mode', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    
+    if (!slug) {
+      return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const mode = await getUpdateMode(pool, slug);
+      console.info('[ADMIN][UPDATE_MODE][GET]', { request_id, slug, update_mode: mode.update_mode });
+      return res.json({ ok: true, ...mode });
+    } catch (err) {
+      console.error('[ADMIN][UPDATE_MODE][GET][ERR]', { request_id, slug, error: err.message });
+      return res.status(validationErrorStatus(err.message)).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Trocar modo: { mode: 'webhook' | 'polling' } (polling remove o webhook no Telegram)
+  app.put('/api/admin/bots/:slug/update-mode', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const mode = req.body?.mode;
+    
+    if (!slug) {
+      return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const result = await setUpdateMode(pool, slug, mode);
+      console.info('[ADMIN][UPDATE_MODE][SET]', { request_id, slug, update_mode: result.update_mode });
+      return res.json({
+        ok: true,
+        ...result,
+        // Voltar para webhook não registra a URL sozinho
+        ...(result.update_mode === 'webhook' ? { next_step: 'POST /api/admin/bots/:slug/webhook/set' } : {})
+      });
+    } catch (err) {
+      console.error('[ADMIN][UPDATE_MODE][SET][ERR]', { request_id, slug, mode, error: err.message });
+      const status = err.message === 'UPDATE_MODE_WEBHOOK_DELETE_FAILED' ? 502 : validationErrorStatus(err.message);
+      return res.status(status).json({ ok: false, error: err.message });
+    }
+  });
+}
+
+/**
+ * Registra endpoint de validação de variáveis de template ({first_name|amigo})
+ */
+function registerTemplateEndpoints(app, requireAdmin) {
+  // Validar texto: { text } -> variáveis usadas e desconhecidas (não bloqueia o salvamento)
+  app.post('/api/admin/templates/validate', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const text = req.body?.text;
+    
+    if (typeof text !== 'string') {
+      return res.status(400).json({ ok: false, error: 'MISSING_TEXT' });
+    }
+    
+    const result = validateTemplate(text);
+    if (!result.valid) {
+      console.info('[ADMIN][TEMPLATES][UNKNOWN_VARIABLES]', { request_id, unknown: result.unknown });
+    }
+    return res.json({ ok: true, ...result, available: TEMPLATE_VARIABLES });
+  });
+}
+
+/**
+ * Registra endpoints da política de usuário que volta (/start repetido)
+ */
+function registerReturningPolicyEndpoints(app, requireAdmin, getPgPool) {
+  // Política atual (padrão desativada quando nunca configurada)
+  app.get('/api/admin/bots/:slug/returning-policy', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    
+    if (!slug) {
+      return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const policy = await getReturningPolicy(pool, slug);
+      console.info('[ADMIN][RETURNING_POLICY][GET]', { request_id, slug, active: !!policy?.active });
+      return res.json({
+        ok: true,
+        policy: policy || { active: false, cooldown_minutes: DEFAULT_COOLDOWN_MINUTES, reschedule_downsells: false, message: null, media_refs: [] }
+      });
+    } catch (err) {
+      console.error('[ADMIN][RETURNING_POLICY][GET][ERR]', { request_id, slug, error: err.message });
+      return res.status(validationErrorStatus(err.message)).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Salvar: { active, cooldown_minutes, reschedule_downsells, message, media_refs }
+  app.put('/api/admin/bots/:slug/returning-policy', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    
+    if (!slug) {
+      return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const policy = await saveReturningPolicy(pool, slug, req.body);
+      console.info('[ADMIN][RETURNING_POLICY][SAVE]', { request_id, slug, active: policy.active });
+      return res.json({ ok: true, policy });
+    } catch (err) {
+      console.error('[ADMIN][RETURNING_POLICY][SAVE][ERR]', { request_id, slug, error: err.message });
+      return res.status(validationErrorStatus(err.message)).json({ ok: false, error: err.message });
+    }
+  });
+}
+
+/**
+ * Registra endpoint de pagamentos do bot
+ */
+function registerPaymentEndpoints(app, requireAdmin, getPgPool) {
+  // Listar pagamentos com totais por status: ?status=&provider=&telegram_id=&product_id=&from=&to=&limit=&offset=
+  app.get('/api/admin/bots/:slug/payments', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const { status, provider, telegram_id, product_id, from, to, limit, offset } = req.query;
+    
+    if (!slug) {
+      return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const result = await listPayments(pool, slug, { status, provider, telegram_id, product_id, from, to, limit, offset });
+      console.info('[ADMIN][PAYMENTS][LIST]', { request_id, slug, count: result.payments.length, total: result.total });
+      return res.json({ ok: true, ...result });
+    } catch (err) {
+      console.error('[ADMIN][PAYMENTS][LIST][ERR]', { request_id, slug, error: err.message });
+      const status = validationErrorStatus(err.message);
+      return res.status(status).json({ ok: false, error: status === 500 ? 'LIST_FAILED' : err.message });
+    }
+  });
+}
+
+/**
+ * Registra endpoints do catálogo de produtos
+ */
+function registerProductEndpoints(app, requireAdmin, getPgPool) {
+  // Listar produtos: ?active=true|false
+  app.get('/api/admin/bots/:slug/products', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    
+    if (!slug) {
+      return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const products = await listProducts(pool, slug, { active: req.query.active });
+      console.info('[ADMIN][PRODUCTS][LIST]', { request_id, slug, count: products.length });
+      return res.json({ ok: true, products });
+    } catch (err) {
+      console.error('[ADMIN][PRODUCTS][LIST][ERR]', { request_id, slug, error: err.message });
+      return res.status(500).json({ ok: false, error: 'LIST_FAILED' });
+    }
+  });
+
+  // Receita por produto: ?from=&to= (data de aprovação)
+  app.get('/api/admin/bots/:slug/products/revenue', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const { from, to } = req.query;
+    
+    if (!slug) {
+      return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const revenue = await getProductRevenue(pool, slug, { from, to });
+      console.info('[ADMIN][PRODUCTS][REVENUE]', { request_id, slug, products: revenue.products.length });
+      return res.json({ ok: true, ...revenue });
+    } catch (err) {
+      console.error('[ADMIN][PRODUCTS][REVENUE][ERR]', { request_id, slug, error: err.message });
+      const status = validationErrorStatus(err.message);
+      return res.status(status).json({ ok: false, error: status === 500 ? 'REVENUE_FAILED' : err.message });
+    }
+  });
+
+  // Criar produto
+  app.post('/api/admin/bots/:slug/products', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const {
+      name, description, price_cents, currency, access_days, reminder_days, active,
+      delivery_type, delivery_content, delivery_media_refs, delivery_chat_id, delivery_url, revocation_content
+    } = req.body || {};
+    
+    if (!slug) {
+      return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const product = await createProduct(pool, {
+        slug, name, description, price_cents, currency, access_days, reminder_days, active,
+        delivery_type, delivery_content, delivery_media_refs, delivery_chat_id, delivery_url, revocation_content
+      });
+      console.info('[ADMIN][PRODUCTS][CREATE]', { request_id, slug, id: product.id, price_cents: product.price_cents });
+      return res.status(201).json({ ok: true, product });
+    } catch (err) {
+      console.error('[ADMIN][PRODUCTS][CREATE][ERR]', { request_id, slug, error: err.message });
+      return res.status(validationErrorStatus(err.message)).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Atualizar produto
+  app.put('/api/admin/bots/:slug/products/:id', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const id = parseInt(req.params.id, 10);
+    const {
+      name, description, price_cents, currency, access_days, reminder_days, active,
+      delivery_type, delivery_content, delivery_media_refs, delivery_chat_id, delivery_url, revocation_content
+    } = req.body || {};
+    
+    if (!slug || !id) {
+      return res.status(400).json({ ok: false, error: 'MISSING_PARAMS' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const product = await updateProduct(pool, slug, id, {
+        name, description, price_cents, currency, access_days, reminder_days, active,
+        delivery_type, delivery_content, delivery_media_refs, delivery_chat_id, delivery_url, revocation_content
+      });
+      console.info('[ADMIN][PRODUCTS][UPDATE]', { request_id, slug, id });
+      return res.json({ ok: true, product });
+    } catch (err) {
+      console.error('[ADMIN][PRODUCTS][UPDATE][ERR]', { request_id, slug, id, error: err.message });
+      return res.status(validationErrorStatus(err.message)).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Remover produto (em uso: 409, desativar com active=false)
+  app.delete('/api/admin/bots/:slug/products/:id', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const id = parseInt(req.params.id, 10);
+    
+    if (!slug || !id) {
+      return res.status(400).json({ ok: false, error: 'MISSING_PARAMS' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const deleted = await deleteProduct(pool, slug, id);
+      if (!deleted) {
+        return res.status(404).json({ ok: false, error: 'PRODUCT_NOT_FOUND' });
+      }
+      console.info('[ADMIN][PRODUCTS][DELETE]', { request_id, slug, id });
+      return res.json({ ok: true, deleted: true });
+    } catch (err) {
+      console.error('[ADMIN][PRODUCTS][DELETE][ERR]', { request_id, slug, id, error: err.message });
+      return res.status(validationErrorStatus(err.message)).json({ ok: false, error: err.message });
+    }
+  });
+}
+
+/**
+ * Registra endpoints das assinaturas VIP
+ */
+function registerMembershipEndpoints(app, requireAdmin, getPgPool) {
+  // Listar assinaturas com contagem: ?status=active|expiring|expired&days=&product_id=&telegram_id=&limit=&offset=
+  app.get('/api/admin/bots/:slug/memberships', requireAdmin, async (req, res) => {
+    const request_id = genReqId();
+    const slug = (req.params.slug || '').trim();
+    const { status, days, product_id, telegram_id, limit, offset } = req.query;
+    
+    if (!slug) {
+      return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
+    }
+    
+    const pool = await getPgPool();
+    if (!pool) {
+      return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+    }
+    
+    try {
+      const result = await listMemberships(pool, slug, { status, days, product_id, telegram_id, limit, offset });
+      console.info('[ADMIN][MEMBERSHIPS][LIST]', { request_id, slug, count: result.memberships.length, total: result.total });
+      return res.json({ ok: true, ...result });
+    } catch (err) {
+      console.error('[ADMIN][MEMBERSHIPS][LIST][ERR]', { request_id, slug, error: err.message });
+      const status = validationErrorStatus(err.message);
+      return res.status(status).json({ ok: false, error: status === 500 ? 'LIST_FAILED' : err.message });
+    }
+  });
+}
+
 module.exports = {
   registerDownsellEndpoints,
-  registerShotEndpoints
+  registerShotEndpoints,
+  registerCallbackActionEndpoints,
+  registerFunnelReportEndpoints,
+  registerStartFlowEndpoints,
+  registerBotUserEndpoints,
+  registerAutoReplyEndpoints,
+  registerBotCommandEndpoints,
+  registerFlowEndpoints,
+  registerInboundUpdateEndpoints,
+  registerUpdateModeEndpoints,
+  registerTemplateEndpoints,
+  registerReturningPolicyEndpoints,
+  registerPaymentEndpoints,
+  registerProductEndpoints,
+  registerMembershipEndpoints,
+  validationErrorStatus
 };
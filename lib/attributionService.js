@@ -0,0 +1,172 @@
+/**
+ * Atribuição de campanha via deep-link (/start <payload>)
+ * Payload do Telegram: até 64 chars [A-Za-z0-9_-]
+ * Aceita payload simples (ex: "black_friday") ou base64url de um conjunto UTM
+ * (ex: base64url("utm_source=fb&utm_campaign=bf") ou base64url('{"utm_source":"fb"}'))
+ */
+
+const UTM_KEYS = ['source', 'medium', 'campaign', 'content', 'term'];
+const PAYLOAD_REGEX = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Extrai o payload do texto do /start
+ * @param {string} text - Texto da mensagem (ex: "/start abc123")
+ * @returns {string|null}
+ */
+function extractStartPayload(text) {
+  if (typeof text !== 'string') return null;
+  const match = text.trim().match(/^\/start(?:@\w+)?\s+(\S+)/i);
+  if (!match) return null;
+  return PAYLOAD_REGEX.test(match[1]) ? match[1] : null;
+}
+
+/**
+ * Tenta decodificar base64url em pares chave/valor
+ * @returns {object|null} Objeto plano ou null se não parecer um conjunto UTM
+ */
+function tryDecodeBase64Params(payload) {
+  if (payload.length < 8) return null;
+
+  let decoded;
+  try {
+    decoded = Buffer.from(payload, 'base64url').toString('utf8');
+  } catch {
+    return null;
+  }
+
+  // Precisa ser texto imprimível e re-codificar para o mesmo payload (evita falsos positivos)
+  if (!decoded || !/^[\x20-\x7E\u00A0-\uFFFF]+$/.test(decoded)) return null;
+  if (Buffer.from(decoded, 'utf8').toString('base64url') !== payload.replace(/=+$/, '')) return null;
+
+  if (decoded.startsWith('{')) {
+    try {
+      const obj = JSON.parse(decoded);
+      return obj && typeof obj === 'object' && !Array.isArray(obj) ? obj : null;
+    } catch {
+      return null;
+    }
+  }
+
+  if (!/(^|&)[a-z_]+=/i.test(decoded)) return null;
+
+  const params = {};
+  for (const [key, value] of new URLSearchParams(decoded)) {
+    params[key] = value;
+  }
+  return Object.keys(params).length > 0 ? params : null;
+}
+
+/**
+ * Faz o parse do payload do deep-link
+ * @param {string} payload - Payload bruto
+ * @returns {object|null} { payload, encoding, campaign, utm, params }
+ */
+function parseStartPayload(payload) {
+  if (!payload || !PAYLOAD_REGEX.test(payload)) return null;
+
+  const decoded = tryDecodeBase64Params(payload);
+
+  if (!decoded) {
+    return {
+      payload,
+      encoding: 'plain',
+      campaign: payload,
+      utm: {},
+      params: {}
+    };
+  }
+
+  const utm = {};
+  const params = {};
+  for (const [rawKey, rawValue] of Object.entries(decoded)) {
+    const key = String(rawKey).toLowerCase();
+    const value = String(rawValue).slice(0, 200);
+    const utmKey = key.startsWith('utm_') ? key.slice(4) : key;
+    if (UTM_KEYS.includes(utmKey)) {
+      utm[utmKey] = value;
+    } else {
+      params[key] = value;
+    }
+  }
+
+  return {
+    payload,
+    encoding: 'base64url',
+    campaign: utm.campaign || params.campaign || payload,
+    utm,
+    params
+  };
+}
+
+/**
+ * Registra first-touch (só na primeira vez) e last-touch (sempre que houver payload)
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { slug, telegram_id, source, occurredAt }
+ */
+async function recordStartAttribution(pool, { slug, telegram_id, source, occurredAt = new Date() }) {
+  if (!pool) return { ok: false, reason: 'NO_DB' };
+  if (!slug || !telegram_id) throw new Error('MISSING_PARAMS');
+
+  const payload = source ? source.payload : null;
+  const campaign = source ? source.campaign : null;
+  const utm = source ? JSON.stringify(source.utm || {}) : null;
+
+  const result = await pool.query(
+    `INSERT INTO public.bot_user_sources (
+       bot_slug, telegram_id,
+       first_payload, first_campaign, first_utm, first_at,
+       last_payload, last_campaign, last_utm, last_at,
+       created_at, updated_at
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $3, $4, $5, $6, now(), now())
+     ON CONFLICT (bot_slug, telegram_id) DO UPDATE SET
+       last_payload = COALESCE(EXCLUDED.last_payload, bot_user_sources.last_payload),
+       last_campaign = COALESCE(EXCLUDED.last_campaign, bot_user_sources.last_campaign),
+       last_utm = COALESCE(EXCLUDED.last_utm, bot_user_sources.last_utm),
+       last_at = CASE WHEN EXCLUDED.last_payload IS NOT NULL THEN EXCLUDED.last_at ELSE bot_user_sources.last_at END,
+       updated_at = now()
+     RETURNING (xmax = 0) AS inserted`,
+    [slug, telegram_id, payload, campaign, utm, occurredAt]
+  );
+
+  return { ok: true, first_touch: !!result.rows[0]?.inserted };
+}
+
+/**
+ * Monta condição SQL de filtro por origem (para audiências e relatórios)
+ * @param {object} filter - { campaign, utm_source, utm_medium, payload, touch: 'first'|'last'|'any' }
+ * @param {string} alias - Alias da tabela bot_user_sources
+ * @param {Array} values - Array de parâmetros (mutado)
+ * @returns {string|null} Condição SQL ou null se filtro vazio
+ */
+function buildSourceCondition(filter, alias, values) {
+  if (!filter || typeof filter !== 'object') return null;
+
+  const touch = ['first', 'last', 'any'].includes(filter.touch) ? filter.touch : 'any';
+  const prefixes = touch === 'any' ? ['first', 'last'] : [touch];
+
+  const fields = [
+    ['campaign', (p) => `${alias}.${p}_campaign`],
+    ['payload', (p) => `${alias}.${p}_payload`],
+    ['utm_source', (p) => `${alias}.${p}_utm->>'source'`],
+    ['utm_medium', (p) => `${alias}.${p}_utm->>'medium'`]
+  ];
+
+  const conditions = [];
+  for (const [key, column] of fields) {
+    const value = filter[key];
+    if (value === undefined || value === null || value === '') continue;
+    values.push(String(value));
+    const idx = values.length;
+    conditions.push(`(${prefixes.map(p => `${column(p)} = $${idx}`).join(' OR ')})`);
+  }
+
+  return conditions.length > 0 ? conditions.join(' AND ') : null;
+}
+
+module.exports = {
+  extractStartPayload,
+  parseStartPayload,
+  recordStartAttribution,
+  buildSourceCondition
+};
@@ -0,0 +1,406 @@
+/**
+ * Respostas automáticas por palavra-chave
+ * Regras por bot avaliadas por prioridade (maior primeiro) para textos que não são /start
+ * Tipos: exact (texto inteiro), contains (trecho), regex
+ */
+
+const { validateMessageContent, enrichMediaRefs, sendMessageContent } = require('./messageContentService');
+const { observe } = require('./metricsService');
+
+const MATCH_TYPES = ['exact', 'contains', 'regex'];
+const MAX_PATTERN_LENGTH = 200;
+// Regex: padrão menor, texto avaliado limitado e sem quantificador aninhado (backtracking catastrófico)
+const MAX_REGEX_LENGTH = 100;
+const MAX_REGEX_INPUT_LENGTH = 4096;
+const MAX_COMPILED_REGEX = 500;
+
+// Regex compiladas por padrão/flags (regras são avaliadas a cada mensagem)
+const compiledRegex = new Map();
+
+// Cache em memória das regras ativas por bot (TTL 60s)
+const cache = new Map();
+const CACHE_TTL_MS = 60000;
+
+function invalidateCache(slug) {
+  cache.delete(slug);
+}
+
+const RULE_COLUMNS = `id, bot_slug, name, match_type, pattern, case_sensitive, priority, content, media_refs,
+  active, hit_count, last_hit_at, created_at, updated_at`;
+
+/**
+ * Grupo com quantificador ilimitado repetido por outro quantificador: (a+)+, (\w*)*, ((ab)+c){2,}
+ */
+function hasNestedQuantifier(pattern) {
+  const groups = []; // por grupo aberto: contém quantificador ilimitado
+  let afterUnboundedGroup = false;
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (inClass) {
+      if (ch === '\\') i++;
+      else if (ch === ']') inClass = false;
+      continue;
+    }
+
+    const repeat = ch === '+' || ch === '*' || (ch === '{' && /^\{\d+(,\d*)?\}/.test(pattern.slice(i)));
+    if (repeat) {
+      if (afterUnboundedGroup) return true;
+      const unbounded = ch !== '{' || /^\{\d+,\}/.test(pattern.slice(i));
+      if (unbounded && groups.length > 0) groups[groups.length - 1] = true;
+      if (ch === '{') i = pattern.indexOf('}', i);
+      afterUnboundedGroup = false;
+      continue;
+    }
+
+    afterUnboundedGroup = false;
+    if (ch === '\\') {
+      i++;
+    } else if (ch === '[') {
+      inClass = true;
+    } else if (ch === '(') {
+      groups.push(false);
+    } else if (ch === ')') {
+      const unbounded = groups.pop() === true;
+      if (unbounded && groups.length > 0) groups[groups.length - 1] = true;
+      afterUnboundedGroup = unbounded;
+    }
+  }
+  return false;
+}
+
+/**
+ * Compila regex da regra
+ * @throws AUTO_REPLY_REGEX_TOO_LONG, AUTO_REPLY_REGEX_UNSAFE, AUTO_REPLY_REGEX_INVALID
+ */
+function compileRegex(pattern, case_sensitive) {
+  if (pattern.length > MAX_REGEX_LENGTH) throw new Error('AUTO_REPLY_REGEX_TOO_LONG');
+  if (hasNestedQuantifier(pattern)) throw new Error('AUTO_REPLY_REGEX_UNSAFE');
+  try {
+    return new RegExp(pattern, case_sensitive ? '' : 'i');
+  } catch {
+    throw new Error('AUTO_REPLY_REGEX_INVALID');
+  }
+}
+
+/**
+ * Regex compilada da regra (null se inválida ou insegura: a regra nunca casa)
+ */
+function getRuleRegex(rule) {
+  const key = `${rule.case_sensitive ? '' : 'i'}/${rule.pattern}`;
+  if (compiledRegex.has(key)) return compiledRegex.get(key);
+
+  let regex = null;
+  try {
+    regex = compileRegex(rule.pattern, rule.case_sensitive);
+  } catch {
+    regex = null;
+  }
+
+  if (compiledRegex.size >= MAX_COMPILED_REGEX) compiledRegex.clear();
+  compiledRegex.set(key, regex);
+  return regex;
+}
+
+/**
+ * Verifica se um texto casa com a regra
+ */
+function ruleMatches(rule, text) {
+  if (!text) return false;
+
+  if (rule.match_type === 'regex') {
+    const regex = getRuleRegex(rule);
+    return regex ? regex.test(text.slice(0, MAX_REGEX_INPUT_LENGTH)) : false;
+  }
+
+  const input = rule.case_sensitive ? text.trim() : text.trim().toLowerCase();
+  const pattern = rule.case_sensitive ? rule.pattern : rule.pattern.toLowerCase();
+
+  if (rule.match_type === 'exact') return input === pattern;
+  if (rule.match_type === 'contains') return input.includes(pattern);
+  return false;
+}
+
+/**
+ * Escolhe a regra para um texto (maior priority primeiro; empate: menor id)
+ * @param {Array} rules - Regras ativas
+ * @param {string} text - Texto recebido
+ * @returns {object|null}
+ */
+function matchAutoReply(rules, text) {
+  if (!text || !Array.isArray(rules)) return null;
+
+  const ordered = [...rules].sort((a, b) => (b.priority || 0) - (a.priority || 0) || Number(a.id) - Number(b.id));
+  return ordered.find(rule => ruleMatches(rule, text)) || null;
+}
+
+async function getActiveRules(pool, slug) {
+  const cached = cache.get(slug);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL_MS) {
+    return cached.rules;
+  }
+
+  const result = await pool.query(
+    `SELECT ${RULE_COLUMNS}
+     FROM public.bot_auto_replies
+     WHERE bot_slug = $1 AND active = true`,
+    [slug]
+  );
+
+  cache.set(slug, { rules: result.rows, timestamp: Date.now() });
+  return result.rows;
+}
+
+/**
+ * Processa texto recebido: envia a resposta da primeira regra que casar
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { slug, chat_id, text, request_id }
+ * @returns {Promise<object>} { ok, matched, rule_id }
+ */
+async function handleAutoReply(pool, { slug, chat_id, text, request_id }) {
+  let rules;
+  try {
+    rules = await getActiveRules(pool, slug);
+  } catch (err) {
+    console.error('[AUTO_REPLY][LOAD][ERR]', { request_id, slug, error: err.message });
+    return { ok: false, matched: false, error: err.message };
+  }
+
+  const rule = matchAutoReply(rules, text);
+  if (!rule) {
+    return { ok: true, matched: false };
+  }
+
+  const result = await sendMessageContent(pool, {
+    slug,
+    chat_id,
+    content: rule.content || {},
+    media_refs: rule.media_refs || [],
+    purpose: 'auto-reply',
+    request_id
+  });
+
+  pool.query(
+    `UPDATE public.bot_auto_replies
+     SET hit_count = hit_count + 1, last_hit_at = now()
+     WHERE id = $1`,
+    [rule.id]
+  ).catch(err => {
+    console.error('[AUTO_REPLY][HIT][ERR]', { request_id, slug, rule_id: rule.id, error: err.message });
+  });
+
+  observe('auto_reply_total', 1, { bot: slug, ok: !!result?.ok });
+  console.info('[AUTO_REPLY][MATCH]', {
+    request_id,
+    slug,
+    chat_id,
+    rule_id: rule.id,
+    match_type: rule.match_type,
+    ok: !!result?.ok,
+    error: result?.error
+  });
+
+  return { ok: !!result?.ok, matched: true, rule_id: rule.id };
+}
+
+/**
+ * Valida campos da regra (parcial no update)
+ */
+async function validateRuleFields(pool, fields, { partial = false } = {}) {
+  const normalized = {};
+
+  if (!partial || fields.name !== undefined) {
+    const name = typeof fields.name === 'string' ? fields.name.trim() : '';
+    if (!name) throw new Error('AUTO_REPLY_NAME_REQUIRED');
+    if (name.length > 100) throw new Error('AUTO_REPLY_NAME_TOO_LONG');
+    normalized.name = name;
+  }
+
+  if (!partial || fields.match_type !== undefined) {
+    if (!MATCH_TYPES.includes(fields.match_type)) throw new Error('INVALID_MATCH_TYPE');
+    normalized.match_type = fields.match_type;
+  }
+
+  if (!partial || fields.pattern !== undefined) {
+    const pattern = typeof fields.pattern === 'string' ? fields.pattern.trim() : '';
+    if (!pattern) throw new Error('AUTO_REPLY_PATTERN_REQUIRED');
+    if (pattern.length > MAX_PATTERN_LENGTH) throw new Error('AUTO_REPLY_PATTERN_TOO_LONG');
+    normalized.pattern = pattern;
+  }
+
+  if (fields.case_sensitive !== undefined) {
+    normalized.case_sensitive = fields.case_sensitive === true;
+  }
+
+  if (fields.priority !== undefined) {
+    const priority = Number(fields.priority);
+    if (!Number.isInteger(priority)) throw new Error('AUTO_REPLY_PRIORITY_INVALID');
+    normalized.priority = priority;
+  }
+
+  if (!partial || fields.content !== undefined || fields.media_refs !== undefined) {
+    const media_refs = await enrichMediaRefs(pool, fields.media_refs);
+    normalized.media_refs = media_refs;
+    normalized.content = validateMessageContent(fields.content || {}, { requireText: media_refs.length === 0 });
+  }
+
+  if (fields.active !== undefined) {
+    normalized.active = fields.active !== false;
+  }
+
+  return normalized;
+}
+
+/**
+ * Lista regras de um bot
+ */
+async function listAutoReplies(pool, slug) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug) throw new Error('MISSING_SLUG');
+
+  const result = await pool.query(
+    `SELECT ${RULE_COLUMNS}
+     FROM public.bot_auto_replies
+     WHERE bot_slug = $1
+     ORDER BY priority DESC, id ASC`,
+    [slug]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Cria regra
+ * @param {object} params - { slug, name, match_type, pattern, case_sensitive, priority, content, media_refs, active }
+ */
+async function createAutoReply(pool, params) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!params.slug) throw new Error('MISSING_SLUG');
+
+  const rule = await validateRuleFields(pool, params);
+  if (rule.match_type === 'regex') compileRegex(rule.pattern, rule.case_sensitive);
+
+  const result = await pool.query(
+    `INSERT INTO public.bot_auto_replies (
+       bot_slug, name, match_type, pattern, case_sensitive, priority, content, media_refs, active, created_at, updated_at
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, now(), now())
+     RETURNING ${RULE_COLUMNS}`,
+    [
+      params.slug,
+      rule.name,
+      rule.match_type,
+      rule.pattern,
+      rule.case_sensitive === true,
+      rule.priority || 0,
+      JSON.stringify(rule.content),
+      JSON.stringify(rule.media_refs),
+      rule.active !== false
+    ]
+  );
+
+  invalidateCache(params.slug);
+  return result.rows[0];
+}
+
+/**
+ * Atualiza regra
+ */
+async function updateAutoReply(pool, slug, id, params) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug || !id) throw new Error('MISSING_PARAMS');
+
+  const current = await pool.query(
+    `SELECT match_type, pattern, case_sensitive, content, media_refs
+     FROM public.bot_auto_replies
+     WHERE id = $1 AND bot_slug = $2`,
+    [id, slug]
+  );
+  if (current.rowCount === 0) {
+    throw new Error('AUTO_REPLY_NOT_FOUND');
+  }
+  const row = current.rows[0];
+
+  // Conteúdo e mídias são validados juntos (texto é opcional só quando há mídia)
+  const fields = { ...params };
+  if (fields.content !== undefined || fields.media_refs !== undefined) {
+    if (fields.content === undefined) fields.content = row.content;
+    if (fields.media_refs === undefined) fields.media_refs = row.media_refs;
+  }
+
+  const rule = await validateRuleFields(pool, fields, { partial: true });
+
+  const finalType = rule.match_type || row.match_type;
+  if (finalType === 'regex') {
+    compileRegex(
+      rule.pattern !== undefined ? rule.pattern : row.pattern,
+      rule.case_sensitive !== undefined ? rule.case_sensitive : row.case_sensitive
+    );
+  }
+
+  const columns = {
+    name: rule.name,
+    match_type: rule.match_type,
+    pattern: rule.pattern,
+    case_sensitive: rule.case_sensitive,
+    priority: rule.priority,
+    content: rule.content !== undefined ? JSON.stringify(rule.content) : undefined,
+    media_refs: rule.media_refs !== undefined ? JSON.stringify(rule.media_refs) : undefined,
+    active: rule.active
+  };
+
+  const updates = [];
+  const values = [];
+  let paramIndex = 1;
+
+  for (const [column, value] of Object.entries(columns)) {
+    if (value === undefined) continue;
+    updates.push(`${column} = $${paramIndex++}`);
+    values.push(value);
+  }
+
+  if (updates.length === 0) {
+    throw new Error('NO_FIELDS_TO_UPDATE');
+  }
+
+  updates.push('updated_at = now()');
+  values.push(id, slug);
+
+  const result = await pool.query(
+    `UPDATE public.bot_auto_replies
+     SET ${updates.join(', ')}
+     WHERE id = $${paramIndex++} AND bot_slug = $${paramIndex}
+     RETURNING ${RULE_COLUMNS}`,
+    values
+  );
+
+  invalidateCache(slug);
+  return result.rows[0];
+}
+
+/**
+ * Remove regra
+ */
+async function deleteAutoReply(pool, slug, id) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+
+  const result = await pool.query(
+    `DELETE FROM public.bot_auto_replies WHERE id = $1 AND bot_slug = $2`,
+    [id, slug]
+  );
+
+  invalidateCache(slug);
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  MATCH_TYPES,
+  matchAutoReply,
+  handleAutoReply,
+  listAutoReplies,
+  createAutoReply,
+  updateAutoReply,
+  deleteAutoReply,
+  invalidateCache
+};
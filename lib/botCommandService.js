@@ -0,0 +1,434 @@
+/**
+ * Comandos personalizados por bot (/help, /suporte, /planos...)
+ * Cada comando tem descrição (menu do Telegram) e resposta com texto/mídias.
+ * Variações por idioma: language_code '' = padrão; 'en', 'es'... sobrescrevem o padrão.
+ * O menu é registrado no Telegram via setMyCommands (um por idioma) a cada alteração.
+ */
+
+const { validateMessageContent, enrichMediaRefs, sendMessageContent } = require('./messageContentService');
+const { getTokenBySlug } = require('./tokenService');
+const telegramClient = require('./telegramClient');
+const { observe } = require('./metricsService');
+
+const COMMAND_REGEX = /^[a-z0-9_]{1,32}$/;
+const LANGUAGE_REGEX = /^[a-z]{2}$/;
+const RESERVED_COMMANDS = ['start'];
+const MAX_DESCRIPTION_LENGTH = 256;
+const MAX_COMMANDS = 100; // limite do Telegram por lista
+
+// Cache em memória dos comandos ativos por bot (TTL 60s)
+const cache = new Map();
+const CACHE_TTL_MS = 60000;
+
+function invalidateCache(slug) {
+  cache.delete(slug);
+}
+
+const COMMAND_COLUMNS = `id, bot_slug, command, language_code, description, content, media_refs,
+  active, hit_count, last_hit_at, created_at, updated_at`;
+
+/**
+ * Extrai o comando de um texto (ex: "/Planos@MeuBot vip" → "planos")
+ * @param {string} text - Texto da mensagem
+ * @returns {string|null}
+ */
+function extractCommand(text) {
+  if (typeof text !== 'string') return null;
+  const match = text.trim().match(/^\/([A-Za-z0-9_]{1,32})(?:@\w+)?(?:\s|$)/);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Normaliza language_code do Telegram (ex: "pt-br" → "pt")
+ */
+function normalizeLanguage(language_code) {
+  if (typeof language_code !== 'string') return '';
+  const base = language_code.trim().toLowerCase().slice(0, 2);
+  return LANGUAGE_REGEX.test(base) ? base : '';
+}
+
+/**
+ * Escolhe a variação do comando para o idioma do usuário (idioma exato → padrão)
+ * @param {Array} commands - Comandos ativos
+ * @param {string} command - Comando sem a barra
+ * @param {string} language_code - Idioma do usuário
+ * @returns {object|null}
+ */
+function matchCommand(commands, command, language_code) {
+  if (!command || !Array.isArray(commands)) return null;
+
+  const language = normalizeLanguage(language_code);
+  const candidates = commands.filter(c => c.command === command);
+
+  return (language && candidates.find(c => c.language_code === language))
+    || candidates.find(c => c.language_code === '')
+    || null;
+}
+
+/**
+ * Monta as listas do setMyCommands por idioma
+ * Lista de um idioma = comandos padrão + variações do idioma (que sobrescrevem a descrição)
+ * @param {Array} commands - Comandos ativos
+ * @returns {Map<string, Array>} language_code → [{ command, description }]
+ */
+function buildCommandMenus(commands) {
+  const defaults = new Map();
+  const byLanguage = new Map();
+
+  for (const c of commands || []) {
+    if (c.language_code === '') {
+      defaults.set(c.command, c.description);
+    } else {
+      if (!byLanguage.has(c.language_code)) byLanguage.set(c.language_code, new Map());
+      byLanguage.get(c.language_code).set(c.command, c.description);
+    }
+  }
+
+  const toList = (map) => Array.from(map.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .slice(0, MAX_COMMANDS)
+    .map(([command, description]) => ({ command, description }));
+
+  const menus = new Map();
+  if (defaults.size > 0) menus.set('', toList(defaults));
+  for (const [language, overrides] of byLanguage) {
+    menus.set(language, toList(new Map([...defaults, ...overrides])));
+  }
+  return menus;
+}
+
+async function getActiveCommands(pool, slug) {
+  const cached = cache.get(slug);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL_MS) {
+    return cached.commands;
+  }
+
+  const result = await pool.query(
+    `SELECT ${COMMAND_COLUMNS}
+     FROM public.bot_commands
+     WHERE bot_slug = $1 AND active = true`,
+    [slug]
+  );
+
+  cache.set(slug, { commands: result.rows, timestamp: Date.now() });
+  return result.rows;
+}
+
+/**
+ * Processa comando recebido: envia a resposta configurada
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { slug, chat_id, text, language_code, request_id }
+ * @returns {Promise<object>} { ok, matched, command_id }
+ */
+async function handleBotCommand(pool, { slug, chat_id, text, language_code, request_id }) {
+  const command = extractCommand(text);
+  if (!command || RESERVED_COMMANDS.includes(command)) {
+    return { ok: true, matched: false };
+  }
+
+  let commands;
+  try {
+    commands = await getActiveCommands(pool, slug);
+  } catch (err) {
+    console.error('[BOT_COMMAND][LOAD][ERR]', { request_id, slug, error: err.message });
+    return { ok: false, matched: false, error: err.message };
+  }
+
+  const row = matchCommand(commands, command, language_code);
+  if (!row) {
+    return { ok: true, matched: false };
+  }
+
+  const result = await sendMessageContent(pool, {
+    slug,
+    chat_id,
+    content: row.content || {},
+    media_refs: row.media_refs || [],
+    purpose: 'command',
+    request_id,
+    language_code
+  });
+
+  pool.query(
+    `UPDATE public.bot_commands
+     SET hit_count = hit_count + 1, last_hit_at = now()
+     WHERE id = $1`,
+    [row.id]
+  ).catch(err => {
+    console.error('[BOT_COMMAND][HIT][ERR]', { request_id, slug, command_id: row.id, error: err.message });
+  });
+
+  observe('bot_command_total', 1, { bot: slug, ok: !!result?.ok });
+  console.info('[BOT_COMMAND][MATCH]', {
+    request_id,
+    slug,
+    chat_id,
+    command,
+    language_code: row.language_code,
+    ok: !!result?.ok,
+    error: result?.error
+  });
+
+  return { ok: !!result?.ok, matched: true, command_id: row.id };
+}
+
+/**
+ * Registra o menu de comandos no Telegram (setMyCommands por idioma)
+ * Idiomas sem variação ativa têm a lista removida (deleteMyCommands) e caem no padrão
+ * @param {object} pool - Pool PostgreSQL
+ * @param {string} slug - Slug do bot
+ * @param {object} options - { extra_languages } idiomas a limpar mesmo sem linhas (ex: após exclusão)
+ * @returns {Promise<object>} { ok, languages, error }
+ */
+async function syncBotCommands(pool, slug, { extra_languages = [] } = {}) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug) throw new Error('MISSING_SLUG');
+
+  const result = await pool.query(
+    `SELECT command, language_code, description, active
+     FROM public.bot_commands
+     WHERE bot_slug = $1`,
+    [slug]
+  );
+
+  const menus = buildCommandMenus(result.rows.filter(r => r.active));
+  const languages = new Set(['', ...result.rows.map(r => r.language_code), ...extra_languages]);
+
+  let token;
+  try {
+    token = await getTokenBySlug(pool, slug);
+  } catch (err) {
+    token = null;
+  }
+
+  let error = null;
+  const synced = [];
+
+  if (!token) {
+    error = 'BOT_TOKEN_NOT_SET';
+  } else {
+    for (const language of languages) {
+      const scope = language ? { language_code: language } : {};
+      const commands = menus.get(language);
+      const response = commands
+        ? await telegramClient.callApi(token, 'setMyCommands', { commands, ...scope })
+        : await telegramClient.callApi(token, 'deleteMyCommands', scope);
+
+      if (!response.ok) {
+        error = response.description || response.error || 'TELEGRAM_ERROR';
+        console.error('[BOT_COMMAND][SYNC][ERR]', { slug, language, error });
+        break;
+      }
+      synced.push({ language_code: language, commands: commands ? commands.length : 0 });
+    }
+  }
+
+  await pool.query(
+    `UPDATE public.bots
+     SET commands_synced_at = CASE WHEN $2::text IS NULL THEN now() ELSE commands_synced_at END,
+         commands_sync_error = $2
+     WHERE slug = $1`,
+    [slug, error]
+  ).catch(err => {
+    console.error('[BOT_COMMAND][SYNC][SAVE][ERR]', { slug, error: err.message });
+  });
+
+  console.info('[BOT_COMMAND][SYNC]', { slug, ok: !error, languages: synced, error });
+  return { ok: !error, languages: synced, error };
+}
+
+/**
+ * Valida campos do comando (parcial no update)
+ */
+async function validateCommandFields(pool, fields, { partial = false } = {}) {
+  const normalized = {};
+
+  if (!partial || fields.command !== undefined) {
+    const command = typeof fields.command === 'string'
+      ? fields.command.trim().replace(/^\//, '').toLowerCase()
+      : '';
+    if (!COMMAND_REGEX.test(command)) throw new Error('BOT_COMMAND_INVALID');
+    if (RESERVED_COMMANDS.includes(command)) throw new Error('BOT_COMMAND_RESERVED');
+    normalized.command = command;
+  }
+
+  if (!partial || fields.language_code !== undefined) {
+    const language = typeof fields.language_code === 'string' ? fields.language_code.trim().toLowerCase() : '';
+    if (language && !LANGUAGE_REGEX.test(language)) throw new Error('BOT_COMMAND_LANGUAGE_INVALID');
+    normalized.language_code = language;
+  }
+
+  if (!partial || fields.description !== undefined) {
+    const description = typeof fields.description === 'string' ? fields.description.trim() : '';
+    if (!description) throw new Error('BOT_COMMAND_DESCRIPTION_REQUIRED');
+    if (description.length > MAX_DESCRIPTION_LENGTH) throw new Error('BOT_COMMAND_DESCRIPTION_TOO_LONG');
+    normalized.description = description;
+  }
+
+  if (!partial || fields.content !== undefined || fields.media_refs !== undefined) {
+    const media_refs = await enrichMediaRefs(pool, fields.media_refs);
+    normalized.media_refs = media_refs;
+    normalized.content = validateMessageContent(fields.content || {}, { requireText: media_refs.length === 0 });
+  }
+
+  if (fields.active !== undefined) {
+    normalized.active = fields.active !== false;
+  }
+
+  return normalized;
+}
+
+/**
+ * Lista comandos de um bot
+ */
+async function listBotCommands(pool, slug) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug) throw new Error('MISSING_SLUG');
+
+  const result = await pool.query(
+    `SELECT ${COMMAND_COLUMNS}
+     FROM public.bot_commands
+     WHERE bot_slug = $1
+     ORDER BY command, language_code`,
+    [slug]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Cria comando
+ * @param {object} params - { slug, command, language_code, description, content, media_refs, active }
+ */
+async function createBotCommand(pool, params) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!params.slug) throw new Error('MISSING_SLUG');
+
+  const row = await validateCommandFields(pool, params);
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO public.bot_commands (
+         bot_slug, command, language_code, description, content, media_refs, active, created_at, updated_at
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, now(), now())
+       RETURNING ${COMMAND_COLUMNS}`,
+      [
+        params.slug,
+        row.command,
+        row.language_code,
+        row.description,
+        JSON.stringify(row.content),
+        JSON.stringify(row.media_refs),
+        row.active !== false
+      ]
+    );
+
+    invalidateCache(params.slug);
+    return result.rows[0];
+  } catch (err) {
+    if (err.code === '23505') {
+      throw new Error('BOT_COMMAND_ALREADY_EXISTS');
+    }
+    throw err;
+  }
+}
+
+/**
+ * Atualiza comando
+ * @returns {Promise<object>} { command, previous_language_code }
+ */
+async function updateBotCommand(pool, slug, id, params) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug || !id) throw new Error('MISSING_PARAMS');
+
+  const current = await pool.query(
+    `SELECT language_code, content, media_refs FROM public.bot_commands WHERE id = $1 AND bot_slug = $2`,
+    [id, slug]
+  );
+  if (current.rowCount === 0) {
+    throw new Error('BOT_COMMAND_NOT_FOUND');
+  }
+
+  // Conteúdo e mídias são validados juntos (texto é opcional só quando há mídia)
+  const fields = { ...params };
+  if (fields.content !== undefined || fields.media_refs !== undefined) {
+    if (fields.content === undefined) fields.content = current.rows[0].content;
+    if (fields.media_refs === undefined) fields.media_refs = current.rows[0].media_refs;
+  }
+
+  const row = await validateCommandFields(pool, fields, { partial: true });
+
+  const columns = {
+    command: row.command,
+    language_code: row.language_code,
+    description: row.description,
+    content: row.content !== undefined ? JSON.stringify(row.content) : undefined,
+    media_refs: row.media_refs !== undefined ? JSON.stringify(row.media_refs) : undefined,
+    active: row.active
+  };
+
+  const updates = [];
+  const values = [];
+  let paramIndex = 1;
+
+  for (const [column, value] of Object.entries(columns)) {
+    if (value === undefined) continue;
+    updates.push(`${column} = $${paramIndex++}`);
+    values.push(value);
+  }
+
+  if (updates.length === 0) {
+    throw new Error('NO_FIELDS_TO_UPDATE');
+  }
+
+  updates.push('updated_at = now()');
+  values.push(id, slug);
+
+  try {
+    const result = await pool.query(
+      `UPDATE public.bot_commands
+       SET ${updates.join(', ')}
+       WHERE id = $${paramIndex++} AND bot_slug = $${paramIndex}
+       RETURNING ${COMMAND_COLUMNS}`,
+      values
+    );
+
+    invalidateCache(slug);
+    return { command: result.rows[0], previous_language_code: current.rows[0].language_code };
+  } catch (err) {
+    if (err.code === '23505') {
+      throw new Error('BOT_COMMAND_ALREADY_EXISTS');
+    }
+    throw err;
+  }
+}
+
+/**
+ * Remove comando
+ * @returns {Promise<object|null>} { language_code } do comando removido ou null
+ */
+async function deleteBotCommand(pool, slug, id) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+
+  const result = await pool.query(
+    `DELETE FROM public.bot_commands WHERE id = $1 AND bot_slug = $2 RETURNING language_code`,
+    [id, slug]
+  );
+
+  invalidateCache(slug);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  extractCommand,
+  matchCommand,
+  buildCommandMenus,
+  handleBotCommand,
+  syncBotCommands,
+  listBotCommands,
+  createBotCommand,
+  updateBotCommand,
+  deleteBotCommand,
+  invalidateCache
+};
@@ -3,7 +3,7 @@
  * Fonte de verdade: PostgreSQL (tabela bot_messages)
  */
 
-const { escapeMarkdownV2 } = require('./sendService');
+const { normalizeContentVariants } = require('./localeService');
 
 /**
  * Busca mensagens ativas do /start para um bot (ordenadas por sequence_order)
@@ -62,7 +62,7 @@ async function upsertStartMessage(pool, params) {
   }
   
   // Validar content é um objeto
-  const contentObj = typeof content === 'string' ? JSON.parse(content) : content;
+  const contentObj = normalizeContentVariants(typeof content === 'string' ? JSON.parse(content) : content);
   
   const query = `
     INSERT INTO public.bot_messages (slug, sequence_order, message_type, content, active, created_at, updated_at)
@@ -113,7 +113,7 @@ async function updateStartMessage(pool, id, params) {
   }
   
   if (content !== undefined) {
-    const contentObj = typeof content === 'string' ? JSON.parse(content) : content;
+    const contentObj = normalizeContentVariants(typeof content === 'string' ? JSON.parse(content) : content);
     updates.push(`content = $${paramIndex++}`);
     values.push(JSON.stringify(contentObj));
   }
@@ -164,7 +164,8 @@ async function deleteStartMessage(pool, id) {
 }
 
 /**
- * Prepara mensagem para envio (escapa MarkdownV2 se necessário)
+ * Prepara mensagem para envio
+ * O escape MarkdownV2 (quando raw não é true) fica com o sendService, depois das variáveis de template
  * @param {object} message - Objeto da mensagem
  * @returns {object} Mensagem preparada para envio
  */
@@ -173,18 +174,11 @@ function prepareMessageForSend(message) {
     ? JSON.parse(message.content) 
     : message.content;
   
-  const prepared = {
+  return {
     type: message.message_type,
-    ...content
+    ...content,
+    raw: content?.raw === true
   };
-  
-  // Escapar texto se raw não for true
-  if (prepared.text && !prepared.raw) {
-    prepared.text = escapeMarkdownV2(prepared.text);
-    prepared.raw = true; // já escapado
-  }
-  
-  return prepared;
 }
 
 /**
@@ -196,7 +190,7 @@ function getDefaultStartMessage() {
     content: {
       text: 'Olá! 👋\n\nBem-vindo ao bot!\n\nEste é um teste do serviço de envio automático.',
       parse_mode: 'MarkdownV2',
-      raw: false // será escapado pelo prepareMessageForSend
+      raw: false // será escapado pelo sendService
     }
   };
 }
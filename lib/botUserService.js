@@ -0,0 +1,323 @@
+/**
+ * Registro de assinantes por bot (bot_users)
+ * Upsert a cada update recebido; base das audiências de disparos e downsells
+ */
+
+const { listUserTags } = require('./userTagService');
+const { observe } = require('./metricsService');
+
+const USER_COLUMNS = `id, bot_slug, telegram_id, first_name, last_name, username, language_code, is_premium,
+  first_seen_at, last_seen_at, last_start_at, start_count, blocked, blocked_at, source_payload,
+  created_at, updated_at`;
+
+/**
+ * Extrai o usuário (from) de um update do Telegram
+ * Ignora bots e chats que não são privados
+ * @param {object} update - Update do Telegram
+ * @returns {object|null} { id, first_name, last_name, username, language_code, is_premium }
+ */
+function extractUpdateUser(update) {
+  if (!update || typeof update !== 'object') return null;
+
+  const source = update.message
+    || update.edited_message
+    || update.callback_query
+    || update.my_chat_member
+    || null;
+
+  if (!source || !source.from || source.from.is_bot) return null;
+
+  const chat = source.chat || source.message?.chat;
+  if (chat && chat.type && chat.type !== 'private') return null;
+
+  const from = source.from;
+  return {
+    id: from.id,
+    first_name: from.first_name || null,
+    last_name: from.last_name || null,
+    username: from.username || null,
+    language_code: from.language_code || null,
+    is_premium: from.is_premium === true
+  };
+}
+
+/**
+ * Upsert do usuário a partir de um update
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { slug, user, is_start, payload, seenAt }
+ * @returns {Promise<object>} { ok, inserted }
+ */
+async function upsertBotUser(pool, { slug, user, is_start = false, payload = null, seenAt = new Date() }) {
+  if (!pool) return { ok: false, reason: 'NO_DB' };
+  if (!slug || !user || !user.id) throw new Error('MISSING_PARAMS');
+
+  const result = await pool.query(
+    `INSERT INTO public.bot_users (
+       bot_slug, telegram_id, first_name, last_name, username, language_code, is_premium,
+       first_seen_at, last_seen_at, last_start_at, start_count, source_payload, created_at, updated_at
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8,
+       CASE WHEN $9::boolean THEN $8::timestamptz END,
+       CASE WHEN $9::boolean THEN 1 ELSE 0 END,
+       $10, now(), now())
+     ON CONFLICT (bot_slug, telegram_id) DO UPDATE SET
+       first_name = COALESCE(EXCLUDED.first_name, bot_users.first_name),
+       last_name = EXCLUDED.last_name,
+       username = EXCLUDED.username,
+       language_code = COALESCE(EXCLUDED.language_code, bot_users.language_code),
+       is_premium = EXCLUDED.is_premium,
+       last_seen_at = GREATEST(bot_users.last_seen_at, EXCLUDED.last_seen_at),
+       last_start_at = COALESCE(EXCLUDED.last_start_at, bot_users.last_start_at),
+       start_count = bot_users.start_count + EXCLUDED.start_count,
+       source_payload = COALESCE(bot_users.source_payload, EXCLUDED.source_payload),
+       updated_at = now()
+     RETURNING (xmax = 0) AS inserted`,
+    [
+      slug,
+      user.id,
+      user.first_name,
+      user.last_name,
+      user.username,
+      user.language_code,
+      user.is_premium === true,
+      seenAt,
+      is_start === true,
+      is_start ? payload : null
+    ]
+  );
+
+  return { ok: true, inserted: !!result.rows[0]?.inserted };
+}
+
+/**
+ * Lista usuários de um bot (busca por nome, username ou ID)
+ * @param {object} filters - { search, blocked, started, limit, offset }
+ * @returns {Promise<object>} { users, total }
+ */
+async function listBotUsers(pool, slug, filters = {}) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug) throw new Error('MISSING_SLUG');
+
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+  const conditions = ['bot_slug = $1'];
+  const params = [slug];
+
+  if (filters.search) {
+    const search = String(filters.search).trim().replace(/^@/, '');
+    if (/^\d+$/.test(search)) {
+      params.push(search);
+      conditions.push(`telegram_id = $${params.length}::bigint`);
+    } else if (search) {
+      params.push(`%${search}%`);
+      conditions.push(`(username ILIKE $${params.length} OR first_name ILIKE $${params.length} OR last_name ILIKE $${params.length})`);
+    }
+  }
+
+  if (filters.blocked !== undefined && filters.blocked !== '') {
+    params.push(String(filters.blocked) === 'true');
+    conditions.push(`blocked = $${params.length}`);
+  }
+
+  if (String(filters.started) === 'true') {
+    conditions.push('last_start_at IS NOT NULL');
+  }
+
+  const where = conditions.join(' AND ');
+
+  const countResult = await pool.query(
+    `SELECT COUNT(*)::int AS total FROM public.bot_users WHERE ${where}`,
+    params
+  );
+
+  const result = await pool.query(
+    `SELECT ${USER_COLUMNS}
+     FROM public.bot_users
+     WHERE ${where}
+     ORDER BY last_seen_at DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  return { users: result.rows, total: countResult.rows[0].total, limit, offset };
+}
+
+/**
+ * Detalhe de um usuário (com tags e origem do deep-link)
+ */
+async function getBotUser(pool, slug, telegram_id) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug || !telegram_id) throw new Error('MISSING_PARAMS');
+
+  const result = await pool.query(
+    `SELECT ${USER_COLUMNS}
+     FROM public.bot_users
+     WHERE bot_slug = $1 AND telegram_id = $2`,
+    [slug, telegram_id]
+  );
+
+  if (result.rowCount === 0) {
+    throw new Error('BOT_USER_NOT_FOUND');
+  }
+
+  const [tags, sources] = await Promise.all([
+    listUserTags(pool, slug, telegram_id).catch(() => []),
+    pool.query(
+      `SELECT first_payload, first_campaign, first_utm, first_at, last_payload, last_campaign, last_utm, last_at
+       FROM public.bot_user_sources
+       WHERE bot_slug = $1 AND telegram_id = $2`,
+      [slug, telegram_id]
+    ).then(r => r.rows[0] || null).catch(() => null)
+  ]);
+
+  return { ...result.rows[0], tags, source: sources };
+}
+
+/**
+ * Marca usuário como bloqueado/desbloqueado
+ * Ao bloquear, pendências em downsells_queue e shots_queue são puladas
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { slug, telegram_id, blocked, source, at }
+ * @returns {Promise<object>} { ok, changed, downsells_skipped, shots_skipped }
+ */
+async function setUserBlocked(pool, { slug, telegram_id, blocked, source = 'unknown', at = new Date() }) {
+  if (!pool) return { ok: false, reason: 'NO_DB' };
+  if (!slug || !telegram_id) throw new Error('MISSING_PARAMS');
+
+  const isBlocked = blocked === true;
+
+  const updateResult = await pool.query(
+    `UPDATE public.bot_users
+     SET blocked = $3,
+         blocked_at = CASE WHEN $3 THEN $4 ELSE blocked_at END,
+         updated_at = now()
+     WHERE bot_slug = $1 AND telegram_id = $2 AND blocked IS DISTINCT FROM $3`,
+    [slug, telegram_id, isBlocked, at]
+  );
+
+  let changed = updateResult.rowCount > 0;
+
+  if (!changed) {
+    // Usuário ainda não registrado (ex: bloqueio antes de qualquer update salvo)
+    const insertResult = await pool.query(
+      `INSERT INTO public.bot_users (
+         bot_slug, telegram_id, blocked, blocked_at, first_seen_at, last_seen_at, created_at, updated_at
+       )
+       VALUES ($1, $2, $3, CASE WHEN $3 THEN $4::timestamptz END, $4, $4, now(), now())
+       ON CONFLICT (bot_slug, telegram_id) DO NOTHING`,
+      [slug, telegram_id, isBlocked, at]
+    );
+    changed = insertResult.rowCount > 0 && isBlocked;
+  }
+
+  let downsells_skipped = 0;
+  let shots_skipped = 0;
+
+  if (isBlocked) {
+    const reason = `user_blocked:${source}`;
+    const downsells = await pool.query(
+      `UPDATE public.downsells_queue
+       SET status = 'skipped', cancel_reason = $3, updated_at = now()
+       WHERE bot_slug = $1 AND telegram_id = $2 AND status = 'pending'`,
+      [slug, telegram_id, reason]
+    );
+    const shots = await pool.query(
+      `UPDATE public.shots_queue
+       SET status = 'SKIPPED', error_message = $3, updated_at = now()
+       WHERE bot_slug = $1 AND telegram_id = $2 AND status = 'PENDING'`,
+      [slug, telegram_id, reason]
+    );
+    downsells_skipped = downsells.rowCount;
+    shots_skipped = shots.rowCount;
+  }
+
+  if (changed) {
+    observe(isBlocked ? 'bot_user_blocked_total' : 'bot_user_unblocked_total', 1, { bot: slug });
+    console.info(isBlocked ? '[BOT_USERS][BLOCKED]' : '[BOT_USERS][UNBLOCKED]', {
+      slug,
+      telegram_id,
+      source,
+      downsells_skipped,
+      shots_skipped
+    });
+  }
+
+  return { ok: true, changed, downsells_skipped, shots_skipped };
+}
+
+/**
+ * Trata update my_chat_member (usuário bloqueou/desbloqueou o bot em chat privado)
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { slug, my_chat_member, request_id }
+ */
+async function handleMyChatMember(pool, { slug, my_chat_member, request_id }) {
+  const mcm = my_chat_member || {};
+  if (mcm.chat?.type !== 'private' || !mcm.from?.id) {
+    return { ok: true, ignored: true };
+  }
+
+  const status = mcm.new_chat_member?.status;
+  let blocked;
+  if (status === 'kicked') blocked = true;
+  else if (status === 'member') blocked = false;
+  else return { ok: true, ignored: true };
+
+  const at = mcm.date ? new Date(mcm.date * 1000) : new Date();
+
+  try {
+    return await setUserBlocked(pool, { slug, telegram_id: mcm.from.id, blocked, source: 'my_chat_member', at });
+  } catch (err) {
+    console.error('[BOT_USERS][MY_CHAT_MEMBER][ERR]', { request_id, slug, telegram_id: mcm.from.id, error: err.message });
+    return { ok: false, error: err.message };
+  }
+}
+
+/**
+ * Estatísticas de bloqueio do bot (taxa de bloqueio sobre quem deu /start)
+ */
+async function getBlockStats(pool, slug) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug) throw new Error('MISSING_SLUG');
+
+  const result = await pool.query(
+    `SELECT
+       COUNT(*)::int AS total,
+       COUNT(*) FILTER (WHERE last_start_at IS NOT NULL)::int AS started,
+       COUNT(*) FILTER (WHERE blocked)::int AS blocked,
+       COUNT(*) FILTER (WHERE blocked AND blocked_at > now() - interval '24 hours')::int AS blocked_24h,
+       COUNT(*) FILTER (WHERE blocked AND blocked_at > now() - interval '7 days')::int AS blocked_7d
+     FROM public.bot_users
+     WHERE bot_slug = $1`,
+    [slug]
+  );
+
+  const row = result.rows[0];
+  const base = row.started || row.total;
+
+  return {
+    ...row,
+    block_rate: base > 0 ? Number((row.blocked / base).toFixed(4)) : 0
+  };
+}
+
+/**
+ * Erros de envio que indicam que o usuário não recebe mais mensagens do bot
+ */
+function isBlockedSendError(error) {
+  if (!error) return false;
+  return error === 'BOT_BLOCKED_BY_USER'
+    || error === 'USER_DEACTIVATED'
+    || /bot was blocked|user is deactivated/i.test(String(error));
+}
+
+module.exports = {
+  extractUpdateUser,
+  upsertBotUser,
+  listBotUsers,
+  getBotUser,
+  setUserBlocked,
+  handleMyChatMember,
+  getBlockStats,
+  isBlockedSendError
+};
@@ -0,0 +1,272 @@
+/**
+ * Serviço de ações de botões de callback
+ * O callback_data do botão é a action_key; cada ação tem um tipo e uma config:
+ *   send_message   { content, media_refs }
+ *   start_downsell { downsell_id? }  (sem id: todos os downsells after_start ativos)
+ *   tag_user       { tag, remove? }
+ *   generate_pix   { product_id } ou { price_cents, description? }
+ *   open_url       { url, text? }
+ *   start_flow     { flow_key }  (fluxo de conversa publicado)
+ */
+
+const { MAX_CALLBACK_DATA_BYTES } = require('./inlineKeyboard');
+const { validateMessageContent, enrichMediaRefs } = require('./messageContentService');
+const { isValidTag } = require('./userTagService');
+const { FLOW_KEY_REGEX } = require('./flowService');
+const { getProduct } = require('./productService');
+
+const ACTION_TYPES = ['send_message', 'start_downsell', 'tag_user', 'generate_pix', 'open_url', 'start_flow'];
+
+/**
+ * Valida action_key (usada como callback_data)
+ */
+function validateActionKey(action_key) {
+  if (!action_key || typeof action_key !== 'string' || !action_key.trim()) {
+    throw new Error('ACTION_KEY_REQUIRED');
+  }
+  if (Buffer.byteLength(action_key, 'utf8') > MAX_CALLBACK_DATA_BYTES) {
+    throw new Error('ACTION_KEY_TOO_LONG');
+  }
+  return action_key.trim();
+}
+
+/**
+ * Valida e normaliza config conforme o tipo da ação
+ * @param {string} slug - Bot dono da ação (produto do generate_pix precisa ser dele)
+ */
+async function validateActionConfig(pool, slug, action_type, config = {}) {
+  if (!ACTION_TYPES.includes(action_type)) {
+    throw new Error('INVALID_ACTION_TYPE');
+  }
+
+  const cfg = typeof config === 'string' ? JSON.parse(config) : (config || {});
+
+  switch (action_type) {
+    case 'send_message': {
+      const content = validateMessageContent(cfg.content, { requireText: !(cfg.media_refs && cfg.media_refs.length) });
+      const media_refs = await enrichMediaRefs(pool, cfg.media_refs);
+      return { content, media_refs };
+    }
+
+    case 'start_downsell': {
+      if (cfg.downsell_id === undefined || cfg.downsell_id === null || cfg.downsell_id === '') {
+        return {};
+      }
+      const downsell_id = Number(cfg.downsell_id);
+      if (!Number.isInteger(downsell_id) || downsell_id <= 0) {
+        throw new Error('ACTION_DOWNSELL_ID_INVALID');
+      }
+      return { downsell_id };
+    }
+
+    case 'tag_user': {
+      if (!isValidTag(cfg.tag)) {
+        throw new Error('ACTION_TAG_INVALID');
+      }
+      return { tag: cfg.tag, remove: cfg.remove === true };
+    }
+
+    case 'generate_pix': {
+      // Produto do catálogo: preço e descrição vêm do produto
+      if (cfg.product_id !== undefined && cfg.product_id !== null && cfg.product_id !== '') {
+        const product_id = Number(cfg.product_id);
+        if (!Number.isInteger(product_id) || product_id <= 0) {
+          throw new Error('ACTION_PRODUCT_INVALID');
+        }
+        if (!(await getProduct(pool, slug, product_id))) {
+          throw new Error('ACTION_PRODUCT_NOT_FOUND');
+        }
+        return { product_id };
+      }
+
+      // Sem produto o preço é obrigatório (o clique não teria o que cobrar)
+      if (cfg.price_cents === undefined || cfg.price_cents === null || cfg.price_cents === '') {
+        throw new Error('ACTION_PRICE_REQUIRED');
+      }
+      const price_cents = Number(cfg.price_cents);
+      if (!Number.isInteger(price_cents) || price_cents <= 0) {
+        throw new Error('ACTION_PRICE_INVALID');
+      }
+      const normalized = { price_cents };
+      if (cfg.description) normalized.description = String(cfg.description).slice(0, 140);
+      return normalized;
+    }
+
+    case 'open_url': {
+      const url = typeof cfg.url === 'string' ? cfg.url.trim() : '';
+      if (!/^(https?:\/\/|tg:\/\/)\S+$/i.test(url)) {
+        throw new Error('ACTION_URL_INVALID');
+      }
+      const text = typeof cfg.text === 'string' && cfg.text.trim() ? cfg.text.trim().slice(0, 4096) : null;
+      return text ? { url, text } : { url };
+    }
+
+    case 'start_flow': {
+      const flow_key = typeof cfg.flow_key === 'string' ? cfg.flow_key.trim() : '';
+      if (!FLOW_KEY_REGEX.test(flow_key)) {
+        throw new Error('ACTION_FLOW_KEY_INVALID');
+      }
+      return { flow_key };
+    }
+  }
+
+  return cfg;
+}
+
+/**
+ * Lista ações de um bot
+ */
+async function listCallbackActions(pool, slug) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug) throw new Error('MISSING_SLUG');
+
+  const result = await pool.query(
+    `SELECT id, bot_slug, action_key, action_type, config, answer_text, active, created_at, updated_at
+     FROM public.bot_callback_actions
+     WHERE bot_slug = $1
+     ORDER BY action_key`,
+    [slug]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Busca ação ativa pelo callback_data
+ */
+async function getCallbackAction(pool, slug, action_key) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+
+  const result = await pool.query(
+    `SELECT id, bot_slug, action_key, action_type, config, answer_text, active
+     FROM public.bot_callback_actions
+     WHERE bot_slug = $1 AND action_key = $2 AND active = true
+     LIMIT 1`,
+    [slug, action_key]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Cria ação
+ * @param {object} params - { slug, action_key, action_type, config, answer_text, active }
+ */
+async function createCallbackAction(pool, params) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+
+  const { slug, action_type, config, answer_text = null, active = true } = params;
+  if (!slug) throw new Error('MISSING_SLUG');
+
+  const action_key = validateActionKey(params.action_key);
+  const normalizedConfig = await validateActionConfig(pool, slug, action_type, config);
+
+  if (answer_text && String(answer_text).length > 200) {
+    throw new Error('ANSWER_TEXT_TOO_LONG');
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO public.bot_callback_actions (
+         bot_slug, action_key, action_type, config, answer_text, active, created_at, updated_at
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, now(), now())
+       RETURNING id, bot_slug, action_key, action_type, config, answer_text, active, created_at, updated_at`,
+      [slug, action_key, action_type, JSON.stringify(normalizedConfig), answer_text || null, active !== false]
+    );
+
+    return result.rows[0];
+  } catch (err) {
+    if (err.code === '23505') {
+      throw new Error('ACTION_KEY_ALREADY_EXISTS');
+    }
+    throw err;
+  }
+}
+
+/**
+ * Atualiza ação (action_key é imutável: já está nos botões enviados)
+ * @param {object} params - { action_type, config, answer_text, active }
+ */
+async function updateCallbackAction(pool, slug, id, params) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug || !id) throw new Error('MISSING_PARAMS');
+
+  const current = await pool.query(
+    `SELECT action_type, config FROM public.bot_callback_actions WHERE id = $1 AND bot_slug = $2`,
+    [id, slug]
+  );
+  if (current.rowCount === 0) {
+    throw new Error('CALLBACK_ACTION_NOT_FOUND');
+  }
+
+  const { action_type, config, answer_text, active } = params;
+  const updates = [];
+  const values = [];
+  let paramIndex = 1;
+
+  if (action_type !== undefined || config !== undefined) {
+    const finalType = action_type !== undefined ? action_type : current.rows[0].action_type;
+    const finalConfig = config !== undefined ? config : current.rows[0].config;
+    const normalizedConfig = await validateActionConfig(pool, slug, finalType, finalConfig);
+    updates.push(`action_type = $${paramIndex++}`);
+    values.push(finalType);
+    updates.push(`config = $${paramIndex++}`);
+    values.push(JSON.stringify(normalizedConfig));
+  }
+
+  if (answer_text !== undefined) {
+    if (answer_text && String(answer_text).length > 200) {
+      throw new Error('ANSWER_TEXT_TOO_LONG');
+    }
+    updates.push(`answer_text = $${paramIndex++}`);
+    values.push(answer_text || null);
+  }
+
+  if (active !== undefined) {
+    updates.push(`active = $${paramIndex++}`);
+    values.push(active !== false);
+  }
+
+  if (updates.length === 0) {
+    throw new Error('NO_FIELDS_TO_UPDATE');
+  }
+
+  updates.push('updated_at = now()');
+  values.push(id, slug);
+
+  const result = await pool.query(
+    `UPDATE public.bot_callback_actions
+     SET ${updates.join(', ')}
+     WHERE id = $${paramIndex++} AND bot_slug = $${paramIndex}
+     RETURNING id, bot_slug, action_key, action_type, config, answer_text, active, created_at, updated_at`,
+    values
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Remove ação
+ */
+async function deleteCallbackAction(pool, slug, id) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+
+  const result = await pool.query(
+    `DELETE FROM public.bot_callback_actions WHERE id = $1 AND bot_slug = $2`,
+    [id, slug]
+  );
+
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  ACTION_TYPES,
+  validateActionKey,
+  validateActionConfig,
+  listCallbackActions,
+  getCallbackAction,
+  createCallbackAction,
+  updateCallbackAction,
+  deleteCallbackAction
+};
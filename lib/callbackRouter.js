@@ -0,0 +1,244 @@
+/**
+ * Roteador de callback_query (cliques em botões inline)
+ * 1. Sempre responde o callback (answerCallbackQuery) para encerrar o loading no cliente
+ * 2. Registra evento de funil button_click
+ * 3. Executa a ação configurada para o callback_data (bot_callback_actions),
+ *    entrega o clique ao fluxo de conversa (callback_data "f:...")
+ *    ou gera o PIX do produto (callback_data "p:<produto>[:<downsell>]")
+ */
+
+const { getTokenBySlug } = require('./tokenService');
+const telegramClient = require('./telegramClient');
+const { observe } = require('./metricsService');
+const { insertFunnelEvent } = require('./funnel');
+const { getCallbackAction } = require('./callbackActionService');
+const { sendMessageContent } = require('./messageContentService');
+const { addUserTag, removeUserTag } = require('./userTagService');
+const { FLOW_CALLBACK_PREFIX, handleFlowInput, startConversation } = require('./flowEngine');
+const { getPublishedFlowByKey } = require('./flowService');
+const { generatePixCharge, generateProductPixCharge } = require('./pixChargeService');
+const { parseProductCallback } = require('./productService');
+
+/**
+ * Handlers por tipo de ação
+ * Cada handler recebe (pool, ctx) com { slug, telegram_id, chat_id, bot_username, action, request_id }
+ */
+const ACTION_HANDLERS = {
+  async send_message(pool, { slug, chat_id, action, request_id }) {
+    const config = action.config || {};
+    return sendMessageContent(pool, {
+      slug,
+      chat_id,
+      content: config.content || {},
+      media_refs: config.media_refs || [],
+      purpose: 'callback',
+      request_id
+    });
+  },
+
+  async start_downsell(pool, { slug, telegram_id, action, request_id }) {
+    const { scheduleDownsellsForStart } = require('./downsellService');
+    const scheduled = await scheduleDownsellsForStart(pool, {
+      bot_slug: slug,
+      telegram_id,
+      correlation_id: request_id,
+      now: new Date(),
+      downsell_id_filter: action.config?.downsell_id
+    });
+    return { ok: true, scheduled };
+  },
+
+  async tag_user(pool, { slug, telegram_id, action }) {
+    const { tag, remove } = action.config || {};
+    const changed = remove
+      ? await removeUserTag(pool, { bot_slug: slug, telegram_id, tag })
+      : await addUserTag(pool, { bot_slug: slug, telegram_id, tag, source: `callback:${action.action_key}` });
+    return { ok: true, changed };
+  },
+
+  async generate_pix(pool, { slug, telegram_id, chat_id, action, request_id }) {
+    const { product_id, price_cents, description } = action.config || {};
+    if (product_id) {
+      return generateProductPixCharge(pool, { slug, telegram_id, chat_id, product_id, request_id });
+    }
+    return generatePixCharge(pool, { slug, telegram_id, chat_id, price_cents, description, request_id });
+  },
+
+  async open_url(pool, { slug, chat_id, bot_username, action, request_id }) {
+    const { url, text } = action.config || {};
+    // O answerCallbackQuery só abre t.me/<este bot>?start=...; os demais links vão como botão de URL
+    if (isOwnStartLink(url, bot_username)) {
+      return { ok: true, answered_with_url: true };
+    }
+    return sendMessageContent(pool, {
+      slug,
+      chat_id,
+      content: {
+        text: text || url,
+        buttons: [[{ text: 'Abrir link', url }]]
+      },
+      purpose: 'callback',
+      request_id
+    });
+  },
+
+  async start_flow(pool, { slug, telegram_id, action, request_id }) {
+    const flow = await getPublishedFlowByKey(pool, slug, action.config?.flow_key);
+    if (!flow) {
+      return { ok: false, error: 'FLOW_NOT_PUBLISHED' };
+    }
+    return startConversation(pool, { slug, flow, telegram_id, request_id });
+  }
+};
+
+/**
+ * Link de /start do próprio bot (t.me/<username>?start=...), único aceito na url do answerCallbackQuery
+ */
+function isOwnStartLink(url, bot_username) {
+  if (typeof url !== 'string' || !bot_username) return false;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  return parsed.protocol === 'https:'
+    && ['t.me', 'telegram.me'].includes(parsed.hostname.toLowerCase())
+    && parsed.pathname.replace(/\/$/, '').toLowerCase() === `/${bot_username.toLowerCase()}`
+    && parsed.searchParams.has('start');
+}
+
+/**
+ * Processa um callback_query
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { slug, callback_query, request_id }
+ * @returns {Promise<object>} { ok, action_type, result }
+ */
+async function handleCallbackQuery(pool, { slug, callback_query, request_id }) {
+  const t0 = Date.now();
+  const cq = callback_query || {};
+  const data = typeof cq.data === 'string' ? cq.data : '';
+  const telegram_id = cq.from?.id || null;
+  const chat_id = cq.message?.chat?.id || telegram_id;
+  // A mensagem com o teclado foi enviada pelo próprio bot
+  const bot_username = cq.message?.from?.is_bot ? cq.message.from.username || null : null;
+
+  if (!cq.id) {
+    return { ok: false, error: 'MISSING_CALLBACK_QUERY_ID' };
+  }
+
+  // 1. Buscar ação configurada (falha aqui não impede o answer)
+  let action = null;
+  try {
+    action = data ? await getCallbackAction(pool, slug, data) : null;
+  } catch (err) {
+    console.error('[CALLBACK][LOOKUP][ERR]', { request_id, slug, data, error: err.message });
+  }
+
+  // 2. Responder sempre
+  const token = await getTokenBySlug(pool, slug).catch(() => null);
+  if (token) {
+    const answerOptions = {};
+    if (action?.answer_text) answerOptions.text = action.answer_text;
+    if (action?.action_type === 'open_url' && isOwnStartLink(action.config?.url, bot_username)) {
+      answerOptions.url = action.config.url;
+    }
+
+    const answer = await telegramClient.answerCallbackQuery(token, cq.id, answerOptions);
+    if (!answer.ok) {
+      console.warn('[CALLBACK][ANSWER][ERR]', { request_id, slug, error: answer.error });
+    }
+  } else {
+    console.warn('[CALLBACK][NO_TOKEN]', { request_id, slug });
+  }
+
+  // 3. Evento de funil (não bloqueia a ação)
+  insertFunnelEvent(pool, {
+    slug,
+    event_name: 'button_click',
+    event_id: `bc:${slug}:${cq.id}`,
+    tg_id: telegram_id,
+    meta: {
+      callback_data: data,
+      action_type: action?.action_type || null,
+      message_id: cq.message?.message_id || null
+    }
+  }).catch(err => {
+    console.error('[CALLBACK][FUNNEL][ERR]', { request_id, slug, error: err.message });
+  });
+
+  // Botões de escolha dos fluxos de conversa (callback_data "f:<nó>:<escolha>")
+  if (!action && data.startsWith(FLOW_CALLBACK_PREFIX)) {
+    try {
+      const flowResult = await handleFlowInput(pool, { slug, telegram_id, callback_data: data, request_id });
+      observe('callback_query_total', 1, { bot: slug, action: 'flow' });
+      return { ok: true, action_type: 'flow', result: flowResult };
+    } catch (err) {
+      console.error('[CALLBACK][FLOW][ERR]', { request_id, slug, data, error: err.message });
+      return { ok: false, action_type: 'flow', result: { ok: false, error: err.message } };
+    }
+  }
+
+  // Botões de produto do catálogo
+  const productCallback = action ? null : parseProductCallback(data);
+  if (productCallback) {
+    let productResult;
+    try {
+      productResult = await generateProductPixCharge(pool, { slug, telegram_id, chat_id, ...productCallback, request_id });
+    } catch (err) {
+      productResult = { ok: false, error: err.message };
+    }
+    observe('callback_query_total', 1, { bot: slug, action: 'product' });
+    const log = { request_id, slug, telegram_id, ...productCallback, ok: !!productResult.ok, error: productResult.error };
+    if (productResult.ok) {
+      console.info('[CALLBACK][PRODUCT][OK]', log);
+    } else {
+      console.error('[CALLBACK][PRODUCT][ERR]', log);
+    }
+    return { ok: !!productResult.ok, action_type: 'product', result: productResult };
+  }
+
+  if (!action) {
+    console.info('[CALLBACK][NO_ACTION]', { request_id, slug, data });
+    observe('callback_query_total', 1, { bot: slug, action: 'none' });
+    return { ok: true, action_type: null };
+  }
+
+  // 4. Executar ação
+  const handler = ACTION_HANDLERS[action.action_type];
+  let result;
+  try {
+    result = handler
+      ? await handler(pool, { slug, telegram_id, chat_id, bot_username, action, request_id })
+      : { ok: false, error: 'UNKNOWN_ACTION_TYPE' };
+  } catch (err) {
+    result = { ok: false, error: err.message };
+  }
+
+  const lat_ms = Date.now() - t0;
+  observe('callback_query_total', 1, { bot: slug, action: action.action_type });
+  observe('callback_query_ms', lat_ms, { bot: slug, action: action.action_type });
+
+  const logPayload = {
+    request_id,
+    slug,
+    telegram_id,
+    action_key: action.action_key,
+    action_type: action.action_type,
+    ok: !!result?.ok,
+    error: result?.error,
+    lat_ms
+  };
+  if (result?.ok) {
+    console.info('[CALLBACK][ACTION][OK]', logPayload);
+  } else {
+    console.error('[CALLBACK][ACTION][ERR]', logPayload);
+  }
+
+  return { ok: !!result?.ok, action_type: action.action_type, result };
+}
+
+module.exports = {
+  handleCallbackQuery,
+  ACTION_HANDLERS
+};
@@ -0,0 +1,268 @@
+/**
+ * Entrega automática do produto após a aprovação do pagamento
+ * handlePaymentApproved enfileira em product_deliveries (uma por transação) e o deliveryWorker entrega:
+ * - message: delivery_content/delivery_media_refs do produto
+ * - invite_link: convite de uso único para delivery_chat_id (criado uma vez e reaproveitado nas novas tentativas)
+ * - download_link: botão para delivery_url
+ * Falha no envio reagenda com backoff exponencial até MAX_ATTEMPTS; entregue grava o evento de funil "delivered"
+ * Estorno/chargeback (revokeDelivery): cancela a entrega pendente, revoga o convite e avisa o usuário
+ * se o produto tiver revocation_content
+ */
+
+const { getTokenBySlug } = require('./tokenService');
+const telegramClient = require('./telegramClient');
+const { sendMessageContent } = require('./messageContentService');
+const { insertFunnelEvent } = require('./funnel');
+const { isBlockedSendError } = require('./botUserService');
+const { observe } = require('./metricsService');
+
+const MAX_ATTEMPTS = 8;
+const BASE_BACKOFF_SECONDS = 30;
+const MAX_BACKOFF_SECONDS = 3600;
+
+// Texto puro: sendService escapa para MarkdownV2 no envio (conteúdo sem raw)
+const DEFAULT_TEXTS = {
+  invite_link: 'Pagamento aprovado! Toque no botão abaixo para entrar.',
+  download_link: 'Pagamento aprovado! Toque no botão abaixo para baixar.'
+};
+
+const BUTTON_TEXTS = {
+  invite_link: 'Entrar',
+  download_link: 'Baixar'
+};
+
+/**
+ * Espera antes da próxima tentativa: 30s, 1min, 2min... até 1h
+ */
+function retryDelaySeconds(attempts) {
+  return Math.min(BASE_BACKOFF_SECONDS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_SECONDS);
+}
+
+/**
+ * Enfileira a entrega do produto pago (idempotente por transaction_id; produto sem entrega é ignorado)
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { bot_slug, telegram_id, transaction_id, product_id }
+ * @returns {Promise<object>} { enqueued, delivery_id }
+ */
+async function enqueueDelivery(pool, { bot_slug, telegram_id, transaction_id, product_id }) {
+  const result = await pool.query(
+    `INSERT INTO public.product_deliveries (bot_slug, telegram_id, transaction_id, product_id, delivery_type)
+     SELECT $1, $2, $3, p.id, p.delivery_type
+     FROM public.bot_products p
+     WHERE p.id = $4 AND p.bot_slug = $1 AND p.delivery_type <> 'none'
+     ON CONFLICT (transaction_id) DO NOTHING
+     RETURNING id`,
+    [bot_slug, telegram_id, String(transaction_id), product_id]
+  );
+
+  return { enqueued: result.rowCount > 0, delivery_id: result.rows[0]?.id || null };
+}
+
+/**
+ * Monta conteúdo da mensagem de entrega: texto padrão e botão de acesso para convite/download
+ */
+function buildDeliveryContent(product, access_url) {
+  const content = { ...(product.delivery_content || {}) };
+  const hasMedia = Array.isArray(product.delivery_media_refs) && product.delivery_media_refs.length > 0;
+
+  if (!access_url) return content;
+
+  if (!content.text?.trim() && !hasMedia) {
+    content.text = DEFAULT_TEXTS[product.delivery_type];
+    content.parse_mode = 'MarkdownV2';
+    content.raw = false;
+  }
+  content.buttons = [...(content.buttons || []), [{ text: BUTTON_TEXTS[product.delivery_type], url: access_url }]];
+  return content;
+}
+
+/**
+ * Link de acesso da entrega; convite criado uma única vez por transação
+ */
+async function resolveAccessUrl(pool, token, delivery, product) {
+  if (product.delivery_type === 'download_link') return product.delivery_url;
+  if (product.delivery_type !== 'invite_link') return null;
+  if (delivery.invite_link) return delivery.invite_link;
+
+  const invite = await telegramClient.createChatInviteLink(token, product.delivery_chat_id, {
+    name: `tx ${delivery.transaction_id}`.slice(0, 32),
+    member_limit: 1
+  });
+  if (!invite.ok || !invite.result?.invite_link) {
+    throw new Error(invite.error || 'INVITE_LINK_FAILED');
+  }
+
+  await pool.query(
+    'UPDATE public.product_deliveries SET invite_link = $2, updated_at = now() WHERE id = $1',
+    [delivery.id, invite.result.invite_link]
+  );
+  return invite.result.invite_link;
+}
+
+async function markDelivered(pool, delivery, message_id) {
+  // Revogada durante o envio (estorno): mantém failed e não grava o evento
+  const updated = await pool.query(
+    `UPDATE public.product_deliveries
+     SET status = 'delivered', message_id = $2, last_error = NULL, delivered_at = now(), updated_at = now()
+     WHERE id = $1 AND status = 'processing'`,
+    [delivery.id, message_id || null]
+  );
+  if (updated.rowCount === 0) return;
+
+  try {
+    await insertFunnelEvent(pool, {
+      slug: delivery.bot_slug,
+      event_name: 'delivered',
+      event_id: `dlv:${delivery.bot_slug}:${delivery.transaction_id}`,
+      tg_id: delivery.telegram_id,
+      transaction_id: String(delivery.transaction_id),
+      meta: { product_id: Number(delivery.product_id), delivery_type: delivery.delivery_type }
+    });
+  } catch (err) {
+    console.error('[DELIVERY][FUNNEL][ERR]', { delivery_id: delivery.id, error: err.message });
+  }
+}
+
+/**
+ * Reagenda a entrega ou marca como failed (limite de tentativas ou erro definitivo)
+ */
+async function markAttemptFailed(pool, delivery, error, { permanent = false } = {}) {
+  const failed = permanent || delivery.attempts >= MAX_ATTEMPTS;
+  await pool.query(
+    `UPDATE public.product_deliveries
+     SET status = $2, last_error = $3,
+         next_attempt_at = now() + make_interval(secs => $4),
+         updated_at = now()
+     WHERE id = $1 AND status = 'processing'`,
+    [delivery.id, failed ? 'failed' : 'pending', String(error).slice(0, 500), retryDelaySeconds(delivery.attempts)]
+  );
+  return failed;
+}
+
+/**
+ * Executa uma tentativa de entrega (linha já reservada pelo worker com status processing)
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} delivery - Linha de product_deliveries (attempts já incrementado)
+ * @returns {Promise<object>} { ok, message_id } ou { ok: false, error, failed }
+ */
+async function processDelivery(pool, delivery) {
+  const t0 = Date.now();
+  const log = { delivery_id: delivery.id, slug: delivery.bot_slug, telegram_id: delivery.telegram_id, transaction_id: delivery.transaction_id };
+
+  const { rows } = await pool.query(
+    `SELECT id, name, delivery_type, delivery_content, delivery_media_refs, delivery_chat_id, delivery_url
+     FROM public.bot_products
+     WHERE id = $1 AND bot_slug = $2`,
+    [delivery.product_id, delivery.bot_slug]
+  );
+  if (rows.length === 0) {
+    await markAttemptFailed(pool, delivery, 'PRODUCT_NOT_FOUND', { permanent: true });
+    console.warn('[DELIVERY][FAILED]', { ...log, error: 'PRODUCT_NOT_FOUND' });
+    return { ok: false, error: 'PRODUCT_NOT_FOUND', failed: true };
+  }
+  // Tipo gravado na compra prevalece sobre alterações posteriores no produto
+  const product = { ...rows[0], delivery_type: delivery.delivery_type };
+
+  let result;
+  try {
+    const token = await getTokenBySlug(pool, delivery.bot_slug);
+    if (!token) throw new Error('BOT_TOKEN_NOT_FOUND');
+
+    const access_url = await resolveAccessUrl(pool, token, delivery, product);
+    result = await sendMessageContent(pool, {
+      slug: delivery.bot_slug,
+      chat_id: String(delivery.telegram_id),
+      content: buildDeliveryContent(product, access_url),
+      media_refs: product.delivery_media_refs || [],
+      purpose: 'delivery',
+      request_id: `dlv_${delivery.id}`
+    });
+  } catch (err) {
+    result = { ok: false, error: err.message };
+  }
+
+  observe('product_delivery_total', 1, { bot: delivery.bot_slug, type: product.delivery_type, result: result.ok ? 'ok' : 'error' });
+
+  if (result.ok) {
+    await markDelivered(pool, delivery, result.message_id);
+    console.info('[DELIVERY][OK]', { ...log, product_id: product.id, delivery_type: product.delivery_type, lat_ms: Date.now() - t0 });
+    return { ok: true, message_id: result.message_id };
+  }
+
+  // Usuário bloqueou o bot: novas tentativas não adiantam
+  const failed = await markAttemptFailed(pool, delivery, result.error, { permanent: isBlockedSendError(result.error) });
+  console[failed ? 'error' : 'warn'](failed ? '[DELIVERY][FAILED]' : '[DELIVERY][RETRY]', {
+    ...log,
+    attempts: delivery.attempts,
+    error: result.error
+  });
+  return { ok: false, error: result.error, failed };
+}
+
+/**
+ * Revoga a entrega da transação estornada
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { bot_slug, telegram_id, transaction_id, product_id, reason }
+ * @returns {Promise<object>} { canceled, invite_revoked, notified }
+ */
+async function revokeDelivery(pool, { bot_slug, telegram_id, transaction_id, product_id, reason }) {
+  const outcome = { canceled: false, invite_revoked: false, notified: false };
+
+  // Entrega na fila ou em andamento não é mais concluída; convite já criado é revogado abaixo
+  const deliveries = await pool.query(
+    `UPDATE public.product_deliveries
+     SET status = CASE WHEN status IN ('pending', 'processing') THEN 'failed' ELSE status END,
+         last_error = CASE WHEN status IN ('pending', 'processing') THEN $2 ELSE last_error END,
+         updated_at = now()
+     WHERE transaction_id = $1
+     RETURNING status, last_error, invite_link`,
+    [String(transaction_id), reason]
+  );
+  const delivery = deliveries.rows[0];
+  outcome.canceled = !!delivery && delivery.status === 'failed' && delivery.last_error === reason;
+
+  const { rows } = await pool.query(
+    'SELECT delivery_chat_id, revocation_content FROM public.bot_products WHERE id = $1 AND bot_slug = $2',
+    [product_id, bot_slug]
+  );
+  const product = rows[0];
+  const notify = !!product?.revocation_content?.text?.trim();
+  if (!delivery?.invite_link && !notify) return outcome;
+
+  const token = await getTokenBySlug(pool, bot_slug).catch(() => null);
+  if (!token) {
+    console.warn('[DELIVERY][REVOKE][NO_TOKEN]', { bot_slug, transaction_id });
+    return outcome;
+  }
+
+  if (delivery?.invite_link && product?.delivery_chat_id) {
+    const revoked = await telegramClient.revokeChatInviteLink(token, product.delivery_chat_id, delivery.invite_link);
+    outcome.invite_revoked = revoked.ok;
+    if (!revoked.ok) {
+      console.warn('[DELIVERY][REVOKE][INVITE_ERR]', { bot_slug, transaction_id, error: revoked.error });
+    }
+  }
+
+  if (notify) {
+    const sent = await sendMessageContent(pool, {
+      slug: bot_slug,
+      chat_id: String(telegram_id),
+      content: product.revocation_content,
+      purpose: 'delivery',
+      request_id: `rvk_${transaction_id}`
+    }).catch(err => ({ ok: false, error: err.message }));
+    outcome.notified = !!sent.ok;
+  }
+
+  console.info('[DELIVERY][REVOKED]', { bot_slug, telegram_id, transaction_id, reason, ...outcome });
+  return outcome;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  retryDelaySeconds,
+  enqueueDelivery,
+  buildDeliveryContent,
+  processDelivery,
+  revokeDelivery
+};
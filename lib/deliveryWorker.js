@@ -0,0 +1,139 @@
+/**
+ * Worker de entrega de produtos
+ * Processa product_deliveries pendentes (recém-aprovadas e novas tentativas com backoff)
+ */
+
+const { processDelivery } = require('./deliveryService');
+
+// Entrega reservada há mais que isso é considerada travada (processo caiu no meio) e volta para a fila
+const STALE_PROCESSING_MINUTES = 10;
+
+let isRunning = false;
+let processing = false;
+let workerInterval = null;
+
+/**
+ * Reserva entregas vencidas (SKIP LOCKED permite várias instâncias)
+ */
+async function claimDueDeliveries(pool, limit) {
+  const result = await pool.query(
+    `WITH due AS (
+       SELECT id
+       FROM public.product_deliveries
+       WHERE status = 'pending'
+         AND next_attempt_at <= now()
+       ORDER BY next_attempt_at ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     UPDATE public.product_deliveries d
+     SET status = 'processing', attempts = d.attempts + 1, updated_at = now()
+     FROM due
+     WHERE d.id = due.id
+     RETURNING d.id, d.bot_slug, d.telegram_id, d.transaction_id, d.product_id, d.delivery_type,
+               d.attempts, d.invite_link`,
+    [limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Processa um lote de entregas
+ * @param {object} pool - Pool PostgreSQL
+ */
+async function processBatch(pool) {
+  if (!pool || processing) return;
+  processing = true;
+
+  try {
+    const stale = await pool.query(
+      `UPDATE public.product_deliveries
+       SET status = 'pending', last_error = 'STALE_PROCESSING', updated_at = now()
+       WHERE status = 'processing' AND updated_at < now() - make_interval(mins => $1)`,
+      [STALE_PROCESSING_MINUTES]
+    );
+    if (stale.rowCount > 0) {
+      console.warn('[DELIVERY_WORKER][STALE]', { count: stale.rowCount });
+    }
+
+    const due = await claimDueDeliveries(pool, 20);
+    if (due.length === 0) {
+      return;
+    }
+
+    console.info('[DELIVERY_WORKER] Processando lote:', { count: due.length });
+
+    for (const delivery of due) {
+      try {
+        await processDelivery(pool, delivery);
+      } catch (err) {
+        // Erro de banco no meio da tentativa: volta para a fila e tenta no próximo ciclo
+        console.error('[DELIVERY_WORKER][ITEM_ERR]', { delivery_id: delivery.id, error: err.message });
+        await pool.query(
+          `UPDATE public.product_deliveries
+           SET status = 'pending', last_error = $2, updated_at = now()
+           WHERE id = $1 AND status = 'processing'`,
+          [delivery.id, err.message]
+        ).catch(() => {});
+      }
+    }
+  } catch (err) {
+    console.error('[DELIVERY_WORKER][BATCH_ERR]', { error: err.message });
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Inicia o worker de entregas
+ * @param {object} pool - Pool PostgreSQL
+ * @param {number} intervalMs - Intervalo entre processamentos (padrão: 5s)
+ */
+function start(pool, intervalMs = 5000) {
+  if (isRunning) {
+    console.warn('[DELIVERY_WORKER] Já está rodando');
+    return;
+  }
+
+  if (!pool) {
+    console.warn('[DELIVERY_WORKER] Pool não disponível, worker não iniciado');
+    return;
+  }
+
+  isRunning = true;
+
+  console.info('[DELIVERY_WORKER] Iniciando...', { interval_ms: intervalMs });
+
+  processBatch(pool).catch(err => {
+    console.error('[DELIVERY_WORKER][INIT_ERR]', { error: err.message });
+  });
+
+  workerInterval = setInterval(() => {
+    processBatch(pool).catch(err => {
+      console.error('[DELIVERY_WORKER][INTERVAL_ERR]', { error: err.message });
+    });
+  }, intervalMs);
+}
+
+/**
+ * Para o worker de entregas
+ */
+function stop() {
+  if (!isRunning) {
+    return;
+  }
+
+  if (workerInterval) {
+    clearInterval(workerInterval);
+    workerInterval = null;
+  }
+
+  isRunning = false;
+  console.info('[DELIVERY_WORKER] Parado');
+}
+
+module.exports = {
+  start,
+  stop,
+  processBatch
+};
@@ -5,6 +5,9 @@
 
 const { observe } = require('./metricsService');
 const { hasUnpaidPix } = require('./pixEligibilityService');
+const { normalizeContentButtons } = require('./inlineKeyboard');
+const { normalizeContentVariants } = require('./localeService');
+const { normalizeStepDelay, applyMediaStepDelays } = require('./stepDelayService');
 
 /**
  * Lista downsells configurados para um bot
@@ -18,7 +21,7 @@ async function listDownsells(pool, slug) {
   
   const query = `
     SELECT id, slug, name, content, media_refs, delay_seconds, delay_minutes, 
-           active, after_start, after_pix, created_at, updated_at
+           active, after_start, after_pix, product_id, price_cents, created_at, updated_at
     FROM public.bot_downsells
     WHERE slug = $1
     ORDER BY created_at DESC
@@ -28,10 +31,41 @@ async function listDownsells(pool, slug) {
   return result.rows;
 }
 
+/**
+ * Valida a oferta de produto do downsell
+ * product_id deve ser do mesmo bot; price_cents (opcional) é o preço promocional, abaixo do preço do produto
+ * @returns {Promise<object>} { product_id, price_cents } (null = sem oferta / preço cheio)
+ */
+async function normalizeDownsellOffer(pool, slug, { product_id, price_cents }) {
+  const isEmpty = (value) => value === undefined || value === null || value === '';
+
+  if (isEmpty(product_id)) {
+    if (!isEmpty(price_cents)) throw new Error('INVALID_DOWNSELL_PRICE');
+    return { product_id: null, price_cents: null };
+  }
+
+  const productId = Number(product_id);
+  if (!Number.isInteger(productId) || productId <= 0) throw new Error('INVALID_PRODUCT_ID');
+
+  const product = await pool.query(
+    'SELECT price_cents FROM public.bot_products WHERE id = $1 AND bot_slug = $2',
+    [productId, slug]
+  );
+  if (product.rowCount === 0) throw new Error('INVALID_PRODUCT_ID');
+
+  if (isEmpty(price_cents)) return { product_id: productId, price_cents: null };
+
+  const price = Number(price_cents);
+  if (!Number.isInteger(price) || price <= 0 || price >= product.rows[0].price_cents) {
+    throw new Error('INVALID_DOWNSELL_PRICE');
+  }
+  return { product_id: productId, price_cents: price };
+}
+
 /**
  * Cria um novo downsell
  * @param {object} pool - Pool PostgreSQL
- * @param {object} params - { slug, name, content, media_refs, delay_seconds, active }
+ * @param {object} params - { slug, name, content, media_refs, delay_seconds, active, product_id, price_cents }
  * @returns {Promise<object>}
  */
 async function createDownsell(pool, params) {
@@ -42,13 +76,17 @@ async function createDownsell(pool, params) {
     delay_seconds, delay_minutes = 20, 
     active = true, 
     after_start = true, 
-    after_pix = false 
+    after_pix = false,
+    product_id,
+    price_cents
   } = params;
   
   if (!slug) throw new Error('MISSING_SLUG');
   if (!name) throw new Error('MISSING_NAME');
   if (!content) throw new Error('MISSING_CONTENT');
   
+  const offer = await normalizeDownsellOffer(pool, slug, { product_id, price_cents });
+  
   // Validação e enriquecimento de media_refs
   let enrichedMediaRefs = [];
   
@@ -107,28 +145,30 @@ async function createDownsell(pool, params) {
     }
   }
   
-  const contentObj = typeof content === 'string' ? JSON.parse(content) : content;
+  const contentObj = normalizeStepDelay(normalizeContentVariants(normalizeContentButtons(typeof content === 'string' ? JSON.parse(content) : content)));
   
   const query = `
     INSERT INTO public.bot_downsells (
       slug, name, content, media_refs, delay_seconds, delay_minutes, 
-      active, after_start, after_pix, created_at, updated_at
+      active, after_start, after_pix, product_id, price_cents, created_at, updated_at
     )
-    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, now(), now())
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, now(), now())
     RETURNING id, slug, name, content, media_refs, delay_seconds, delay_minutes, 
-              active, after_start, after_pix, created_at, updated_at
+              active, after_start, after_pix, product_id, price_cents, created_at, updated_at
   `;
   
   const result = await pool.query(query, [
     slug,
     name,
     JSON.stringify(contentObj),
-    JSON.stringify(enrichedMediaRefs),
+    JSON.stringify(applyMediaStepDelays(media_refs, enrichedMediaRefs)),
     delay_seconds || (delay_minutes * 60),
     delay_minutes,
     active,
     after_start,
-    after_pix
+    after_pix,
+    offer.product_id,
+    offer.price_cents
   ]);
   
   return result.rows[0];
@@ -138,25 +178,46 @@ async function createDownsell(pool, params) {
  * Atualiza um downsell existente
  * @param {object} pool - Pool PostgreSQL
  * @param {number} id - ID do downsell
- * @param {object} params - { name, content, media_refs, delay_seconds, active }
+ * @param {object} params - { name, content, media_refs, delay_seconds, active, product_id, price_cents }
  * @returns {Promise<object>}
  */
 async function updateDownsell(pool, id, params) {
   if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
   if (!id) throw new Error('MISSING_ID');
   
-  const { name, content, media_refs, delay_seconds, delay_minutes, active, after_start, after_pix } = params;
+  const { name, content, media_refs, delay_seconds, delay_minutes, active, after_start, after_pix, product_id, price_cents } = params;
   const updates = [];
   const values = [];
   let paramIndex = 1;
   
+  // Oferta validada com o bot do downsell; campo ausente mantém o valor atual
+  if (product_id !== undefined || price_cents !== undefined) {
+    const current = await pool.query(
+      'SELECT slug, product_id, price_cents FROM public.bot_downsells WHERE id = $1',
+      [id]
+    );
+    if (current.rowCount === 0) {
+      throw new Error('DOWNSELL_NOT_FOUND');
+    }
+    const row = current.rows[0];
+    const offer = await normalizeDownsellOffer(pool, row.slug, {
+      product_id: product_id !== undefined ? product_id : row.product_id,
+      // Trocar de produto sem informar o preço volta ao preço cheio
+      price_cents: price_cents !== undefined ? price_cents : (product_id !== undefined ? null : row.price_cents)
+    });
+    updates.push(`product_id = $${paramIndex++}`);
+    values.push(offer.product_id);
+    updates.push(`price_cents = $${paramIndex++}`);
+    values.push(offer.price_cents);
+  }
+  
   if (name !== undefined) {
     updates.push(`name = $${paramIndex++}`);
     values.push(name);
   }
   
   if (content !== undefined) {
-    const contentObj = typeof content === 'string' ? JSON.parse(content) : content;
+    const contentObj = normalizeStepDelay(normalizeContentVariants(normalizeContentButtons(typeof content === 'string' ? JSON.parse(content) : content)));
     updates.push(`content = $${paramIndex++}`);
     values.push(JSON.stringify(contentObj));
   }
@@ -221,7 +282,7 @@ async function updateDownsell(pool, id, params) {
     }
     
     updates.push(`media_refs = $${paramIndex++}`);
-    values.push(JSON.stringify(enrichedMediaRefs));
+    values.push(JSON.stringify(applyMediaStepDelays(media_refs, enrichedMediaRefs)));
   }
   
   if (delay_minutes !== undefined) {
@@ -258,7 +319,7 @@ async function updateDownsell(pool, id, params) {
     SET ${updates.join(', ')}
     WHERE id = $${paramIndex}
     RETURNING id, slug, name, content, delay_seconds, delay_minutes, 
-              active, after_start, after_pix, created_at, updated_at
+              active, after_start, after_pix, product_id, price_cents, created_at, updated_at
   `;
   
   const result = await pool.query(query, values);
@@ -289,35 +350,61 @@ async function deleteDownsell(pool, id) {
 /**
  * Agenda downsells para o gatilho /start
  * @param {object} pool - Pool PostgreSQL
- * @param {object} params - { bot_slug, telegram_id, correlation_id, now }
+ * @param {object} params - { bot_slug, telegram_id, correlation_id, now, downsell_ids, start_flow_id, skip_existing }
+ *   downsell_ids: conjunto do fluxo de /start da campanha (ignora after_start); ausente = after_start
+ *   skip_existing: não reagenda downsells já pendentes ou enviados ao usuário (política de retorno)
  * @returns {Promise<number>} Quantidade agendada
  */
 async function scheduleDownsellsForStart(pool, params) {
   if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
   
-  const { bot_slug, telegram_id, correlation_id, now = new Date(), downsell_id_filter } = params;
+  const { bot_slug, telegram_id, correlation_id, now = new Date(), downsell_id_filter, downsell_ids, start_flow_id, skip_existing = false } = params;
   
   if (!bot_slug) throw new Error('MISSING_BOT_SLUG');
   if (!telegram_id) throw new Error('MISSING_TELEGRAM_ID');
   
+  // Fluxo sem downsells
+  if (Array.isArray(downsell_ids) && downsell_ids.length === 0) {
+    return 0;
+  }
+  
   try {
-    // Buscar downsells ativos com after_start=true
+    // Buscar downsells ativos com after_start=true (ou o conjunto do fluxo / o id pedido)
     let query = `
       SELECT id, delay_minutes
       FROM public.bot_downsells
-      WHERE slug = $1 AND active = true AND after_start = true
+      WHERE slug = $1 AND active = true
     `;
     
     const queryParams = [bot_slug];
+    const hasIdFilter = downsell_id_filter !== undefined && downsell_id_filter !== null;
     
-    // Filtro opcional para testes (com validação de tipo)
-    if (downsell_id_filter !== undefined && downsell_id_filter !== null) {
+    if (Array.isArray(downsell_ids)) {
+      queryParams.push(downsell_ids);
+      query += ` AND id = ANY($${queryParams.length}::bigint[])`;
+    } else if (!hasIdFilter) {
+      query += ` AND after_start = true`;
+    }
+    
+    // Id explícito (botão start_downsell, testes): agenda mesmo sem after_start (com validação de tipo)
+    if (hasIdFilter) {
       const parsedId = Number(downsell_id_filter);
       if (!Number.isInteger(parsedId) || parsedId <= 0) {
         throw new Error('INVALID_DOWNSELL_ID_FILTER');
       }
-      query += ` AND id = $2`;
       queryParams.push(parsedId);
+      query += ` AND id = $${queryParams.length}`;
+    }
+    
+    if (skip_existing) {
+      queryParams.push(telegram_id);
+      query += ` AND NOT EXISTS (
+        SELECT 1 FROM public.downsells_queue q
+        WHERE q.bot_slug = $1
+          AND q.telegram_id = $${queryParams.length}
+          AND q.downsell_id = bot_downsells.id
+          AND q.status IN ('pending', 'sent')
+      )`;
     }
     
     const result = await pool.query(query, queryParams);
@@ -337,6 +424,7 @@ async function scheduleDownsellsForStart(pool, params) {
       `;
       
       const meta = { correlation_id, scheduled_by: 'start_trigger' };
+      if (start_flow_id) meta.start_flow_id = start_flow_id;
       const insertResult = await pool.query(insertQuery, [
         bot_slug,
         String(telegram_id),
@@ -518,9 +606,11 @@ async function getPendingDownsells(pool, limit = 100) {
       dq.id, dq.downsell_id, dq.bot_slug, dq.telegram_id, 
       dq.scheduled_at, dq.trigger, dq.transaction_id, dq.event_id,
       dq.attempts, dq.meta,
-      bd.content, bd.name, bd.media_refs
+      bd.content, bd.name, bd.media_refs, bd.product_id,
+      bu.first_name, bu.username, bu.language_code, COALESCE(bu.blocked, false) AS blocked
     FROM public.downsells_queue dq
     JOIN public.bot_downsells bd ON bd.id = dq.downsell_id
+    LEFT JOIN public.bot_users bu ON bu.bot_slug = dq.bot_slug AND bu.telegram_id = dq.telegram_id
     WHERE dq.status = 'pending' 
       AND dq.scheduled_at <= now()
       AND bd.active = true
@@ -8,16 +8,22 @@ const { getPendingDownsells, markDownsellSent, markDownsellFailed, markDownsellS
 const { checkDownsellEligibility } = require('./pixEligibilityService');
 const { sendMessage } = require('./queuedSend');
 const { observe } = require('./metricsService');
+const { isBlockedSendError } = require('./botUserService');
+const { getBotTypingDelay, resolveStepDelay, pauseWithChatAction, forEachConcurrent } = require('./stepDelayService');
+const { applyDownsellOffer } = require('./productService');
 
 let isRunning = false;
 let workerInterval = null;
+// Lote em andamento (pausas entre etapas podem passar do intervalo do worker)
+let isProcessing = false;
 
 /**
  * Processa um lote de downsells pendentes
  * @param {object} pool - Pool PostgreSQL
  */
 async function processBatch(pool) {
-  if (!pool) return;
+  if (!pool || isProcessing) return;
+  isProcessing = true;
   
   try {
     const pending = await getPendingDownsells(pool, 50);
@@ -28,8 +34,15 @@ async function processBatch(pool) {
     
     console.info('[DOWNSELL_WORKER] Processando lote:', { count: pending.length });
     
-    for (const item of pending) {
+    await forEachConcurrent(pending, config.SEQUENCE_CONCURRENCY, async (item) => {
       try {
+        // Usuário bloqueou o bot depois do agendamento
+        if (item.blocked) {
+          await markDownsellSkipped(pool, item.id, 'user_blocked');
+          observe('downsells_skipped_gate', 1, { bot: item.bot_slug });
+          return;
+        }
+        
         // GATING: Double-check de elegibilidade antes de enviar
         const eligibility = await checkDownsellEligibility(pool, {
           trigger: item.trigger,
@@ -52,13 +65,15 @@ async function processBatch(pool) {
             reason: eligibility.reason
           });
           
-          continue;
+          return;
         }
         
         // Elegível: prosseguir com envio
-        const content = typeof item.content === 'string' 
-          ? JSON.parse(item.content) 
-          : item.content;
+        // Botões do produto ofertado levam o downsell (preço promocional no clique)
+        const content = applyDownsellOffer(
+          typeof item.content === 'string' ? JSON.parse(item.content) : item.content,
+          { product_id: item.product_id, downsell_id: item.downsell_id }
+        );
         
         // Verificar se há mídias configuradas (novo sistema multi-media)
         let mediaRefs = item.media_refs || [];
@@ -77,6 +92,7 @@ async function processBatch(pool) {
         });
         
         let result;
+        const typingDelay = await getBotTypingDelay(pool, item.bot_slug);
         
         if (mediaRefs.length > 0) {
           // Enviar múltiplas mídias primeiro (separadas, sem caption)
@@ -93,7 +109,17 @@ async function processBatch(pool) {
             slug: item.bot_slug,
             chat_id: String(item.telegram_id),
             media_refs: mediaRefs,
-            purpose: 'downsell'
+            purpose: 'downsell',
+            // Sem texto, os botões vão na última mídia
+            buttons: content.text ? undefined : content.buttons,
+            default_delay_ms: typingDelay
+          });
+          
+          await pauseWithChatAction(pool, {
+            slug: item.bot_slug,
+            chat_id: String(item.telegram_id),
+            kind: 'text',
+            delay_ms: resolveStepDelay(content, typingDelay, false)
           });
           
           // Depois enviar texto separado
@@ -106,7 +132,10 @@ async function processBatch(pool) {
               disable_web_page_preview: content.disable_web_page_preview !== false,
               purpose: 'downsell',
               queue_id: item.id,
-              raw: content.raw || false
+              transaction_id: item.transaction_id,
+              raw: content.raw || false,
+              buttons: content.buttons,
+              variants: content.variants
             });
           } else {
             // Falha nas mídias, mas ainda tentar enviar texto
@@ -124,10 +153,20 @@ async function processBatch(pool) {
               disable_web_page_preview: content.disable_web_page_preview !== false,
               purpose: 'downsell',
               queue_id: item.id,
-              raw: content.raw || false
+              transaction_id: item.transaction_id,
+              raw: content.raw || false,
+              buttons: content.buttons,
+              variants: content.variants
             });
           }
         } else {
+          await pauseWithChatAction(pool, {
+            slug: item.bot_slug,
+            chat_id: String(item.telegram_id),
+            kind: 'text',
+            delay_ms: resolveStepDelay(content, typingDelay, true)
+          });
+          
           // Enviar apenas texto via fila com prioridade DOWNSELL
           result = await sendMessage(pool, {
             slug: item.bot_slug,
@@ -137,7 +176,10 @@ async function processBatch(pool) {
             disable_web_page_preview: content.disable_web_page_preview !== false,
             purpose: 'downsell',
             queue_id: item.id,
-            raw: content.raw || false
+            transaction_id: item.transaction_id,
+            raw: content.raw || false,
+            buttons: content.buttons,
+            variants: content.variants
           });
         }
         
@@ -154,6 +196,17 @@ async function processBatch(pool) {
             message_id: result.message_id,
             lat_ms: result.lat_ms
           });
+        } else if (isBlockedSendError(result.error)) {
+          // Bloqueio descoberto no envio: sendService já marcou o usuário em bot_users
+          await markDownsellSkipped(pool, item.id, 'user_blocked');
+          observe('downsells_skipped_gate', 1, { bot: item.bot_slug });
+          
+          console.warn('[DOWNSELL][SKIP][BLOCKED]', {
+            queue_id: item.id,
+            downsell_id: item.downsell_id,
+            bot_slug: item.bot_slug,
+            telegram_id: item.telegram_id
+          });
         } else {
           await markDownsellFailed(pool, item.id, result.error || 'SEND_FAILED');
           observe('downsells_failed', 1, { bot: item.bot_slug });
@@ -179,10 +232,12 @@ async function processBatch(pool) {
         
         await markDownsellFailed(pool, item.id, err.message).catch(() => {});
       }
-    }
+    });
     
   } catch (err) {
     console.error('[DOWNSELL_WORKER][BATCH_ERR]', { error: err.message });
+  } finally {
+    isProcessing = false;
   }
 }
 
@@ -0,0 +1,466 @@
+/**
+ * Motor de execução dos fluxos de conversa
+ * Estado por usuário em bot_flow_states (uma execução aberta por usuário/bot):
+ *   running        executando (reservado por um processo)
+ *   waiting_input  parado em button_choice aguardando clique/resposta
+ *   waiting_timer  parado após wait; o flowWorker retoma em wait_until
+ * Cada execução segue a versão com que começou, mesmo após nova publicação.
+ */
+
+const { sendMessageContent } = require('./messageContentService');
+const { addUserTag, removeUserTag, listUserTags } = require('./userTagService');
+const { getFlowDefinition } = require('./flowService');
+const { isBlockedSendError } = require('./botUserService');
+const { postJson } = require('./outboundWebhookService');
+const { observe } = require('./metricsService');
+
+const FLOW_CALLBACK_PREFIX = 'f:';
+const MAX_STEPS_PER_RUN = 25;
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+const STATE_COLUMNS = `id, bot_slug, telegram_id, flow_id, flow_version, current_node, status, wait_until,
+  vars, steps, started_at`;
+
+/**
+ * callback_data dos botões de um nó button_choice
+ */
+function buildChoiceCallbackData(nodeId, choiceId) {
+  return `${FLOW_CALLBACK_PREFIX}${nodeId}:${choiceId}`;
+}
+
+/**
+ * Escolha correspondente a um clique (callback_data) ou resposta em texto
+ * @returns {object|null} Choice
+ */
+function matchChoice(node, nodeId, { callback_data, text }) {
+  const choices = node.choices || [];
+  if (callback_data) {
+    return choices.find(c => buildChoiceCallbackData(nodeId, c.id) === callback_data) || null;
+  }
+  if (typeof text === 'string' && text.trim()) {
+    const answer = text.trim().toLowerCase();
+    return choices.find(c => c.text.trim().toLowerCase() === answer) || null;
+  }
+  return null;
+}
+
+/**
+ * Avalia uma condição do nó condition
+ */
+async function evaluateCondition(pool, when, ctx) {
+  if (when.tag !== undefined || when.not_tag !== undefined) {
+    const tags = await listUserTags(pool, ctx.slug, ctx.telegram_id);
+    return when.tag !== undefined ? tags.includes(when.tag) : !tags.includes(when.not_tag);
+  }
+  if (when.var !== undefined) {
+    return String(ctx.vars[when.var] ?? '') === String(when.equals);
+  }
+  if (when.answer_contains !== undefined) {
+    return String(ctx.vars.answer || '').toLowerCase().includes(when.answer_contains.toLowerCase());
+  }
+  if (when.paid !== undefined) {
+    // Pagamento estornado/contestado não conta
+    const result = await pool.query(
+      `SELECT 1 FROM public.funnel_events pa
+       WHERE pa.bot_slug = $1 AND pa.tg_id = $2 AND pa.event_name = 'payment_approved'
+         AND NOT EXISTS (
+           SELECT 1 FROM public.funnel_events rv
+           WHERE rv.bot_slug = $1 AND rv.transaction_id = pa.transaction_id
+             AND rv.event_name IN ('payment_refunded', 'payment_chargeback')
+         )
+       LIMIT 1`,
+      [ctx.slug, String(ctx.telegram_id)]
+    );
+    return (result.rowCount > 0) === when.paid;
+  }
+  return false;
+}
+
+/**
+ * POST para a URL do nó (só https público, com timeout e limite de resposta)
+ */
+function callFlowWebhook(node, ctx) {
+  return postJson(node.url, {
+    event: 'flow.webhook',
+    bot_slug: ctx.slug,
+    telegram_id: ctx.telegram_id,
+    flow_id: ctx.flow_id,
+    node: ctx.node_id,
+    vars: ctx.vars
+  }, { timeout_ms: WEBHOOK_TIMEOUT_MS });
+}
+
+/**
+ * Executores por tipo de nó
+ * Retornam { next } para seguir, { halt, current_node, wait_until } para parar ou { error }
+ */
+const NODE_EXECUTORS = {
+  async message(pool, node, ctx) {
+    const result = await sendMessageContent(pool, {
+      slug: ctx.slug,
+      chat_id: ctx.chat_id,
+      content: node.content || {},
+      media_refs: node.media_refs || [],
+      purpose: ctx.purpose,
+      request_id: ctx.request_id
+    });
+    if (!result?.ok && isBlockedSendError(result?.error)) {
+      return { error: 'USER_BLOCKED' };
+    }
+    return { next: node.next };
+  },
+
+  async wait(pool, node) {
+    if (!node.next) return { next: null };
+    return {
+      halt: 'waiting_timer',
+      current_node: node.next,
+      wait_until: new Date(Date.now() + node.minutes * 60000)
+    };
+  },
+
+  async condition(pool, node, ctx) {
+    for (const rule of node.rules) {
+      if (await evaluateCondition(pool, rule.when, ctx)) {
+        return { next: rule.next };
+      }
+    }
+    return { next: node.else };
+  },
+
+  async button_choice(pool, node, ctx) {
+    const content = node.content || {};
+    const choiceRows = node.choices.map(c => [{
+      text: c.text,
+      callback_data: buildChoiceCallbackData(ctx.node_id, c.id)
+    }]);
+
+    const result = await sendMessageContent(pool, {
+      slug: ctx.slug,
+      chat_id: ctx.chat_id,
+      content: { ...content, buttons: [...(content.buttons || []), ...choiceRows] },
+      media_refs: node.media_refs || [],
+      purpose: ctx.purpose,
+      request_id: ctx.request_id
+    });
+    if (!result?.ok && isBlockedSendError(result?.error)) {
+      return { error: 'USER_BLOCKED' };
+    }
+
+    return {
+      halt: 'waiting_input',
+      current_node: ctx.node_id,
+      wait_until: node.timeout_minutes ? new Date(Date.now() + node.timeout_minutes * 60000) : null
+    };
+  },
+
+  async set_tag(pool, node, ctx) {
+    if (node.remove) {
+      await removeUserTag(pool, { bot_slug: ctx.slug, telegram_id: ctx.telegram_id, tag: node.tag });
+    } else {
+      await addUserTag(pool, { bot_slug: ctx.slug, telegram_id: ctx.telegram_id, tag: node.tag, source: `flow:${ctx.flow_id}` });
+    }
+    return { next: node.next };
+  },
+
+  async webhook(pool, node, ctx) {
+    const result = await callFlowWebhook(node, ctx);
+    if (!result.ok) {
+      console.warn('[FLOW][WEBHOOK][ERR]', { slug: ctx.slug, flow_id: ctx.flow_id, node: ctx.node_id, error: result.error });
+      return node.on_error ? { next: node.on_error } : { error: `WEBHOOK_${result.error}` };
+    }
+    if (node.save_as) {
+      ctx.vars[node.save_as] = result.body;
+    }
+    return { next: node.next };
+  },
+
+  async payment(pool, node, ctx) {
+    // Mesma geração de PIX da ação de botão generate_pix (produto do catálogo ou valor avulso)
+    const { ACTION_HANDLERS } = require('./callbackRouter');
+    const result = await ACTION_HANDLERS.generate_pix(pool, {
+      slug: ctx.slug,
+      telegram_id: ctx.telegram_id,
+      chat_id: ctx.chat_id,
+      action: {
+        action_key: `flow:${ctx.flow_id}:${ctx.node_id}`,
+        config: node.product_id
+          ? { product_id: node.product_id }
+          : { price_cents: node.price_cents, description: node.description }
+      },
+      request_id: ctx.request_id
+    });
+    if (!result?.ok) {
+      return node.on_error ? { next: node.on_error } : { error: result?.error || 'PIX_FAILED' };
+    }
+    return { next: node.next };
+  }
+};
+
+/**
+ * Persiste o estado após uma execução
+ * Só grava se a execução ainda estiver aberta: se foi cancelada no meio (reinício do fluxo,
+ * cancelamento pelo painel), não volta a reabri-la
+ * @returns {Promise<boolean>} false se a execução já não estava aberta
+ */
+async function saveState(pool, state) {
+  const finished = ['completed', 'failed', 'cancelled'].includes(state.status);
+  const result = await pool.query(
+    `UPDATE public.bot_flow_states
+     SET current_node = $2, status = $3, wait_until = $4, vars = $5, steps = $6, last_error = $7,
+         updated_at = now(), finished_at = CASE WHEN $8 THEN now() ELSE finished_at END
+     WHERE id = $1 AND status IN ('running', 'waiting_input', 'waiting_timer')`,
+    [
+      state.id,
+      state.current_node,
+      state.status,
+      state.wait_until || null,
+      JSON.stringify(state.vars || {}),
+      state.steps || 0,
+      state.last_error || null,
+      finished
+    ]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Execução cancelada enquanto rodava: nada foi gravado, apenas encerra
+ */
+function markCancelled(state, ctx) {
+  state.status = 'cancelled';
+  console.info('[FLOW][CANCELLED]', { request_id: ctx.request_id, slug: ctx.slug, telegram_id: ctx.telegram_id, flow_id: ctx.flow_id, state_id: state.id });
+  return state;
+}
+
+/**
+ * Executa nós a partir de state.current_node até parar (espera, fim ou erro)
+ * @param {object} state - Linha de bot_flow_states (status running)
+ * @param {object} options - { purpose, request_id }
+ * @returns {Promise<object>} Estado final
+ */
+async function runState(pool, state, { purpose = 'flow', request_id } = {}) {
+  const ctx = {
+    slug: state.bot_slug,
+    telegram_id: Number(state.telegram_id),
+    chat_id: String(state.telegram_id),
+    flow_id: state.flow_id,
+    vars: state.vars || {},
+    purpose,
+    request_id
+  };
+
+  let definition;
+  try {
+    definition = await getFlowDefinition(pool, state.flow_id, state.flow_version);
+  } catch (err) {
+    state.status = 'failed';
+    state.last_error = err.message;
+    if (!(await saveState(pool, state))) return markCancelled(state, ctx);
+    return state;
+  }
+
+  let nodeId = state.current_node;
+  let steps = 0;
+
+  state.status = 'completed';
+  state.wait_until = null;
+
+  while (nodeId) {
+    if (steps >= MAX_STEPS_PER_RUN) {
+      state.status = 'failed';
+      state.last_error = 'FLOW_STEP_LIMIT';
+      break;
+    }
+
+    const node = definition.nodes[nodeId];
+    const executor = node && NODE_EXECUTORS[node.type];
+    if (!executor) {
+      state.status = 'failed';
+      state.last_error = `FLOW_NODE_NOT_FOUND:${nodeId}`;
+      break;
+    }
+
+    steps++;
+    ctx.node_id = nodeId;
+
+    let outcome;
+    try {
+      outcome = await executor(pool, node, ctx);
+    } catch (err) {
+      outcome = { error: err.message };
+    }
+
+    if (outcome.error) {
+      state.status = 'failed';
+      state.last_error = outcome.error;
+      console.error('[FLOW][NODE][ERR]', { slug: ctx.slug, telegram_id: ctx.telegram_id, flow_id: ctx.flow_id, node: nodeId, error: outcome.error });
+      break;
+    }
+
+    if (outcome.halt) {
+      state.status = outcome.halt;
+      state.wait_until = outcome.wait_until || null;
+      nodeId = outcome.current_node;
+      break;
+    }
+
+    nodeId = outcome.next || null;
+  }
+
+  state.current_node = nodeId;
+  state.vars = ctx.vars;
+  state.steps = (state.steps || 0) + steps;
+  if (!(await saveState(pool, state))) return markCancelled(state, ctx);
+
+  if (state.status === 'completed' || state.status === 'failed') {
+    observe(`flow_${state.status}_total`, 1, { bot: ctx.slug });
+    console.info('[FLOW][END]', {
+      request_id,
+      slug: ctx.slug,
+      telegram_id: ctx.telegram_id,
+      flow_id: ctx.flow_id,
+      status: state.status,
+      steps: state.steps,
+      error: state.last_error
+    });
+  }
+
+  return state;
+}
+
+/**
+ * Inicia um fluxo para o usuário (cancela execução aberta anterior)
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { slug, flow, telegram_id, vars, request_id }
+ * @returns {Promise<object>} { ok, state_id, status }
+ */
+async function startConversation(pool, { slug, flow, telegram_id, vars = {}, request_id }) {
+  if (!pool) return { ok: false, reason: 'NO_DB' };
+  if (!slug || !flow || !flow.active_version || !telegram_id) throw new Error('MISSING_PARAMS');
+
+  const definition = await getFlowDefinition(pool, flow.id, flow.active_version);
+
+  // Cancela a execução aberta e insere a nova no mesmo comando: o índice uq_bot_flow_states_open
+  // não deixa dois inícios simultâneos abrirem duas execuções (o perdedor não insere nada)
+  const inserted = await pool.query(
+    `WITH cancelled AS (
+       UPDATE public.bot_flow_states
+       SET status = 'cancelled', last_error = 'restarted', updated_at = now(), finished_at = now()
+       WHERE bot_slug = $1 AND telegram_id = $2 AND status IN ('running', 'waiting_input', 'waiting_timer')
+       RETURNING id
+     )
+     INSERT INTO public.bot_flow_states (
+       bot_slug, telegram_id, flow_id, flow_version, current_node, status, vars, started_at, updated_at
+     )
+     SELECT $1, $2, $3::bigint, $4::integer, $5::text, 'running', $6::jsonb, now(), now()
+     FROM (SELECT count(*) FROM cancelled) c
+     ON CONFLICT (bot_slug, telegram_id) WHERE status IN ('running', 'waiting_input', 'waiting_timer') DO NOTHING
+     RETURNING ${STATE_COLUMNS}`,
+    [slug, telegram_id, flow.id, flow.active_version, definition.start, JSON.stringify(vars)]
+  );
+  if (inserted.rowCount === 0) {
+    console.warn('[FLOW][START][CONFLICT]', { request_id, slug, telegram_id, flow: flow.flow_key });
+    return { ok: false, reason: 'FLOW_START_CONFLICT' };
+  }
+
+  observe('flow_started_total', 1, { bot: slug, flow: flow.flow_key });
+  console.info('[FLOW][START]', { request_id, slug, telegram_id, flow: flow.flow_key, version: flow.active_version });
+
+  const state = await runState(pool, inserted.rows[0], { purpose: 'flow', request_id });
+  return { ok: state.status !== 'failed', state_id: state.id, status: state.status };
+}
+
+/**
+ * Entrada do usuário (clique ou texto) para a execução parada em button_choice
+ * Se a entrada não corresponder a nenhuma escolha, o estado volta a aguardar e o texto
+ * segue para os demais handlers (respostas automáticas)
+ * @param {object} params - { slug, telegram_id, text, callback_data, request_id }
+ * @returns {Promise<object>} { matched }
+ */
+async function handleFlowInput(pool, { slug, telegram_id, text, callback_data, request_id }) {
+  if (!pool || !telegram_id) return { matched: false };
+
+  // Reserva atômica do estado (evita corrida com o worker e cliques duplicados)
+  const claimed = await pool.query(
+    `UPDATE public.bot_flow_states
+     SET status = 'running', updated_at = now()
+     WHERE bot_slug = $1 AND telegram_id = $2 AND status = 'waiting_input'
+     RETURNING ${STATE_COLUMNS}`,
+    [slug, telegram_id]
+  );
+  if (claimed.rowCount === 0) return { matched: false };
+
+  const state = claimed.rows[0];
+  const release = () => pool.query(
+    `UPDATE public.bot_flow_states SET status = 'waiting_input', updated_at = now() WHERE id = $1`,
+    [state.id]
+  );
+
+  let node;
+  try {
+    const definition = await getFlowDefinition(pool, state.flow_id, state.flow_version);
+    node = definition.nodes[state.current_node];
+  } catch (err) {
+    await release();
+    throw err;
+  }
+
+  if (!node || node.type !== 'button_choice') {
+    await release();
+    return { matched: false };
+  }
+
+  const choice = matchChoice(node, state.current_node, { callback_data, text });
+  const vars = state.vars || {};
+  let next;
+
+  if (choice) {
+    vars[node.save_as || state.current_node] = choice.id;
+    next = choice.next || null;
+  } else if (!callback_data && node.text_next && typeof text === 'string' && text.trim()) {
+    vars.answer = text.trim().slice(0, 1000);
+    if (node.save_as) vars[node.save_as] = vars.answer;
+    next = node.text_next;
+  } else {
+    // Clique de uma pergunta antiga ou texto fora das opções
+    await release();
+    return { matched: !!callback_data };
+  }
+
+  state.vars = vars;
+  state.current_node = next;
+  await runState(pool, state, { purpose: 'flow', request_id });
+  return { matched: true, state_id: state.id };
+}
+
+/**
+ * Retoma uma execução vencida (reservada pelo worker com status running)
+ * waiting_timer: segue do nó salvo; waiting_input: timeout do button_choice
+ * @param {object} state - Estado reservado
+ * @param {string} previousStatus - Status antes da reserva
+ */
+async function resumeDueState(pool, state, previousStatus) {
+  if (previousStatus === 'waiting_input') {
+    let node = null;
+    try {
+      const definition = await getFlowDefinition(pool, state.flow_id, state.flow_version);
+      node = definition.nodes[state.current_node];
+    } catch (err) {
+      node = null;
+    }
+    state.current_node = node && node.timeout_next ? node.timeout_next : null;
+  }
+  return runState(pool, state, { purpose: 'flow-timer', request_id: `flow_${state.id}` });
+}
+
+module.exports = {
+  FLOW_CALLBACK_PREFIX,
+  STATE_COLUMNS,
+  buildChoiceCallbackData,
+  matchChoice,
+  startConversation,
+  handleFlowInput,
+  resumeDueState,
+  runState
+};
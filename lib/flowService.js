@@ -0,0 +1,616 @@
+/**
+ * Fluxos de conversa: definição, validação e versionamento
+ * Definição: { start: "<node_id>", nodes: { "<node_id>": { type, ..., next } } }
+ * Tipos de nó:
+ *   message       { content, media_refs?, next? }
+ *   wait          { minutes, next? }
+ *   condition     { rules: [{ when, next }], else? }
+ *                 when: { tag } | { not_tag } | { var, equals } | { answer_contains } | { paid }
+ *   button_choice { content, media_refs?, choices: [{ id, text, next? }], save_as?, text_next?,
+ *                   timeout_minutes?, timeout_next? }
+ *   set_tag       { tag, remove?, next? }
+ *   webhook       { url, save_as?, next?, on_error? }
+ *   payment       { product_id, next?, on_error? } ou { price_cents, description?, next?, on_error? }
+ * Sem next o fluxo termina. Versões são imutáveis; publicar aponta bot_flows.active_version.
+ */
+
+const { validateMessageContent, enrichMediaRefs } = require('./messageContentService');
+const { isValidTag } = require('./userTagService');
+const { parseWebhookUrl } = require('./outboundWebhookService');
+const { getProduct } = require('./productService');
+
+const NODE_TYPES = ['message', 'wait', 'condition', 'button_choice', 'set_tag', 'webhook', 'payment'];
+const TRIGGER_TYPES = ['start', 'manual'];
+const FLOW_KEY_REGEX = /^[a-z0-9_-]{1,32}$/;
+const NODE_ID_REGEX = /^[A-Za-z0-9_-]{1,24}$/; // cabe no callback_data "f:<nó>:<escolha>"
+const PAYLOAD_REGEX = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_NODES = 100;
+const MAX_CHOICES = 10;
+const MAX_WAIT_MINUTES = 30 * 24 * 60;
+// Nós que interrompem a execução (quebram ciclos)
+const BLOCKING_TYPES = ['wait', 'button_choice'];
+
+// Cache em memória dos gatilhos por bot (TTL 60s) e das versões (imutáveis)
+const triggerCache = new Map();
+const versionCache = new Map();
+const CACHE_TTL_MS = 60000;
+
+function invalidateCache(slug) {
+  triggerCache.delete(slug);
+}
+
+const FLOW_COLUMNS = `id, bot_slug, flow_key, name, trigger_type, trigger_value, active_version, active,
+  created_at, updated_at`;
+
+/**
+ * Arestas de saída de um nó
+ */
+function nodeEdges(node) {
+  const edges = [];
+  if (node.next) edges.push(node.next);
+  if (node.type === 'condition') {
+    for (const rule of node.rules || []) if (rule && rule.next) edges.push(rule.next);
+    if (node.else) edges.push(node.else);
+  }
+  if (node.type === 'button_choice') {
+    for (const choice of node.choices || []) if (choice && choice.next) edges.push(choice.next);
+    if (node.text_next) edges.push(node.text_next);
+    if (node.timeout_next) edges.push(node.timeout_next);
+  }
+  if (node.on_error) edges.push(node.on_error);
+  return edges;
+}
+
+function isPositiveInteger(value, max) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 && (!max || n <= max);
+}
+
+/**
+ * Valida campos específicos de cada tipo de nó
+ * @returns {Array<string>} Códigos de erro
+ */
+function validateNodeFields(node) {
+  const errors = [];
+  const checkContent = () => {
+    try {
+      validateMessageContent(node.content, { requireText: !(node.media_refs && node.media_refs.length) });
+    } catch (err) {
+      errors.push(err.message);
+    }
+    if (node.media_refs !== undefined && (!Array.isArray(node.media_refs) || node.media_refs.length > 3)) {
+      errors.push('MEDIA_REFS_INVALID');
+    }
+  };
+
+  switch (node.type) {
+    case 'message':
+      checkContent();
+      break;
+
+    case 'wait':
+      if (!isPositiveInteger(node.minutes, MAX_WAIT_MINUTES)) errors.push('FLOW_WAIT_MINUTES_INVALID');
+      break;
+
+    case 'condition':
+      if (!Array.isArray(node.rules) || node.rules.length === 0) {
+        errors.push('FLOW_CONDITION_RULES_REQUIRED');
+        break;
+      }
+      for (const rule of node.rules) {
+        const when = rule && rule.when;
+        if (!when || typeof when !== 'object') {
+          errors.push('FLOW_CONDITION_WHEN_INVALID');
+        } else if (when.tag !== undefined || when.not_tag !== undefined) {
+          if (!isValidTag(when.tag !== undefined ? when.tag : when.not_tag)) errors.push('FLOW_CONDITION_TAG_INVALID');
+        } else if (when.var !== undefined) {
+          if (typeof when.var !== 'string' || !when.var || when.equals === undefined) errors.push('FLOW_CONDITION_VAR_INVALID');
+        } else if (when.answer_contains !== undefined) {
+          if (typeof when.answer_contains !== 'string' || !when.answer_contains) errors.push('FLOW_CONDITION_ANSWER_INVALID');
+        } else if (typeof when.paid !== 'boolean') {
+          errors.push('FLOW_CONDITION_WHEN_INVALID');
+        }
+        if (!rule || !rule.next) errors.push('FLOW_CONDITION_NEXT_REQUIRED');
+      }
+      break;
+
+    case 'button_choice': {
+      checkContent();
+      if (!Array.isArray(node.choices) || node.choices.length === 0 || node.choices.length > MAX_CHOICES) {
+        errors.push('FLOW_CHOICES_INVALID');
+        break;
+      }
+      const ids = new Set();
+      for (const choice of node.choices) {
+        if (!choice || !NODE_ID_REGEX.test(choice.id || '') || ids.has(choice.id)) errors.push('FLOW_CHOICE_ID_INVALID');
+        if (!choice || typeof choice.text !== 'string' || !choice.text.trim() || choice.text.length > 64) {
+          errors.push('FLOW_CHOICE_TEXT_INVALID');
+        }
+        if (choice) ids.add(choice.id);
+      }
+      if (node.timeout_minutes !== undefined && !isPositiveInteger(node.timeout_minutes, MAX_WAIT_MINUTES)) {
+        errors.push('FLOW_TIMEOUT_MINUTES_INVALID');
+      }
+      break;
+    }
+
+    case 'set_tag':
+      if (!isValidTag(node.tag)) errors.push('FLOW_TAG_INVALID');
+      break;
+
+    case 'webhook':
+      // Só https público (IP interno literal já recusado aqui; nomes são checados no envio)
+      if (typeof node.url !== 'string' || !parseWebhookUrl(node.url).ok) errors.push('FLOW_WEBHOOK_URL_INVALID');
+      break;
+
+    case 'payment':
+      // Produto do catálogo (preço e entrega do produto) ou valor avulso
+      if (node.product_id !== undefined && node.product_id !== null) {
+        if (!isPositiveInteger(node.product_id)) errors.push('FLOW_PRODUCT_INVALID');
+      } else if (!isPositiveInteger(node.price_cents)) {
+        errors.push('FLOW_PRICE_INVALID');
+      }
+      break;
+  }
+
+  if (node.save_as !== undefined && (typeof node.save_as !== 'string' || !NODE_ID_REGEX.test(node.save_as))) {
+    errors.push('FLOW_SAVE_AS_INVALID');
+  }
+
+  return Array.from(new Set(errors));
+}
+
+/**
+ * Detecta ciclo que não passa por nó bloqueante (loop infinito na execução)
+ */
+function findRunawayCycle(nodes) {
+  const state = new Map(); // id → 1 visitando, 2 concluído
+
+  const visit = (id) => {
+    const node = nodes[id];
+    if (!node || BLOCKING_TYPES.includes(node.type)) return null;
+    if (state.get(id) === 1) return id;
+    if (state.get(id) === 2) return null;
+    state.set(id, 1);
+    for (const next of nodeEdges(node)) {
+      const found = visit(next);
+      if (found) return found;
+    }
+    state.set(id, 2);
+    return null;
+  };
+
+  for (const id of Object.keys(nodes)) {
+    const found = visit(id);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Valida a definição de um fluxo
+ * @param {object} definition - { start, nodes }
+ * @returns {object} { valid, errors: [{ node, error }], warnings: [{ node, warning }] }
+ */
+function validateFlowDefinition(definition) {
+  const errors = [];
+  const warnings = [];
+
+  if (!definition || typeof definition !== 'object' || !definition.nodes || typeof definition.nodes !== 'object') {
+    return { valid: false, errors: [{ node: null, error: 'FLOW_NODES_REQUIRED' }], warnings };
+  }
+
+  const nodes = definition.nodes;
+  const ids = Object.keys(nodes);
+
+  if (ids.length === 0) errors.push({ node: null, error: 'FLOW_NODES_REQUIRED' });
+  if (ids.length > MAX_NODES) errors.push({ node: null, error: 'FLOW_TOO_MANY_NODES' });
+  if (!definition.start || !nodes[definition.start]) errors.push({ node: null, error: 'FLOW_START_NODE_INVALID' });
+
+  for (const id of ids) {
+    const node = nodes[id];
+    if (!NODE_ID_REGEX.test(id)) errors.push({ node: id, error: 'FLOW_NODE_ID_INVALID' });
+    if (!node || typeof node !== 'object' || !NODE_TYPES.includes(node.type)) {
+      errors.push({ node: id, error: 'FLOW_NODE_TYPE_INVALID' });
+      continue;
+    }
+    for (const error of validateNodeFields(node)) {
+      errors.push({ node: id, error });
+    }
+    for (const target of nodeEdges(node)) {
+      if (!nodes[target]) errors.push({ node: id, error: `FLOW_NEXT_NODE_NOT_FOUND:${target}` });
+    }
+  }
+
+  if (errors.length === 0) {
+    const cycleAt = findRunawayCycle(nodes);
+    if (cycleAt) errors.push({ node: cycleAt, error: 'FLOW_CYCLE_WITHOUT_WAIT' });
+
+    // Nós inalcançáveis não impedem a publicação
+    const reachable = new Set();
+    const stack = [definition.start];
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (reachable.has(id) || !nodes[id]) continue;
+      reachable.add(id);
+      stack.push(...nodeEdges(nodes[id]));
+    }
+    for (const id of ids) {
+      if (!reachable.has(id)) warnings.push({ node: id, warning: 'FLOW_NODE_UNREACHABLE' });
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Valida e normaliza a definição (conteúdos e mídias enriquecidas, produtos do bot)
+ * @throws FLOW_DEFINITION_INVALID (err.errors com a lista de erros)
+ */
+async function normalizeDefinition(pool, slug, definition) {
+  const validation = validateFlowDefinition(definition);
+  if (!validation.valid) {
+    const err = new Error('FLOW_DEFINITION_INVALID');
+    err.errors = validation.errors;
+    throw err;
+  }
+
+  const nodes = {};
+  const errors = [];
+  for (const [id, node] of Object.entries(definition.nodes)) {
+    const normalized = { ...node };
+    if (node.type === 'message' || node.type === 'button_choice') {
+      normalized.media_refs = await enrichMediaRefs(pool, node.media_refs);
+      normalized.content = validateMessageContent(node.content, { requireText: normalized.media_refs.length === 0 });
+    }
+    if (node.type === 'payment' && node.product_id !== undefined && node.product_id !== null) {
+      normalized.product_id = Number(node.product_id);
+      if (!(await getProduct(pool, slug, normalized.product_id))) {
+        errors.push({ node: id, error: 'FLOW_PRODUCT_NOT_FOUND' });
+      }
+    }
+    nodes[id] = normalized;
+  }
+
+  if (errors.length > 0) {
+    const err = new Error('FLOW_DEFINITION_INVALID');
+    err.errors = errors;
+    throw err;
+  }
+
+  return { start: definition.start, nodes };
+}
+
+function validateTrigger(trigger_type, trigger_value) {
+  if (!TRIGGER_TYPES.includes(trigger_type)) throw new Error('FLOW_TRIGGER_INVALID');
+  if (trigger_type !== 'start' || trigger_value === undefined || trigger_value === null || trigger_value === '') {
+    return null;
+  }
+  if (typeof trigger_value !== 'string' || !PAYLOAD_REGEX.test(trigger_value)) throw new Error('FLOW_TRIGGER_VALUE_INVALID');
+  return trigger_value;
+}
+
+/**
+ * Lista fluxos de um bot
+ */
+async function listFlows(pool, slug) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug) throw new Error('MISSING_SLUG');
+
+  const result = await pool.query(
+    `SELECT ${FLOW_COLUMNS.split(',').map(c => `f.${c.trim()}`).join(', ')},
+       (SELECT MAX(version) FROM public.bot_flow_versions v WHERE v.flow_id = f.id) AS latest_version,
+       (SELECT COUNT(*)::int FROM public.bot_flow_states s
+         WHERE s.flow_id = f.id AND s.status IN ('running', 'waiting_input', 'waiting_timer')) AS open_states
+     FROM public.bot_flows f
+     WHERE f.bot_slug = $1
+     ORDER BY f.name`,
+    [slug]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Detalhe do fluxo com histórico de versões e definição (publicada ou a pedida)
+ */
+async function getFlow(pool, slug, id, { version } = {}) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug || !id) throw new Error('MISSING_PARAMS');
+
+  const result = await pool.query(
+    `SELECT ${FLOW_COLUMNS} FROM public.bot_flows WHERE id = $1 AND bot_slug = $2`,
+    [id, slug]
+  );
+  if (result.rowCount === 0) throw new Error('FLOW_NOT_FOUND');
+  const flow = result.rows[0];
+
+  const versions = await pool.query(
+    `SELECT version, note, created_at FROM public.bot_flow_versions WHERE flow_id = $1 ORDER BY version DESC`,
+    [id]
+  );
+
+  const wanted = version || flow.active_version || versions.rows[0]?.version;
+  let definition = null;
+  if (wanted) {
+    const def = await pool.query(
+      `SELECT definition FROM public.bot_flow_versions WHERE flow_id = $1 AND version = $2`,
+      [id, wanted]
+    );
+    if (def.rowCount === 0) throw new Error('FLOW_VERSION_NOT_FOUND');
+    definition = def.rows[0].definition;
+  }
+
+  return { ...flow, versions: versions.rows, version: wanted || null, definition };
+}
+
+/**
+ * Cria fluxo (com a primeira versão)
+ * @param {object} params - { slug, flow_key, name, trigger_type, trigger_value, definition, note, publish }
+ */
+async function createFlow(pool, params) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!params.slug) throw new Error('MISSING_SLUG');
+
+  const flow_key = typeof params.flow_key === 'string' ? params.flow_key.trim() : '';
+  if (!FLOW_KEY_REGEX.test(flow_key)) throw new Error('FLOW_KEY_INVALID');
+
+  const name = typeof params.name === 'string' ? params.name.trim() : '';
+  if (!name) throw new Error('FLOW_NAME_REQUIRED');
+  if (name.length > 100) throw new Error('FLOW_NAME_TOO_LONG');
+
+  const trigger_type = params.trigger_type || 'manual';
+  const trigger_value = validateTrigger(trigger_type, params.trigger_value);
+  const definition = await normalizeDefinition(pool, params.slug, params.definition);
+
+  try {
+    // Cabeçalho e versão 1 no mesmo comando (atômico)
+    const result = await pool.query(
+      `WITH flow AS (
+         INSERT INTO public.bot_flows (
+           bot_slug, flow_key, name, trigger_type, trigger_value, active_version, active, created_at, updated_at
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, now(), now())
+         RETURNING ${FLOW_COLUMNS}
+       ), first_version AS (
+         INSERT INTO public.bot_flow_versions (flow_id, version, definition, note)
+         SELECT id, 1, $8, $9 FROM flow
+       )
+       SELECT * FROM flow`,
+      [
+        params.slug,
+        flow_key,
+        name,
+        trigger_type,
+        trigger_value,
+        params.publish ? 1 : null,
+        params.active !== false,
+        JSON.stringify(definition),
+        params.note || null
+      ]
+    );
+
+    invalidateCache(params.slug);
+    return { ...result.rows[0], latest_version: 1 };
+  } catch (err) {
+    if (err.code === '23505') {
+      throw new Error('FLOW_ALREADY_EXISTS');
+    }
+    throw err;
+  }
+}
+
+/**
+ * Atualiza dados do fluxo (nome, gatilho, ativo) - a definição muda só por nova versão
+ */
+async function updateFlow(pool, slug, id, params) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug || !id) throw new Error('MISSING_PARAMS');
+
+  const current = await pool.query(
+    `SELECT trigger_type, trigger_value FROM public.bot_flows WHERE id = $1 AND bot_slug = $2`,
+    [id, slug]
+  );
+  if (current.rowCount === 0) throw new Error('FLOW_NOT_FOUND');
+
+  const columns = {};
+
+  if (params.name !== undefined) {
+    const name = typeof params.name === 'string' ? params.name.trim() : '';
+    if (!name) throw new Error('FLOW_NAME_REQUIRED');
+    if (name.length > 100) throw new Error('FLOW_NAME_TOO_LONG');
+    columns.name = name;
+  }
+
+  if (params.trigger_type !== undefined || params.trigger_value !== undefined) {
+    const trigger_type = params.trigger_type !== undefined ? params.trigger_type : current.rows[0].trigger_type;
+    const trigger_value = params.trigger_value !== undefined ? params.trigger_value : current.rows[0].trigger_value;
+    columns.trigger_type = trigger_type;
+    columns.trigger_value = validateTrigger(trigger_type, trigger_value);
+  }
+
+  if (params.active !== undefined) {
+    columns.active = params.active !== false;
+  }
+
+  const updates = [];
+  const values = [];
+  let paramIndex = 1;
+
+  for (const [column, value] of Object.entries(columns)) {
+    updates.push(`${column} = $${paramIndex++}`);
+    values.push(value);
+  }
+
+  if (updates.length === 0) {
+    throw new Error('NO_FIELDS_TO_UPDATE');
+  }
+
+  updates.push('updated_at = now()');
+  values.push(id, slug);
+
+  const result = await pool.query(
+    `UPDATE public.bot_flows
+     SET ${updates.join(', ')}
+     WHERE id = $${paramIndex++} AND bot_slug = $${paramIndex}
+     RETURNING ${FLOW_COLUMNS}`,
+    values
+  );
+
+  invalidateCache(slug);
+  return result.rows[0];
+}
+
+/**
+ * Cria nova versão da definição (opcionalmente publicando)
+ * @param {object} params - { definition, note, publish }
+ * @returns {Promise<object>} { flow_id, version, published }
+ */
+async function createFlowVersion(pool, slug, id, params) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug || !id) throw new Error('MISSING_PARAMS');
+
+  const flow = await pool.query(`SELECT id FROM public.bot_flows WHERE id = $1 AND bot_slug = $2`, [id, slug]);
+  if (flow.rowCount === 0) throw new Error('FLOW_NOT_FOUND');
+
+  const definition = await normalizeDefinition(pool, slug, params.definition);
+
+  const result = await pool.query(
+    `INSERT INTO public.bot_flow_versions (flow_id, version, definition, note)
+     SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3
+     FROM public.bot_flow_versions WHERE flow_id = $1
+     RETURNING version`,
+    [id, JSON.stringify(definition), params.note || null]
+  );
+  const version = result.rows[0].version;
+
+  if (params.publish) {
+    await publishFlowVersion(pool, slug, id, version);
+  }
+
+  return { flow_id: Number(id), version, published: !!params.publish };
+}
+
+/**
+ * Publica uma versão (novas execuções usam esta versão; as em andamento seguem na sua)
+ */
+async function publishFlowVersion(pool, slug, id, version) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+
+  const exists = await pool.query(
+    `SELECT 1 FROM public.bot_flow_versions v
+     JOIN public.bot_flows f ON f.id = v.flow_id
+     WHERE v.flow_id = $1 AND v.version = $2 AND f.bot_slug = $3`,
+    [id, version, slug]
+  );
+  if (exists.rowCount === 0) throw new Error('FLOW_VERSION_NOT_FOUND');
+
+  const result = await pool.query(
+    `UPDATE public.bot_flows SET active_version = $3, updated_at = now()
+     WHERE id = $1 AND bot_slug = $2
+     RETURNING ${FLOW_COLUMNS}`,
+    [id, slug, version]
+  );
+
+  invalidateCache(slug);
+  return result.rows[0];
+}
+
+/**
+ * Remove fluxo (execuções em andamento são removidas em cascata)
+ */
+async function deleteFlow(pool, slug, id) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+
+  const result = await pool.query(
+    `DELETE FROM public.bot_flows WHERE id = $1 AND bot_slug = $2`,
+    [id, slug]
+  );
+
+  invalidateCache(slug);
+  return result.rowCount > 0;
+}
+
+/**
+ * Definição de uma versão (cache sem TTL: versões são imutáveis)
+ */
+async function getFlowDefinition(pool, flow_id, version) {
+  const key = `${flow_id}:${version}`;
+  if (versionCache.has(key)) return versionCache.get(key);
+
+  const result = await pool.query(
+    `SELECT definition FROM public.bot_flow_versions WHERE flow_id = $1 AND version = $2`,
+    [flow_id, version]
+  );
+  if (result.rowCount === 0) throw new Error('FLOW_VERSION_NOT_FOUND');
+
+  versionCache.set(key, result.rows[0].definition);
+  return result.rows[0].definition;
+}
+
+async function getPublishedFlows(pool, slug) {
+  const cached = triggerCache.get(slug);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL_MS) {
+    return cached.flows;
+  }
+
+  const result = await pool.query(
+    `SELECT ${FLOW_COLUMNS}
+     FROM public.bot_flows
+     WHERE bot_slug = $1 AND active = true AND active_version IS NOT NULL`,
+    [slug]
+  );
+
+  triggerCache.set(slug, { flows: result.rows, timestamp: Date.now() });
+  return result.rows;
+}
+
+/**
+ * Fluxo publicado disparado por um gatilho
+ * /start: payload exato vence o fluxo sem trigger_value (qualquer /start)
+ * @param {object} params - { trigger, payload }
+ * @returns {Promise<object|null>}
+ */
+async function resolveTriggeredFlow(pool, slug, { trigger, payload = null }) {
+  if (!pool) return null;
+
+  let flows;
+  try {
+    flows = await getPublishedFlows(pool, slug);
+  } catch (err) {
+    console.error('[FLOW][RESOLVE][ERR]', { slug, error: err.message });
+    return null;
+  }
+
+  const candidates = flows.filter(f => f.trigger_type === trigger);
+  return (payload && candidates.find(f => f.trigger_value === payload))
+    || candidates.find(f => !f.trigger_value)
+    || null;
+}
+
+/**
+ * Fluxo publicado pela chave (gatilho manual, ex: ação de botão start_flow)
+ */
+async function getPublishedFlowByKey(pool, slug, flow_key) {
+  const flows = await getPublishedFlows(pool, slug);
+  return flows.find(f => f.flow_key === flow_key) || null;
+}
+
+module.exports = {
+  NODE_TYPES,
+  TRIGGER_TYPES,
+  FLOW_KEY_REGEX,
+  nodeEdges,
+  validateFlowDefinition,
+  listFlows,
+  getFlow,
+  createFlow,
+  updateFlow,
+  createFlowVersion,
+  publishFlowVersion,
+  deleteFlow,
+  getFlowDefinition,
+  resolveTriggeredFlow,
+  getPublishedFlowByKey,
+  invalidateCache
+};
@@ -0,0 +1,142 @@
+/**
+ * Worker dos fluxos de conversa
+ * Retoma execuções paradas em wait (waiting_timer) e aplica o timeout de button_choice
+ * (waiting_input com wait_until) quando vencem
+ */
+
+const { resumeDueState, STATE_COLUMNS } = require('./flowEngine');
+const { observe } = require('./metricsService');
+
+// Execução reservada há mais que isso é considerada travada (processo caiu no meio)
+const STALE_RUNNING_MINUTES = 15;
+
+let isRunning = false;
+let processing = false;
+let workerInterval = null;
+
+/**
+ * Reserva execuções vencidas (SKIP LOCKED permite várias instâncias)
+ */
+async function claimDueStates(pool, limit) {
+  const result = await pool.query(
+    `WITH due AS (
+       SELECT id, status
+       FROM public.bot_flow_states
+       WHERE status IN ('waiting_timer', 'waiting_input')
+         AND wait_until IS NOT NULL
+         AND wait_until <= now()
+       ORDER BY wait_until ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     UPDATE public.bot_flow_states s
+     SET status = 'running', updated_at = now()
+     FROM due
+     WHERE s.id = due.id
+     RETURNING ${STATE_COLUMNS.split(',').map(c => `s.${c.trim()}`).join(', ')}, due.status AS previous_status`,
+    [limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Processa um lote de execuções vencidas
+ * @param {object} pool - Pool PostgreSQL
+ */
+async function processBatch(pool) {
+  if (!pool || processing) return;
+  processing = true;
+
+  try {
+    const stale = await pool.query(
+      `UPDATE public.bot_flow_states
+       SET status = 'failed', last_error = 'STALE_RUNNING', updated_at = now(), finished_at = now()
+       WHERE status = 'running' AND updated_at < now() - make_interval(mins => $1)`,
+      [STALE_RUNNING_MINUTES]
+    );
+    if (stale.rowCount > 0) {
+      console.warn('[FLOW_WORKER][STALE]', { count: stale.rowCount });
+    }
+
+    const due = await claimDueStates(pool, 50);
+    if (due.length === 0) {
+      return;
+    }
+
+    console.info('[FLOW_WORKER] Processando lote:', { count: due.length });
+
+    for (const state of due) {
+      const { previous_status, ...row } = state;
+      try {
+        await resumeDueState(pool, row, previous_status);
+        observe('flow_resumed_total', 1, { bot: row.bot_slug, reason: previous_status });
+      } catch (err) {
+        console.error('[FLOW_WORKER][ITEM_ERR]', { state_id: row.id, error: err.message });
+        await pool.query(
+          `UPDATE public.bot_flow_states
+           SET status = 'failed', last_error = $2, updated_at = now(), finished_at = now()
+           WHERE id = $1`,
+          [row.id, err.message]
+        ).catch(() => {});
+      }
+    }
+  } catch (err) {
+    console.error('[FLOW_WORKER][BATCH_ERR]', { error: err.message });
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Inicia o worker de fluxos
+ * @param {object} pool - Pool PostgreSQL
+ * @param {number} intervalMs - Intervalo entre processamentos (padrão: 5s)
+ */
+function start(pool, intervalMs = 5000) {
+  if (isRunning) {
+    console.warn('[FLOW_WORKER] Já está rodando');
+    return;
+  }
+
+  if (!pool) {
+    console.warn('[FLOW_WORKER] Pool não disponível, worker não iniciado');
+    return;
+  }
+
+  isRunning = true;
+
+  console.info('[FLOW_WORKER] Iniciando...', { interval_ms: intervalMs });
+
+  processBatch(pool).catch(err => {
+    console.error('[FLOW_WORKER][INIT_ERR]', { error: err.message });
+  });
+
+  workerInterval = setInterval(() => {
+    processBatch(pool).catch(err => {
+      console.error('[FLOW_WORKER][INTERVAL_ERR]', { error: err.message });
+    });
+  }, intervalMs);
+}
+
+/**
+ * Para o worker de fluxos
+ */
+function stop() {
+  if (!isRunning) {
+    return;
+  }
+
+  if (workerInterval) {
+    clearInterval(workerInterval);
+    workerInterval = null;
+  }
+
+  isRunning = false;
+  console.info('[FLOW_WORKER] Parado');
+}
+
+module.exports = {
+  start,
+  stop,
+  processBatch
+};
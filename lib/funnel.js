@@ -5,25 +5,57 @@ const { partitionName } = require('./partitions');
  * Insere evento de start direto na partição do mês.
  * Dedupe forte por event_id (UNIQUE em cada partição).
  * event_id = st:<slug>:<tg_id>:<yyyymmdd>
+ * meta opcional: origem do deep-link (payload, campaign, utm)
  */
-async function insertStartEvent(pool, { slug, tg_id, occurredAt = new Date() }) {
+async function insertStartEvent(pool, { slug, tg_id, meta = null, occurredAt = new Date() }) {
   if (!pool) return { ok: false, reason: 'NO_DB' };
   const part = partitionName(occurredAt);
   const yyyymmdd = occurredAt.toISOString().slice(0,10).replace(/-/g,'');
   const event_id = `st:${slug}:${tg_id}:${yyyymmdd}`;
   // Se o bot não existir, o SELECT não retorna linha → INSERT não acontece (no-op, sem erro)
   const sql = `
-    INSERT INTO ${part} (bot_id, bot_slug, event_name, event_id, tg_id, occurred_at)
-    SELECT b.id, $1, 'start', $2, $3, $4
+    INSERT INTO ${part} (bot_id, bot_slug, event_name, event_id, tg_id, meta, occurred_at)
+    SELECT b.id, $1, 'start', $2, $3, $4, $5
     FROM public.bots b
     WHERE b.slug = $1
     ON CONFLICT (event_id) DO NOTHING
   `;
-  const vals = [slug, event_id, String(tg_id), occurredAt];
+  const vals = [slug, event_id, String(tg_id), meta ? JSON.stringify(meta) : null, occurredAt];
   const r = await pool.query(sql, vals);
   const dedup = r.rowCount === 0;
   try { console.info('[FUNNEL][START]', { slug, tg_id, event_id, dedup }); } catch {}
   return { ok: true, dedup, event_id };
 }
 
-module.exports = { insertStartEvent };
+/**
+ * Insere evento genérico de funil (button_click, pix_created, etc.) na partição do mês.
+ * Dedupe pelo event_id informado pelo chamador.
+ */
+async function insertFunnelEvent(pool, {
+  slug, event_name, event_id, tg_id = null, transaction_id = null,
+  payload_id = null, price_cents = null, meta = null, occurredAt = new Date()
+}) {
+  if (!pool) return { ok: false, reason: 'NO_DB' };
+  if (!slug || !event_name || !event_id) throw new Error('MISSING_FUNNEL_EVENT_FIELDS');
+  const part = partitionName(occurredAt);
+  const sql = `
+    INSERT INTO ${part} (bot_id, bot_slug, event_name, event_id, tg_id, transaction_id, payload_id, price_cents, meta, occurred_at)
+    SELECT b.id, $1, $2, $3, $4, $5, $6, $7, $8, $9
+    FROM public.bots b
+    WHERE b.slug = $1
+    ON CONFLICT (event_id) DO NOTHING
+  `;
+  const vals = [
+    slug, event_name, event_id,
+    tg_id !== null && tg_id !== undefined ? String(tg_id) : null,
+    transaction_id, payload_id, price_cents,
+    meta ? JSON.stringify(meta) : null,
+    occurredAt
+  ];
+  const r = await pool.query(sql, vals);
+  const dedup = r.rowCount === 0;
+  try { console.info('[FUNNEL][EVENT]', { slug, event_name, tg_id, event_id, dedup }); } catch {}
+  return { ok: true, dedup, event_id };
+}
+
+module.exports = { insertStartEvent, insertFunnelEvent };
@@ -0,0 +1,96 @@
+/**
+ * Relatório de funil por campanha (origem do deep-link)
+ * Usuários únicos por etapa (start, button_click, pix_created, payment_approved)
+ * agrupados pela campanha de first-touch ou last-touch
+ */
+
+const { buildSourceCondition } = require('./attributionService');
+
+const DIRECT_CAMPAIGN = '(direto)';
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Gera relatório de funil
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { slug, from, to, touch, campaign, utm_source, utm_medium, payload }
+ * @returns {Promise<object>} { from, to, touch, campaigns: [{ campaign, steps, revenue_cents }] }
+ */
+async function getFunnelReport(pool, params) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+
+  const { slug } = params;
+  if (!slug) throw new Error('MISSING_SLUG');
+
+  const to = params.to ? new Date(params.to) : new Date();
+  const from = params.from ? new Date(params.from) : new Date(to.getTime() - 30 * 86400000);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+    throw new Error('INVALID_DATE_RANGE');
+  }
+  if (to.getTime() - from.getTime() > MAX_RANGE_DAYS * 86400000) {
+    throw new Error('INVALID_DATE_RANGE');
+  }
+
+  // Agrupamento: first (padrão) ou last touch; filtro 'any' agrupa por first
+  const touch = params.touch === 'last' ? 'last' : 'first';
+  const values = [slug, from, to];
+
+  const sourceCondition = buildSourceCondition({
+    campaign: params.campaign,
+    utm_source: params.utm_source,
+    utm_medium: params.utm_medium,
+    payload: params.payload,
+    touch: params.touch || touch
+  }, 'bus', values);
+
+  const result = await pool.query(
+    `SELECT
+       COALESCE(bus.${touch}_campaign, '${DIRECT_CAMPAIGN}') AS campaign,
+       fe.event_name,
+       COUNT(DISTINCT fe.tg_id)::int AS users,
+       COUNT(*)::int AS events,
+       COALESCE(SUM(fe.price_cents) FILTER (WHERE fe.event_name = 'payment_approved'), 0)::bigint AS revenue_cents
+     FROM public.funnel_events fe
+     LEFT JOIN public.bot_user_sources bus
+       ON bus.bot_slug = fe.bot_slug AND bus.telegram_id::text = fe.tg_id
+     WHERE fe.bot_slug = $1
+       AND fe.occurred_at >= $2
+       AND fe.occurred_at < $3
+       ${sourceCondition ? `AND ${sourceCondition}` : ''}
+     GROUP BY 1, 2
+     ORDER BY 1, 2`,
+    values
+  );
+
+  const byCampaign = new Map();
+  for (const row of result.rows) {
+    if (!byCampaign.has(row.campaign)) {
+      byCampaign.set(row.campaign, { campaign: row.campaign, steps: {}, revenue_cents: 0 });
+    }
+    const entry = byCampaign.get(row.campaign);
+    entry.steps[row.event_name] = { users: row.users, events: row.events };
+    entry.revenue_cents += Number(row.revenue_cents) || 0;
+  }
+
+  const campaigns = Array.from(byCampaign.values()).map(entry => {
+    const starts = entry.steps.start?.users || 0;
+    const paid = entry.steps.payment_approved?.users || 0;
+    return {
+      ...entry,
+      conversion_rate: starts > 0 ? Number((paid / starts).toFixed(4)) : null
+    };
+  });
+
+  campaigns.sort((a, b) => (b.steps.start?.users || 0) - (a.steps.start?.users || 0));
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    touch,
+    campaigns
+  };
+}
+
+module.exports = {
+  getFunnelReport
+};
@@ -0,0 +1,271 @@
+/**
+ * Log durável de updates recebidos (bot_inbound_updates)
+ * Cada update é gravado por (bot_slug, update_id) antes do processamento:
+ * retentativas do Telegram com o mesmo update_id são descartadas como duplicatas
+ * Update parado em processing além de PROCESSING_STALE_MINUTES (restart no meio) é processado de novo
+ * se for reentregue; a limpeza periódica marca os demais como failed (PROCESSING_TIMEOUT) para replay
+ */
+
+const { extractUpdateUser } = require('./botUserService');
+const { observe } = require('./metricsService');
+
+const UPDATE_STATUSES = ['received', 'processing', 'processed', 'failed'];
+
+// Retenção do log (dias) e intervalo da limpeza
+const RETENTION_DAYS = parseInt(process.env.INBOUND_UPDATES_RETENTION_DAYS, 10) || 14;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // 1h
+const PROCESSING_STALE_MINUTES = 5;
+
+const LIST_COLUMNS = `id, bot_slug, update_id, kind, telegram_id, status, error, duration_ms,
+  duplicate_count, last_duplicate_at, replay_count, last_replayed_at, received_at, processed_at`;
+
+/**
+ * Tipo do update (mesma classificação do log de processamento)
+ */
+function getUpdateKind(update) {
+  if (update?.message) return 'message';
+  if (update?.callback_query) return 'callback_query';
+  if (update?.my_chat_member) return 'my_chat_member';
+  return 'other';
+}
+
+/**
+ * Grava o update antes do processamento
+ * Em conflito (bot_slug, update_id) contabiliza a duplicata; se o registro estiver parado em
+ * processing, retoma o processamento (duplicate false)
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { slug, update }
+ * @returns {Promise<object>} { id, duplicate, status, retried }
+ */
+async function recordInboundUpdate(pool, { slug, update }) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug || !Number.isInteger(update?.update_id)) throw new Error('MISSING_PARAMS');
+
+  const user = extractUpdateUser(update);
+
+  const result = await pool.query(
+    `INSERT INTO public.bot_inbound_updates (
+       bot_slug, update_id, kind, telegram_id, payload, status, received_at, processing_started_at
+     )
+     VALUES ($1, $2, $3, $4, $5, 'processing', now(), now())
+     ON CONFLICT (bot_slug, update_id) DO UPDATE SET
+       duplicate_count = bot_inbound_updates.duplicate_count + 1,
+       last_duplicate_at = now(),
+       processing_started_at = CASE
+         WHEN bot_inbound_updates.status = 'processing'
+          AND COALESCE(bot_inbound_updates.processing_started_at, bot_inbound_updates.received_at)
+              < now() - make_interval(mins => $6)
+         THEN now()
+         ELSE bot_inbound_updates.processing_started_at
+       END
+     RETURNING id, status, (xmax = 0) AS inserted, (processing_started_at = now()) AS claimed`,
+    [slug, update.update_id, getUpdateKind(update), user ? user.id : null, JSON.stringify(update), PROCESSING_STALE_MINUTES]
+  );
+
+  const row = result.rows[0];
+  const retried = !row.inserted && row.claimed;
+  if (retried) {
+    console.warn('[INBOUND_UPDATES][STALE_RETRY]', { slug, update_id: update.update_id, id: row.id });
+  } else if (!row.inserted) {
+    observe('webhook_duplicate_update', 1, { bot: slug });
+  }
+
+  return { id: row.id, duplicate: !row.inserted && !retried, status: row.status, retried };
+}
+
+/**
+ * Registra o resultado do processamento
+ * @param {object} result - { ok, error, duration_ms }
+ */
+async function markUpdateResult(pool, id, { ok, error = null, duration_ms = null }) {
+  if (!pool || !id) return;
+
+  await pool.query(
+    `UPDATE public.bot_inbound_updates
+     SET status = $2, error = $3, duration_ms = $4, processed_at = now()
+     WHERE id = $1`,
+    [id, ok ? 'processed' : 'failed', ok ? null : (error || 'UNKNOWN_ERROR'), duration_ms]
+  );
+}
+
+/**
+ * Lista updates recebidos de um bot (mais recentes primeiro, sem payload)
+ * @param {object} filters - { status, kind, telegram_id, limit, offset }
+ * @returns {Promise<object>} { updates, total, limit, offset }
+ */
+async function listInboundUpdates(pool, slug, filters = {}) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug) throw new Error('MISSING_SLUG');
+
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+  const conditions = ['bot_slug = $1'];
+  const params = [slug];
+
+  if (filters.status) {
+    if (!UPDATE_STATUSES.includes(filters.status)) throw new Error('INVALID_STATUS');
+    params.push(filters.status);
+    conditions.push(`status = $${params.length}`);
+  }
+
+  if (filters.kind) {
+    params.push(String(filters.kind));
+    conditions.push(`kind = $${params.length}`);
+  }
+
+  if (filters.telegram_id) {
+    if (!/^\d+$/.test(String(filters.telegram_id))) throw new Error('INVALID_TELEGRAM_ID');
+    params.push(String(filters.telegram_id));
+    conditions.push(`telegram_id = $${params.length}::bigint`);
+  }
+
+  const where = conditions.join(' AND ');
+
+  const countResult = await pool.query(
+    `SELECT COUNT(*)::int AS total FROM public.bot_inbound_updates WHERE ${where}`,
+    params
+  );
+
+  const result = await pool.query(
+    `SELECT ${LIST_COLUMNS}
+     FROM public.bot_inbound_updates
+     WHERE ${where}
+     ORDER BY received_at DESC, id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  return { updates: result.rows, total: countResult.rows[0].total, limit, offset };
+}
+
+/**
+ * Update gravado (com payload completo)
+ * @throws INBOUND_UPDATE_NOT_FOUND
+ */
+async function getInboundUpdate(pool, slug, update_id) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug || !update_id) throw new Error('MISSING_PARAMS');
+
+  const result = await pool.query(
+    `SELECT ${LIST_COLUMNS}, payload
+     FROM public.bot_inbound_updates
+     WHERE bot_slug = $1 AND update_id = $2`,
+    [slug, update_id]
+  );
+
+  if (result.rowCount === 0) {
+    throw new Error('INBOUND_UPDATE_NOT_FOUND');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Reprocessa um update gravado pelo mesmo caminho do webhook (depuração)
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { slug, update_id, processUpdate, request_id }
+ * @returns {Promise<object>} Registro atualizado
+ * @throws INBOUND_UPDATE_IN_PROCESSING se ainda estiver em processing
+ */
+async function replayInboundUpdate(pool, { slug, update_id, processUpdate, request_id }) {
+  const stored = await getInboundUpdate(pool, slug, update_id);
+
+  // Não reprocessa em paralelo com o processamento em andamento (ou outro replay)
+  const claimed = await pool.query(
+    `UPDATE public.bot_inbound_updates
+     SET status = 'processing', processing_started_at = now(), replay_count = replay_count + 1, last_replayed_at = now()
+     WHERE id = $1 AND status <> 'processing'`,
+    [stored.id]
+  );
+  if (claimed.rowCount === 0) {
+    throw new Error('INBOUND_UPDATE_IN_PROCESSING');
+  }
+
+  const started = Date.now();
+  const result = await processUpdate({ slug, update: stored.payload, request_id, received_at: started });
+  await markUpdateResult(pool, stored.id, { ...result, duration_ms: Date.now() - started });
+
+  console.info('[INBOUND_UPDATES][REPLAY]', { request_id, slug, update_id, ok: !!result?.ok, error: result?.error });
+  return getInboundUpdate(pool, slug, update_id);
+}
+
+/**
+ * Remove updates mais antigos que a retenção
+ * @returns {Promise<number>} Quantidade removida
+ */
+async function purgeInboundUpdates(pool, days = RETENTION_DAYS) {
+  if (!pool) return 0;
+
+  const result = await pool.query(
+    `DELETE FROM public.bot_inbound_updates
+     WHERE received_at < now() - make_interval(days => $1)`,
+    [days]
+  );
+
+  if (result.rowCount > 0) {
+    console.info('[INBOUND_UPDATES][PURGE]', { removed: result.rowCount, retention_days: days });
+  }
+  return result.rowCount;
+}
+
+/**
+ * Marca como failed os updates parados em processing (restart durante o processamento)
+ * Assim aparecem entre as falhas e podem ser reprocessados pelo replay
+ * @returns {Promise<number>} Quantidade marcada
+ */
+async function failStaleProcessing(pool, minutes = PROCESSING_STALE_MINUTES) {
+  if (!pool) return 0;
+
+  const result = await pool.query(
+    `UPDATE public.bot_inbound_updates
+     SET status = 'failed', error = 'PROCESSING_TIMEOUT', processed_at = now()
+     WHERE status = 'processing'
+       AND COALESCE(processing_started_at, received_at) < now() - make_interval(mins => $1)`,
+    [minutes]
+  );
+
+  if (result.rowCount > 0) {
+    console.warn('[INBOUND_UPDATES][STALE]', { failed: result.rowCount, stale_minutes: minutes });
+  }
+  return result.rowCount;
+}
+
+/**
+ * Inicia limpeza periódica do log (retenção e updates parados em processing)
+ * @returns {Function} Para a limpeza
+ */
+function startRetentionCleanup(pool) {
+  const cleanup = () => {
+    failStaleProcessing(pool).catch(err => {
+      console.error('[INBOUND_UPDATES][STALE][ERR]', { error: err.message });
+    });
+    purgeInboundUpdates(pool).catch(err => {
+      console.error('[INBOUND_UPDATES][PURGE][ERR]', { error: err.message });
+    });
+  };
+
+  // Primeira passada pouco depois do boot: é quando sobram updates de um processo interrompido
+  const initial = setTimeout(cleanup, PROCESSING_STALE_MINUTES * 60 * 1000);
+  initial.unref();
+  const interval = setInterval(cleanup, CLEANUP_INTERVAL_MS);
+
+  interval.unref();
+  return () => {
+    clearTimeout(initial);
+    clearInterval(interval);
+  };
+}
+
+module.exports = {
+  UPDATE_STATUSES,
+  getUpdateKind,
+  recordInboundUpdate,
+  markUpdateResult,
+  listInboundUpdates,
+  getInboundUpdate,
+  replayInboundUpdate,
+  failStaleProcessing,
+  purgeInboundUpdates,
+  startRetentionCleanup
+};
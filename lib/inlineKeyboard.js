@@ -0,0 +1,165 @@
+/**
+ * Inline keyboard (botões) para mensagens do Telegram
+ * Formato armazenado: array de linhas, cada linha é um array de botões
+ *   [[{ text, url }], [{ text, callback_data }, { text, url }]]
+ * Cada botão tem exatamente uma ação: url, callback_data ou product_id
+ * Botão de produto ({ text, product_id }) é salvo como callback_data "p:<product_id>" (gera o PIX do produto)
+ */
+
+const MAX_BUTTONS_PER_ROW = 8;
+const MAX_BUTTONS_TOTAL = 100;
+const MAX_BUTTON_TEXT = 64;
+const MAX_CALLBACK_DATA_BYTES = 64;
+
+const URL_REGEX = /^(https?:\/\/[^\s]+|tg:\/\/[^\s]+)$/i;
+
+const PRODUCT_CALLBACK_PREFIX = 'p:';
+
+/**
+ * callback_data do botão de produto; com downsell_id, o clique usa o preço promocional do downsell
+ */
+function productCallbackData(product_id, downsell_id) {
+  return downsell_id
+    ? `${PRODUCT_CALLBACK_PREFIX}${product_id}:${downsell_id}`
+    : `${PRODUCT_CALLBACK_PREFIX}${product_id}`;
+}
+
+/**
+ * Valida e normaliza os botões
+ * Lança Error com código (BUTTONS_*, BUTTON_*) se inválido
+ * @param {Array} buttons - Linhas de botões
+ * @returns {Array} Linhas normalizadas (linhas vazias removidas)
+ */
+function validateButtons(buttons) {
+  if (buttons === undefined || buttons === null) {
+    return [];
+  }
+
+  if (!Array.isArray(buttons)) {
+    throw new Error('BUTTONS_INVALID');
+  }
+
+  const rows = [];
+  let total = 0;
+
+  for (const row of buttons) {
+    if (!Array.isArray(row)) {
+      throw new Error('BUTTONS_INVALID');
+    }
+
+    if (row.length === 0) continue;
+
+    if (row.length > MAX_BUTTONS_PER_ROW) {
+      throw new Error('BUTTONS_ROW_MAX_8');
+    }
+
+    const normalizedRow = [];
+
+    for (const button of row) {
+      if (!button || typeof button !== 'object') {
+        throw new Error('BUTTONS_INVALID');
+      }
+
+      const text = typeof button.text === 'string' ? button.text.trim() : '';
+      if (!text) {
+        throw new Error('BUTTON_TEXT_REQUIRED');
+      }
+      if (text.length > MAX_BUTTON_TEXT) {
+        throw new Error('BUTTON_TEXT_TOO_LONG');
+      }
+
+      const url = typeof button.url === 'string' ? button.url.trim() : '';
+      const hasProduct = button.product_id !== undefined && button.product_id !== null;
+      let callback_data = typeof button.callback_data === 'string' ? button.callback_data : '';
+
+      if ([url, callback_data, hasProduct].filter(Boolean).length !== 1) {
+        throw new Error('BUTTON_ACTION_REQUIRED');
+      }
+
+      if (hasProduct) {
+        const product_id = Number(button.product_id);
+        if (!Number.isInteger(product_id) || product_id <= 0) {
+          throw new Error('BUTTON_PRODUCT_INVALID');
+        }
+        callback_data = productCallbackData(product_id);
+      }
+
+      if (url) {
+        if (!URL_REGEX.test(url)) {
+          throw new Error('BUTTON_URL_INVALID');
+        }
+        normalizedRow.push({ text, url });
+      } else {
+        if (Buffer.byteLength(callback_data, 'utf8') > MAX_CALLBACK_DATA_BYTES) {
+          throw new Error('BUTTON_CALLBACK_DATA_TOO_LONG');
+        }
+        normalizedRow.push({ text, callback_data });
+      }
+    }
+
+    total += normalizedRow.length;
+    if (total > MAX_BUTTONS_TOTAL) {
+      throw new Error('BUTTONS_MAX_100');
+    }
+
+    rows.push(normalizedRow);
+  }
+
+  return rows;
+}
+
+/**
+ * Valida os botões de um objeto de conteúdo ({ text, ..., buttons })
+ * @param {object} content - Conteúdo da mensagem
+ * @returns {object} Cópia com buttons normalizado (omitido se vazio)
+ */
+function normalizeContentButtons(content) {
+  if (!content || typeof content !== 'object') {
+    return content;
+  }
+
+  const { buttons, ...rest } = content;
+  const rows = validateButtons(buttons);
+
+  return rows.length > 0 ? { ...rest, buttons: rows } : rest;
+}
+
+/**
+ * Monta o reply_markup do Telegram a partir dos botões salvos
+ * Não lança erro: botões inválidos são descartados com log
+ * @param {Array} buttons - Linhas de botões
+ * @returns {object|undefined} { inline_keyboard } ou undefined se não houver botões
+ */
+function buildReplyMarkup(buttons) {
+  if (!buttons || (Array.isArray(buttons) && buttons.length === 0)) {
+    return undefined;
+  }
+
+  try {
+    const rows = validateButtons(buttons);
+    return rows.length > 0 ? { inline_keyboard: rows } : undefined;
+  } catch (err) {
+    console.warn('[INLINE_KEYBOARD][INVALID]', { error: err.message });
+    return undefined;
+  }
+}
+
+/**
+ * Indica se um código de erro veio da validação de botões (para mapear em 400)
+ */
+function isButtonsError(code) {
+  return typeof code === 'string' && /^BUTTONS?_/.test(code);
+}
+
+module.exports = {
+  PRODUCT_CALLBACK_PREFIX,
+  productCallbackData,
+  validateButtons,
+  normalizeContentButtons,
+  buildReplyMarkup,
+  isButtonsError,
+  MAX_BUTTONS_PER_ROW,
+  MAX_BUTTONS_TOTAL,
+  MAX_BUTTON_TEXT,
+  MAX_CALLBACK_DATA_BYTES
+};
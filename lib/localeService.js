@@ -0,0 +1,116 @@
+/**
+ * Variantes de conteúdo por idioma (language_code do Telegram)
+ * Formato: content.variants = { es: { text, buttons }, en: { text } }
+ * O texto/botões de content são o padrão; a variante é escolhida no envio
+ * (código exato, depois o idioma base: pt-br -> pt)
+ */
+
+const { validateButtons } = require('./inlineKeyboard');
+
+const LANGUAGE_CODE_REGEX = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/;
+const MAX_VARIANTS = 10;
+
+/**
+ * Normaliza language_code (pt_BR -> pt-br); null se inválido
+ */
+function normalizeLanguageCode(code) {
+  if (!code || typeof code !== 'string') return null;
+  const normalized = code.trim().toLowerCase().replace(/_/g, '-');
+  return LANGUAGE_CODE_REGEX.test(normalized) ? normalized : null;
+}
+
+/**
+ * Valida as variantes de um objeto de conteúdo
+ * @param {object} content - Conteúdo da mensagem
+ * @returns {object} Cópia com variants normalizado (omitido se vazio)
+ */
+function normalizeContentVariants(content) {
+  if (!content || typeof content !== 'object') {
+    return content;
+  }
+
+  const { variants, ...rest } = content;
+  if (variants === undefined || variants === null) {
+    return rest;
+  }
+  if (typeof variants !== 'object' || Array.isArray(variants)) {
+    throw new Error('MESSAGE_VARIANTS_MUST_BE_OBJECT');
+  }
+
+  const entries = Object.entries(variants);
+  if (entries.length > MAX_VARIANTS) {
+    throw new Error('MESSAGE_VARIANTS_MAX_10');
+  }
+
+  const normalized = {};
+  for (const [key, variant] of entries) {
+    const code = normalizeLanguageCode(key);
+    if (!code) throw new Error('INVALID_LANGUAGE_CODE');
+
+    const text = typeof variant?.text === 'string' ? variant.text : '';
+    // Variante vazia = sem tradução (descartada; usuário recebe o padrão)
+    if (!text.trim()) continue;
+    if (text.length > 4096) throw new Error('MESSAGE_VARIANT_TEXT_TOO_LONG');
+
+    const rows = validateButtons(variant.buttons);
+    normalized[code] = rows.length > 0 ? { text, buttons: rows } : { text };
+  }
+
+  return Object.keys(normalized).length > 0 ? { ...rest, variants: normalized } : rest;
+}
+
+/**
+ * Escolhe a variante para um idioma
+ * @returns {object|null} { language, variant }
+ */
+function selectVariant(variants, language_code) {
+  const code = normalizeLanguageCode(language_code);
+  if (!code || !variants || typeof variants !== 'object') return null;
+
+  if (variants[code]) return { language: code, variant: variants[code] };
+
+  const base = code.split('-')[0];
+  if (variants[base]) return { language: base, variant: variants[base] };
+
+  return null;
+}
+
+/**
+ * Texto e botões no idioma do usuário (sem variante, o padrão)
+ * @param {object} content - { text, buttons, variants }
+ * @param {string} language_code - Idioma do usuário
+ * @returns {object} { text, buttons, language } (language null = padrão)
+ */
+function localizeContent({ text, buttons, variants }, language_code) {
+  const selected = selectVariant(variants, language_code);
+  if (!selected) return { text, buttons, language: null };
+
+  return {
+    text: selected.variant.text,
+    // Sem botões próprios, a variante herda os do padrão
+    buttons: selected.variant.buttons || buttons,
+    language: selected.language
+  };
+}
+
+/**
+ * Idioma registrado do usuário (bot_users.language_code)
+ */
+async function getUserLanguage(pool, slug, telegram_id) {
+  if (!pool || !slug || !telegram_id) return null;
+
+  const result = await pool.query(
+    `SELECT language_code FROM public.bot_users WHERE bot_slug = $1 AND telegram_id = $2`,
+    [slug, telegram_id]
+  );
+  return result.rows[0]?.language_code || null;
+}
+
+module.exports = {
+  LANGUAGE_CODE_REGEX,
+  normalizeLanguageCode,
+  normalizeContentVariants,
+  selectVariant,
+  localizeContent,
+  getUserLanguage
+};
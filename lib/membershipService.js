@@ -0,0 +1,283 @@
+/**
+ * Assinaturas VIP (public.bot_memberships): acesso com vencimento a canal/grupo privado
+ * Criada/renovada na aprovação do pagamento de produto invite_link (handlePaymentApproved):
+ * renovação de assinatura ativa soma access_days ao vencimento atual; vencida recomeça do pagamento
+ * O membershipWorker envia o lembrete com botão de renovação (callback "p:<id>" gera o PIX)
+ * e, no vencimento, remove o membro com banChatMember + unbanChatMember (pode voltar por um novo convite)
+ * Estorno/chargeback antecipa o vencimento (revokeMembership) e a remoção segue pelo mesmo worker
+ */
+
+const { getTokenBySlug } = require('./tokenService');
+const telegramClient = require('./telegramClient');
+const { sendMessageContent } = require('./messageContentService');
+const { isBlockedSendError } = require('./botUserService');
+const { escapeMarkdownV2 } = require('./sendService');
+const { productCallbackData } = require('./inlineKeyboard');
+const { observe } = require('./metricsService');
+
+const LIST_FILTERS = ['active', 'expiring', 'expired'];
+const DEFAULT_EXPIRING_DAYS = 3;
+const MAX_REMOVE_ATTEMPTS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MEMBERSHIP_COLUMNS = `id, bot_slug, telegram_id, product_id, chat_id, transaction_id, status, starts_at, ends_at,
+  reminder_sent_at, removed_at, revoked_at, remove_attempts, last_error, created_at, updated_at`;
+
+/**
+ * Cria ou renova a assinatura do pagamento aprovado (só produtos invite_link com chat configurado)
+ * Mesmo transaction_id não renova duas vezes (reenvio do webhook)
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { bot_slug, telegram_id, product_id, transaction_id, now }
+ * @returns {Promise<object|null>} Assinatura gravada ou null (produto sem assinatura ou pagamento já aplicado)
+ */
+async function upsertMembershipForPayment(pool, { bot_slug, telegram_id, product_id, transaction_id, now = new Date() }) {
+  const result = await pool.query(
+    `INSERT INTO public.bot_memberships AS m (
+       bot_slug, telegram_id, product_id, chat_id, transaction_id, status, starts_at, ends_at, next_attempt_at
+     )
+     SELECT $1, $2::bigint, p.id, p.delivery_chat_id, $4, 'active', $5::timestamptz,
+            CASE WHEN p.access_days IS NULL THEN NULL ELSE $5::timestamptz + make_interval(days => p.access_days) END,
+            $5::timestamptz
+     FROM public.bot_products p
+     WHERE p.id = $3 AND p.bot_slug = $1 AND p.delivery_type = 'invite_link' AND p.delivery_chat_id IS NOT NULL
+     ON CONFLICT (bot_slug, telegram_id, product_id) DO UPDATE SET
+       chat_id = EXCLUDED.chat_id,
+       transaction_id = EXCLUDED.transaction_id,
+       starts_at = CASE WHEN m.status = 'active' THEN m.starts_at ELSE EXCLUDED.starts_at END,
+       ends_at = CASE
+         WHEN EXCLUDED.ends_at IS NULL OR (m.status = 'active' AND m.ends_at IS NULL) THEN NULL
+         WHEN m.status = 'active' THEN GREATEST(m.ends_at, EXCLUDED.starts_at) + (EXCLUDED.ends_at - EXCLUDED.starts_at)
+         ELSE EXCLUDED.ends_at
+       END,
+       status = 'active',
+       reminder_sent_at = NULL,
+       removed_at = NULL,
+       revoked_at = NULL,
+       remove_attempts = 0,
+       next_attempt_at = EXCLUDED.starts_at,
+       last_error = NULL,
+       updated_at = now()
+     WHERE m.transaction_id IS DISTINCT FROM EXCLUDED.transaction_id
+     RETURNING ${MEMBERSHIP_COLUMNS.split(',').map(c => `m.${c.trim()}`).join(', ')}`,
+    [bot_slug, String(telegram_id), product_id, String(transaction_id), now]
+  );
+
+  const membership = result.rows[0] || null;
+  if (membership) {
+    console.info('[MEMBERSHIP][UPSERT]', {
+      bot_slug,
+      telegram_id,
+      product_id,
+      transaction_id,
+      membership_id: membership.id,
+      ends_at: membership.ends_at
+    });
+  }
+  return membership;
+}
+
+/**
+ * Revoga a assinatura paga pela transação estornada: vence agora e o membershipWorker remove o membro
+ * (com as mesmas novas tentativas do vencimento normal)
+ * @param {object} params - { bot_slug, transaction_id }
+ * @returns {Promise<object|null>} Assinatura revogada ou null (transação não é a vigente de nenhuma assinatura)
+ */
+async function revokeMembership(pool, { bot_slug, transaction_id }) {
+  const result = await pool.query(
+    `UPDATE public.bot_memberships
+     SET ends_at = now(),
+         revoked_at = now(),
+         reminder_sent_at = COALESCE(reminder_sent_at, now()),
+         next_attempt_at = now(),
+         updated_at = now()
+     WHERE bot_slug = $1 AND transaction_id = $2 AND status = 'active'
+     RETURNING ${MEMBERSHIP_COLUMNS}`,
+    [bot_slug, String(transaction_id)]
+  );
+
+  const membership = result.rows[0] || null;
+  if (membership) {
+    console.info('[MEMBERSHIP][REVOKED]', { bot_slug, transaction_id, membership_id: membership.id, telegram_id: membership.telegram_id });
+  }
+  return membership;
+}
+
+/**
+ * Lista assinaturas do bot com contagem por situação
+ * expiring = ativa que vence nos próximos `days` dias
+ * @param {object} filters - { status: active|expiring|expired, days, product_id, telegram_id, limit, offset }
+ * @returns {Promise<object>} { memberships, total, counts: { active, expiring, expired }, days, limit, offset }
+ */
+async function listMemberships(pool, slug, filters = {}) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug) throw new Error('MISSING_SLUG');
+
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+  let days = DEFAULT_EXPIRING_DAYS;
+  if (filters.days !== undefined && filters.days !== '') {
+    days = Number(filters.days);
+    if (!Number.isInteger(days) || days <= 0 || days > 60) throw new Error('INVALID_DAYS');
+  }
+
+  const status = filters.status ? String(filters.status).toLowerCase() : null;
+  if (status && !LIST_FILTERS.includes(status)) throw new Error('INVALID_STATUS');
+
+  const conditions = ['m.bot_slug = $1'];
+  const params = [slug];
+
+  if (filters.product_id) {
+    if (!/^\d+$/.test(String(filters.product_id))) throw new Error('INVALID_PRODUCT_ID');
+    params.push(String(filters.product_id));
+    conditions.push(`m.product_id = $${params.length}::bigint`);
+  }
+
+  if (filters.telegram_id) {
+    if (!/^\d+$/.test(String(filters.telegram_id))) throw new Error('INVALID_TELEGRAM_ID');
+    params.push(String(filters.telegram_id));
+    conditions.push(`m.telegram_id = $${params.length}::bigint`);
+  }
+
+  // days e status já validados (inteiro e valor da lista)
+  const expiring = `m.status = 'active' AND m.ends_at IS NOT NULL AND m.ends_at <= now() + make_interval(days => ${days})`;
+  const countsResult = await pool.query(
+    `SELECT COUNT(*) FILTER (WHERE m.status = 'active')::int AS active,
+            COUNT(*) FILTER (WHERE ${expiring})::int AS expiring,
+            COUNT(*) FILTER (WHERE m.status = 'expired')::int AS expired
+     FROM public.bot_memberships m
+     WHERE ${conditions.join(' AND ')}`,
+    params
+  );
+  const counts = countsResult.rows[0];
+
+  if (status) {
+    conditions.push(status === 'expiring' ? `(${expiring})` : `m.status = '${status}'`);
+  }
+
+  const where = conditions.join(' AND ');
+  const [totalResult, result] = await Promise.all([
+    pool.query(`SELECT COUNT(*)::int AS total FROM public.bot_memberships m WHERE ${where}`, params),
+    pool.query(
+      `SELECT ${MEMBERSHIP_COLUMNS.split(',').map(c => `m.${c.trim()}`).join(', ')}, p.name AS product_name
+       FROM public.bot_memberships m
+       LEFT JOIN public.bot_products p ON p.id = m.product_id
+       WHERE ${where}
+       ORDER BY m.ends_at ASC NULLS LAST, m.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    )
+  ]);
+
+  return { memberships: result.rows, total: totalResult.rows[0].total, counts, days, limit, offset };
+}
+
+/**
+ * Texto do lembrete (MarkdownV2 já escapado: raw evita o escape do sendService) com os dias restantes
+ */
+function buildReminderContent({ product_id, product_name, ends_at }, now = new Date()) {
+  const days_left = Math.max(Math.ceil((new Date(ends_at).getTime() - now.getTime()) / DAY_MS), 1);
+  const when = days_left === 1 ? 'em 1 dia' : `em ${days_left} dias`;
+
+  return {
+    text: `Seu acesso a *${escapeMarkdownV2(product_name || 'VIP')}* vence ${when}\\. `
+      + 'Renove agora para não perder o acesso:',
+    parse_mode: 'MarkdownV2',
+    raw: true,
+    buttons: [[{ text: 'Renovar', callback_data: productCallbackData(product_id) }]]
+  };
+}
+
+/**
+ * Envia o lembrete de renovação (linha já reservada pelo worker com reminder_sent_at)
+ * Falha libera a reserva para o próximo ciclo, exceto usuário que bloqueou o bot
+ * @param {object} membership - { id, bot_slug, telegram_id, product_id, product_name, ends_at }
+ */
+async function sendRenewalReminder(pool, membership) {
+  const result = await sendMessageContent(pool, {
+    slug: membership.bot_slug,
+    chat_id: String(membership.telegram_id),
+    content: buildReminderContent(membership),
+    purpose: 'renewal',
+    request_id: `mbr_${membership.id}`
+  }).catch(err => ({ ok: false, error: err.message }));
+
+  observe('membership_reminder_total', 1, { bot: membership.bot_slug, result: result.ok ? 'ok' : 'error' });
+
+  if (result.ok) {
+    console.info('[MEMBERSHIP][REMINDER][OK]', { membership_id: membership.id, slug: membership.bot_slug, telegram_id: membership.telegram_id });
+    return result;
+  }
+
+  const blocked = isBlockedSendError(result.error);
+  if (!blocked) {
+    await pool.query(
+      'UPDATE public.bot_memberships SET reminder_sent_at = NULL, updated_at = now() WHERE id = $1',
+      [membership.id]
+    );
+  }
+  console.warn('[MEMBERSHIP][REMINDER][ERR]', { membership_id: membership.id, slug: membership.bot_slug, error: result.error, retry: !blocked });
+  return result;
+}
+
+/**
+ * Remove o membro do chat: ban + unban (sai do grupo, mas pode voltar com um novo convite)
+ * @returns {Promise<object>} { ok } ou { ok: false, error }
+ */
+async function removeChatMember(pool, { bot_slug, chat_id, telegram_id }) {
+  const token = await getTokenBySlug(pool, bot_slug).catch(() => null);
+  if (!token) return { ok: false, error: 'BOT_TOKEN_NOT_FOUND' };
+
+  const banned = await telegramClient.banChatMember(token, chat_id, Number(telegram_id));
+  if (!banned.ok) return { ok: false, error: banned.error || banned.description || 'BAN_FAILED' };
+
+  const unbanned = await telegramClient.unbanChatMember(token, chat_id, Number(telegram_id));
+  if (!unbanned.ok) {
+    // Removido do chat, mas continua banido: registra para o admin liberar manualmente
+    console.warn('[MEMBERSHIP][UNBAN][ERR]', { bot_slug, chat_id, telegram_id, error: unbanned.error });
+  }
+  return { ok: true };
+}
+
+/**
+ * Encerra assinatura vencida (linha já reservada pelo worker, remove_attempts incrementado)
+ * Falha mantém a assinatura ativa para nova tentativa (next_attempt_at) até MAX_REMOVE_ATTEMPTS
+ * @returns {Promise<object>} { ok, expired }
+ */
+async function expireMembership(pool, membership) {
+  const result = await removeChatMember(pool, membership)
+    .catch(err => ({ ok: false, error: err.message }));
+  const expired = result.ok || membership.remove_attempts >= MAX_REMOVE_ATTEMPTS;
+
+  // ends_at <= now(): renovação durante a remoção não é encerrada
+  await pool.query(
+    `UPDATE public.bot_memberships
+     SET status = CASE WHEN $2 THEN 'expired' ELSE status END,
+         removed_at = CASE WHEN $3 THEN now() ELSE removed_at END,
+         last_error = $4,
+         updated_at = now()
+     WHERE id = $1 AND status = 'active' AND ends_at <= now()`,
+    [membership.id, expired, result.ok, result.ok ? null : String(result.error).slice(0, 500)]
+  );
+
+  observe('membership_expired_total', 1, { bot: membership.bot_slug, result: result.ok ? 'removed' : (expired ? 'failed' : 'retry') });
+
+  const log = { membership_id: membership.id, slug: membership.bot_slug, telegram_id: membership.telegram_id, chat_id: membership.chat_id };
+  if (result.ok) {
+    console.info('[MEMBERSHIP][EXPIRED][REMOVED]', log);
+  } else {
+    console[expired ? 'error' : 'warn']('[MEMBERSHIP][EXPIRED][REMOVE_ERR]', { ...log, attempts: membership.remove_attempts, error: result.error });
+  }
+  return { ok: result.ok, expired };
+}
+
+module.exports = {
+  MAX_REMOVE_ATTEMPTS,
+  upsertMembershipForPayment,
+  revokeMembership,
+  listMemberships,
+  buildReminderContent,
+  sendRenewalReminder,
+  removeChatMember,
+  expireMembership
+};
@@ -0,0 +1,157 @@
+/**
+ * Worker das assinaturas VIP
+ * Envia lembretes de renovação (reminder_days antes do vencimento) e remove membros com assinatura vencida
+ */
+
+const { sendRenewalReminder, expireMembership } = require('./membershipService');
+
+// Espera entre tentativas de remoção (reserva a linha enquanto a remoção está em andamento)
+const REMOVE_RETRY_MINUTES = 10;
+
+let isRunning = false;
+let processing = false;
+let workerInterval = null;
+
+/**
+ * Reserva lembretes vencidos; reminder_sent_at marcado na reserva (no máximo um lembrete por período)
+ * e limpo por sendRenewalReminder se o envio falhar
+ */
+async function claimDueReminders(pool, limit) {
+  const result = await pool.query(
+    `WITH due AS (
+       SELECT m.id
+       FROM public.bot_memberships m
+       JOIN public.bot_products p ON p.id = m.product_id
+       WHERE m.status = 'active'
+         AND m.reminder_sent_at IS NULL
+         AND p.reminder_days IS NOT NULL
+         AND m.ends_at > now()
+         AND m.ends_at <= now() + make_interval(days => p.reminder_days)
+       ORDER BY m.ends_at ASC
+       LIMIT $1
+       FOR UPDATE OF m SKIP LOCKED
+     )
+     UPDATE public.bot_memberships m
+     SET reminder_sent_at = now(), updated_at = now()
+     FROM due, public.bot_products p
+     WHERE m.id = due.id AND p.id = m.product_id
+     RETURNING m.id, m.bot_slug, m.telegram_id, m.product_id, m.ends_at, p.name AS product_name`,
+    [limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Reserva assinaturas vencidas para remoção (SKIP LOCKED permite várias instâncias)
+ */
+async function claimExpiredMemberships(pool, limit) {
+  const result = await pool.query(
+    `WITH due AS (
+       SELECT id
+       FROM public.bot_memberships
+       WHERE status = 'active'
+         AND ends_at <= now()
+         AND next_attempt_at <= now()
+       ORDER BY ends_at ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     UPDATE public.bot_memberships m
+     SET remove_attempts = m.remove_attempts + 1,
+         next_attempt_at = now() + make_interval(mins => $2),
+         updated_at = now()
+     FROM due
+     WHERE m.id = due.id
+     RETURNING m.id, m.bot_slug, m.telegram_id, m.chat_id, m.remove_attempts`,
+    [limit, REMOVE_RETRY_MINUTES]
+  );
+  return result.rows;
+}
+
+/**
+ * Processa um lote de lembretes e remoções
+ * @param {object} pool - Pool PostgreSQL
+ */
+async function processBatch(pool) {
+  if (!pool || processing) return;
+  processing = true;
+
+  try {
+    const reminders = await claimDueReminders(pool, 50);
+    for (const membership of reminders) {
+      await sendRenewalReminder(pool, membership);
+    }
+
+    const expired = await claimExpiredMemberships(pool, 50);
+    if (expired.length > 0) {
+      console.info('[MEMBERSHIP_WORKER] Removendo vencidas:', { count: expired.length });
+    }
+
+    for (const membership of expired) {
+      try {
+        await expireMembership(pool, membership);
+      } catch (err) {
+        // Linha continua ativa e volta após REMOVE_RETRY_MINUTES
+        console.error('[MEMBERSHIP_WORKER][ITEM_ERR]', { membership_id: membership.id, error: err.message });
+      }
+    }
+  } catch (err) {
+    console.error('[MEMBERSHIP_WORKER][BATCH_ERR]', { error: err.message });
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Inicia o worker de assinaturas
+ * @param {object} pool - Pool PostgreSQL
+ * @param {number} intervalMs - Intervalo entre processamentos (padrão: 60s)
+ */
+function start(pool, intervalMs = 60000) {
+  if (isRunning) {
+    console.warn('[MEMBERSHIP_WORKER] Já está rodando');
+    return;
+  }
+
+  if (!pool) {
+    console.warn('[MEMBERSHIP_WORKER] Pool não disponível, worker não iniciado');
+    return;
+  }
+
+  isRunning = true;
+
+  console.info('[MEMBERSHIP_WORKER] Iniciando...', { interval_ms: intervalMs });
+
+  processBatch(pool).catch(err => {
+    console.error('[MEMBERSHIP_WORKER][INIT_ERR]', { error: err.message });
+  });
+
+  workerInterval = setInterval(() => {
+    processBatch(pool).catch(err => {
+      console.error('[MEMBERSHIP_WORKER][INTERVAL_ERR]', { error: err.message });
+    });
+  }, intervalMs);
+}
+
+/**
+ * Para o worker de assinaturas
+ */
+function stop() {
+  if (!isRunning) {
+    return;
+  }
+
+  if (workerInterval) {
+    clearInterval(workerInterval);
+    workerInterval = null;
+  }
+
+  isRunning = false;
+  console.info('[MEMBERSHIP_WORKER] Parado');
+}
+
+module.exports = {
+  start,
+  stop,
+  processBatch
+};
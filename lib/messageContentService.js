@@ -0,0 +1,168 @@
+/**
+ * Conteúdo de mensagem reutilizável (ações de botão, auto-respostas, comandos, fluxos)
+ * Formato: { text, parse_mode, disable_web_page_preview, raw, buttons, variants, delay_ms } + media_refs (0-3)
+ * Mídias são enviadas primeiro (sem caption) e o texto depois, como no /start
+ */
+
+const { normalizeContentButtons } = require('./inlineKeyboard');
+const { normalizeContentVariants } = require('./localeService');
+const { normalizeStepDelay, applyMediaStepDelays, getBotTypingDelay, resolveStepDelay, pauseWithChatAction } = require('./stepDelayService');
+
+/**
+ * Valida conteúdo de mensagem
+ * @param {object} content - { text, parse_mode, disable_web_page_preview, raw, buttons, variants, delay_ms }
+ * @param {object} options - { requireText }
+ * @returns {object} Conteúdo normalizado
+ */
+function validateMessageContent(content, { requireText = true } = {}) {
+  if (!content || typeof content !== 'object') {
+    throw new Error('MESSAGE_CONTENT_REQUIRED');
+  }
+
+  const text = typeof content.text === 'string' ? content.text : '';
+
+  if (requireText && !text.trim()) {
+    throw new Error('MESSAGE_TEXT_REQUIRED');
+  }
+  if (text.length > 4096) {
+    throw new Error('MESSAGE_TEXT_TOO_LONG');
+  }
+  if (content.parse_mode && content.parse_mode !== 'MarkdownV2') {
+    throw new Error('ONLY_MARKDOWNV2_SUPPORTED');
+  }
+
+  return normalizeStepDelay(normalizeContentVariants(normalizeContentButtons({
+    text,
+    parse_mode: 'MarkdownV2',
+    disable_web_page_preview: content.disable_web_page_preview !== false,
+    raw: content.raw === true,
+    buttons: content.buttons,
+    variants: content.variants,
+    delay_ms: content.delay_ms
+  })));
+}
+
+/**
+ * Valida e enriquece media_refs com r2_key/bytes do media_store
+ * @returns {Promise<Array>} Refs enriquecidas
+ */
+async function enrichMediaRefs(pool, media_refs) {
+  if (media_refs === undefined || media_refs === null) {
+    return [];
+  }
+  if (!Array.isArray(media_refs)) {
+    throw new Error('MEDIA_REFS_MUST_BE_ARRAY');
+  }
+  if (media_refs.length > 3) {
+    throw new Error('MEDIA_REFS_MAX_3');
+  }
+
+  const enriched = [];
+
+  for (const item of media_refs) {
+    if (!item || typeof item.sha256 !== 'string' || !/^[a-f0-9]{64}$/.test(item.sha256)) {
+      throw new Error('INVALID_MEDIA_SHA256');
+    }
+    if (!['audio', 'video', 'photo'].includes(item.kind)) {
+      throw new Error('INVALID_MEDIA_KIND');
+    }
+
+    if (item.r2_key) {
+      enriched.push({ sha256: item.sha256, kind: item.kind, r2_key: item.r2_key, bytes: item.bytes });
+      continue;
+    }
+
+    const result = await pool.query(
+      `SELECT r2_key, bytes FROM media_store WHERE sha256 = $1 AND kind = $2 LIMIT 1`,
+      [item.sha256, item.kind]
+    );
+
+    if (result.rowCount > 0) {
+      enriched.push({
+        sha256: item.sha256,
+        kind: item.kind,
+        r2_key: result.rows[0].r2_key,
+        bytes: result.rows[0].bytes
+      });
+    } else {
+      console.warn('[MESSAGE_CONTENT][MEDIA_NOT_FOUND]', { sha256: item.sha256, kind: item.kind });
+      enriched.push({ sha256: item.sha256, kind: item.kind });
+    }
+  }
+
+  return applyMediaStepDelays(media_refs, enriched);
+}
+
+/**
+ * Envia conteúdo (mídias + texto) via fila com prioridade pelo purpose
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { slug, chat_id, content, media_refs, purpose, request_id, language_code }
+ * @returns {Promise<object>} Resultado do envio do texto (ou das mídias, se não houver texto)
+ */
+async function sendMessageContent(pool, params) {
+  const { sendMessage } = require('./queuedSend');
+  const { sendMultipleMedias } = require('./multiMediaSendService');
+
+  const {
+    slug,
+    chat_id,
+    content = {},
+    media_refs = [],
+    purpose = 'send-test',
+    request_id,
+    language_code
+  } = params;
+
+  const hasText = !!(content.text && content.text.trim());
+  const hasMedia = Array.isArray(media_refs) && media_refs.length > 0;
+  const typingDelay = await getBotTypingDelay(pool, slug);
+  let mediaResult = null;
+
+  if (hasMedia) {
+    try {
+      mediaResult = await sendMultipleMedias(pool, {
+        slug,
+        chat_id: String(chat_id),
+        media_refs,
+        purpose,
+        // Sem texto, os botões vão na última mídia
+        buttons: hasText ? undefined : content.buttons,
+        default_delay_ms: typingDelay
+      });
+    } catch (err) {
+      console.error('[MESSAGE_CONTENT][MEDIA][ERR]', { slug, chat_id, purpose, error: err.message });
+      mediaResult = { ok: false, error: err.message };
+    }
+  }
+
+  if (!hasText) {
+    return mediaResult || { ok: false, error: 'MISSING_TEXT' };
+  }
+
+  await pauseWithChatAction(pool, {
+    slug,
+    chat_id: String(chat_id),
+    kind: 'text',
+    delay_ms: resolveStepDelay(content, typingDelay, !hasMedia)
+  });
+
+  return sendMessage(pool, {
+    slug,
+    chat_id: String(chat_id),
+    text: content.text,
+    parse_mode: content.parse_mode || 'MarkdownV2',
+    disable_web_page_preview: content.disable_web_page_preview !== false,
+    raw: content.raw || false,
+    buttons: content.buttons,
+    variants: content.variants,
+    language_code,
+    purpose,
+    request_id
+  });
+}
+
+module.exports = {
+  validateMessageContent,
+  enrichMediaRefs,
+  sendMessageContent
+};
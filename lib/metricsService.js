@@ -39,6 +39,10 @@ const metrics = {
   backoff_429_count: 0,
   backoff_429_per_chat: new Map(), // chat_id -> count
   
+  // Bloqueios (my_chat_member / erro de envio)
+  bot_user_blocked: new Map(), // slug -> count
+  bot_user_unblocked: new Map(), // slug -> count
+  
   // Heartbeats
   heartbeat_http_ok: 0,
   heartbeat_http_err: 0,
@@ -151,6 +155,14 @@ function observe(name, value, labels = {}) {
     metrics.backoff_429_per_chat.set(key, (metrics.backoff_429_per_chat.get(key) || 0) + value);
   }
   
+  // Bloqueios
+  else if (name === 'bot_user_blocked_total') {
+    metrics.bot_user_blocked.set(bot, (metrics.bot_user_blocked.get(bot) || 0) + value);
+  }
+  else if (name === 'bot_user_unblocked_total') {
+    metrics.bot_user_unblocked.set(bot, (metrics.bot_user_unblocked.get(bot) || 0) + value);
+  }
+  
   // Heartbeats
   else if (name === 'heartbeat_http_ok') {
     metrics.heartbeat_http_ok += value;
@@ -233,6 +245,10 @@ function getMetrics() {
       count: metrics.backoff_429_count,
       per_chat: Object.fromEntries(metrics.backoff_429_per_chat)
     },
+    users: {
+      blocked_total: Object.fromEntries(metrics.bot_user_blocked),
+      unblocked_total: Object.fromEntries(metrics.bot_user_unblocked)
+    },
     heartbeat: {
       http: {
         ok: metrics.heartbeat_http_ok,
@@ -9,6 +9,8 @@ const telegramClient = require('./telegramClient');
 const { observe } = require('./metricsService');
 const { getCachedFileId, createCacheEntry } = require('./mediaService');
 const { enqueuePrewarm } = require('./mediaPrewarmWorker');
+const { buildReplyMarkup } = require('./inlineKeyboard');
+const { resolveStepDelay, pauseWithChatAction } = require('./stepDelayService');
 const crypto = require('crypto');
 
 /**
@@ -64,7 +66,7 @@ function generateMediaEventId(slug, kind, sha256, chatId) {
 /**
  * Sends a single media item with fallback and pre-warm
  */
-async function sendSingleMedia(pool, slug, chat_id, mediaRef, purpose, requestId) {
+async function sendSingleMedia(pool, slug, chat_id, mediaRef, purpose, requestId, reply_markup) {
   const { sha256, kind, r2_key, bytes } = mediaRef;
   const startTime = Date.now();
   
@@ -132,15 +134,16 @@ async function sendSingleMedia(pool, slug, chat_id, mediaRef, purpose, requestId
     
     if (cached && cached.file_id) {
       // Use cached file_id
+      const sendOptions = reply_markup ? { reply_markup } : {};
       switch (kind) {
         case 'photo':
-          result = await telegramClient.sendPhoto(token, chat_id, cached.file_id, {});
+          result = await telegramClient.sendPhoto(token, chat_id, cached.file_id, sendOptions);
           break;
         case 'video':
-          result = await telegramClient.sendVideo(token, chat_id, cached.file_id, {});
+          result = await telegramClient.sendVideo(token, chat_id, cached.file_id, sendOptions);
           break;
         case 'audio':
-          result = await telegramClient.sendAudio(token, chat_id, cached.file_id, {});
+          result = await telegramClient.sendAudio(token, chat_id, cached.file_id, sendOptions);
           break;
         default:
           throw new Error(`UNSUPPORTED_MEDIA_KIND: ${kind}`);
@@ -220,6 +223,8 @@ async function sendSingleMedia(pool, slug, chat_id, mediaRef, purpose, requestId
 /**
  * Sends multiple media items in priority order
  * Each media is sent as a separate message without captions
+ * Optional `buttons` are attached to the last media (use when there is no text message after it)
+ * Each media may wait `delay_ms` (or `default_delay_ms` after the first) showing the matching chat action
  */
 async function sendMultipleMedias(pool, params) {
   const requestId = crypto.randomUUID();
@@ -228,7 +233,9 @@ async function sendMultipleMedias(pool, params) {
     slug,
     chat_id,
     media_refs,
-    purpose = 'unknown'
+    purpose = 'unknown',
+    buttons,
+    default_delay_ms = 0
   } = params;
   
   // Validation
@@ -256,15 +263,29 @@ async function sendMultipleMedias(pool, params) {
     // Sort by priority: audio > video > photo
     const sortedMediaRefs = sortByPriority(media_refs);
     
+    const reply_markup = buildReplyMarkup(buttons);
+    
     const results = [];
     let successCount = 0;
     let errorCount = 0;
     
     // Send each media item separately
-    for (const mediaRef of sortedMediaRefs) {
+    for (let i = 0; i < sortedMediaRefs.length; i++) {
+      const mediaRef = sortedMediaRefs[i];
       const event_id = generateMediaEventId(slug, mediaRef.kind, mediaRef.sha256, chat_id);
+      const isLast = i === sortedMediaRefs.length - 1;
+      
+      await pauseWithChatAction(pool, {
+        slug,
+        chat_id,
+        kind: mediaRef.kind,
+        delay_ms: resolveStepDelay(mediaRef, default_delay_ms, i === 0)
+      });
       
-      const result = await sendSingleMedia(pool, slug, chat_id, mediaRef, purpose, requestId);
+      const result = await sendSingleMedia(
+        pool, slug, chat_id, mediaRef, purpose, requestId,
+        isLast ? reply_markup : undefined
+      );
       
       results.push({
         ...result,
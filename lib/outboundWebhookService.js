@@ -0,0 +1,160 @@
+/**
+ * Chamadas HTTP para URLs configuradas pelo admin (nó webhook dos fluxos)
+ * A URL vem do usuário do painel: só https, sem redirecionamento e sem destino em rede interna
+ * (loopback, privada, link-local/metadados da nuvem, CGNAT, multicast, reservada)
+ * O endereço é checado na resolução DNS da própria conexão (lookup), então um nome que
+ * resolve para IP interno — inclusive após a validação (DNS rebinding) — é recusado
+ * Timeout total e limite de tamanho da resposta
+ */
+
+const dns = require('dns');
+const net = require('net');
+const https = require('https');
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const MAX_RESPONSE_BYTES = 64 * 1024;
+
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  // IPv4 traduzido (NAT64); o mapeado (::ffff:127.0.0.1) o BlockList já confere com as regras IPv4
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+for (const [address, prefix, family] of BLOCKED_SUBNETS) {
+  blockList.addSubnet(address, prefix, family);
+}
+
+/**
+ * IP fora da internet pública (ou inválido)
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup que recusa endereços internos (usado pelo socket da requisição)
+ */
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.length === 0 || addresses.some(a => isBlockedAddress(a.address))) {
+      return callback(new Error('WEBHOOK_ADDRESS_BLOCKED'));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Valida a URL de destino (protocolo, credenciais e IP literal)
+ * @returns {object} { ok: true, url } ou { ok: false, error }
+ */
+function parseWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || ''));
+  } catch {
+    return { ok: false, error: 'URL_INVALID' };
+  }
+  if (url.protocol !== 'https:') return { ok: false, error: 'URL_NOT_HTTPS' };
+  if (url.username || url.password) return { ok: false, error: 'URL_INVALID' };
+
+  // IP literal não passa pelo lookup: checa aqui
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) return { ok: false, error: 'ADDRESS_BLOCKED' };
+
+  return { ok: true, url };
+}
+
+/**
+ * POST JSON para URL pública
+ * @param {string} url - Destino (https)
+ * @param {object} payload - Corpo JSON
+ * @param {object} options - { timeout_ms, max_bytes }
+ * @returns {Promise<object>} { ok: true, body } ou { ok: false, error } (HTTP_<status>, TIMEOUT, ADDRESS_BLOCKED...)
+ */
+function postJson(url, payload, { timeout_ms = DEFAULT_TIMEOUT_MS, max_bytes = MAX_RESPONSE_BYTES } = {}) {
+  const parsed = parseWebhookUrl(url);
+  if (!parsed.ok) return Promise.resolve(parsed);
+
+  const data = Buffer.from(JSON.stringify(payload));
+
+  return new Promise(resolve => {
+    let settled = false;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve(result);
+    };
+
+    const req = https.request(parsed.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': data.length },
+      lookup: publicOnlyLookup
+    }, res => {
+      // Sem seguir redirecionamento (o destino poderia ser interno)
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        res.resume();
+        req.destroy();
+        return finish({ ok: false, error: `HTTP_${res.statusCode}` });
+      }
+
+      const chunks = [];
+      let size = 0;
+      res.on('data', chunk => {
+        size += chunk.length;
+        if (size > max_bytes) {
+          req.destroy();
+          return finish({ ok: false, error: 'RESPONSE_TOO_LARGE' });
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => {
+        let body = null;
+        try {
+          body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch {
+          body = null;
+        }
+        finish({ ok: true, body });
+      });
+      res.on('error', err => finish({ ok: false, error: err.message }));
+    });
+
+    const timer = setTimeout(() => {
+      req.destroy();
+      finish({ ok: false, error: 'TIMEOUT' });
+    }, timeout_ms);
+
+    req.on('error', err => {
+      finish({ ok: false, error: err.message === 'WEBHOOK_ADDRESS_BLOCKED' ? 'ADDRESS_BLOCKED' : err.message });
+    });
+    req.end(data);
+  });
+}
+
+module.exports = {
+  MAX_RESPONSE_BYTES,
+  isBlockedAddress,
+  parseWebhookUrl,
+  postJson
+};
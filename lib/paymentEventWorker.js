@@ -0,0 +1,191 @@
+/**
+ * Worker dos webhooks de pagamento
+ * O webhook registra o evento (gateway_events, processing_status = pending), responde 200 e processa em background;
+ * eventos que não chegaram a processed (erro no handler ou restart no meio) são reprocessados aqui
+ * com backoff exponencial até MAX_ATTEMPTS (depois ficam failed para análise)
+ */
+
+const { dispatchPaymentEvent } = require('./paymentProviderService');
+const { PROCESSING_LEASE_MINUTES } = require('./paymentSignatureService');
+const { observe } = require('./metricsService');
+
+const MAX_ATTEMPTS = 8;
+const BASE_BACKOFF_SECONDS = 30;
+const MAX_BACKOFF_SECONDS = 3600;
+
+let isRunning = false;
+let processing = false;
+let workerInterval = null;
+
+/**
+ * Espera antes da próxima tentativa: 30s, 1min, 2min... até 1h
+ */
+function retryDelaySeconds(attempts) {
+  return Math.min(BASE_BACKOFF_SECONDS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_SECONDS);
+}
+
+/**
+ * Processa um evento registrado e grava o resultado na linha
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} row - { id, payload (evento normalizado), process_attempts }
+ * @param {object} options - { request_id }
+ * @returns {Promise<object>} { ok, result } ou { ok: false, error, failed }
+ */
+async function processPaymentEvent(pool, row, { request_id } = {}) {
+  const event = row.payload || {};
+
+  let result;
+  let error = null;
+  try {
+    result = await dispatchPaymentEvent(pool, event, { request_id });
+    // Handlers capturam os próprios erros (banco fora etc.) e devolvem { ok: false, error }: tenta de novo
+    // { ok: false, reason } é definitivo (parâmetros inválidos, dono não encontrado)
+    if (result && result.ok === false && result.error) error = String(result.error);
+  } catch (err) {
+    error = err.message;
+  }
+
+  if (error) {
+    const failed = row.process_attempts >= MAX_ATTEMPTS;
+    await pool.query(
+      `UPDATE public.gateway_events
+       SET processing_status = $2, process_error = $3,
+           next_attempt_at = now() + make_interval(secs => $4)
+       WHERE id = $1 AND processing_status = 'pending'`,
+      [row.id, failed ? 'failed' : 'pending', error.slice(0, 500), retryDelaySeconds(row.process_attempts)]
+    );
+    observe('payment_event_process_total', 1, { provider: event.provider || 'unknown', result: 'error' });
+    console[failed ? 'error' : 'warn'](failed ? '[PAYMENT_EVENT][FAILED]' : '[PAYMENT_EVENT][RETRY]', {
+      request_id,
+      event_row_id: row.id,
+      provider: event.provider,
+      event_id: event.event_id,
+      event_type: event.event_type,
+      attempts: row.process_attempts,
+      error
+    });
+    return { ok: false, error, failed };
+  }
+
+  await pool.query(
+    `UPDATE public.gateway_events
+     SET processing_status = 'processed', process_error = NULL, processed_at = now()
+     WHERE id = $1`,
+    [row.id]
+  );
+  observe('payment_event_process_total', 1, { provider: event.provider || 'unknown', result: 'ok' });
+  return { ok: true, result };
+}
+
+/**
+ * Reserva eventos pendentes vencidos (SKIP LOCKED permite várias instâncias)
+ */
+async function claimDueEvents(pool, limit) {
+  const result = await pool.query(
+    `WITH due AS (
+       SELECT id
+       FROM public.gateway_events
+       WHERE processing_status = 'pending'
+         AND next_attempt_at <= now()
+       ORDER BY next_attempt_at ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     UPDATE public.gateway_events g
+     SET process_attempts = g.process_attempts + 1,
+         next_attempt_at = now() + make_interval(mins => $2)
+     FROM due
+     WHERE g.id = due.id
+     RETURNING g.id, g.request_id, g.payload, g.process_attempts`,
+    [limit, PROCESSING_LEASE_MINUTES]
+  );
+  return result.rows;
+}
+
+/**
+ * Processa um lote de eventos pendentes
+ * @param {object} pool - Pool PostgreSQL
+ */
+async function processBatch(pool) {
+  if (!pool || processing) return;
+  processing = true;
+
+  try {
+    const due = await claimDueEvents(pool, 20);
+    if (due.length === 0) {
+      return;
+    }
+
+    console.info('[PAYMENT_EVENT_WORKER] Reprocessando lote:', { count: due.length });
+
+    for (const row of due) {
+      try {
+        await processPaymentEvent(pool, row, { request_id: row.request_id });
+      } catch (err) {
+        // Erro ao gravar o resultado: a reserva expira e o evento volta no próximo ciclo
+        console.error('[PAYMENT_EVENT_WORKER][ITEM_ERR]', { event_row_id: row.id, error: err.message });
+      }
+    }
+  } catch (err) {
+    console.error('[PAYMENT_EVENT_WORKER][BATCH_ERR]', { error: err.message });
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Inicia o worker de eventos de pagamento
+ * @param {object} pool - Pool PostgreSQL
+ * @param {number} intervalMs - Intervalo entre processamentos (padrão: 30s)
+ */
+function start(pool, intervalMs = 30000) {
+  if (isRunning) {
+    console.warn('[PAYMENT_EVENT_WORKER] Já está rodando');
+    return;
+  }
+
+  if (!pool) {
+    console.warn('[PAYMENT_EVENT_WORKER] Pool não disponível, worker não iniciado');
+    return;
+  }
+
+  isRunning = true;
+
+  console.info('[PAYMENT_EVENT_WORKER] Iniciando...', { interval_ms: intervalMs });
+
+  processBatch(pool).catch(err => {
+    console.error('[PAYMENT_EVENT_WORKER][INIT_ERR]', { error: err.message });
+  });
+
+  workerInterval = setInterval(() => {
+    processBatch(pool).catch(err => {
+      console.error('[PAYMENT_EVENT_WORKER][INTERVAL_ERR]', { error: err.message });
+    });
+  }, intervalMs);
+}
+
+/**
+ * Para o worker de eventos de pagamento
+ */
+function stop() {
+  if (!isRunning) {
+    return;
+  }
+
+  if (workerInterval) {
+    clearInterval(workerInterval);
+    workerInterval = null;
+  }
+
+  isRunning = false;
+  console.info('[PAYMENT_EVENT_WORKER] Parado');
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  retryDelaySeconds,
+  processPaymentEvent,
+  start,
+  stop,
+  processBatch
+};
@@ -0,0 +1,479 @@
+/**
+ * Adaptadores de provedores de pagamento (PIX)
+ * Cada adaptador traduz o payload nativo do gateway em eventos normalizados:
+ *   { provider, event_id, event_type, status, transaction_id, bot_slug, telegram_id, amount_cents, raw }
+ * event_type: pix_created | payment_approved | pix_expired | payment_refunded | payment_chargeback
+ *   | null (status sem ação)
+ * Rota: POST /api/payment/:provider/webhook
+ * Dono do PIX (bot_slug/telegram_id): referência da cobrança "<slug>:<telegram_id>" lida na API do gateway
+ * ou, na falta dela, a linha em payments com o mesmo transaction_id
+ * (parâmetros da URL do webhook não são assinados pelo gateway: nunca definem dono, status nem valor)
+ * createCharge (opcional): cria a cobrança no gateway -> { transaction_id, pix_code, amount_cents }
+ */
+
+const crypto = require('crypto');
+const { safeEqualHex, getProviderSecrets, getToleranceSec } = require('./paymentSignatureService');
+const { buildPixCode } = require('./pixCodeService');
+const {
+  handlePixCreated,
+  handlePaymentApproved,
+  handlePixExpired,
+  handlePaymentRefunded,
+  handleChargeback
+} = require('./paymentWebhookService');
+
+const MERCADOPAGO_API_BASE = 'https://api.mercadopago.com';
+const MERCADOPAGO_TIMEOUT_MS = 8000;
+const PUSHINPAY_API_BASE = 'https://api.pushinpay.com.br';
+const CHARGE_TIMEOUT_MS = 10000;
+
+// Status nativo -> evento normalizado (ausente = sem ação)
+const PUSHINPAY_STATUS_EVENTS = { created: 'pix_created', paid: 'payment_approved', expired: 'pix_expired', canceled: 'pix_expired' };
+const MERCADOPAGO_STATUS_EVENTS = {
+  pending: 'pix_created',
+  approved: 'payment_approved',
+  cancelled: 'pix_expired',
+  rejected: 'pix_expired',
+  refunded: 'payment_refunded',
+  charged_back: 'payment_chargeback'
+};
+const FAKE_STATUS_EVENTS = {
+  created: 'pix_created',
+  paid: 'payment_approved',
+  expired: 'pix_expired',
+  refunded: 'payment_refunded',
+  chargeback: 'payment_chargeback'
+};
+
+/**
+ * Referência gravada na cobrança para identificar o dono no webhook
+ */
+function buildPaymentReference(bot_slug, telegram_id) {
+  return `${bot_slug}:${telegram_id}`;
+}
+
+function parsePaymentReference(reference) {
+  const match = /^([a-z0-9][a-z0-9_-]{1,63}):(\d{1,20})$/.exec(String(reference || ''));
+  return match ? { bot_slug: match[1], telegram_id: match[2] } : null;
+}
+
+function ownerFromQuery(query) {
+  const bot_slug = (query?.bot_slug || '').toString().trim().toLowerCase();
+  const telegram_id = (query?.telegram_id || '').toString().trim();
+  return bot_slug && /^\d{1,20}$/.test(telegram_id) ? { bot_slug, telegram_id } : null;
+}
+
+function toCents(value) {
+  const amount = Number(value);
+  return Number.isFinite(amount) ? Math.round(amount * 100) : null;
+}
+
+/**
+ * Verificação por segredo na URL (?token=...) para gateways que não assinam o corpo
+ * nem aceitam URL por cobrança (Efí: um webhook por chave PIX)
+ * Não há timestamp: reenvios são barrados pelo registro em gateway_events
+ */
+function verifyQueryToken({ provider, query, env = process.env }) {
+  const secrets = getProviderSecrets(provider, env);
+  if (secrets.length === 0) return { ok: false, error: 'PAYMENT_WEBHOOK_SECRET_NOT_SET' };
+
+  const token = (query?.token || '').toString();
+  if (!token) return { ok: false, error: 'PAYMENT_SIGNATURE_MISSING' };
+
+  const index = secrets.findIndex(secret => safeEqualHex(token, secret));
+  return index >= 0 ? { ok: true, secret_index: index } : { ok: false, error: 'PAYMENT_SIGNATURE_INVALID' };
+}
+
+/**
+ * Token da URL do webhook de uma cobrança: HMAC do segredo sobre provedor, dono e nonce aleatório
+ * O segredo não sai do servidor e o token vazado (logs de proxy) não vale para outro dono
+ */
+function chargeWebhookToken(secret, { provider, bot_slug, telegram_id, nonce }) {
+  return crypto.createHmac('sha256', secret).update(`${provider}:${bot_slug}:${telegram_id}:${nonce}`).digest('hex');
+}
+
+/**
+ * Verificação do token por cobrança (?bot_slug=&telegram_id=&nonce=&token=) gerado em buildWebhookUrl
+ */
+function verifyChargeToken({ provider, query, env = process.env }) {
+  const secrets = getProviderSecrets(provider, env);
+  if (secrets.length === 0) return { ok: false, error: 'PAYMENT_WEBHOOK_SECRET_NOT_SET' };
+
+  const owner = ownerFromQuery(query);
+  const nonce = (query?.nonce || '').toString();
+  const token = (query?.token || '').toString().toLowerCase();
+  if (!owner || !nonce || !token) return { ok: false, error: 'PAYMENT_SIGNATURE_MISSING' };
+
+  const index = secrets.findIndex(secret => safeEqualHex(token, chargeWebhookToken(secret, { provider, ...owner, nonce })));
+  return index >= 0 ? { ok: true, secret_index: index } : { ok: false, error: 'PAYMENT_SIGNATURE_INVALID' };
+}
+
+/**
+ * Assinatura nativa do Mercado Pago (x-signature: ts=...,v1=...)
+ * Manifesto: id:<data.id>;request-id:<x-request-id>;ts:<ts>;
+ */
+function verifyMercadoPagoSignature({ provider, headers, query, body, now = Date.now(), env = process.env }) {
+  const secrets = getProviderSecrets(provider, env);
+  if (secrets.length === 0) return { ok: false, error: 'PAYMENT_WEBHOOK_SECRET_NOT_SET' };
+
+  const parts = Object.fromEntries(
+    String(headers?.['x-signature'] || '')
+      .split(',')
+      .map(part => part.split('=').map(s => s.trim()))
+      .filter(([key, value]) => key && value)
+  );
+  if (!parts.ts || !parts.v1) return { ok: false, error: 'PAYMENT_SIGNATURE_MISSING' };
+
+  const ts = Number(parts.ts);
+  if (!Number.isInteger(ts)) return { ok: false, error: 'PAYMENT_TIMESTAMP_INVALID' };
+  // ts pode vir em segundos ou milissegundos
+  const tsMs = ts > 1e11 ? ts : ts * 1000;
+  if (Math.abs(now - tsMs) > getToleranceSec(env) * 1000) {
+    return { ok: false, error: 'PAYMENT_TIMESTAMP_OUT_OF_TOLERANCE' };
+  }
+
+  let dataId = (query?.['data.id'] || body?.data?.id || '').toString();
+  if (/^[a-z0-9]+$/i.test(dataId)) dataId = dataId.toLowerCase();
+
+  let manifest = '';
+  if (dataId) manifest += `id:${dataId};`;
+  if (headers?.['x-request-id']) manifest += `request-id:${headers['x-request-id']};`;
+  manifest += `ts:${parts.ts};`;
+
+  for (let i = 0; i < secrets.length; i++) {
+    const expected = crypto.createHmac('sha256', secrets[i]).update(manifest).digest('hex');
+    if (safeEqualHex(parts.v1.toLowerCase(), expected)) return { ok: true, secret_index: i };
+  }
+  return { ok: false, error: 'PAYMENT_SIGNATURE_INVALID' };
+}
+
+/**
+ * Chamada HTTP com timeout; erro de status vira <prefixo>_<status>
+ */
+async function requestJson(url, { method = 'GET', headers = {}, body, timeout_ms, error_prefix }) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeout_ms);
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json', Accept: 'application/json', ...headers } : headers,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw new Error(`${error_prefix}_${response.status}`);
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Consulta o pagamento no Mercado Pago (a notificação só traz o id)
+ */
+async function fetchMercadoPagoPayment(paymentId, env = process.env) {
+  const accessToken = env.MERCADOPAGO_ACCESS_TOKEN;
+  if (!accessToken) throw new Error('MERCADOPAGO_ACCESS_TOKEN_NOT_SET');
+
+  return requestJson(`${MERCADOPAGO_API_BASE}/v1/payments/${encodeURIComponent(paymentId)}`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+    timeout_ms: MERCADOPAGO_TIMEOUT_MS,
+    error_prefix: 'MERCADOPAGO_FETCH_FAILED'
+  });
+}
+
+/**
+ * Consulta a transação na PushinPay (o corpo do webhook não é assinado: status e valor vêm da API)
+ */
+async function fetchPushinPayTransaction(transactionId, env = process.env) {
+  if (!env.PUSHINPAY_API_KEY) throw new Error('PUSHINPAY_API_KEY_NOT_SET');
+
+  return requestJson(`${PUSHINPAY_API_BASE}/api/transactions/${encodeURIComponent(transactionId)}`, {
+    headers: { Authorization: `Bearer ${env.PUSHINPAY_API_KEY}`, Accept: 'application/json' },
+    timeout_ms: CHARGE_TIMEOUT_MS,
+    error_prefix: 'PUSHINPAY_FETCH_FAILED'
+  });
+}
+
+/**
+ * URL do webhook do provedor para a cobrança (null sem PUBLIC_BASE_URL)
+ * Gateways sem assinatura recebem um token próprio da cobrança em ?nonce=&token= (chargeWebhookToken)
+ */
+function buildWebhookUrl(provider, { bot_slug, telegram_id, with_token = false }, env = process.env) {
+  const base = (env.PUBLIC_BASE_URL || '').trim().replace(/\/+$/, '');
+  if (!base) return null;
+
+  const params = new URLSearchParams({ bot_slug, telegram_id: String(telegram_id) });
+  if (with_token) {
+    const [secret] = getProviderSecrets(provider, env);
+    if (!secret) throw new Error('PAYMENT_WEBHOOK_SECRET_NOT_SET');
+    const nonce = crypto.randomBytes(16).toString('hex');
+    params.set('nonce', nonce);
+    params.set('token', chargeWebhookToken(secret, { provider, bot_slug, telegram_id: String(telegram_id), nonce }));
+  }
+  return `${base}/api/payment/${provider}/webhook?${params.toString()}`;
+}
+
+/**
+ * Adaptadores por provedor
+ * verify: autenticação da chamada (padrão: HMAC de paymentSignatureService)
+ * normalize: payload nativo -> eventos normalizados
+ * createCharge: ({ bot_slug, telegram_id, amount_cents, description, env }) -> { transaction_id, pix_code, amount_cents }
+ */
+const PROVIDER_ADAPTERS = {
+  // PushinPay: POST com a cobrança inteira; URL do webhook (com token próprio) definida por cobrança
+  pushinpay: {
+    verify: verifyChargeToken,
+    async createCharge({ bot_slug, telegram_id, amount_cents, env = process.env }) {
+      if (!env.PUSHINPAY_API_KEY) throw new Error('PUSHINPAY_API_KEY_NOT_SET');
+
+      const webhook_url = buildWebhookUrl('pushinpay', { bot_slug, telegram_id, with_token: true }, env);
+      if (!webhook_url) {
+        console.warn('[PAYMENT_PROVIDER][PUSHINPAY][NO_WEBHOOK_URL]', { bot_slug });
+      }
+
+      const charge = await requestJson(`${PUSHINPAY_API_BASE}/api/pix/cashIn`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${env.PUSHINPAY_API_KEY}` },
+        body: webhook_url ? { value: amount_cents, webhook_url } : { value: amount_cents },
+        timeout_ms: CHARGE_TIMEOUT_MS,
+        error_prefix: 'PUSHINPAY_CHARGE_FAILED'
+      });
+      if (!charge?.id || !charge?.qr_code) throw new Error('PUSHINPAY_CHARGE_INVALID');
+
+      return { transaction_id: String(charge.id), pix_code: charge.qr_code, amount_cents };
+    },
+    // Token da URL só autentica a chamada: status e valor vêm da API e o dono da linha em payments
+    async normalize({ body }) {
+      if (!body?.id || !body?.status) throw new Error('PAYMENT_PAYLOAD_INVALID');
+
+      const transaction = await fetchPushinPayTransaction(body.id);
+      if (!transaction?.id || String(transaction.id) !== String(body.id) || !transaction.status) {
+        throw new Error('PUSHINPAY_TRANSACTION_INVALID');
+      }
+
+      const status = String(transaction.status).toLowerCase();
+      return [{
+        event_id: `${transaction.id}:${status}`,
+        event_type: PUSHINPAY_STATUS_EVENTS[status] || null,
+        status,
+        transaction_id: String(transaction.id),
+        bot_slug: null,
+        telegram_id: null,
+        amount_cents: Number.isInteger(Number(transaction.value)) ? Number(transaction.value) : null,
+        raw: { notification: body, transaction: { id: transaction.id, status, value: transaction.value } }
+      }];
+    }
+  },
+
+  // Mercado Pago: notificação { type, action, data: { id } }; status vem da API de pagamentos
+  mercadopago: {
+    verify: verifyMercadoPagoSignature,
+    async createCharge({ bot_slug, telegram_id, amount_cents, description, env = process.env }) {
+      if (!env.MERCADOPAGO_ACCESS_TOKEN) throw new Error('MERCADOPAGO_ACCESS_TOKEN_NOT_SET');
+
+      const external_reference = buildPaymentReference(bot_slug, telegram_id);
+      const notification_url = buildWebhookUrl('mercadopago', { bot_slug, telegram_id }, env);
+      const payment = await requestJson(`${MERCADOPAGO_API_BASE}/v1/payments`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${env.MERCADOPAGO_ACCESS_TOKEN}`,
+          'X-Idempotency-Key': crypto.randomUUID()
+        },
+        body: {
+          transaction_amount: amount_cents / 100,
+          description: description || 'PIX',
+          payment_method_id: 'pix',
+          // E-mail do pagador é obrigatório na API; o bot não conhece o e-mail do usuário
+          payer: { email: env.MERCADOPAGO_PAYER_EMAIL || `tg${telegram_id}@example.com` },
+          external_reference,
+          ...(notification_url ? { notification_url } : {})
+        },
+        timeout_ms: CHARGE_TIMEOUT_MS,
+        error_prefix: 'MERCADOPAGO_CHARGE_FAILED'
+      });
+
+      const pix_code = payment?.point_of_interaction?.transaction_data?.qr_code;
+      if (!payment?.id || !pix_code) throw new Error('MERCADOPAGO_CHARGE_INVALID');
+
+      return { transaction_id: String(payment.id), pix_code, amount_cents };
+    },
+    async normalize({ body, query }) {
+      const type = body?.type || query?.type || query?.topic;
+      const paymentId = body?.data?.id || query?.['data.id'];
+      if (type !== 'payment') return [];
+      if (!paymentId) throw new Error('PAYMENT_PAYLOAD_INVALID');
+
+      const payment = await fetchMercadoPagoPayment(paymentId);
+      const status = String(payment.status || '').toLowerCase();
+      const owner = parsePaymentReference(payment.external_reference);
+      return [{
+        event_id: `${payment.id}:${status}`,
+        event_type: MERCADOPAGO_STATUS_EVENTS[status] || null,
+        status,
+        transaction_id: String(payment.id),
+        bot_slug: owner?.bot_slug || null,
+        telegram_id: owner?.telegram_id || null,
+        amount_cents: toCents(payment.transaction_amount),
+        raw: { notification: body, payment: { id: payment.id, status, status_detail: payment.status_detail } }
+      }];
+    }
+  },
+
+  // Efí: webhook por chave PIX (sem dados da cobrança além do txid); só notifica PIX recebido
+  efi: {
+    verify: verifyQueryToken,
+    async normalize({ body }) {
+      // Chamada de teste no cadastro do webhook: { evento: 'teste_webhook' }
+      if (!Array.isArray(body?.pix)) return [];
+
+      return body.pix
+        .filter(pix => pix?.endToEndId && pix?.txid)
+        .map(pix => ({
+          event_id: pix.endToEndId,
+          event_type: 'payment_approved',
+          status: 'paid',
+          transaction_id: String(pix.txid),
+          bot_slug: null,
+          telegram_id: null,
+          amount_cents: toCents(pix.valor),
+          raw: pix
+        }));
+    },
+    // Cobrança na Efí exige OAuth com certificado mTLS: fora do escopo do bot
+    async createCharge() {
+      throw new Error('PIX_PROVIDER_CHARGE_NOT_SUPPORTED');
+    }
+  },
+
+  // Provedor local para testes: BR Code estático (PIX_FAKE_KEY) e webhook HMAC padrão
+  // Payload do webhook: { transaction_id, status: created|paid|expired|refunded|chargeback, bot_slug, telegram_id, amount_cents }
+  fake: {
+    async normalize({ body }) {
+      if (!body?.transaction_id || !body?.status) throw new Error('PAYMENT_PAYLOAD_INVALID');
+
+      const status = String(body.status).toLowerCase();
+      return [{
+        event_id: `${body.transaction_id}:${status}`,
+        event_type: FAKE_STATUS_EVENTS[status] || null,
+        status,
+        transaction_id: String(body.transaction_id),
+        bot_slug: body.bot_slug || null,
+        telegram_id: body.telegram_id ? String(body.telegram_id) : null,
+        amount_cents: Number.isInteger(body.amount_cents) ? body.amount_cents : null,
+        raw: body
+      }];
+    },
+    async createCharge({ amount_cents, description, env = process.env }) {
+      if (env.NODE_ENV === 'production') throw new Error('PIX_PROVIDER_FAKE_DISABLED');
+
+      const transaction_id = `fake_${crypto.randomUUID().replace(/-/g, '')}`;
+      const pix_code = buildPixCode({
+        key: env.PIX_FAKE_KEY || 'pix-teste@example.com',
+        merchant_name: env.PIX_FAKE_MERCHANT_NAME || 'Elysia Teste',
+        merchant_city: env.PIX_FAKE_MERCHANT_CITY || 'Sao Paulo',
+        amount_cents,
+        txid: transaction_id,
+        description
+      });
+      return { transaction_id, pix_code, amount_cents };
+    }
+  }
+};
+
+function getProviderAdapter(provider) {
+  return Object.prototype.hasOwnProperty.call(PROVIDER_ADAPTERS, provider) ? PROVIDER_ADAPTERS[provider] : null;
+}
+
+/**
+ * Normaliza o payload nativo
+ * @param {string} provider - Nome do provedor (chave de PROVIDER_ADAPTERS)
+ * @param {object} input - { body, query, headers }
+ * @returns {Promise<Array>} Eventos normalizados (vazio = notificação sem evento de pagamento)
+ */
+async function normalizeProviderEvents(provider, input) {
+  const adapter = getProviderAdapter(provider);
+  if (!adapter) throw new Error('PAYMENT_PROVIDER_UNKNOWN');
+
+  const events = await adapter.normalize(input);
+  return events.map(event => ({ provider, ...event }));
+}
+
+/**
+ * Completa bot_slug/telegram_id pela linha em payments (mesmo transaction_id, índice ux_payments_tx)
+ * Todo PIX gerado no bot ou recebido em pix_created grava a linha com o dono
+ */
+async function resolvePaymentOwner(pool, event) {
+  if (event.bot_slug && event.telegram_id) return event;
+  if (!event.transaction_id) return event;
+
+  const result = await pool.query(
+    `SELECT bot_slug, telegram_id::text AS tg_id
+     FROM public.payments
+     WHERE transaction_id = $1 AND bot_slug IS NOT NULL AND telegram_id IS NOT NULL`,
+    [String(event.transaction_id)]
+  );
+
+  const row = result.rows[0];
+  return row ? { ...event, bot_slug: row.bot_slug, telegram_id: row.tg_id } : event;
+}
+
+/**
+ * Encaminha o evento normalizado para o handler do webhook de pagamento
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} event - Evento normalizado
+ * @param {object} options - { request_id }
+ */
+async function dispatchPaymentEvent(pool, event, { request_id } = {}) {
+  if (!event.event_type) {
+    console.info('[PAYMENT_PROVIDER][IGNORED]', { provider: event.provider, transaction_id: event.transaction_id, status: event.status });
+    return { ok: true, ignored: true };
+  }
+
+  if (event.event_type === 'pix_expired') {
+    return handlePixExpired(pool, { transaction_id: event.transaction_id, provider: event.provider });
+  }
+
+  // Estorno/chargeback: dono vem da linha em payments
+  if (event.event_type === 'payment_refunded') {
+    return handlePaymentRefunded(pool, { transaction_id: event.transaction_id, provider: event.provider });
+  }
+  if (event.event_type === 'payment_chargeback') {
+    return handleChargeback(pool, { transaction_id: event.transaction_id, provider: event.provider });
+  }
+
+  const resolved = await resolvePaymentOwner(pool, event);
+  if (!resolved.bot_slug || !resolved.telegram_id) {
+    console.warn('[PAYMENT_PROVIDER][OWNER_NOT_FOUND]', {
+      request_id,
+      provider: event.provider,
+      transaction_id: event.transaction_id,
+      event_type: event.event_type
+    });
+    return { ok: false, reason: 'owner_not_found' };
+  }
+
+  const params = {
+    bot_slug: resolved.bot_slug,
+    telegram_id: resolved.telegram_id,
+    transaction_id: resolved.transaction_id,
+    provider: event.provider,
+    amount_cents: event.amount_cents
+  };
+
+  return event.event_type === 'pix_created'
+    ? handlePixCreated(pool, { ...params, correlation_id: event.correlation_id || request_id })
+    : handlePaymentApproved(pool, params);
+}
+
+module.exports = {
+  PROVIDER_ADAPTERS,
+  buildPaymentReference,
+  buildWebhookUrl,
+  parsePaymentReference,
+  getProviderAdapter,
+  normalizeProviderEvents,
+  resolvePaymentOwner,
+  dispatchPaymentEvent
+};
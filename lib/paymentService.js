@@ -0,0 +1,198 @@
+/**
+ * Ciclo de vida dos pagamentos (public.payments)
+ * Uma linha por transaction_id, atualizada pelos webhooks de pagamento
+ * Status: PENDING -> PAID | CANCELED | FAILED; PAID -> REFUNDED | CHARGEBACK
+ * PAID só sai por estorno/chargeback; CANCELED/FAILED ainda aceitam PAID (confirmação tardia do gateway)
+ * REFUNDED ainda aceita CHARGEBACK (disputa aberta após o estorno)
+ */
+
+const PAYMENT_STATUSES = ['PENDING', 'PAID', 'CANCELED', 'FAILED', 'REFUNDED', 'CHARGEBACK'];
+
+// Status de origem aceitos para cada status de destino (o próprio status = reenvio, só completa dados)
+const ALLOWED_FROM = {
+  PENDING: ['PENDING'],
+  PAID: ['PENDING', 'CANCELED', 'FAILED', 'PAID'],
+  CANCELED: ['PENDING', 'CANCELED'],
+  FAILED: ['PENDING', 'FAILED'],
+  REFUNDED: ['PAID', 'REFUNDED'],
+  CHARGEBACK: ['PAID', 'REFUNDED', 'CHARGEBACK']
+};
+
+const LIST_COLUMNS = `id, transaction_id, provider, external_id, status, amount_cents, bot_slug, telegram_id,
+  product_id, downsell_id, paid_at, canceled_at, failed_at, refunded_at, created_at, updated_at`;
+
+function canTransition(from, to) {
+  return (ALLOWED_FROM[to] || []).includes(from);
+}
+
+/**
+ * Registra o status do pagamento respeitando as transições
+ * Sem bot_slug/telegram_id só atualiza uma linha existente (ex.: expiração de PIX desconhecido)
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { transaction_id, status, provider, external_id, amount_cents, bot_slug, telegram_id, product_id, downsell_id, now }
+ * @returns {Promise<object>} { applied, previous_status, payment }
+ */
+async function recordPaymentStatus(pool, params) {
+  const {
+    transaction_id, status, provider, external_id, amount_cents, bot_slug, telegram_id, product_id, downsell_id, now = new Date()
+  } = params;
+
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!transaction_id) throw new Error('MISSING_TRANSACTION_ID');
+  if (!PAYMENT_STATUSES.includes(status)) throw new Error('INVALID_PAYMENT_STATUS');
+
+  const values = [
+    String(transaction_id),
+    status,
+    provider || 'unknown',
+    external_id || null,
+    Number.isInteger(amount_cents) ? amount_cents : null,
+    bot_slug || null,
+    telegram_id ? String(telegram_id) : null,
+    now,
+    ALLOWED_FROM[status],
+    product_id || null,
+    downsell_id || null
+  ];
+
+  // Colunas de data preenchidas só na primeira vez que o status é atingido
+  const changes = `
+    status = $2,
+    provider = CASE WHEN p.provider = 'unknown' THEN $3 ELSE p.provider END,
+    external_id = COALESCE(p.external_id, $4),
+    amount_cents = COALESCE($5, p.amount_cents),
+    bot_slug = COALESCE(p.bot_slug, $6),
+    telegram_id = COALESCE(p.telegram_id, $7::bigint),
+    product_id = COALESCE(p.product_id, $10::bigint),
+    downsell_id = COALESCE(p.downsell_id, $11::bigint),
+    paid_at = CASE WHEN $2 = 'PAID' THEN COALESCE(p.paid_at, $8::timestamptz) ELSE p.paid_at END,
+    canceled_at = CASE WHEN $2 = 'CANCELED' THEN COALESCE(p.canceled_at, $8::timestamptz) ELSE p.canceled_at END,
+    failed_at = CASE WHEN $2 = 'FAILED' THEN COALESCE(p.failed_at, $8::timestamptz) ELSE p.failed_at END,
+    refunded_at = CASE WHEN $2 IN ('REFUNDED', 'CHARGEBACK') THEN COALESCE(p.refunded_at, $8::timestamptz) ELSE p.refunded_at END,
+    updated_at = $8::timestamptz`;
+
+  const write = bot_slug && telegram_id
+    ? `INSERT INTO public.payments AS p (
+         transaction_id, status, provider, external_id, amount_cents, bot_slug, telegram_id, product_id, downsell_id,
+         paid_at, canceled_at, failed_at, created_at, updated_at
+       ) VALUES (
+         $1, $2, $3, $4, $5, $6, $7::bigint, $10::bigint, $11::bigint,
+         CASE WHEN $2 = 'PAID' THEN $8::timestamptz END,
+         CASE WHEN $2 = 'CANCELED' THEN $8::timestamptz END,
+         CASE WHEN $2 = 'FAILED' THEN $8::timestamptz END,
+         $8::timestamptz, $8::timestamptz
+       )
+       ON CONFLICT (transaction_id) DO UPDATE SET ${changes}
+       WHERE p.status = ANY($9::text[])
+       RETURNING ${LIST_COLUMNS}`
+    : `UPDATE public.payments AS p SET ${changes}
+       WHERE p.transaction_id = $1 AND p.status = ANY($9::text[])
+       RETURNING ${LIST_COLUMNS}`;
+
+  // CTE "previous" lê o estado anterior à escrita (mesmo snapshot)
+  const result = await pool.query(
+    `WITH previous AS (
+       SELECT status FROM public.payments WHERE transaction_id = $1
+     ), written AS (
+       ${write}
+     )
+     SELECT (SELECT status FROM previous) AS previous_status,
+            (SELECT row_to_json(written) FROM written) AS payment`,
+    values
+  );
+
+  const { previous_status, payment } = result.rows[0];
+  const applied = !!payment;
+
+  if (!applied) {
+    console.warn('[PAYMENTS][TRANSITION_REJECTED]', { transaction_id, from: previous_status, to: status });
+  } else if (previous_status !== status) {
+    console.info('[PAYMENTS][STATUS]', { transaction_id, from: previous_status, to: status, bot_slug: payment.bot_slug });
+  }
+
+  return { applied, previous_status, payment };
+}
+
+/**
+ * Lista pagamentos do bot com totais por status
+ * @param {object} pool - Pool PostgreSQL
+ * @param {string} slug - Slug do bot
+ * @param {object} filters - { status, provider, telegram_id, product_id, from, to, limit, offset }
+ * @returns {Promise<object>} { payments, total, totals, limit, offset }
+ */
+async function listPayments(pool, slug, filters = {}) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug) throw new Error('MISSING_SLUG');
+
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+  const conditions = ['bot_slug = $1'];
+  const params = [slug];
+
+  if (filters.status) {
+    const status = String(filters.status).toUpperCase();
+    if (!PAYMENT_STATUSES.includes(status)) throw new Error('INVALID_STATUS');
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+
+  if (filters.provider) {
+    params.push(String(filters.provider).toLowerCase());
+    conditions.push(`provider = $${params.length}`);
+  }
+
+  if (filters.telegram_id) {
+    if (!/^\d+$/.test(String(filters.telegram_id))) throw new Error('INVALID_TELEGRAM_ID');
+    params.push(String(filters.telegram_id));
+    conditions.push(`telegram_id = $${params.length}::bigint`);
+  }
+
+  if (filters.product_id) {
+    if (!/^\d+$/.test(String(filters.product_id))) throw new Error('INVALID_PRODUCT_ID');
+    params.push(String(filters.product_id));
+    conditions.push(`product_id = $${params.length}::bigint`);
+  }
+
+  for (const [key, op] of [['from', '>='], ['to', '<']]) {
+    if (!filters[key]) continue;
+    const date = new Date(filters[key]);
+    if (isNaN(date.getTime())) throw new Error('INVALID_DATE_RANGE');
+    params.push(date);
+    conditions.push(`created_at ${op} $${params.length}`);
+  }
+
+  const where = conditions.join(' AND ');
+
+  const totalsResult = await pool.query(
+    `SELECT status, COUNT(*)::int AS count, COALESCE(SUM(amount_cents), 0)::bigint AS amount_cents
+     FROM public.payments
+     WHERE ${where}
+     GROUP BY status`,
+    params
+  );
+
+  const result = await pool.query(
+    `SELECT ${LIST_COLUMNS}
+     FROM public.payments
+     WHERE ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  const totals = Object.fromEntries(PAYMENT_STATUSES.map(status => [status, { count: 0, amount_cents: 0 }]));
+  for (const row of totalsResult.rows) {
+    totals[row.status] = { count: row.count, amount_cents: Number(row.amount_cents) };
+  }
+  const total = totalsResult.rows.reduce((sum, row) => sum + row.count, 0);
+
+  return { payments: result.rows, total, totals, limit, offset };
+}
+
+module.exports = {
+  PAYMENT_STATUSES,
+  canTransition,
+  recordPaymentStatus,
+  listPayments
+};
@@ -0,0 +1,135 @@
+/**
+ * Autenticação dos webhooks de pagamento
+ * Assinatura: HMAC-SHA256 (hex) de `${timestamp}.${rawBody}` com o segredo do provedor
+ * Headers: X-Webhook-Timestamp (unix, segundos) e X-Webhook-Signature (`sha256=<hex>` ou `<hex>`)
+ * Segredos: PAYMENT_<PROVIDER>_SECRET, separados por vírgula para rotação (atual,anterior)
+ * Namespace próprio: o nome do provedor vem da requisição e não pode alcançar outros segredos do ambiente
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TOLERANCE_SEC = 300;
+// Prazo para o processamento em background concluir antes de o worker assumir o evento
+const PROCESSING_LEASE_MINUTES = 5;
+const PROVIDER_PATTERN = /^[a-z0-9_]{2,32}$/;
+
+function safeEqualHex(a, b) {
+  const A = Buffer.from(String(a || ''), 'utf8');
+  const B = Buffer.from(String(b || ''), 'utf8');
+  if (A.length !== B.length) return false;
+  try { return crypto.timingSafeEqual(A, B); } catch { return false; }
+}
+
+/**
+ * Segredos aceitos para o provedor (o primeiro é o atual)
+ * @returns {string[]}
+ */
+function getProviderSecrets(provider, env = process.env) {
+  if (!PROVIDER_PATTERN.test(String(provider || ''))) return [];
+  const raw = env[`PAYMENT_${String(provider).toUpperCase()}_SECRET`] || '';
+  return raw.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function getToleranceSec(env = process.env) {
+  const value = Number(env.PAYMENT_WEBHOOK_TOLERANCE_SEC);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_TOLERANCE_SEC;
+}
+
+/**
+ * Assina o corpo (usado pelos testes e por integrações internas)
+ */
+function signPayload(secret, timestamp, rawBody) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+/**
+ * Verifica a assinatura de uma chamada
+ * @param {object} params - { provider, raw_body, timestamp, signature, now, env }
+ * @returns {object} { ok: true, secret_index } ou { ok: false, error }
+ */
+function verifyPaymentSignature({ provider, raw_body, timestamp, signature, now = Date.now(), env = process.env }) {
+  if (!provider || !PROVIDER_PATTERN.test(provider)) {
+    return { ok: false, error: 'PAYMENT_PROVIDER_INVALID' };
+  }
+
+  const secrets = getProviderSecrets(provider, env);
+  if (secrets.length === 0) {
+    return { ok: false, error: 'PAYMENT_WEBHOOK_SECRET_NOT_SET' };
+  }
+
+  if (!signature || !timestamp) {
+    return { ok: false, error: 'PAYMENT_SIGNATURE_MISSING' };
+  }
+
+  const ts = Number(timestamp);
+  if (!Number.isInteger(ts)) {
+    return { ok: false, error: 'PAYMENT_TIMESTAMP_INVALID' };
+  }
+  if (Math.abs(Math.floor(now / 1000) - ts) > getToleranceSec(env)) {
+    return { ok: false, error: 'PAYMENT_TIMESTAMP_OUT_OF_TOLERANCE' };
+  }
+
+  // O remetente pode enviar mais de uma assinatura durante a rotação
+  const received = String(signature)
+    .split(',')
+    .map(s => s.trim().replace(/^sha256=/i, '').toLowerCase())
+    .filter(Boolean);
+
+  const body = Buffer.isBuffer(raw_body) ? raw_body.toString('utf8') : String(raw_body || '');
+  for (let i = 0; i < secrets.length; i++) {
+    const expected = signPayload(secrets[i], ts, body);
+    if (received.some(sig => safeEqualHex(sig, expected))) {
+      return { ok: true, secret_index: i };
+    }
+  }
+
+  return { ok: false, error: 'PAYMENT_SIGNATURE_INVALID' };
+}
+
+/**
+ * Registra a chamada aceita em gateway_events (chave: provider + provider_event_id)
+ * A linha nasce pending com prazo de PROCESSING_LEASE_MINUTES: se o processamento em background
+ * não concluir (falha ou restart), o paymentEventWorker reprocessa a partir do payload
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { provider, event_id, event_type, slug, telegram_id, request_id, payload }
+ * @returns {Promise<string|null>} id da linha nova; null = já recebido (reenvio do provedor)
+ */
+async function recordPaymentEvent(pool, { provider, event_id, event_type, slug, telegram_id, request_id, payload }) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!event_id) throw new Error('PAYMENT_EVENT_ID_MISSING');
+
+  const result = await pool.query(
+    `INSERT INTO public.gateway_events (
+       request_id, slug, chat_id, status, purpose, dedupe_key,
+       provider, provider_event_id, event_type, payload, occurred_at,
+       processing_status, process_attempts, next_attempt_at
+     ) VALUES ($1, $2, $3, 'ok', 'payment_webhook', $4, $5, $6, $7, $8, now(),
+       'pending', 1, now() + make_interval(mins => $9))
+     ON CONFLICT DO NOTHING
+     RETURNING id`,
+    [
+      request_id,
+      slug || '',
+      telegram_id ? String(telegram_id) : '',
+      `payment:${provider}:${event_id}`,
+      provider,
+      String(event_id),
+      event_type,
+      JSON.stringify(payload ?? null),
+      PROCESSING_LEASE_MINUTES
+    ]
+  );
+
+  return result.rowCount > 0 ? result.rows[0].id : null;
+}
+
+module.exports = {
+  DEFAULT_TOLERANCE_SEC,
+  PROCESSING_LEASE_MINUTES,
+  safeEqualHex,
+  getProviderSecrets,
+  getToleranceSec,
+  signPayload,
+  verifyPaymentSignature,
+  recordPaymentEvent
+};
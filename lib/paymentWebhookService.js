@@ -1,18 +1,73 @@
 /**
  * Serviço para processar webhooks de pagamento
  * Gerencia agendamento de downsells após PIX e cancelamento ao pagar
+ * Cada evento também atualiza a linha da transação em public.payments (paymentService)
+ * e grava pix_created/payment_approved em funnel_events (elegibilidade de downsells/disparos e receita do funil)
+ * Pagamento aprovado de produto com entrega configurada enfileira a entrega (deliveryService)
+ * e, em produto invite_link, cria/renova a assinatura com vencimento (membershipService)
+ * Estorno/chargeback de pagamento aprovado revoga o acesso (assinatura, convite e entrega pendente)
+ * e grava payment_refunded/payment_chargeback (usuário deixa de contar como pagante nos disparos)
  */
 
 const { scheduleDownsellsForPix, cancelDownsellsOnPayment, cancelDownsellsOnExpiration } = require('./downsellService');
+const { recordPaymentStatus } = require('./paymentService');
+const { insertFunnelEvent } = require('./funnel');
+const { enqueueDelivery, revokeDelivery } = require('./deliveryService');
+const { upsertMembershipForPayment, revokeMembership } = require('./membershipService');
 const { observe } = require('./metricsService');
 
+const FUNNEL_EVENT_PREFIX = {
+  pix_created: 'pix',
+  payment_approved: 'pay',
+  payment_refunded: 'ref',
+  payment_chargeback: 'cbk'
+};
+
+// Coluna de payments com a data do evento
+const FUNNEL_EVENT_DATE = {
+  pix_created: 'created_at',
+  payment_approved: 'paid_at',
+  payment_refunded: 'refunded_at',
+  payment_chargeback: 'refunded_at'
+};
+
+/**
+ * Grava o evento de funil da transação (dedupe por event_id = <prefixo>:<slug>:<transaction_id>)
+ * occurredAt vem da linha em payments (created_at/paid_at/refunded_at, fixados na primeira vez):
+ * reenvios caem na mesma partição mensal e são deduplicados
+ * Falha aqui não interrompe o webhook
+ */
+async function recordPaymentFunnelEvent(pool, { event_name, bot_slug, telegram_id, transaction_id, payment, provider }) {
+  const meta = {};
+  if (provider) meta.provider = provider;
+  if (payment?.product_id) meta.product_id = Number(payment.product_id);
+  if (payment?.downsell_id) meta.downsell_id = Number(payment.downsell_id);
+
+  const occurredAt = payment?.[FUNNEL_EVENT_DATE[event_name]];
+  try {
+    return await insertFunnelEvent(pool, {
+      slug: bot_slug,
+      event_name,
+      event_id: `${FUNNEL_EVENT_PREFIX[event_name]}:${bot_slug}:${transaction_id}`,
+      tg_id: telegram_id,
+      transaction_id: String(transaction_id),
+      price_cents: Number.isInteger(payment?.amount_cents) ? payment.amount_cents : null,
+      meta: Object.keys(meta).length > 0 ? meta : null,
+      occurredAt: occurredAt ? new Date(occurredAt) : new Date()
+    });
+  } catch (err) {
+    console.error('[PAYMENT_WEBHOOK][FUNNEL][ERR]', { event_name, bot_slug, transaction_id, error: err.message });
+    return { ok: false, error: err.message };
+  }
+}
+
 /**
  * Processa webhook de PIX criado
  * @param {object} pool - Pool PostgreSQL
- * @param {object} params - { bot_slug, telegram_id, transaction_id, correlation_id }
+ * @param {object} params - { bot_slug, telegram_id, transaction_id, correlation_id, provider, amount_cents, product_id, downsell_id }
  */
 async function handlePixCreated(pool, params) {
-  const { bot_slug, telegram_id, transaction_id, correlation_id } = params;
+  const { bot_slug, telegram_id, transaction_id, correlation_id, provider, amount_cents, product_id, downsell_id } = params;
 
   if (!pool || !bot_slug || !telegram_id || !transaction_id) {
     console.warn('[PAYMENT_WEBHOOK][PIX_CREATED][INVALID_PARAMS]', params);
@@ -20,6 +75,32 @@ async function handlePixCreated(pool, params) {
   }
 
   try {
+    const payment = await recordPaymentStatus(pool, {
+      transaction_id,
+      status: 'PENDING',
+      provider,
+      amount_cents,
+      bot_slug,
+      telegram_id,
+      product_id,
+      downsell_id
+    });
+
+    // Notificação atrasada de PIX já pago/cancelado: não agendar downsells
+    if (!payment.applied) {
+      console.warn('[PAYMENT_WEBHOOK][PIX_CREATED][SKIPPED]', { bot_slug, telegram_id, transaction_id, status: payment.previous_status });
+      return { ok: true, scheduled: 0, skipped: true };
+    }
+
+    await recordPaymentFunnelEvent(pool, {
+      event_name: 'pix_created',
+      bot_slug,
+      telegram_id,
+      transaction_id,
+      payment: payment.payment,
+      provider
+    });
+
     // Agendar downsells com gatilho PIX
     const scheduled = await scheduleDownsellsForPix(pool, {
       bot_slug,
@@ -51,10 +132,10 @@ async function handlePixCreated(pool, params) {
 /**
  * Processa webhook de pagamento aprovado
  * @param {object} pool - Pool PostgreSQL
- * @param {object} params - { bot_slug, telegram_id, transaction_id }
+ * @param {object} params - { bot_slug, telegram_id, transaction_id, provider, amount_cents }
  */
 async function handlePaymentApproved(pool, params) {
-  const { bot_slug, telegram_id, transaction_id } = params;
+  const { bot_slug, telegram_id, transaction_id, provider, amount_cents } = params;
 
   if (!pool || !bot_slug || !telegram_id || !transaction_id) {
     console.warn('[PAYMENT_WEBHOOK][PAYMENT_APPROVED][INVALID_PARAMS]', params);
@@ -62,6 +143,25 @@ async function handlePaymentApproved(pool, params) {
   }
 
   try {
+    const payment = await recordPaymentStatus(pool, {
+      transaction_id,
+      status: 'PAID',
+      provider,
+      amount_cents,
+      bot_slug,
+      telegram_id
+    });
+
+    // Sem valor no webhook de aprovação, price_cents vem do valor gravado no PIX criado
+    await recordPaymentFunnelEvent(pool, {
+      event_name: 'payment_approved',
+      bot_slug,
+      telegram_id,
+      transaction_id,
+      payment: payment.payment,
+      provider
+    });
+
     // Cancelar todos os downsells pendentes do usuário
     const canceled = await cancelDownsellsOnPayment(pool, {
       bot_slug,
@@ -69,14 +169,34 @@ async function handlePaymentApproved(pool, params) {
       transaction_id
     });
 
+    // Assinatura e entrega do produto (idempotentes por transaction_id: reenvio do webhook não duplica)
+    let delivery_id = null;
+    const product_id = payment.payment?.product_id;
+    if (payment.applied && product_id) {
+      try {
+        // Assinatura antes da entrega: o convite enviado já corresponde ao acesso vigente
+        await upsertMembershipForPayment(pool, { bot_slug, telegram_id, product_id, transaction_id });
+      } catch (err) {
+        console.error('[PAYMENT_WEBHOOK][MEMBERSHIP][ERR]', { bot_slug, transaction_id, product_id, error: err.message });
+      }
+
+      try {
+        const delivery = await enqueueDelivery(pool, { bot_slug, telegram_id, transaction_id, product_id });
+        delivery_id = delivery.delivery_id;
+      } catch (err) {
+        console.error('[PAYMENT_WEBHOOK][DELIVERY][ERR]', { bot_slug, transaction_id, product_id, error: err.message });
+      }
+    }
+
     console.info('[PAYMENT_WEBHOOK][PAYMENT_APPROVED][OK]', {
       bot_slug,
       telegram_id,
       transaction_id,
-      canceled
+      canceled,
+      delivery_id
     });
 
-    return { ok: true, canceled };
+    return delivery_id ? { ok: true, canceled, delivery_id } : { ok: true, canceled };
   } catch (err) {
     console.error('[PAYMENT_WEBHOOK][PAYMENT_APPROVED][ERR]', {
       bot_slug,
@@ -91,10 +211,10 @@ async function handlePaymentApproved(pool, params) {
 /**
  * Processa webhook de PIX expirado
  * @param {object} pool - Pool PostgreSQL
- * @param {object} params - { transaction_id }
+ * @param {object} params - { transaction_id, provider }
  */
 async function handlePixExpired(pool, params) {
-  const { transaction_id } = params;
+  const { transaction_id, provider } = params;
 
   if (!pool || !transaction_id) {
     console.warn('[PAYMENT_WEBHOOK][PIX_EXPIRED][INVALID_PARAMS]', params);
@@ -102,6 +222,9 @@ async function handlePixExpired(pool, params) {
   }
 
   try {
+    // PIX já pago não volta para CANCELED (transição rejeitada em paymentService)
+    await recordPaymentStatus(pool, { transaction_id, status: 'CANCELED', provider });
+
     // Cancelar downsells pendentes da transação expirada
     const canceled = await cancelDownsellsOnExpiration(pool, transaction_id);
 
@@ -120,8 +243,107 @@ async function handlePixExpired(pool, params) {
   }
 }
 
+/**
+ * Estorno ou chargeback: atualiza o pagamento, revoga o acesso e grava o evento de funil
+ * Só a primeira reversão de um pagamento PAID revoga (chargeback após estorno só registra o evento)
+ * @param {string} status - REFUNDED | CHARGEBACK
+ */
+async function handlePaymentReversal(pool, params, status) {
+  const { transaction_id, provider } = params;
+  const event_name = status === 'CHARGEBACK' ? 'payment_chargeback' : 'payment_refunded';
+  const tag = status === 'CHARGEBACK' ? 'CHARGEBACK' : 'PAYMENT_REFUNDED';
+
+  if (!pool || !transaction_id) {
+    console.warn(`[PAYMENT_WEBHOOK][${tag}][INVALID_PARAMS]`, params);
+    return { ok: false, reason: 'invalid_params' };
+  }
+
+  try {
+    // Só atualiza pagamento existente: estorno de transação desconhecida não cria linha
+    const result = await recordPaymentStatus(pool, { transaction_id, status, provider });
+    if (!result.applied) {
+      console.warn(`[PAYMENT_WEBHOOK][${tag}][SKIPPED]`, { transaction_id, status: result.previous_status });
+      return { ok: true, skipped: true };
+    }
+
+    const payment = result.payment;
+    const { bot_slug, telegram_id } = payment;
+
+    await recordPaymentFunnelEvent(pool, {
+      event_name,
+      bot_slug,
+      telegram_id,
+      transaction_id,
+      payment,
+      provider
+    });
+
+    let revoked = null;
+    if (result.previous_status === 'PAID') {
+      revoked = { membership: false, delivery: null };
+      try {
+        revoked.membership = !!(await revokeMembership(pool, { bot_slug, transaction_id }));
+      } catch (err) {
+        console.error(`[PAYMENT_WEBHOOK][${tag}][MEMBERSHIP][ERR]`, { bot_slug, transaction_id, error: err.message });
+      }
+
+      if (payment.product_id) {
+        try {
+          revoked.delivery = await revokeDelivery(pool, {
+            bot_slug,
+            telegram_id,
+            transaction_id,
+            product_id: payment.product_id,
+            reason: status
+          });
+        } catch (err) {
+          console.error(`[PAYMENT_WEBHOOK][${tag}][DELIVERY][ERR]`, { bot_slug, transaction_id, error: err.message });
+        }
+      }
+    }
+
+    observe('payment_reversal_total', 1, { bot: bot_slug, status });
+
+    console.info(`[PAYMENT_WEBHOOK][${tag}][OK]`, {
+      bot_slug,
+      telegram_id,
+      transaction_id,
+      previous_status: result.previous_status,
+      revoked
+    });
+
+    return { ok: true, revoked };
+  } catch (err) {
+    console.error(`[PAYMENT_WEBHOOK][${tag}][ERR]`, {
+      transaction_id,
+      error: err.message
+    });
+    return { ok: false, error: err.message };
+  }
+}
+
+/**
+ * Processa webhook de pagamento estornado
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { transaction_id, provider }
+ */
+async function handlePaymentRefunded(pool, params) {
+  return handlePaymentReversal(pool, params, 'REFUNDED');
+}
+
+/**
+ * Processa webhook de chargeback (contestação no meio de pagamento)
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { transaction_id, provider }
+ */
+async function handleChargeback(pool, params) {
+  return handlePaymentReversal(pool, params, 'CHARGEBACK');
+}
+
 module.exports = {
   handlePixCreated,
   handlePaymentApproved,
-  handlePixExpired
+  handlePixExpired,
+  handlePaymentRefunded,
+  handleChargeback
 };
@@ -0,0 +1,162 @@
+/**
+ * Geração de PIX dentro do bot (ação generate_pix e nó payment dos fluxos)
+ * 1. Cria a cobrança no provedor do bot (bots.provider ou PIX_PROVIDER_OVERRIDE, ex.: "fake" em testes)
+ * 2. Registra o PIX como o webhook pix_created (payments, funil e downsells com gatilho PIX)
+ * 3. Envia ao usuário o QR Code (PNG) com o código "copia e cola" na legenda
+ * Cobrança de produto do catálogo: preço do produto ou o promocional do downsell de origem
+ */
+
+const { getTokenBySlug } = require('./tokenService');
+const telegramClient = require('./telegramClient');
+const { observe } = require('./metricsService');
+const { getProviderAdapter } = require('./paymentProviderService');
+const { handlePixCreated } = require('./paymentWebhookService');
+const { isValidPixCode } = require('./pixCodeService');
+const { qrCodePng } = require('./qrCodeService');
+const { escapeMarkdownV2 } = require('./sendService');
+const { resolveProductOffer } = require('./productService');
+
+const MAX_PRICE_CENTS = 100000000;
+
+function formatBrl(amount_cents) {
+  return `R$ ${(amount_cents / 100).toFixed(2).replace('.', ',')}`;
+}
+
+/**
+ * Legenda em MarkdownV2; o código fica em bloco de código (toque para copiar)
+ */
+function buildPixCaption({ amount_cents, description, pix_code }) {
+  const lines = [`*PIX de ${escapeMarkdownV2(formatBrl(amount_cents))}*`];
+  if (description) lines.push(escapeMarkdownV2(description));
+  lines.push('', escapeMarkdownV2('Escaneie o QR Code ou copie o código abaixo:'), '', `\`${pix_code.replace(/[`\\]/g, '')}\``);
+  return lines.join('\n');
+}
+
+async function resolveProvider(pool, slug) {
+  if (process.env.PIX_PROVIDER_OVERRIDE) {
+    return process.env.PIX_PROVIDER_OVERRIDE.trim().toLowerCase();
+  }
+  const { rows } = await pool.query('SELECT provider FROM public.bots WHERE slug = $1', [slug]);
+  if (rows.length === 0) throw new Error('BOT_NOT_FOUND');
+  return (rows[0].provider || '').trim().toLowerCase();
+}
+
+/**
+ * Gera e envia um PIX
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { slug, telegram_id, chat_id, price_cents, description, product_id, downsell_id, request_id }
+ * @returns {Promise<object>} { ok, transaction_id, provider, message_id } ou { ok: false, error }
+ */
+async function generatePixCharge(pool, params) {
+  const { slug, telegram_id, chat_id, price_cents, description, product_id, downsell_id, request_id } = params;
+  if (!Number.isInteger(price_cents) || price_cents <= 0 || price_cents > MAX_PRICE_CENTS) {
+    return { ok: false, error: 'PIX_PRICE_NOT_CONFIGURED' };
+  }
+
+  const provider = await resolveProvider(pool, slug);
+  const adapter = getProviderAdapter(provider);
+  if (!adapter?.createCharge) {
+    console.warn('[PIX_CHARGE][PROVIDER_NOT_CONFIGURED]', { request_id, slug, provider: provider || null });
+    return { ok: false, error: 'PIX_PROVIDER_NOT_CONFIGURED' };
+  }
+
+  // Token antes da cobrança: sem como enviar, não cria PIX no gateway
+  const token = await getTokenBySlug(pool, slug).catch(() => null);
+  if (!token) {
+    return { ok: false, error: 'BOT_TOKEN_NOT_FOUND' };
+  }
+
+  const t0 = Date.now();
+  let charge;
+  try {
+    charge = await adapter.createCharge({ bot_slug: slug, telegram_id, amount_cents: price_cents, description });
+  } catch (err) {
+    console.error('[PIX_CHARGE][CREATE][ERR]', { request_id, slug, provider, error: err.message });
+    observe('pix_charge_total', 1, { bot: slug, provider, result: 'error' });
+    return { ok: false, error: err.message };
+  }
+
+  if (!isValidPixCode(charge.pix_code)) {
+    // Envia mesmo assim: o gateway é a fonte do código; só sinaliza
+    console.warn('[PIX_CHARGE][PIX_CODE_CRC_INVALID]', { request_id, slug, provider, transaction_id: charge.transaction_id });
+  }
+
+  // Mesmo caminho do webhook pix_created: payments, funil e downsells
+  const created = await handlePixCreated(pool, {
+    bot_slug: slug,
+    telegram_id,
+    transaction_id: charge.transaction_id,
+    correlation_id: request_id,
+    provider,
+    amount_cents: charge.amount_cents,
+    product_id,
+    downsell_id
+  });
+  if (!created.ok) {
+    console.warn('[PIX_CHARGE][PIX_CREATED][ERR]', { request_id, slug, transaction_id: charge.transaction_id, error: created.error || created.reason });
+  }
+
+  const sent = await telegramClient.sendPhoto(token, chat_id, qrCodePng(charge.pix_code), {
+    filename: 'pix.png',
+    caption: buildPixCaption({ amount_cents: charge.amount_cents, description, pix_code: charge.pix_code }),
+    parse_mode: 'MarkdownV2'
+  });
+
+  const lat_ms = Date.now() - t0;
+  observe('pix_charge_total', 1, { bot: slug, provider, result: sent.ok ? 'ok' : 'send_error' });
+  observe('pix_charge_ms', lat_ms, { bot: slug, provider });
+
+  if (!sent.ok) {
+    console.error('[PIX_CHARGE][SEND][ERR]', { request_id, slug, transaction_id: charge.transaction_id, error: sent.error });
+    return { ok: false, error: sent.error, transaction_id: charge.transaction_id };
+  }
+
+  console.info('[PIX_CHARGE][OK]', {
+    request_id,
+    slug,
+    telegram_id,
+    provider,
+    transaction_id: charge.transaction_id,
+    amount_cents: charge.amount_cents,
+    product_id,
+    scheduled: created.scheduled,
+    lat_ms
+  });
+
+  return { ok: true, provider, transaction_id: charge.transaction_id, message_id: sent.message_id };
+}
+
+/**
+ * Gera o PIX de um produto do catálogo (botão "p:<id>" ou ação generate_pix { product_id })
+ * @param {object} params - { slug, telegram_id, chat_id, product_id, downsell_id, request_id }
+ */
+async function generateProductPixCharge(pool, { slug, telegram_id, chat_id, product_id, downsell_id, request_id }) {
+  let offer;
+  try {
+    offer = await resolveProductOffer(pool, { slug, telegram_id, product_id, downsell_id });
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+
+  // PIX só cobra em reais
+  if (offer.product.currency !== 'BRL') {
+    return { ok: false, error: 'PIX_CURRENCY_UNSUPPORTED' };
+  }
+
+  return generatePixCharge(pool, {
+    slug,
+    telegram_id,
+    chat_id,
+    price_cents: offer.price_cents,
+    description: offer.product.name,
+    product_id: offer.product.id,
+    downsell_id: offer.downsell_id,
+    request_id
+  });
+}
+
+module.exports = {
+  buildPixCaption,
+  generatePixCharge,
+  generateProductPixCharge
+};
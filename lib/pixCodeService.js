@@ -0,0 +1,93 @@
+/**
+ * PIX "copia e cola" (BR Code, padrão EMV QRCPS do Banco Central)
+ * Campos TLV: ID (2 dígitos) + tamanho (2 dígitos) + valor; CRC16-CCITT no campo 63
+ */
+
+const GUI_PIX = 'br.gov.bcb.pix';
+const MAX_MERCHANT_NAME = 25;
+const MAX_MERCHANT_CITY = 15;
+const MAX_TXID = 25;
+
+function tlv(id, value) {
+  const str = String(value);
+  if (str.length > 99) throw new Error('PIX_FIELD_TOO_LONG');
+  return `${id}${String(str.length).padStart(2, '0')}${str}`;
+}
+
+/**
+ * CRC16-CCITT-FALSE (polinômio 0x1021, inicial 0xFFFF), 4 dígitos hex maiúsculos
+ */
+function crc16(payload) {
+  let crc = 0xFFFF;
+  for (const byte of Buffer.from(payload, 'utf8')) {
+    crc ^= byte << 8;
+    for (let i = 0; i < 8; i++) {
+      crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+    }
+  }
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Texto em ASCII sem acentos (nome/cidade do recebedor)
+ */
+function normalizeText(value, maxLength) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9 ]/g, '')
+    .trim()
+    .slice(0, maxLength);
+}
+
+/**
+ * Monta o BR Code estático
+ * @param {object} params - { key, merchant_name, merchant_city, amount_cents, txid, description }
+ * @returns {string} Código "copia e cola"
+ */
+function buildPixCode({ key, merchant_name, merchant_city, amount_cents, txid, description }) {
+  if (!key) throw new Error('PIX_KEY_MISSING');
+
+  const name = normalizeText(merchant_name, MAX_MERCHANT_NAME);
+  const city = normalizeText(merchant_city, MAX_MERCHANT_CITY);
+  if (!name || !city) throw new Error('PIX_MERCHANT_INVALID');
+
+  if (amount_cents !== undefined && amount_cents !== null && (!Number.isInteger(amount_cents) || amount_cents <= 0)) {
+    throw new Error('PIX_AMOUNT_INVALID');
+  }
+
+  // txid: até 25 alfanuméricos; "***" = sem identificador
+  const reference = String(txid || '').replace(/[^A-Za-z0-9]/g, '').slice(0, MAX_TXID) || '***';
+
+  const account = tlv('00', GUI_PIX)
+    + tlv('01', key)
+    + (description ? tlv('02', String(description).slice(0, 40)) : '');
+
+  let payload = tlv('00', '01')
+    + tlv('26', account)
+    + tlv('52', '0000')
+    + tlv('53', '986')
+    + (amount_cents ? tlv('54', (amount_cents / 100).toFixed(2)) : '')
+    + tlv('58', 'BR')
+    + tlv('59', name)
+    + tlv('60', city)
+    + tlv('62', tlv('05', reference));
+
+  payload += '6304';
+  return payload + crc16(payload);
+}
+
+/**
+ * Confere o CRC de um código "copia e cola" (inclusive os gerados pelos gateways)
+ */
+function isValidPixCode(code) {
+  if (typeof code !== 'string' || code.length < 8 || !code.startsWith('000201')) return false;
+  const body = code.slice(0, -4);
+  return body.endsWith('6304') && crc16(body) === code.slice(-4).toUpperCase();
+}
+
+module.exports = {
+  crc16,
+  buildPixCode,
+  isValidPixCode
+};
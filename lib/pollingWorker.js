@@ -0,0 +1,193 @@
+/**
+ * Worker de long-polling (getUpdates)
+ * Alternativa ao webhook para bots com update_mode = 'polling' (dev local, webhook fora do ar)
+ * Um loop por bot; cada update entra no mesmo pipeline do webhook (log durável + processUpdate)
+ * O Telegram aceita um único getUpdates por bot: rodar em uma instância só
+ */
+
+const { randomUUID } = require('crypto');
+const { callApi } = require('./telegramClient');
+const { getTokenBySlug } = require('./tokenService');
+const { observe } = require('./metricsService');
+
+const LONG_POLL_TIMEOUT_S = 25;
+const ERROR_BACKOFF_MS = 5000;
+
+let isRunning = false;
+let refreshInterval = null;
+// slug -> Promise do loop em execução
+const loops = new Map();
+// Bots em modo polling na última leitura do banco
+let pollingSlugs = new Set();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function listPollingBots(pool) {
+  const result = await pool.query(
+    `SELECT slug, polling_offset
+     FROM public.bots
+     WHERE update_mode = 'polling' AND deleted_at IS NULL`
+  );
+  return result.rows;
+}
+
+async function recordPollingError(pool, slug, error) {
+  await pool.query(
+    `UPDATE public.bots SET polling_error = $2, polling_last_at = now() WHERE slug = $1`,
+    [slug, error]
+  ).catch(err => {
+    console.error('[POLLING][RECORD_ERR]', { slug, error: err.message });
+  });
+}
+
+/**
+ * Uma chamada getUpdates: entrega os updates ao pipeline e persiste o novo offset
+ * @param {object} pool - Pool PostgreSQL
+ * @param {string} slug - Slug do bot
+ * @param {object} params - { token, offset, ingest }
+ * @returns {Promise<object>} { ok, offset, count, error }
+ */
+async function pollOnce(pool, slug, { token, offset, ingest }) {
+  const response = await callApi(
+    token,
+    'getUpdates',
+    { offset, timeout: LONG_POLL_TIMEOUT_S },
+    { retries: 1, timeout_ms: (LONG_POLL_TIMEOUT_S + 10) * 1000 }
+  );
+
+  if (!response.ok) {
+    // 409: webhook registrado por fora ou outro getUpdates ativo; no modo polling o webhook sai
+    if (response.status_code === 409) {
+      await callApi(token, 'deleteWebhook', { drop_pending_updates: false }, { retries: 1 });
+    }
+    const error = response.description || response.error;
+    console.warn('[POLLING][GET_UPDATES][ERR]', { slug, status_code: response.status_code, error });
+    await recordPollingError(pool, slug, error);
+    return { ok: false, offset, count: 0, error };
+  }
+
+  const updates = Array.isArray(response.result) ? response.result : [];
+  let nextOffset = offset;
+
+  // Em ordem e um por vez: o próximo update do bot só entra depois do anterior ser processado
+  for (const update of updates) {
+    try {
+      await ingest({ slug, update, request_id: randomUUID(), received_at: Date.now() });
+    } catch (err) {
+      console.error('[POLLING][INGEST_ERR]', { slug, update_id: update.update_id, error: err.message });
+    }
+    nextOffset = Math.max(nextOffset, update.update_id + 1);
+  }
+
+  await pool.query(
+    `UPDATE public.bots
+     SET polling_offset = GREATEST(polling_offset, $2), polling_last_at = now(), polling_error = NULL
+     WHERE slug = $1`,
+    [slug, nextOffset]
+  );
+
+  if (updates.length > 0) {
+    observe('polling_updates_total', updates.length, { bot: slug });
+  }
+
+  return { ok: true, offset: nextOffset, count: updates.length };
+}
+
+/**
+ * Loop de um bot: roda enquanto o bot continuar em modo polling
+ */
+async function runBotLoop(pool, slug, initialOffset, ingest) {
+  let offset = Number(initialOffset) || 0;
+  console.info('[POLLING][BOT_START]', { slug, offset });
+
+  while (isRunning && pollingSlugs.has(slug)) {
+    try {
+      const token = await getTokenBySlug(pool, slug);
+      if (!token) {
+        await recordPollingError(pool, slug, 'BOT_TOKEN_NOT_SET');
+        await sleep(ERROR_BACKOFF_MS);
+        continue;
+      }
+
+      const result = await pollOnce(pool, slug, { token, offset, ingest });
+      offset = result.offset;
+      if (!result.ok) {
+        await sleep(ERROR_BACKOFF_MS);
+      }
+    } catch (err) {
+      console.error('[POLLING][LOOP_ERR]', { slug, error: err.message });
+      await recordPollingError(pool, slug, err.message);
+      await sleep(ERROR_BACKOFF_MS);
+    }
+  }
+
+  loops.delete(slug);
+  console.info('[POLLING][BOT_STOP]', { slug, offset });
+}
+
+/**
+ * Relê os bots em modo polling e inicia loops dos que ainda não estão rodando
+ */
+async function refresh(pool, ingest) {
+  try {
+    const bots = await listPollingBots(pool);
+    pollingSlugs = new Set(bots.map(bot => bot.slug));
+
+    for (const bot of bots) {
+      if (!loops.has(bot.slug)) {
+        loops.set(bot.slug, runBotLoop(pool, bot.slug, bot.polling_offset, ingest));
+      }
+    }
+  } catch (err) {
+    console.error('[POLLING][REFRESH_ERR]', { error: err.message });
+  }
+}
+
+/**
+ * Inicia o worker de polling
+ * @param {object} pool - Pool PostgreSQL
+ * @param {Function} ingest - Pipeline de updates ({ slug, update, request_id, received_at })
+ * @param {number} intervalMs - Intervalo de releitura dos bots em polling (padrão: 10s)
+ */
+function start(pool, ingest, intervalMs = 10000) {
+  if (isRunning) {
+    console.warn('[POLLING] Já está rodando');
+    return;
+  }
+
+  if (!pool) {
+    console.warn('[POLLING] Pool não disponível, worker não iniciado');
+    return;
+  }
+
+  isRunning = true;
+
+  console.info('[POLLING] Iniciando...', { interval_ms: intervalMs });
+
+  refresh(pool, ingest);
+  refreshInterval = setInterval(() => refresh(pool, ingest), intervalMs);
+}
+
+/**
+ * Para o worker (loops encerram após o getUpdates em andamento)
+ */
+function stop() {
+  if (!isRunning) {
+    return;
+  }
+
+  if (refreshInterval) {
+    clearInterval(refreshInterval);
+    refreshInterval = null;
+  }
+
+  isRunning = false;
+  pollingSlugs = new Set();
+  console.info('[POLLING] Parado');
+}
+
+module.exports = {
+  start,
+  stop,
+  pollOnce
+};
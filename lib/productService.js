@@ -0,0 +1,466 @@
+/**
+ * Catálogo de produtos/planos por bot (public.bot_products)
+ * Produto define preço, moeda, duração do acesso e tipo de entrega
+ * Entrega após a aprovação (deliveryService): message (texto/mídias), invite_link (convite de uso único
+ * para delivery_chat_id) ou download_link (botão para delivery_url); delivery_content acompanha todos os tipos
+ * invite_link também cria a assinatura (membershipService): access_days define o vencimento e
+ * reminder_days quantos dias antes o lembrete de renovação é enviado
+ * revocation_content: mensagem opcional enviada quando o acesso é revogado por estorno/chargeback
+ * Referências: botões { product_id } (callback "p:<id>"), ação generate_pix { product_id },
+ * downsells (product_id + price_cents promocional) e public.payments.product_id (receita por produto)
+ */
+
+const { PRODUCT_CALLBACK_PREFIX, productCallbackData } = require('./inlineKeyboard');
+const { validateMessageContent, enrichMediaRefs } = require('./messageContentService');
+
+const DELIVERY_TYPES = ['none', 'message', 'invite_link', 'download_link'];
+const CURRENCY_REGEX = /^[A-Z]{3}$/;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_PRICE_CENTS = 100000000;
+// Canal/grupo privado: id numérico (-100...) ou @username
+const CHAT_ID_REGEX = /^(-?\d{5,20}|@[A-Za-z0-9_]{5,32})$/;
+const DELIVERY_FIELDS = [
+  'delivery_type', 'delivery_content', 'delivery_media_refs', 'delivery_chat_id', 'delivery_url', 'revocation_content'
+];
+
+const PRODUCT_COLUMNS = `id, bot_slug, name, description, price_cents, currency, access_days, reminder_days, delivery_type,
+  delivery_content, delivery_media_refs, delivery_chat_id, delivery_url, revocation_content, active, created_at, updated_at`;
+
+function isValidPrice(value) {
+  return Number.isInteger(value) && value > 0 && value <= MAX_PRICE_CENTS;
+}
+
+/**
+ * Valida campos do produto (parcial no update)
+ */
+function validateProductFields(fields, { partial = false } = {}) {
+  const normalized = {};
+
+  if (!partial || fields.name !== undefined) {
+    const name = typeof fields.name === 'string' ? fields.name.trim() : '';
+    if (!name) throw new Error('PRODUCT_NAME_REQUIRED');
+    if (name.length > MAX_NAME_LENGTH) throw new Error('PRODUCT_NAME_TOO_LONG');
+    normalized.name = name;
+  }
+
+  if (fields.description !== undefined) {
+    const description = typeof fields.description === 'string' ? fields.description.trim() : '';
+    if (description.length > MAX_DESCRIPTION_LENGTH) throw new Error('PRODUCT_DESCRIPTION_TOO_LONG');
+    normalized.description = description || null;
+  }
+
+  if (!partial || fields.price_cents !== undefined) {
+    const price_cents = Number(fields.price_cents);
+    if (!isValidPrice(price_cents)) throw new Error('PRODUCT_PRICE_INVALID');
+    normalized.price_cents = price_cents;
+  }
+
+  if (fields.currency !== undefined) {
+    const currency = String(fields.currency || '').trim().toUpperCase();
+    if (!CURRENCY_REGEX.test(currency)) throw new Error('PRODUCT_CURRENCY_INVALID');
+    normalized.currency = currency;
+  }
+
+  if (fields.access_days !== undefined) {
+    // null/'' = acesso vitalício
+    if (fields.access_days === null || fields.access_days === '') {
+      normalized.access_days = null;
+    } else {
+      const access_days = Number(fields.access_days);
+      if (!Number.isInteger(access_days) || access_days <= 0 || access_days > 3650) {
+        throw new Error('PRODUCT_ACCESS_DAYS_INVALID');
+      }
+      normalized.access_days = access_days;
+    }
+  }
+
+  if (fields.reminder_days !== undefined) {
+    // null/'' = sem lembrete de renovação
+    if (fields.reminder_days === null || fields.reminder_days === '') {
+      normalized.reminder_days = null;
+    } else {
+      const reminder_days = Number(fields.reminder_days);
+      if (!Number.isInteger(reminder_days) || reminder_days <= 0 || reminder_days > 60) {
+        throw new Error('PRODUCT_REMINDER_DAYS_INVALID');
+      }
+      normalized.reminder_days = reminder_days;
+    }
+  }
+
+  if (fields.delivery_type !== undefined) {
+    if (!DELIVERY_TYPES.includes(fields.delivery_type)) throw new Error('PRODUCT_DELIVERY_TYPE_INVALID');
+    normalized.delivery_type = fields.delivery_type;
+  }
+
+  if (fields.active !== undefined) {
+    normalized.active = fields.active !== false;
+  }
+
+  return normalized;
+}
+
+/**
+ * Valida a configuração de entrega contra o tipo final do produto
+ * @param {object} fields - Campos recebidos (delivery_content, delivery_media_refs, delivery_chat_id, delivery_url,
+ *   revocation_content)
+ * @param {object} current - Valores efetivos (tipo final e colunas atuais no update)
+ * @returns {Promise<object>} Campos de entrega normalizados
+ */
+async function validateDeliveryFields(pool, fields, current) {
+  const normalized = {};
+
+  if (fields.delivery_content !== undefined) {
+    normalized.delivery_content = fields.delivery_content === null
+      ? {}
+      : validateMessageContent(fields.delivery_content, { requireText: false });
+  }
+
+  if (fields.revocation_content !== undefined) {
+    normalized.revocation_content = fields.revocation_content === null
+      ? {}
+      : validateMessageContent(fields.revocation_content, { requireText: false });
+  }
+
+  if (fields.delivery_media_refs !== undefined) {
+    normalized.delivery_media_refs = await enrichMediaRefs(pool, fields.delivery_media_refs);
+  }
+
+  if (fields.delivery_chat_id !== undefined) {
+    const chat_id = fields.delivery_chat_id === null ? '' : String(fields.delivery_chat_id).trim();
+    if (chat_id && !CHAT_ID_REGEX.test(chat_id)) throw new Error('PRODUCT_DELIVERY_CHAT_INVALID');
+    normalized.delivery_chat_id = chat_id || null;
+  }
+
+  if (fields.delivery_url !== undefined) {
+    const url = fields.delivery_url === null ? '' : String(fields.delivery_url).trim();
+    if (url && !/^https?:\/\/\S+$/i.test(url)) throw new Error('PRODUCT_DELIVERY_URL_INVALID');
+    normalized.delivery_url = url || null;
+  }
+
+  const effective = { ...current, ...normalized };
+  if (effective.delivery_type === 'message'
+    && !effective.delivery_content?.text?.trim()
+    && !(effective.delivery_media_refs || []).length) {
+    throw new Error('PRODUCT_DELIVERY_CONTENT_REQUIRED');
+  }
+  if (effective.delivery_type === 'invite_link' && !effective.delivery_chat_id) {
+    throw new Error('PRODUCT_DELIVERY_CHAT_REQUIRED');
+  }
+  if (effective.delivery_type === 'download_link' && !effective.delivery_url) {
+    throw new Error('PRODUCT_DELIVERY_URL_REQUIRED');
+  }
+
+  return normalized;
+}
+
+/**
+ * Lista produtos do bot
+ * @param {object} options - { active: true|false para filtrar }
+ */
+async function listProducts(pool, slug, { active } = {}) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug) throw new Error('MISSING_SLUG');
+
+  const params = [slug];
+  let filter = '';
+  if (active !== undefined) {
+    params.push(active === true || active === 'true');
+    filter = 'AND active = $2';
+  }
+
+  const result = await pool.query(
+    `SELECT ${PRODUCT_COLUMNS}
+     FROM public.bot_products
+     WHERE bot_slug = $1 ${filter}
+     ORDER BY active DESC, price_cents ASC, id ASC`,
+    params
+  );
+  return result.rows;
+}
+
+async function getProduct(pool, slug, id) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+
+  const result = await pool.query(
+    `SELECT ${PRODUCT_COLUMNS}
+     FROM public.bot_products
+     WHERE id = $1 AND bot_slug = $2`,
+    [id, slug]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Cria produto
+ * @param {object} params - { slug, name, description, price_cents, currency, access_days, reminder_days, delivery_type,
+ *   delivery_content, delivery_media_refs, delivery_chat_id, delivery_url, revocation_content, active }
+ */
+async function createProduct(pool, params) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!params.slug) throw new Error('MISSING_SLUG');
+
+  const product = validateProductFields(params);
+  const delivery = await validateDeliveryFields(pool, params, { delivery_type: product.delivery_type || 'none' });
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO public.bot_products (
+         bot_slug, name, description, price_cents, currency, access_days, reminder_days, delivery_type,
+         delivery_content, delivery_media_refs, delivery_chat_id, delivery_url, revocation_content, active,
+         created_at, updated_at
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, now(), now())
+       RETURNING ${PRODUCT_COLUMNS}`,
+      [
+        params.slug,
+        product.name,
+        product.description || null,
+        product.price_cents,
+        product.currency || 'BRL',
+        product.access_days ?? null,
+        product.reminder_days ?? null,
+        product.delivery_type || 'none',
+        JSON.stringify(delivery.delivery_content || {}),
+        JSON.stringify(delivery.delivery_media_refs || []),
+        delivery.delivery_chat_id || null,
+        delivery.delivery_url || null,
+        JSON.stringify(delivery.revocation_content || {}),
+        product.active !== false
+      ]
+    );
+    return result.rows[0];
+  } catch (err) {
+    if (err.code === '23505') {
+      throw new Error('PRODUCT_ALREADY_EXISTS');
+    }
+    throw err;
+  }
+}
+
+/**
+ * Atualiza produto (pagamentos já registrados mantêm o valor cobrado)
+ */
+async function updateProduct(pool, slug, id, params) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug || !id) throw new Error('MISSING_PARAMS');
+
+  const product = validateProductFields(params, { partial: true });
+
+  // Entrega validada junto com os valores atuais (ex.: trocar o tipo exige o campo do novo tipo)
+  if (DELIVERY_FIELDS.some(field => params[field] !== undefined)) {
+    const current = await pool.query(
+      `SELECT delivery_type, delivery_content, delivery_media_refs, delivery_chat_id, delivery_url
+       FROM public.bot_products
+       WHERE id = $1 AND bot_slug = $2`,
+      [id, slug]
+    );
+    if (current.rowCount === 0) {
+      throw new Error('PRODUCT_NOT_FOUND');
+    }
+    const row = current.rows[0];
+    Object.assign(product, await validateDeliveryFields(pool, params, {
+      ...row,
+      delivery_type: product.delivery_type || row.delivery_type
+    }));
+  }
+
+  const updates = [];
+  const values = [];
+  let paramIndex = 1;
+
+  for (const [column, value] of Object.entries(product)) {
+    updates.push(`${column} = $${paramIndex++}`);
+    values.push(value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+  }
+
+  if (updates.length === 0) {
+    throw new Error('NO_FIELDS_TO_UPDATE');
+  }
+
+  updates.push('updated_at = now()');
+  values.push(id, slug);
+
+  try {
+    const result = await pool.query(
+      `UPDATE public.bot_products
+       SET ${updates.join(', ')}
+       WHERE id = $${paramIndex++} AND bot_slug = $${paramIndex}
+       RETURNING ${PRODUCT_COLUMNS}`,
+      values
+    );
+    if (result.rowCount === 0) {
+      throw new Error('PRODUCT_NOT_FOUND');
+    }
+    return result.rows[0];
+  } catch (err) {
+    if (err.code === '23505') {
+      throw new Error('PRODUCT_ALREADY_EXISTS');
+    }
+    throw err;
+  }
+}
+
+/**
+ * Remove produto sem pagamentos nem downsells; em uso, desative (active=false) para manter o relatório
+ * @returns {Promise<boolean>} false se não encontrado
+ * @throws PRODUCT_IN_USE
+ */
+async function deleteProduct(pool, slug, id) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+
+  const result = await pool.query(
+    `WITH target AS (
+       SELECT id,
+              (EXISTS (SELECT 1 FROM public.payments WHERE product_id = bot_products.id)
+               OR EXISTS (SELECT 1 FROM public.bot_downsells WHERE product_id = bot_products.id)) AS in_use
+       FROM public.bot_products
+       WHERE id = $1 AND bot_slug = $2
+     ), deleted AS (
+       DELETE FROM public.bot_products
+       WHERE id IN (SELECT id FROM target WHERE NOT in_use)
+       RETURNING id
+     )
+     SELECT (SELECT in_use FROM target) AS in_use, (SELECT COUNT(*)::int FROM deleted) AS deleted`,
+    [id, slug]
+  );
+
+  const { in_use, deleted } = result.rows[0];
+  if (in_use) throw new Error('PRODUCT_IN_USE');
+  return deleted > 0;
+}
+
+/**
+ * Receita por produto (pagamentos PAID pela data de aprovação)
+ * @param {object} filters - { from, to }
+ * @returns {Promise<object>} { products: [{ product_id, name, active, paid_count, revenue_cents, downsell_paid_count }], unassigned }
+ */
+async function getProductRevenue(pool, slug, filters = {}) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug) throw new Error('MISSING_SLUG');
+
+  const range = {};
+  for (const key of ['from', 'to']) {
+    if (!filters[key]) continue;
+    const date = new Date(filters[key]);
+    if (isNaN(date.getTime())) throw new Error('INVALID_DATE_RANGE');
+    range[key] = date;
+  }
+
+  const paidFilter = `pay.status = 'PAID'
+    AND ($2::timestamptz IS NULL OR pay.paid_at >= $2)
+    AND ($3::timestamptz IS NULL OR pay.paid_at < $3)`;
+  const params = [slug, range.from || null, range.to || null];
+
+  const byProduct = await pool.query(
+    `SELECT p.id AS product_id, p.name, p.active,
+            COUNT(pay.id)::int AS paid_count,
+            COALESCE(SUM(pay.amount_cents), 0)::bigint AS revenue_cents,
+            COUNT(pay.id) FILTER (WHERE pay.downsell_id IS NOT NULL)::int AS downsell_paid_count
+     FROM public.bot_products p
+     LEFT JOIN public.payments pay
+       ON pay.product_id = p.id AND pay.bot_slug = p.bot_slug AND ${paidFilter}
+     WHERE p.bot_slug = $1
+     GROUP BY p.id
+     ORDER BY revenue_cents DESC, p.id ASC`,
+    params
+  );
+
+  // Pagamentos sem produto (valor avulso ou anteriores ao catálogo)
+  const unassigned = await pool.query(
+    `SELECT COUNT(*)::int AS paid_count, COALESCE(SUM(pay.amount_cents), 0)::bigint AS revenue_cents
+     FROM public.payments pay
+     WHERE pay.bot_slug = $1 AND pay.product_id IS NULL AND ${paidFilter}`,
+    params
+  );
+
+  return {
+    products: byProduct.rows.map(row => ({ ...row, revenue_cents: Number(row.revenue_cents) })),
+    unassigned: {
+      paid_count: unassigned.rows[0].paid_count,
+      revenue_cents: Number(unassigned.rows[0].revenue_cents)
+    }
+  };
+}
+
+/**
+ * Lê callback_data de botão de produto ("p:<product_id>" ou "p:<product_id>:<downsell_id>")
+ */
+function parseProductCallback(data) {
+  if (typeof data !== 'string' || !data.startsWith(PRODUCT_CALLBACK_PREFIX)) return null;
+  const match = /^(\d{1,18})(?::(\d{1,18}))?$/.exec(data.slice(PRODUCT_CALLBACK_PREFIX.length));
+  if (!match) return null;
+  return { product_id: Number(match[1]), downsell_id: match[2] ? Number(match[2]) : null };
+}
+
+/**
+ * Conteúdo do downsell: botões do produto ofertado (inclusive nas variantes de idioma)
+ * passam a levar o downsell, para o clique cobrar o preço promocional
+ */
+function applyDownsellOffer(content, { product_id, downsell_id }) {
+  if (!content || !product_id || !downsell_id) return content;
+
+  const plain = productCallbackData(product_id);
+  const offer = productCallbackData(product_id, downsell_id);
+  const rewrite = (buttons) => (Array.isArray(buttons)
+    ? buttons.map(row => (Array.isArray(row)
+      ? row.map(button => (button?.callback_data === plain ? { ...button, callback_data: offer } : button))
+      : row))
+    : buttons);
+
+  const result = { ...content, buttons: rewrite(content.buttons) };
+  if (content.variants && typeof content.variants === 'object') {
+    result.variants = Object.fromEntries(
+      Object.entries(content.variants).map(([code, variant]) => [code, { ...variant, buttons: rewrite(variant?.buttons) }])
+    );
+  }
+  return result;
+}
+
+/**
+ * Resolve preço e descrição da cobrança de um produto
+ * Com downsell_id: o downsell precisa ofertar o produto e já ter sido enviado ao usuário
+ * @returns {Promise<object>} { product, price_cents, downsell_id }
+ */
+async function resolveProductOffer(pool, { slug, telegram_id, product_id, downsell_id }) {
+  const product = await getProduct(pool, slug, product_id);
+  if (!product || !product.active) throw new Error('PRODUCT_NOT_FOUND');
+
+  if (!downsell_id) {
+    return { product, price_cents: product.price_cents, downsell_id: null };
+  }
+
+  const result = await pool.query(
+    `SELECT d.price_cents
+     FROM public.bot_downsells d
+     WHERE d.id = $1 AND d.slug = $2 AND d.product_id = $3
+       AND EXISTS (
+         SELECT 1 FROM public.downsells_queue q
+         WHERE q.downsell_id = d.id AND q.bot_slug = $2 AND q.telegram_id = $4::bigint AND q.status = 'sent'
+       )`,
+    [downsell_id, slug, product_id, String(telegram_id)]
+  );
+
+  // Oferta inválida ou não recebida: cobra o preço cheio
+  const offer = result.rows[0];
+  if (!offer) {
+    console.warn('[PRODUCT][OFFER][NOT_ELIGIBLE]', { slug, telegram_id, product_id, downsell_id });
+    return { product, price_cents: product.price_cents, downsell_id: null };
+  }
+
+  return { product, price_cents: offer.price_cents || product.price_cents, downsell_id };
+}
+
+module.exports = {
+  DELIVERY_TYPES,
+  validateProductFields,
+  listProducts,
+  getProduct,
+  createProduct,
+  updateProduct,
+  deleteProduct,
+  getProductRevenue,
+  parseProductCallback,
+  applyDownsellOffer,
+  resolveProductOffer
+};
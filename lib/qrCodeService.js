@@ -0,0 +1,435 @@
+/**
+ * QR Code em JS puro (modo byte, versões 1-40) e PNG em escala de cinza
+ * Usado para o QR do PIX enviado no bot (sem dependências nativas)
+ * Algoritmo: ISO/IEC 18004 — Reed-Solomon GF(256), intercalação de blocos, 8 máscaras com penalidade
+ */
+
+const zlib = require('zlib');
+
+const EC_LEVELS = { L: 0, M: 1, Q: 2, H: 3 };
+// Bits do nível de correção na informação de formato
+const EC_FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+// Codewords de correção por bloco e número de blocos [nível][versão]
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+const NUM_ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const getBit = (value, i) => ((value >>> i) & 1) !== 0;
+
+// ---------- Reed-Solomon (GF(256), polinômio 0x11D) ----------
+
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  }
+  return result;
+}
+
+// ---------- Capacidade ----------
+
+function numRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function numDataCodewords(version, ecl) {
+  const level = EC_LEVELS[ecl];
+  return Math.floor(numRawDataModules(version) / 8)
+    - ECC_CODEWORDS_PER_BLOCK[level][version] * NUM_ERROR_CORRECTION_BLOCKS[level][version];
+}
+
+/**
+ * Maior quantidade de bytes que cabe na versão (modo byte)
+ */
+function byteCapacity(version, ecl) {
+  const countBits = version < 10 ? 8 : 16;
+  return Math.floor((numDataCodewords(version, ecl) * 8 - 4 - countBits) / 8);
+}
+
+// ---------- Dados ----------
+
+function encodeData(bytes, version, ecl) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  append(0x4, 4); // modo byte
+  append(bytes.length, version < 10 ? 8 : 16);
+  for (const b of bytes) append(b, 8);
+
+  const capacityBits = numDataCodewords(version, ecl) * 8;
+  append(0, Math.min(4, capacityBits - bits.length)); // terminador
+  append(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) append(pad, 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+  }
+  return codewords;
+}
+
+function addEccAndInterleave(data, version, ecl) {
+  const level = EC_LEVELS[ecl];
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[level][version];
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK[level][version];
+  const rawCodewords = Math.floor(numRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+  const divisor = rsDivisor(blockEccLen);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    k += dat.length;
+    const ecc = rsRemainder(dat, divisor);
+    if (i < numShortBlocks) dat.push(0);
+    blocks.push(dat.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Posição de preenchimento dos blocos curtos não entra no resultado
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+// ---------- Matriz ----------
+
+function alignmentPositions(version) {
+  if (version === 1) return [];
+  const size = version * 4 + 17;
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+function createMatrix(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+  return { version, size, modules, isFunction, set };
+}
+
+function drawFormatBits(m, ecl, mask) {
+  const data = (EC_FORMAT_BITS[ecl] << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+
+  for (let i = 0; i <= 5; i++) m.set(8, i, getBit(bits, i));
+  m.set(8, 7, getBit(bits, 6));
+  m.set(8, 8, getBit(bits, 7));
+  m.set(7, 8, getBit(bits, 8));
+  for (let i = 9; i < 15; i++) m.set(14 - i, 8, getBit(bits, i));
+
+  for (let i = 0; i < 8; i++) m.set(m.size - 1 - i, 8, getBit(bits, i));
+  for (let i = 8; i < 15; i++) m.set(8, m.size - 15 + i, getBit(bits, i));
+  m.set(8, m.size - 8, true); // módulo escuro fixo
+}
+
+function drawFunctionPatterns(m, ecl) {
+  const { size, version } = m;
+
+  for (let i = 0; i < size; i++) {
+    m.set(6, i, i % 2 === 0);
+    m.set(i, 6, i % 2 === 0);
+  }
+
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) m.set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+
+  const positions = alignmentPositions(version);
+  const n = positions.length;
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      // Cantos ocupados pelos padrões de localização
+      if ((i === 0 && j === 0) || (i === 0 && j === n - 1) || (i === n - 1 && j === 0)) continue;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          m.set(positions[i] + dx, positions[j] + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    }
+  }
+
+  drawFormatBits(m, ecl, 0); // reservado; redesenhado após escolher a máscara
+
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const bit = getBit(bits, i);
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      m.set(a, b, bit);
+      m.set(b, a, bit);
+    }
+  }
+}
+
+function drawCodewords(m, data) {
+  const { size, modules, isFunction } = m;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // coluna de temporização
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!isFunction[y][x] && i < data.length * 8) {
+          modules[y][x] = getBit(data[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+      }
+    }
+  }
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+function applyMask(m, mask) {
+  const fn = MASKS[mask];
+  for (let y = 0; y < m.size; y++) {
+    for (let x = 0; x < m.size; x++) {
+      if (!m.isFunction[y][x] && fn(x, y)) m.modules[y][x] = !m.modules[y][x];
+    }
+  }
+}
+
+const FINDER_LIKE = [
+  [true, false, true, true, true, false, true, false, false, false, false],
+  [false, false, false, false, true, false, true, true, true, false, true]
+];
+
+function linePenalty(line) {
+  let penalty = 0;
+
+  // Regra 1: sequências de 5+ módulos da mesma cor
+  let run = 1;
+  for (let i = 1; i <= line.length; i++) {
+    if (i < line.length && line[i] === line[i - 1]) {
+      run++;
+    } else {
+      if (run >= 5) penalty += 3 + (run - 5);
+      run = 1;
+    }
+  }
+
+  // Regra 3: padrão semelhante ao de localização (1:1:3:1:1 com 4 claros)
+  for (let i = 0; i + 11 <= line.length; i++) {
+    for (const pattern of FINDER_LIKE) {
+      if (pattern.every((v, k) => line[i + k] === v)) penalty += 40;
+    }
+  }
+  return penalty;
+}
+
+function penaltyScore(m) {
+  const { size, modules } = m;
+  let penalty = 0;
+
+  for (let y = 0; y < size; y++) penalty += linePenalty(modules[y]);
+  for (let x = 0; x < size; x++) penalty += linePenalty(modules.map(row => row[x]));
+
+  // Regra 2: blocos 2x2 da mesma cor
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const c = modules[y][x];
+      if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) penalty += 3;
+    }
+  }
+
+  // Regra 4: proporção de módulos escuros
+  const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+  const total = size * size;
+  const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+  penalty += Math.max(k, 0) * 10;
+
+  return penalty;
+}
+
+/**
+ * Gera a matriz do QR Code
+ * @param {string|Buffer} text - Conteúdo (UTF-8)
+ * @param {object} options - { ecl: 'L'|'M'|'Q'|'H' (padrão M) }
+ * @returns {object} { version, size, mask, modules } (modules[y][x] = true para escuro)
+ */
+function encodeQr(text, { ecl = 'M' } = {}) {
+  if (!(ecl in EC_LEVELS)) throw new Error('QR_INVALID_EC_LEVEL');
+
+  const bytes = Buffer.isBuffer(text) ? text : Buffer.from(String(text), 'utf8');
+  let version = 1;
+  while (version <= 40 && byteCapacity(version, ecl) < bytes.length) version++;
+  if (version > 40) throw new Error('QR_DATA_TOO_LONG');
+
+  const codewords = addEccAndInterleave(encodeData(bytes, version, ecl), version, ecl);
+  const m = createMatrix(version);
+  drawFunctionPatterns(m, ecl);
+  drawCodewords(m, codewords);
+
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    applyMask(m, mask);
+    drawFormatBits(m, ecl, mask);
+    const penalty = penaltyScore(m);
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    applyMask(m, mask); // desfaz (XOR)
+  }
+  applyMask(m, bestMask);
+  drawFormatBits(m, ecl, bestMask);
+
+  return { version, size: m.size, mask: bestMask, modules: m.modules };
+}
+
+// ---------- PNG ----------
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = (c & 1) ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Renderiza a matriz como PNG (escala de cinza 8 bits)
+ * @param {object} qr - Resultado de encodeQr
+ * @param {object} options - { scale: pixels por módulo (padrão 8), margin: módulos de borda (padrão 4) }
+ * @returns {Buffer}
+ */
+function renderPng(qr, { scale = 8, margin = 4 } = {}) {
+  const dimension = (qr.size + margin * 2) * scale;
+  const rowLength = dimension + 1; // byte de filtro por linha
+  const raw = Buffer.alloc(rowLength * dimension, 0xFF);
+
+  for (let y = 0; y < dimension; y++) {
+    raw[y * rowLength] = 0; // filtro "None"
+    const my = Math.floor(y / scale) - margin;
+    if (my < 0 || my >= qr.size) continue;
+    for (let x = 0; x < dimension; x++) {
+      const mx = Math.floor(x / scale) - margin;
+      if (mx >= 0 && mx < qr.size && qr.modules[my][mx]) raw[y * rowLength + 1 + x] = 0x00;
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(dimension, 0);
+  header.writeUInt32BE(dimension, 4);
+  header[8] = 8; // profundidade
+  header[9] = 0; // escala de cinza
+  header[10] = 0;
+  header[11] = 0;
+  header[12] = 0;
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Atalho: texto -> PNG do QR Code
+ */
+function qrCodePng(text, options = {}) {
+  return renderPng(encodeQr(text, options), options);
+}
+
+module.exports = {
+  byteCapacity,
+  encodeQr,
+  renderPng,
+  qrCodePng,
+  // Expostos para testes
+  rsDivisor,
+  rsRemainder
+};
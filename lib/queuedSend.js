@@ -17,11 +17,14 @@ async function sendMessage(pool, params) {
   
   // Determinar prioridade baseado no purpose
   let priority;
-  if (purpose === 'start') {
+  if (purpose === 'start' || purpose === 'callback' || purpose === 'command' || purpose === 'auto-reply' || purpose === 'flow' || purpose === 'delivery') {
+    // Respostas a interações do usuário (clique em botão, comando, palavra-chave, fluxo) e a entrega
+    // do produto pago usam a lane do /start
     priority = config.PRIORITY.START;
   } else if (purpose === 'disparo' || purpose === 'shot') {
     priority = config.PRIORITY.DISPARO;
-  } else if (purpose === 'downsell') {
+  } else if (purpose === 'downsell' || purpose === 'flow-timer' || purpose === 'renewal') {
+    // Etapas de fluxo retomadas pelo worker (após wait) e lembretes de renovação são follow-ups, como downsells
     priority = config.PRIORITY.DOWNSELL;
   } else {
     // Default: disparo
@@ -0,0 +1,167 @@
+/**
+ * Política de usuário que volta (/start repetido)
+ * Sem dedupe no /start (DEDUPE_START_DISABLED), cada /start repetia mídias, textos e downsells
+ * Com a política ativa, quem recebeu a sequência completa dentro do cooldown recebe só a mensagem de boas-vindas
+ * Formato (bots.returning_policy): { active, cooldown_minutes, reschedule_downsells, message, media_refs }
+ */
+
+const { validateMessageContent, enrichMediaRefs, sendMessageContent } = require('./messageContentService');
+
+const DEFAULT_COOLDOWN_MINUTES = 1440;
+const MAX_COOLDOWN_MINUTES = 525600; // 1 ano
+
+// Cache em memória (TTL 60s): lido a cada /start
+const cache = new Map();
+const CACHE_TTL_MS = 60000;
+
+function invalidateCache(slug) {
+  cache.delete(slug);
+}
+
+/**
+ * Política do bot (null = desativada/não configurada)
+ */
+async function getReturningPolicy(pool, slug) {
+  const cached = cache.get(slug);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL_MS) {
+    return cached.data;
+  }
+
+  if (!pool) return null;
+
+  const result = await pool.query(
+    `SELECT returning_policy FROM public.bots WHERE slug = $1 AND deleted_at IS NULL`,
+    [slug]
+  );
+
+  if (result.rowCount === 0) {
+    throw new Error('BOT_NOT_FOUND');
+  }
+
+  const data = result.rows[0].returning_policy || null;
+  cache.set(slug, { data, timestamp: Date.now() });
+  return data;
+}
+
+/**
+ * Valida e salva a política
+ * @param {object} pool - Pool PostgreSQL
+ * @param {string} slug - Slug do bot
+ * @param {object} input - { active, cooldown_minutes, reschedule_downsells, message, media_refs }
+ * @returns {Promise<object>} Política salva
+ */
+async function saveReturningPolicy(pool, slug, input) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug) throw new Error('MISSING_SLUG');
+  if (!input || typeof input !== 'object') throw new Error('MISSING_PARAMS');
+
+  const cooldown = input.cooldown_minutes === undefined || input.cooldown_minutes === null
+    ? DEFAULT_COOLDOWN_MINUTES
+    : Number(input.cooldown_minutes);
+  if (!Number.isInteger(cooldown) || cooldown < 1 || cooldown > MAX_COOLDOWN_MINUTES) {
+    throw new Error('RETURNING_POLICY_INVALID_COOLDOWN');
+  }
+
+  const message = input.message ? validateMessageContent(input.message, { requireText: false }) : null;
+  const media_refs = await enrichMediaRefs(pool, input.media_refs);
+  const active = input.active === true;
+
+  if (active && !(message?.text?.trim()) && media_refs.length === 0) {
+    throw new Error('RETURNING_POLICY_MESSAGE_REQUIRED');
+  }
+
+  const policy = {
+    active,
+    cooldown_minutes: cooldown,
+    // Padrão: não reagendar downsells já pendentes/enviados ao usuário
+    reschedule_downsells: input.reschedule_downsells === true,
+    message,
+    media_refs
+  };
+
+  const result = await pool.query(
+    `UPDATE public.bots SET returning_policy = $2
+     WHERE slug = $1 AND deleted_at IS NULL
+     RETURNING returning_policy`,
+    [slug, JSON.stringify(policy)]
+  );
+
+  if (result.rowCount === 0) {
+    throw new Error('BOT_NOT_FOUND');
+  }
+
+  invalidateCache(slug);
+  console.info('[RETURNING_POLICY][SAVE]', { slug, active, cooldown_minutes: cooldown, reschedule_downsells: policy.reschedule_downsells });
+  return result.rows[0].returning_policy;
+}
+
+/**
+ * Reserva a sequência completa do /start para o usuário
+ * Atômico: dois /start simultâneos não recebem a sequência completa duas vezes
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { slug, telegram_id, cooldown_minutes, now }
+ * @returns {Promise<boolean>} true = sequência completa; false = dentro do cooldown
+ */
+async function claimFullStart(pool, { slug, telegram_id, cooldown_minutes = 0, now = new Date() }) {
+  // Linha criada aqui é completada pelo upsertBotUser do mesmo update
+  const result = await pool.query(
+    `INSERT INTO public.bot_users (bot_slug, telegram_id, first_seen_at, last_seen_at, last_full_start_at, created_at, updated_at)
+     VALUES ($1, $2, $3, $3, $3, now(), now())
+     ON CONFLICT (bot_slug, telegram_id) DO UPDATE SET last_full_start_at = EXCLUDED.last_full_start_at
+     WHERE bot_users.last_full_start_at IS NULL
+        OR bot_users.last_full_start_at <= $3::timestamptz - make_interval(mins => $4)
+     RETURNING id`,
+    [slug, telegram_id, now, cooldown_minutes]
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Decide o tratamento do /start
+ * Falha ao consultar = sequência completa (comportamento anterior à política)
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { slug, telegram_id, now }
+ * @returns {Promise<object>} { welcome_back, policy } (policy null = política desativada)
+ */
+async function resolveReturningStart(pool, { slug, telegram_id, now = new Date() }) {
+  try {
+    const policy = await getReturningPolicy(pool, slug);
+    if (!policy || !policy.active) {
+      return { welcome_back: false, policy: null };
+    }
+
+    const full = await claimFullStart(pool, { slug, telegram_id, cooldown_minutes: policy.cooldown_minutes, now });
+    return { welcome_back: !full, policy };
+  } catch (err) {
+    console.error('[RETURNING_POLICY][RESOLVE][ERR]', { slug, telegram_id, error: err.message });
+    return { welcome_back: false, policy: null };
+  }
+}
+
+/**
+ * Envia a mensagem de boas-vindas (mídias + texto) na fila do /start
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { slug, chat_id, policy, language_code, request_id }
+ */
+async function sendWelcomeBack(pool, { slug, chat_id, policy, language_code, request_id }) {
+  return sendMessageContent(pool, {
+    slug,
+    chat_id,
+    content: policy.message || {},
+    media_refs: policy.media_refs || [],
+    purpose: 'start',
+    request_id,
+    language_code
+  });
+}
+
+module.exports = {
+  DEFAULT_COOLDOWN_MINUTES,
+  getReturningPolicy,
+  saveReturningPolicy,
+  claimFullStart,
+  resolveReturningStart,
+  sendWelcomeBack,
+  invalidateCache
+};
@@ -6,6 +6,10 @@ const config = require('../config/rate');
 const { startCleanup } = require('./rateLimiterCleanup');
 const { getCachedFileId, createCacheEntry } = require('./mediaService');
 const { enqueuePrewarm } = require('./mediaPrewarmWorker');
+const { buildReplyMarkup } = require('./inlineKeyboard');
+const { setUserBlocked, isBlockedSendError } = require('./botUserService');
+const { hasPlaceholders, renderMessageTemplate } = require('./templateService');
+const { localizeContent, getUserLanguage } = require('./localeService');
 
 /**
  * Serviço único de envio de mensagens via Telegram
@@ -216,6 +220,15 @@ function recordMetric(slug, purpose, type, value) {
   }
 }
 
+/**
+ * Falha de envio por bloqueio: marca o usuário em bot_users (em background)
+ */
+function flagBlockedUser(pool, slug, chat_id, error) {
+  if (!pool || !isBlockedSendError(error) || !/^\d+$/.test(String(chat_id))) return;
+  setUserBlocked(pool, { slug, telegram_id: chat_id, blocked: true, source: 'send_error' })
+    .catch(err => console.error('[SEND][FLAG_BLOCKED][ERR]', { slug, chat_id, error: err.message }));
+}
+
 /**
  * Mapeia erros do Telegram para códigos legíveis
  */
@@ -244,12 +257,14 @@ async function sendToTelegram(token, chat_id, text, options = {}) {
   const {
     parse_mode = 'MarkdownV2',
     disable_web_page_preview = true,
+    reply_markup,
     retries = 3
   } = options;
   
   const result = await telegramClient.sendMessage(token, chat_id, text, {
     parse_mode,
     disable_web_page_preview,
+    reply_markup,
     retries
   });
   
@@ -287,7 +302,9 @@ async function sendMediaMessage(pool, params) {
     parse_mode,
     purpose = 'media',
     request_id = crypto.randomUUID(),
-    raw = false  // Se true, não escapa o caption
+    raw = false,  // Se true, não escapa o caption
+    template_vars,
+    transaction_id
   } = params;
   
   // Validações
@@ -309,10 +326,13 @@ async function sendMediaMessage(pool, params) {
       return { ok: false, error: 'BOT_TOKEN_NOT_SET', lat_ms: Date.now() - startTime };
     }
     
-    // 2. Escapar caption se não for raw e houver parse_mode
-    const finalCaption = (caption && parse_mode === 'MarkdownV2' && !raw) 
-      ? escapeMarkdownV2(caption) 
+    // 2. Variáveis de template e escape do caption se não for raw e houver parse_mode
+    const renderedCaption = hasPlaceholders(caption)
+      ? await renderMessageTemplate(pool, { slug, chat_id, text: caption, raw, template_vars, transaction_id, escape: escapeMarkdownV2 })
       : caption;
+    const finalCaption = (renderedCaption && parse_mode === 'MarkdownV2' && !raw) 
+      ? escapeMarkdownV2(renderedCaption) 
+      : renderedCaption;
     
     // 3. Tentar cache PRIMEIRO (cache-first strategy)
     const cacheStart = Date.now();
@@ -408,6 +428,7 @@ async function sendMediaMessage(pool, params) {
         };
       } else {
         recordMetric(slug, purpose, 'err', 1);
+        flagBlockedUser(pool, slug, chat_id, result.error);
         
         console.error('[SEND][MEDIA][ERR]', {
           request_id,
@@ -503,7 +524,14 @@ async function sendMessage(pool, params) {
     disable_web_page_preview = true,
     purpose = 'send-test',
     raw = false,
+    buttons,
     request_id = crypto.randomUUID(),
+    // Variantes por idioma (content.variants); sem language_code, usa o de bot_users
+    variants,
+    language_code,
+    // Variáveis de template: valores explícitos e transação do PIX (pix_amount, pix_expires_in)
+    template_vars,
+    transaction_id,
     // Params extras para dedupe
     start_session_id,
     queue_id,
@@ -573,14 +601,29 @@ async function sendMessage(pool, params) {
       return { ok: false, error: 'CHAT_FLOOD_EXCEEDED', lat_ms: Date.now() - startTime };
     }
     
-    // 6. Escapar texto (se não for raw)
-    const finalText = raw ? text : escapeMarkdownV2(text);
+    // 6. Variante do idioma do usuário, variáveis de template e escape (se não for raw)
+    let localized = { text, buttons, language: null };
+    if (variants && Object.keys(variants).length > 0) {
+      const userLanguage = language_code !== undefined
+        ? language_code
+        : await getUserLanguage(pool, slug, chat_id).catch(err => {
+          console.error('[SEND][LANGUAGE][ERR]', { slug, chat_id, error: err.message });
+          return null;
+        });
+      localized = localizeContent({ text, buttons, variants }, userLanguage);
+    }
+    
+    const renderedText = hasPlaceholders(localized.text)
+      ? await renderMessageTemplate(pool, { slug, chat_id, text: localized.text, raw, template_vars, transaction_id, escape: escapeMarkdownV2 })
+      : localized.text;
+    const finalText = raw ? renderedText : escapeMarkdownV2(renderedText);
     
     // 7. Enviar para Telegram
     const telegramStart = Date.now();
     const result = await sendToTelegram(token, chat_id, finalText, {
       parse_mode,
-      disable_web_page_preview
+      disable_web_page_preview,
+      reply_markup: buildReplyMarkup(localized.buttons)
     });
     const telegramLat = Date.now() - telegramStart;
     
@@ -621,11 +664,13 @@ async function sendMessage(pool, params) {
         purpose,
         message_id: result.message_id,
         text_len: text.length,
+        language: localized.language,
         send_attempt_ms: totalLat,
         telegram_http_ms: result.http_latency_ms || telegramLat
       });
     } else {
       recordMetric(slug, purpose, 'err', 1);
+      flagBlockedUser(pool, slug, chat_id, result.error);
       
       console.error('[SEND][ERR]', {
         request_id,
@@ -5,6 +5,10 @@
 
 const { observe } = require('./metricsService');
 const { hasUnpaidPix } = require('./pixEligibilityService');
+const { normalizeContentButtons } = require('./inlineKeyboard');
+const { normalizeContentVariants } = require('./localeService');
+const { normalizeStepDelay, applyMediaStepDelays } = require('./stepDelayService');
+const { buildSourceCondition } = require('./attributionService');
 
 /**
  * Lista disparos de um bot com filtros
@@ -169,7 +173,7 @@ async function createShot(pool, params) {
   }
   
   // Parse do conteúdo
-  const messageObj = typeof messageContent === 'string' ? JSON.parse(messageContent) : messageContent;
+  const messageObj = normalizeStepDelay(normalizeContentVariants(normalizeContentButtons(typeof messageContent === 'string' ? JSON.parse(messageContent) : messageContent)));
   
   if (!messageObj || !messageObj.text) throw new Error('MISSING_MESSAGE_TEXT');
   if (trigger !== 'now' && trigger !== 'schedule') throw new Error('INVALID_TRIGGER');
@@ -206,7 +210,7 @@ async function createShot(pool, params) {
     title,
     messageJson,  // content
     messageJson,  // message
-    JSON.stringify(enrichedMediaRefs),  // media_refs
+    JSON.stringify(applyMediaStepDelays(media_refs, enrichedMediaRefs)),  // media_refs
     finalParseMode,
     trigger,
     scheduled_at || null,
@@ -253,7 +257,7 @@ async function updateShot(pool, shotId, params) {
   // Aceitar tanto 'content' quanto 'message' para compatibilidade
   const messageContent = content || message;
   if (messageContent) {
-    const messageObj = typeof messageContent === 'string' ? JSON.parse(messageContent) : messageContent;
+    const messageObj = normalizeStepDelay(normalizeContentVariants(normalizeContentButtons(typeof messageContent === 'string' ? JSON.parse(messageContent) : messageContent)));
     const messageJson = JSON.stringify(messageObj);
     updates.push(`message = $${paramIndex++}`);
     values.push(messageJson);
@@ -322,7 +326,7 @@ async function updateShot(pool, shotId, params) {
     }
     
     updates.push(`media_refs = $${paramIndex++}`);
-    values.push(JSON.stringify(enrichedMediaRefs));
+    values.push(JSON.stringify(applyMediaStepDelays(media_refs, enrichedMediaRefs)));
   }
   
   if (parse_mode) {
@@ -476,13 +480,14 @@ async function populateShotQueue(pool, shotId) {
     filters: JSON.stringify(filters)
   });
   
-  // Query base: todos que deram /start
+  // Query base: todos que deram /start (registro de assinantes)
   let targetQuery = `
     WITH started_users AS (
-      SELECT DISTINCT tg_id, bot_slug
-      FROM public.funnel_events
+      SELECT telegram_id::text AS tg_id, bot_slug
+      FROM public.bot_users
       WHERE bot_slug = $2 
-        AND event_name = 'start'
+        AND last_start_at IS NOT NULL
+        AND blocked = false
     )
   `;
   
@@ -509,14 +514,21 @@ async function populateShotQueue(pool, shotId) {
     `;
   }
   
-  // Adicionar filtro de excluir pagos se necessário
+  // Adicionar filtro de excluir pagos se necessário (pagamento estornado/contestado não conta)
   if (filters.exclude_paid !== false) { // default true
     targetQuery += `,
     paid_users AS (
-      SELECT DISTINCT tg_id
-      FROM public.funnel_events
-      WHERE bot_slug = $2 
-        AND event_name = 'payment_approved'
+      SELECT DISTINCT pa.tg_id
+      FROM public.funnel_events pa
+      WHERE pa.bot_slug = $2 
+        AND pa.event_name = 'payment_approved'
+        AND NOT EXISTS (
+          SELECT 1
+          FROM public.funnel_events rv
+          WHERE rv.bot_slug = $2
+            AND rv.transaction_id = pa.transaction_id
+            AND rv.event_name IN ('payment_refunded', 'payment_chargeback')
+        )
     )
     `;
   }
@@ -541,6 +553,9 @@ async function populateShotQueue(pool, shotId) {
   `;
   
   // Aplicar filtros
+  const queryParams = [shotIdInt, botSlug];
+  const whereConditions = [];
+  
   if (filters.has_unpaid_pix) {
     targetQuery += `
     INNER JOIN unpaid_pix_users upu ON upu.tg_id = su.tg_id
@@ -550,7 +565,22 @@ async function populateShotQueue(pool, shotId) {
   if (filters.exclude_paid !== false) {
     targetQuery += `
     LEFT JOIN paid_users pu ON pu.tg_id = su.tg_id
-    WHERE pu.tg_id IS NULL
+    `;
+    whereConditions.push('pu.tg_id IS NULL');
+  }
+  
+  // Filtro por origem do deep-link (campanha/UTM, first/last touch)
+  const sourceCondition = buildSourceCondition(filters.source, 'bus', queryParams);
+  if (sourceCondition) {
+    targetQuery += `
+    INNER JOIN public.bot_user_sources bus ON bus.bot_slug = $2 AND bus.telegram_id = su.tg_id::bigint
+    `;
+    whereConditions.push(sourceCondition);
+  }
+  
+  if (whereConditions.length > 0) {
+    targetQuery += `
+    WHERE ${whereConditions.join(' AND ')}
     `;
   }
   
@@ -563,13 +593,13 @@ async function populateShotQueue(pool, shotId) {
     shotIdIntType: typeof shotIdInt,
     botSlug, 
     botSlugType: typeof botSlug,
-    params: [shotIdInt, botSlug],
+    params: queryParams,
     queryLength: targetQuery.length
   });
   
   console.log('[DEBUG][POPULATE_QUEUE][6] Query SQL:', targetQuery);
   
-  const result = await pool.query(targetQuery, [shotIdInt, botSlug]);
+  const result = await pool.query(targetQuery, queryParams);
   const count = result.rowCount;
   
   console.log('[DEBUG][POPULATE_QUEUE][7] Query executada:', { count });
@@ -621,9 +651,11 @@ async function getPendingShotTargets(pool, limit = 50) {
   const query = `
     SELECT sq.id, sq.shot_id, sq.bot_slug, sq.slug, sq.tg_id, sq.telegram_id, 
            sq.attempts, sq.event_id,
-           s.message, s.parse_mode, s.media_refs
+           s.message, s.parse_mode, s.media_refs,
+           bu.first_name, bu.username, bu.language_code, COALESCE(bu.blocked, false) AS blocked
     FROM public.shots_queue sq
     JOIN public.shots s ON s.id = sq.shot_id
+    LEFT JOIN public.bot_users bu ON bu.bot_slug = sq.bot_slug AND bu.telegram_id = sq.telegram_id
     WHERE sq.status = 'PENDING'
       AND s.status = 'sending'
     ORDER BY sq.id ASC
@@ -16,9 +16,13 @@ const {
 } = require('./shotService');
 const { sendMessage } = require('./queuedSend');
 const { observe } = require('./metricsService');
+const { isBlockedSendError } = require('./botUserService');
+const { getBotTypingDelay, resolveStepDelay, pauseWithChatAction, forEachConcurrent } = require('./stepDelayService');
 
 let isRunning = false;
 let workerInterval = null;
+// Tick em andamento (pausas entre etapas podem passar do intervalo do worker)
+let isProcessing = false;
 
 /**
  * Verifica e inicia disparos agendados que já devem ser executados
@@ -74,8 +78,15 @@ async function processPendingTargets(pool) {
     
     console.info('[SHOT_WORKER] Processando lote:', { count: targets.length });
     
-    for (const target of targets) {
+    await forEachConcurrent(targets, config.SEQUENCE_CONCURRENCY, async (target) => {
       try {
+        // Usuário bloqueou o bot depois da população da fila
+        if (target.blocked) {
+          await markShotTargetSkipped(pool, target.id, 'user_blocked');
+          observe('shot_skipped_blocked', 1, { bot: target.bot_slug || target.slug });
+          return;
+        }
+        
         // Parse do conteúdo da mensagem
         const message = typeof target.message === 'string' 
           ? JSON.parse(target.message) 
@@ -103,10 +114,11 @@ async function processPendingTargets(pool) {
             queue_id: target.id,
             reason: 'missing_message_text'
           });
-          continue;
+          return;
         }
         
         let result;
+        const typingDelay = await getBotTypingDelay(pool, target.bot_slug || target.slug);
         
         if (mediaRefs.length > 0) {
           // Enviar múltiplas mídias primeiro (separadas, sem caption)
@@ -123,7 +135,15 @@ async function processPendingTargets(pool) {
             slug: target.bot_slug,
             chat_id: String(target.telegram_id),
             media_refs: mediaRefs,
-            purpose: 'shot'
+            purpose: 'shot',
+            default_delay_ms: typingDelay
+          });
+          
+          await pauseWithChatAction(pool, {
+            slug: target.bot_slug,
+            chat_id: String(target.telegram_id),
+            kind: 'text',
+            delay_ms: resolveStepDelay(message, typingDelay, false)
           });
           
           // Depois enviar texto separado
@@ -137,7 +157,9 @@ async function processPendingTargets(pool) {
               purpose: 'shot',
               queue_id: target.id,
               shot_id: target.shot_id,
-              raw: message.raw || false
+              raw: message.raw || false,
+              buttons: message.buttons,
+              variants: message.variants
             });
           } else {
             // Falha nas mídias, mas ainda tentar enviar texto
@@ -156,10 +178,19 @@ async function processPendingTargets(pool) {
               purpose: 'shot',
               queue_id: target.id,
               shot_id: target.shot_id,
-              raw: message.raw || false
+              raw: message.raw || false,
+              buttons: message.buttons,
+              variants: message.variants
             });
           }
         } else {
+          await pauseWithChatAction(pool, {
+            slug: target.bot_slug || target.slug,
+            chat_id: String(target.telegram_id || target.tg_id),
+            kind: 'text',
+            delay_ms: resolveStepDelay(message, typingDelay, true)
+          });
+          
           // Enviar via fila com prioridade SHOT (texto apenas)
           result = await sendMessage(pool, {
             slug: target.bot_slug || target.slug,
@@ -171,7 +202,9 @@ async function processPendingTargets(pool) {
             disable_web_page_preview: message.disable_web_page_preview !== false,
             purpose: 'shot',
             queue_id: target.id,
-            raw: message.raw || false
+            raw: message.raw || false,
+            buttons: message.buttons,
+            variants: message.variants
           });
         }
         
@@ -190,8 +223,8 @@ async function processPendingTargets(pool) {
         } else {
           // Verificar se é erro de usuário bloqueado
           const errorStr = result.error || '';
-          if (errorStr.includes('bot was blocked') || 
-              errorStr.includes('user is deactivated') ||
+          if (isBlockedSendError(errorStr) ||
+              errorStr === 'CHAT_NOT_FOUND' ||
               errorStr.includes('chat not found')) {
             await markShotTargetSkipped(pool, target.id, result.error);
             observe('shot_skipped_blocked', 1, { bot: target.bot_slug || target.slug });
@@ -226,7 +259,7 @@ async function processPendingTargets(pool) {
         
         await markShotTargetFailed(pool, target.id, err.message);
       }
-    }
+    });
     
     // Verificar disparos completados
     await checkCompletedShots(pool);
@@ -274,7 +307,8 @@ async function checkCompletedShots(pool) {
  * @param {object} pool - Pool PostgreSQL
  */
 async function tick(pool) {
-  if (!pool || !isRunning) return;
+  if (!pool || !isRunning || isProcessing) return;
+  isProcessing = true;
   
   try {
     // 1. Processar disparos agendados que já venceram
@@ -285,6 +319,8 @@ async function tick(pool) {
     
   } catch (err) {
     console.error('[SHOT_WORKER][TICK_ERR]', { error: err.message });
+  } finally {
+    isProcessing = false;
   }
 }
 
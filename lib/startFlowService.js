@@ -0,0 +1,302 @@
+/**
+ * Fluxos de /start por campanha
+ * Cada fluxo tem texto, mídias e conjunto de downsells próprios e é escolhido
+ * pelo payload do deep-link (match exato ou por prefixo).
+ * Sem fluxo correspondente, vale a configuração atual do bot (bots.start_message) = fluxo padrão.
+ */
+
+const { validateMessageContent, enrichMediaRefs } = require('./messageContentService');
+
+const MATCH_TYPES = ['exact', 'prefix'];
+const MATCH_VALUE_REGEX = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Cache em memória dos fluxos ativos por bot (TTL 60s)
+const cache = new Map();
+const CACHE_TTL_MS = 60000;
+
+function invalidateCache(slug) {
+  cache.delete(slug);
+}
+
+const FLOW_COLUMNS = `id, bot_slug, name, match_type, match_value, priority, message, media_refs,
+  downsell_ids, active, created_at, updated_at`;
+
+/**
+ * Escolhe o fluxo para um payload
+ * Exato vence prefixo; entre prefixos vence o mais longo; empate decide priority (maior primeiro)
+ * @param {Array} flows - Fluxos ativos
+ * @param {string|null} payload - Payload do deep-link
+ * @returns {object|null} Fluxo ou null (fluxo padrão)
+ */
+function matchStartFlow(flows, payload) {
+  if (!payload || !Array.isArray(flows) || flows.length === 0) return null;
+
+  let best = null;
+  let bestScore = null;
+
+  for (const flow of flows) {
+    const value = flow.match_value;
+    let matched = false;
+    if (flow.match_type === 'exact') matched = payload === value;
+    else if (flow.match_type === 'prefix') matched = payload.startsWith(value);
+    if (!matched) continue;
+
+    const score = [flow.match_type === 'exact' ? 1 : 0, value.length, flow.priority || 0];
+    if (!bestScore || compareScore(score, bestScore) > 0) {
+      best = flow;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+function compareScore(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+/**
+ * Resolve o fluxo de /start de um payload (com cache)
+ * @returns {Promise<object|null>} Fluxo ou null (usar fluxo padrão)
+ */
+async function resolveStartFlow(pool, slug, payload) {
+  if (!pool || !payload) return null;
+
+  const cached = cache.get(slug);
+  let flows;
+
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL_MS) {
+    flows = cached.flows;
+  } else {
+    try {
+      const result = await pool.query(
+        `SELECT ${FLOW_COLUMNS}
+         FROM public.bot_start_flows
+         WHERE bot_slug = $1 AND active = true`,
+        [slug]
+      );
+      flows = result.rows;
+      cache.set(slug, { flows, timestamp: Date.now() });
+    } catch (err) {
+      console.error('[START_FLOW][RESOLVE][ERR]', { slug, error: err.message });
+      return null;
+    }
+  }
+
+  return matchStartFlow(flows, payload);
+}
+
+/**
+ * Valida campos do fluxo (parcial no update)
+ */
+async function validateFlowFields(pool, fields, { partial = false } = {}) {
+  const normalized = {};
+
+  if (!partial || fields.name !== undefined) {
+    const name = typeof fields.name === 'string' ? fields.name.trim() : '';
+    if (!name) throw new Error('START_FLOW_NAME_REQUIRED');
+    if (name.length > 100) throw new Error('START_FLOW_NAME_TOO_LONG');
+    normalized.name = name;
+  }
+
+  if (!partial || fields.match_type !== undefined) {
+    if (!MATCH_TYPES.includes(fields.match_type)) throw new Error('INVALID_MATCH_TYPE');
+    normalized.match_type = fields.match_type;
+  }
+
+  if (!partial || fields.match_value !== undefined) {
+    if (typeof fields.match_value !== 'string' || !MATCH_VALUE_REGEX.test(fields.match_value)) {
+      throw new Error('START_FLOW_MATCH_VALUE_INVALID');
+    }
+    normalized.match_value = fields.match_value;
+  }
+
+  if (fields.priority !== undefined) {
+    const priority = Number(fields.priority);
+    if (!Number.isInteger(priority)) throw new Error('START_FLOW_PRIORITY_INVALID');
+    normalized.priority = priority;
+  }
+
+  if (!partial || fields.message !== undefined || fields.media_refs !== undefined) {
+    const media_refs = await enrichMediaRefs(pool, fields.media_refs);
+    normalized.media_refs = media_refs;
+    normalized.message = validateMessageContent(fields.message || {}, { requireText: media_refs.length === 0 });
+  }
+
+  // null = downsells padrão (after_start); [] = nenhum; [ids] = conjunto próprio
+  if (fields.downsell_ids !== undefined) {
+    if (fields.downsell_ids === null) {
+      normalized.downsell_ids = null;
+    } else {
+      if (!Array.isArray(fields.downsell_ids)) throw new Error('START_FLOW_DOWNSELL_IDS_INVALID');
+      const ids = fields.downsell_ids.map(Number);
+      if (ids.some(id => !Number.isInteger(id) || id <= 0)) throw new Error('START_FLOW_DOWNSELL_IDS_INVALID');
+      normalized.downsell_ids = Array.from(new Set(ids));
+    }
+  }
+
+  if (fields.active !== undefined) {
+    normalized.active = fields.active !== false;
+  }
+
+  return normalized;
+}
+
+/**
+ * Lista fluxos de um bot
+ */
+async function listStartFlows(pool, slug) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug) throw new Error('MISSING_SLUG');
+
+  const result = await pool.query(
+    `SELECT ${FLOW_COLUMNS}
+     FROM public.bot_start_flows
+     WHERE bot_slug = $1
+     ORDER BY priority DESC, name`,
+    [slug]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Cria fluxo
+ * @param {object} params - { slug, name, match_type, match_value, priority, message, media_refs, downsell_ids, active }
+ */
+async function createStartFlow(pool, params) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!params.slug) throw new Error('MISSING_SLUG');
+
+  const flow = await validateFlowFields(pool, params);
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO public.bot_start_flows (
+         bot_slug, name, match_type, match_value, priority, message, media_refs,
+         downsell_ids, active, created_at, updated_at
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, now(), now())
+       RETURNING ${FLOW_COLUMNS}`,
+      [
+        params.slug,
+        flow.name,
+        flow.match_type,
+        flow.match_value,
+        flow.priority || 0,
+        JSON.stringify(flow.message),
+        JSON.stringify(flow.media_refs),
+        flow.downsell_ids !== undefined ? flow.downsell_ids : null,
+        flow.active !== false
+      ]
+    );
+
+    invalidateCache(params.slug);
+    return result.rows[0];
+  } catch (err) {
+    if (err.code === '23505') {
+      throw new Error('START_FLOW_ALREADY_EXISTS');
+    }
+    throw err;
+  }
+}
+
+/**
+ * Atualiza fluxo
+ */
+async function updateStartFlow(pool, slug, id, params) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug || !id) throw new Error('MISSING_PARAMS');
+
+  const current = await pool.query(
+    `SELECT message, media_refs FROM public.bot_start_flows WHERE id = $1 AND bot_slug = $2`,
+    [id, slug]
+  );
+  if (current.rowCount === 0) {
+    throw new Error('START_FLOW_NOT_FOUND');
+  }
+
+  // Conteúdo e mídias são validados juntos (texto é opcional só quando há mídia)
+  const fields = { ...params };
+  if (fields.message !== undefined || fields.media_refs !== undefined) {
+    if (fields.message === undefined) fields.message = current.rows[0].message;
+    if (fields.media_refs === undefined) fields.media_refs = current.rows[0].media_refs;
+  }
+
+  const flow = await validateFlowFields(pool, fields, { partial: true });
+
+  const columns = {
+    name: flow.name,
+    match_type: flow.match_type,
+    match_value: flow.match_value,
+    priority: flow.priority,
+    message: flow.message !== undefined ? JSON.stringify(flow.message) : undefined,
+    media_refs: flow.media_refs !== undefined ? JSON.stringify(flow.media_refs) : undefined,
+    downsell_ids: flow.downsell_ids,
+    active: flow.active
+  };
+
+  const updates = [];
+  const values = [];
+  let paramIndex = 1;
+
+  for (const [column, value] of Object.entries(columns)) {
+    if (value === undefined) continue;
+    updates.push(`${column} = $${paramIndex++}`);
+    values.push(value);
+  }
+
+  if (updates.length === 0) {
+    throw new Error('NO_FIELDS_TO_UPDATE');
+  }
+
+  updates.push('updated_at = now()');
+  values.push(id, slug);
+
+  try {
+    const result = await pool.query(
+      `UPDATE public.bot_start_flows
+       SET ${updates.join(', ')}
+       WHERE id = $${paramIndex++} AND bot_slug = $${paramIndex}
+       RETURNING ${FLOW_COLUMNS}`,
+      values
+    );
+
+    invalidateCache(slug);
+    return result.rows[0];
+  } catch (err) {
+    if (err.code === '23505') {
+      throw new Error('START_FLOW_ALREADY_EXISTS');
+    }
+    throw err;
+  }
+}
+
+/**
+ * Remove fluxo
+ */
+async function deleteStartFlow(pool, slug, id) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+
+  const result = await pool.query(
+    `DELETE FROM public.bot_start_flows WHERE id = $1 AND bot_slug = $2`,
+    [id, slug]
+  );
+
+  invalidateCache(slug);
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  MATCH_TYPES,
+  matchStartFlow,
+  resolveStartFlow,
+  listStartFlows,
+  createStartFlow,
+  updateStartFlow,
+  deleteStartFlow,
+  invalidateCache
+};
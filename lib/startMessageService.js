@@ -1,8 +1,20 @@
 /**
  * Serviço para gerenciar mensagem inicial personalizada do /start
  * Usa coluna bots.start_message (jsonb) como ponto único de verdade
+ * Teste A/B: start_message.experiment = { id, active, started_at, variants: [{ key, weight, message }] }
+ * (variante sem message usa a mensagem padrão; sorteio fixo por usuário em start_message_assignments)
  */
 
+const crypto = require('crypto');
+const { validateButtons, normalizeContentButtons } = require('./inlineKeyboard');
+const { normalizeContentVariants } = require('./localeService');
+const { normalizeStepDelay, applyMediaStepDelays } = require('./stepDelayService');
+
+const EXPERIMENT_KEY_REGEX = /^[A-Za-z0-9_-]{1,32}$/;
+const EXPERIMENT_MAX_VARIANTS = 5;
+// Abaixo disso por variante o indicador de significância não é calculado
+const EXPERIMENT_MIN_SAMPLE = 30;
+
 // Cache em memória (TTL 60s)
 const cache = new Map();
 const CACHE_TTL_MS = 60000;
@@ -26,7 +38,7 @@ async function getStartMessage(pool, slug) {
 
   // Buscar no DB
   if (!pool) {
-    return { active: false, message: null, start_media_refs: [], updated_at: null };
+    return { active: false, message: null, start_media_refs: [], experiment: null, updated_at: null };
   }
 
   try {
@@ -38,7 +50,7 @@ async function getStartMessage(pool, slug) {
     );
 
     if (result.rows.length === 0) {
-      return { active: false, message: null, start_media_refs: [], updated_at: null };
+      return { active: false, message: null, start_media_refs: [], experiment: null, updated_at: null };
     }
 
     const row = result.rows[0];
@@ -48,6 +60,7 @@ async function getStartMessage(pool, slug) {
       active: startMessage.active || false,
       message: startMessage.message || null,
       start_media_refs: row.start_media_refs || [],
+      experiment: startMessage.experiment || null,
       updated_at: row.start_message_updated_at || null
     };
 
@@ -57,14 +70,243 @@ async function getStartMessage(pool, slug) {
     return data;
   } catch (err) {
     console.error('[START_MESSAGE][GET][ERR]', { slug, error: err.message });
-    return { active: false, message: null, start_media_refs: [], updated_at: null };
+    return { active: false, message: null, start_media_refs: [], experiment: null, updated_at: null };
+  }
+}
+
+/**
+ * Valida o conteúdo de uma mensagem inicial (padrão ou variante do teste A/B)
+ */
+function normalizeStartContent(message) {
+  if (!message.text || typeof message.text !== 'string') {
+    throw new Error('MESSAGE_TEXT_REQUIRED');
+  }
+  if (message.text.length > 4096) {
+    throw new Error('MESSAGE_TEXT_TOO_LONG');
+  }
+  if (message.parse_mode && message.parse_mode !== 'MarkdownV2') {
+    throw new Error('ONLY_MARKDOWNV2_SUPPORTED');
+  }
+  // Botões inline, variantes por idioma e pausa antes do texto (opcionais)
+  return normalizeStepDelay(normalizeContentVariants(normalizeContentButtons(message)));
+}
+
+/**
+ * Valida o experimento A/B
+ * Mantém id/started_at do experimento anterior enquanto as chaves das variantes forem as mesmas
+ * (mudar só pesos ou textos não reinicia o sorteio; restart: true força um novo experimento)
+ * @param {object} experiment - { active, restart, variants: [{ key, weight, message }] }
+ * @param {object} previous - Experimento salvo (ou null)
+ * @returns {object|null}
+ */
+function normalizeExperiment(experiment, previous = null) {
+  if (experiment === null) {
+    return null;
+  }
+  if (typeof experiment !== 'object' || Array.isArray(experiment)) {
+    throw new Error('START_EXPERIMENT_INVALID');
+  }
+
+  const { variants } = experiment;
+  if (!Array.isArray(variants) || variants.length < 2) {
+    throw new Error('START_EXPERIMENT_VARIANTS_MIN_2');
+  }
+  if (variants.length > EXPERIMENT_MAX_VARIANTS) {
+    throw new Error('START_EXPERIMENT_VARIANTS_MAX_5');
+  }
+
+  const keys = new Set();
+  const normalized = variants.map(variant => {
+    const key = typeof variant?.key === 'string' ? variant.key.trim() : '';
+    if (!EXPERIMENT_KEY_REGEX.test(key)) {
+      throw new Error('START_EXPERIMENT_INVALID_KEY');
+    }
+    if (keys.has(key)) {
+      throw new Error('START_EXPERIMENT_DUPLICATE_KEY');
+    }
+    keys.add(key);
+
+    const weight = Number(variant.weight);
+    if (!Number.isInteger(weight) || weight < 1 || weight > 100) {
+      throw new Error('START_EXPERIMENT_INVALID_WEIGHT');
+    }
+
+    return {
+      key,
+      weight,
+      message: variant.message ? normalizeStartContent(variant.message) : null
+    };
+  });
+
+  const sameKeys = previous
+    && Array.isArray(previous.variants)
+    && previous.variants.length === normalized.length
+    && previous.variants.every(variant => keys.has(variant.key));
+  const keepId = sameKeys && experiment.restart !== true;
+
+  return {
+    id: keepId ? previous.id : crypto.randomUUID(),
+    active: experiment.active !== false,
+    started_at: keepId ? previous.started_at : new Date().toISOString(),
+    variants: normalized
+  };
+}
+
+/**
+ * Sorteio determinístico por peso (mesmo usuário + experimento = mesma variante)
+ */
+function pickVariant(experiment, telegram_id) {
+  const total = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const hash = crypto.createHash('sha256').update(`${experiment.id}:${telegram_id}`).digest();
+  let point = hash.readUInt32BE(0) % total;
+
+  for (const variant of experiment.variants) {
+    if (point < variant.weight) return variant;
+    point -= variant.weight;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+/**
+ * Variante do usuário no experimento ativo (sorteada no primeiro /start e fixa depois)
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { slug, experiment, telegram_id }
+ * @returns {Promise<object|null>} { experiment_id, key, message } (message null = mensagem padrão)
+ */
+async function assignStartVariant(pool, { slug, experiment, telegram_id }) {
+  if (!pool || !experiment || !experiment.active || !telegram_id) {
+    return null;
   }
+
+  const picked = pickVariant(experiment, telegram_id);
+
+  // Já sorteado: o UPDATE sem efeito devolve a variante gravada
+  const result = await pool.query(
+    `INSERT INTO public.start_message_assignments (bot_slug, experiment_id, telegram_id, variant_key)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (bot_slug, experiment_id, telegram_id)
+     DO UPDATE SET variant_key = start_message_assignments.variant_key
+     RETURNING variant_key`,
+    [slug, experiment.id, telegram_id, picked.key]
+  );
+
+  const key = result.rows[0]?.variant_key || picked.key;
+  const variant = experiment.variants.find(item => item.key === key) || picked;
+
+  return { experiment_id: experiment.id, key: variant.key, message: variant.message };
+}
+
+/**
+ * Função de distribuição normal padrão (aproximação de Abramowitz-Stegun)
+ */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t
+    * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Teste z de duas proporções (bicaudal)
+ * @returns {object|null} { z, p_value } (null sem variação para comparar)
+ */
+function twoProportionTest(successA, totalA, successB, totalB) {
+  if (totalA === 0 || totalB === 0) return null;
+
+  const pooled = (successA + successB) / (totalA + totalB);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+  if (se === 0) return null;
+
+  const z = (successB / totalB - successA / totalA) / se;
+  return {
+    z: Number(z.toFixed(3)),
+    p_value: Number((2 * (1 - normalCdf(Math.abs(z)))).toFixed(4))
+  };
+}
+
+function rate(part, total) {
+  return total > 0 ? Number((part / total).toFixed(4)) : null;
+}
+
+/**
+ * Relatório do experimento: start -> pix -> pago por variante
+ * Conta eventos do usuário a partir do sorteio; significância do pago/start contra a primeira variante (controle)
+ * @param {object} pool - Pool PostgreSQL
+ * @param {string} slug - Slug do bot
+ * @returns {Promise<object>} { experiment_id, active, started_at, control, variants }
+ */
+async function getExperimentReport(pool, slug) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+
+  invalidateCache(slug);
+  const { experiment } = await getStartMessage(pool, slug);
+  if (!experiment) {
+    throw new Error('START_EXPERIMENT_NOT_FOUND');
+  }
+
+  const result = await pool.query(
+    `SELECT a.variant_key,
+            COUNT(*)::int AS starts,
+            COUNT(*) FILTER (WHERE ev.pix_at IS NOT NULL)::int AS pix,
+            COUNT(*) FILTER (WHERE ev.paid_at IS NOT NULL)::int AS paid,
+            COALESCE(SUM(ev.revenue_cents), 0)::bigint AS revenue_cents
+     FROM public.start_message_assignments a
+     LEFT JOIN LATERAL (
+       SELECT MIN(fe.occurred_at) FILTER (WHERE fe.event_name = 'pix_created') AS pix_at,
+              MIN(fe.occurred_at) FILTER (WHERE fe.event_name = 'payment_approved') AS paid_at,
+              SUM(fe.price_cents) FILTER (WHERE fe.event_name = 'payment_approved') AS revenue_cents
+       FROM public.funnel_events fe
+       WHERE fe.bot_slug = a.bot_slug
+         AND fe.tg_id = a.telegram_id::text
+         AND fe.event_name IN ('pix_created', 'payment_approved')
+         AND fe.occurred_at >= a.assigned_at
+     ) ev ON true
+     WHERE a.bot_slug = $1 AND a.experiment_id = $2
+     GROUP BY a.variant_key`,
+    [slug, experiment.id]
+  );
+
+  const byKey = new Map(result.rows.map(row => [row.variant_key, row]));
+  const variants = experiment.variants.map(variant => {
+    const row = byKey.get(variant.key) || {};
+    const starts = row.starts || 0;
+    const pix = row.pix || 0;
+    const paid = row.paid || 0;
+    return {
+      key: variant.key,
+      weight: variant.weight,
+      starts,
+      pix,
+      paid,
+      pix_rate: rate(pix, starts),
+      paid_rate: rate(paid, starts),
+      revenue_cents: Number(row.revenue_cents) || 0
+    };
+  });
+
+  const control = variants[0];
+  for (const variant of variants.slice(1)) {
+    const enoughData = control.starts >= EXPERIMENT_MIN_SAMPLE && variant.starts >= EXPERIMENT_MIN_SAMPLE;
+    const test = enoughData ? twoProportionTest(control.paid, control.starts, variant.paid, variant.starts) : null;
+    variant.significance = test
+      ? { ...test, significant: test.p_value < 0.05 }
+      : { z: null, p_value: null, significant: false };
+  }
+
+  return {
+    experiment_id: experiment.id,
+    active: experiment.active,
+    started_at: experiment.started_at,
+    control: control.key,
+    min_sample: EXPERIMENT_MIN_SAMPLE,
+    variants
+  };
 }
 
 /**
  * Salva mensagem inicial
  */
-async function saveStartMessage(pool, slug, { active, message, start_media_refs }) {
+async function saveStartMessage(pool, slug, { active, message, start_media_refs, experiment }) {
   if (!pool) {
     throw new Error('DATABASE_UNAVAILABLE');
   }
@@ -75,15 +317,7 @@ async function saveStartMessage(pool, slug, { active, message, start_media_refs
   }
 
   if (message) {
-    if (!message.text || typeof message.text !== 'string') {
-      throw new Error('MESSAGE_TEXT_REQUIRED');
-    }
-    if (message.text.length > 4096) {
-      throw new Error('MESSAGE_TEXT_TOO_LONG');
-    }
-    if (message.parse_mode && message.parse_mode !== 'MarkdownV2') {
-      throw new Error('ONLY_MARKDOWNV2_SUPPORTED');
-    }
+    message = normalizeStartContent(message);
   }
 
   // Validação e enriquecimento de media_refs
@@ -145,10 +379,27 @@ async function saveStartMessage(pool, slug, { active, message, start_media_refs
     }
   }
 
+  // Sem o campo experiment o experimento salvo é mantido; null remove
+  const current = await pool.query(
+    `SELECT start_message->'experiment' AS experiment FROM public.bots WHERE slug = $1`,
+    [slug]
+  );
+  const previousExperiment = current.rows[0]?.experiment || null;
+  const nextExperiment = experiment === undefined
+    ? previousExperiment
+    : normalizeExperiment(experiment, previousExperiment);
+
+  if (nextExperiment && nextExperiment.active && !active) {
+    throw new Error('START_EXPERIMENT_REQUIRES_ACTIVE_MESSAGE');
+  }
+
+  enrichedMediaRefs = applyMediaStepDelays(start_media_refs, enrichedMediaRefs);
+
   const payload = {
     active: !!active,
     message: message || null,
-    start_media_refs: enrichedMediaRefs
+    start_media_refs: enrichedMediaRefs,
+    experiment: nextExperiment
   };
 
   try {
@@ -173,13 +424,15 @@ async function saveStartMessage(pool, slug, { active, message, start_media_refs
     console.info('[ADMIN_START_MESSAGE_SAVED]', {
       slug,
       active: payload.active,
-      text_len: message?.text?.length || 0
+      text_len: message?.text?.length || 0,
+      experiment_id: nextExperiment?.id || null
     });
 
     return {
       active: payload.active,
       message: payload.message,
       start_media_refs: enrichedMediaRefs,
+      experiment: nextExperiment,
       updated_at
     };
   } catch (err) {
@@ -202,6 +455,8 @@ async function testStartMessage(pool, slug, chatId, message) {
     throw new Error('MESSAGE_TEXT_TOO_LONG');
   }
 
+  const buttons = validateButtons(message.buttons);
+
   const t0 = Date.now();
 
   try {
@@ -213,6 +468,8 @@ async function testStartMessage(pool, slug, chatId, message) {
       parse_mode: message.parse_mode || 'MarkdownV2',
       disable_web_page_preview: message.disable_web_page_preview !== false,
       raw: message.raw || false,
+      buttons,
+      variants: message.variants,
       purpose: 'start-message-test'
     });
     
@@ -259,6 +516,11 @@ function escapeMarkdownV2(text) {
 module.exports = {
   getStartMessage,
   saveStartMessage,
+  normalizeExperiment,
+  pickVariant,
+  assignStartVariant,
+  twoProportionTest,
+  getExperimentReport,
   testStartMessage,
   invalidateCache,
   escapeMarkdownV2
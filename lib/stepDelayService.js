@@ -0,0 +1,154 @@
+/**
+ * Pausas entre etapas de uma sequência (/start, downsell, disparo) com indicador de ação
+ * Etapa = cada mídia (media_refs[i].delay_ms) e o texto (content.delay_ms)
+ * Sem delay próprio, etapas depois da primeira usam bots.typing_delay_ms
+ * A pausa acontece fora do queueManager: a lane só é ocupada no envio em si,
+ * então o /start de outros usuários não espera a digitação simulada deste
+ */
+
+const { callApi } = require('./telegramClient');
+const { getTokenBySlug } = require('./tokenService');
+const { observe } = require('./metricsService');
+
+const MAX_STEP_DELAY_MS = 30000;
+// O Telegram mostra a ação por ~5s (ou até a próxima mensagem): renovar antes
+const ACTION_REFRESH_MS = 4500;
+
+const CHAT_ACTIONS = {
+  text: 'typing',
+  photo: 'upload_photo',
+  video: 'upload_video',
+  audio: 'record_voice'
+};
+
+// Cache do delay padrão do bot (TTL 60s)
+const cache = new Map();
+const CACHE_TTL_MS = 60000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function invalidateCache(slug) {
+  cache.delete(slug);
+}
+
+/**
+ * Valida delay_ms (0-30000); ausente = usa o padrão do bot
+ * @returns {number|null}
+ */
+function parseDelay(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const delay = Number(value);
+  if (!Number.isInteger(delay) || delay < 0 || delay > MAX_STEP_DELAY_MS) {
+    throw new Error('INVALID_DELAY_MS');
+  }
+  return delay;
+}
+
+/**
+ * Normaliza delay_ms de uma etapa (conteúdo ou media_ref)
+ */
+function normalizeStepDelay(step) {
+  if (!step || typeof step !== 'object') return step;
+
+  const { delay_ms, ...rest } = step;
+  const delay = parseDelay(delay_ms);
+  return delay === null ? rest : { ...rest, delay_ms: delay };
+}
+
+/**
+ * Copia delay_ms das refs recebidas para as refs enriquecidas (mesma ordem)
+ */
+function applyMediaStepDelays(source, enriched) {
+  return enriched.map((ref, i) => normalizeStepDelay({ ...ref, delay_ms: source?.[i]?.delay_ms }));
+}
+
+/**
+ * Delay padrão entre etapas do bot (bots.typing_delay_ms)
+ */
+async function getBotTypingDelay(pool, slug) {
+  const cached = cache.get(slug);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL_MS) {
+    return cached.delay;
+  }
+
+  let delay = 0;
+  try {
+    const result = await pool.query(`SELECT typing_delay_ms FROM public.bots WHERE slug = $1`, [slug]);
+    delay = Math.min(Math.max(Number(result.rows[0]?.typing_delay_ms) || 0, 0), MAX_STEP_DELAY_MS);
+  } catch (err) {
+    console.warn('[STEP_DELAY][BOT_DEFAULT][ERR]', { slug, error: err.message });
+  }
+
+  cache.set(slug, { delay, timestamp: Date.now() });
+  return delay;
+}
+
+/**
+ * Delay de uma etapa: o próprio, senão o padrão do bot (a primeira etapa não herda o padrão)
+ */
+function resolveStepDelay(step, defaultDelay, isFirst) {
+  if (Number.isInteger(step?.delay_ms)) return step.delay_ms;
+  return isFirst ? 0 : (defaultDelay || 0);
+}
+
+/**
+ * Aguarda o delay mostrando a ação da próxima etapa (digitando, enviando foto, gravando áudio)
+ * Falha no sendChatAction não interrompe a sequência
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { slug, chat_id, kind, delay_ms }
+ */
+async function pauseWithChatAction(pool, { slug, chat_id, kind = 'text', delay_ms }) {
+  if (!delay_ms || delay_ms <= 0) return;
+
+  const action = CHAT_ACTIONS[kind] || CHAT_ACTIONS.text;
+  let token = null;
+  try {
+    token = await getTokenBySlug(pool, slug);
+  } catch (err) {
+    console.warn('[STEP_DELAY][TOKEN][ERR]', { slug, error: err.message });
+  }
+
+  const until = Date.now() + delay_ms;
+  while (Date.now() < until) {
+    if (token) {
+      callApi(token, 'sendChatAction', { chat_id, action }, { retries: 1, timeout_ms: 3000 })
+        .then(result => {
+          if (!result.ok) {
+            console.warn('[STEP_DELAY][CHAT_ACTION][ERR]', { slug, chat_id, action, error: result.description || result.error });
+          }
+        })
+        .catch(() => {});
+    }
+    await sleep(Math.min(ACTION_REFRESH_MS, until - Date.now()));
+  }
+
+  observe('step_delay_ms', delay_ms, { bot: slug, action });
+}
+
+/**
+ * Executa fn para cada item com no máximo `limit` em paralelo
+ * Usado pelos workers: a pausa de um usuário não atrasa os demais do lote
+ */
+async function forEachConcurrent(items, limit, fn) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await fn(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+module.exports = {
+  MAX_STEP_DELAY_MS,
+  CHAT_ACTIONS,
+  parseDelay,
+  normalizeStepDelay,
+  applyMediaStepDelays,
+  getBotTypingDelay,
+  resolveStepDelay,
+  pauseWithChatAction,
+  forEachConcurrent,
+  invalidateCache
+};
@@ -65,6 +65,7 @@ async function sendMessage(token, chat_id, text, options = {}) {
   const {
     parse_mode = 'MarkdownV2',
     disable_web_page_preview = true,
+    reply_markup,
     retries = 3
   } = options;
   
@@ -84,7 +85,8 @@ async function sendMessage(token, chat_id, text, options = {}) {
           chat_id,
           text,
           parse_mode,
-          disable_web_page_preview
+          disable_web_page_preview,
+          reply_markup
         }),
         signal: controller.signal
       });
@@ -167,6 +169,7 @@ async function sendPhoto(token, chat_id, photo, options = {}) {
   const {
     caption = '',
     parse_mode,
+    reply_markup,
     filename = 'photo.jpg',
     retries = 3
   } = options;
@@ -192,7 +195,8 @@ async function sendPhoto(token, chat_id, photo, options = {}) {
             chat_id,
             photo,
             caption,
-            parse_mode
+            parse_mode,
+            reply_markup
           }),
           signal: controller.signal
         });
@@ -207,6 +211,7 @@ async function sendPhoto(token, chat_id, photo, options = {}) {
         
         if (caption) formData.append('caption', caption);
         if (parse_mode) formData.append('parse_mode', parse_mode);
+        if (reply_markup) formData.append('reply_markup', JSON.stringify(reply_markup));
         
         response = await fetchWithKeepAlive(url, {
           method: 'POST',
@@ -300,6 +305,7 @@ async function sendVideo(token, chat_id, video, options = {}) {
   const {
     caption = '',
     parse_mode,
+    reply_markup,
     filename = 'video.mp4',
     duration,
     width,
@@ -331,7 +337,8 @@ async function sendVideo(token, chat_id, video, options = {}) {
             parse_mode,
             duration,
             width,
-            height
+            height,
+            reply_markup
           }),
           signal: controller.signal
         });
@@ -346,6 +353,7 @@ async function sendVideo(token, chat_id, video, options = {}) {
         
         if (caption) formData.append('caption', caption);
         if (parse_mode) formData.append('parse_mode', parse_mode);
+        if (reply_markup) formData.append('reply_markup', JSON.stringify(reply_markup));
         if (duration) formData.append('duration', duration.toString());
         if (width) formData.append('width', width.toString());
         if (height) formData.append('height', height.toString());
@@ -442,6 +450,7 @@ async function sendDocument(token, chat_id, document, options = {}) {
   const {
     caption = '',
     parse_mode,
+    reply_markup,
     filename = 'document.pdf',
     retries = 3
   } = options;
@@ -467,7 +476,8 @@ async function sendDocument(token, chat_id, document, options = {}) {
             chat_id,
             document,
             caption,
-            parse_mode
+            parse_mode,
+            reply_markup
           }),
           signal: controller.signal
         });
@@ -482,6 +492,7 @@ async function sendDocument(token, chat_id, document, options = {}) {
         
         if (caption) formData.append('caption', caption);
         if (parse_mode) formData.append('parse_mode', parse_mode);
+        if (reply_markup) formData.append('reply_markup', JSON.stringify(reply_markup));
         
         response = await fetchWithKeepAlive(url, {
           method: 'POST',
@@ -561,7 +572,170 @@ async function sendDocument(token, chat_id, document, options = {}) {
   return { ok: false, error: 'MAX_RETRIES_EXCEEDED' };
 }
 
+/**
+ * Chama um método JSON genérico da Bot API (answerCallbackQuery, setMyCommands, etc.)
+ * @param {string} token - Token do bot
+ * @param {string} method - Nome do método (ex: 'answerCallbackQuery')
+ * @param {object} params - Corpo JSON
+ * @param {object} options - { retries, timeout_ms }
+ * @returns {Promise<object>} { ok, result, http_latency_ms } ou { ok:false, status_code, error, description }
+ */
+async function callApi(token, method, params = {}, options = {}) {
+  const {
+    retries = 2,
+    timeout_ms = 10000
+  } = options;
+  
+  const url = `https://api.telegram.org/bot${token}/${method}`;
+  
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    const httpStart = Date.now();
+    
+    try {
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), timeout_ms);
+      
+      const response = await fetchWithKeepAlive(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(params),
+        signal: controller.signal
+      });
+      
+      clearTimeout(timeout);
+      
+      const httpLatency = Date.now() - httpStart;
+      const data = await response.json();
+      
+      if (data.ok) {
+        return { ok: true, result: data.result, http_latency_ms: httpLatency };
+      }
+      
+      if (response.status === 429) {
+        const retry_after = data.parameters?.retry_after || 1;
+        console.warn('[TELEGRAM][API][429]', { method, retry_after, attempt });
+        
+        if (attempt < retries) {
+          await new Promise(resolve => setTimeout(resolve, retry_after * 1000));
+          continue;
+        }
+        
+        return {
+          ok: false,
+          status_code: 429,
+          error: 'RATE_LIMIT_EXCEEDED',
+          description: data.description,
+          retry_after,
+          http_latency_ms: httpLatency
+        };
+      }
+      
+      return {
+        ok: false,
+        status_code: response.status,
+        error: data.description || 'TELEGRAM_ERROR',
+        description: data.description,
+        http_latency_ms: httpLatency
+      };
+      
+    } catch (err) {
+      const httpLatency = Date.now() - httpStart;
+      
+      if (attempt < retries) {
+        await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 100));
+        continue;
+      }
+      
+      if (err.name === 'AbortError') {
+        return { ok: false, error: 'TIMEOUT', http_latency_ms: httpLatency };
+      }
+      return { ok: false, error: 'NETWORK_ERROR', description: err.message, http_latency_ms: httpLatency };
+    }
+  }
+  
+  return { ok: false, error: 'MAX_RETRIES_EXCEEDED' };
+}
+
+/**
+ * Responde um callback_query (encerra o "loading" do botão no cliente)
+ * @param {string} token - Token do bot
+ * @param {string} callback_query_id - ID do callback_query
+ * @param {object} options - { text, show_alert, url, cache_time }
+ * @returns {Promise<object>}
+ */
+async function answerCallbackQuery(token, callback_query_id, options = {}) {
+  const { text, show_alert, url, cache_time } = options;
+  
+  return callApi(token, 'answerCallbackQuery', {
+    callback_query_id,
+    text,
+    show_alert,
+    url,
+    cache_time
+  }, { retries: 1, timeout_ms: 5000 });
+}
+
+/**
+ * Cria link de convite para canal/grupo privado (o bot precisa ser admin com permissão de convidar)
+ * @param {string} token - Token do bot
+ * @param {string} chat_id - Chat de destino (-100... ou @username)
+ * @param {object} options - { name, member_limit, expire_date }
+ * @returns {Promise<object>} { ok, result: { invite_link, ... } } ou { ok:false, error }
+ */
+async function createChatInviteLink(token, chat_id, options = {}) {
+  const { name, member_limit, expire_date } = options;
+
+  return callApi(token, 'createChatInviteLink', {
+    chat_id,
+    name,
+    member_limit,
+    expire_date
+  }, { retries: 1, timeout_ms: 10000 });
+}
+
+/**
+ * Revoga link de convite criado pelo bot (deixa de aceitar novas entradas)
+ */
+async function revokeChatInviteLink(token, chat_id, invite_link) {
+  return callApi(token, 'revokeChatInviteLink', {
+    chat_id,
+    invite_link
+  }, { retries: 1, timeout_ms: 10000 });
+}
+
+/**
+ * Remove membro do canal/grupo (banir); unbanChatMember em seguida permite voltar por um novo convite
+ * @param {object} options - { until_date, revoke_messages }
+ */
+async function banChatMember(token, chat_id, user_id, options = {}) {
+  const { until_date, revoke_messages } = options;
+
+  return callApi(token, 'banChatMember', {
+    chat_id,
+    user_id,
+    until_date,
+    revoke_messages
+  }, { retries: 1, timeout_ms: 10000 });
+}
+
+/**
+ * Desbane o usuário (only_if_banned: não adiciona quem não estava banido)
+ */
+async function unbanChatMember(token, chat_id, user_id) {
+  return callApi(token, 'unbanChatMember', {
+    chat_id,
+    user_id,
+    only_if_banned: true
+  }, { retries: 1, timeout_ms: 10000 });
+}
+
 module.exports = {
+  callApi,
+  answerCallbackQuery,
+  createChatInviteLink,
+  revokeChatInviteLink,
+  banChatMember,
+  unbanChatMember,
   sendMessage,
   sendPhoto,
   sendVideo,
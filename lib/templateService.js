@@ -0,0 +1,221 @@
+/**
+ * Variáveis de template nas mensagens ({first_name}, {first_name|amigo})
+ * Renderizadas por destinatário no sendService, antes do escape MarkdownV2
+ * Variável vazia/indisponível usa o fallback após "|" (ou vazio); desconhecida fica literal
+ */
+
+const TEMPLATE_VARIABLES = {
+  first_name: 'Primeiro nome do usuário',
+  username: 'Username do usuário (com @)',
+  bot_name: 'Nome do bot',
+  pix_amount: 'Valor do último PIX gerado (ex.: R$ 19,90)',
+  pix_expires_in: 'Tempo até o último PIX expirar (ex.: 25 min)',
+  days_since_start: 'Dias desde que o usuário entrou no bot'
+};
+
+// {nome} ou {nome|fallback}; "\{" escapado (modo raw) não é placeholder
+const PLACEHOLDER_REGEX = /(?<!\\)\{([a-z_][a-z0-9_]*)(?:\|([^{}\n]*))?\}/g;
+
+// Validade padrão do PIX quando o evento não traz expires_at
+const PIX_EXPIRATION_MINUTES = parseInt(process.env.PIX_EXPIRATION_MINUTES, 10) || 30;
+
+// Cache do nome do bot (TTL 60s)
+const botNameCache = new Map();
+const CACHE_TTL_MS = 60000;
+
+const USER_VARIABLES = ['first_name', 'username', 'days_since_start'];
+const PIX_VARIABLES = ['pix_amount', 'pix_expires_in'];
+
+/**
+ * Placeholders de um texto
+ * @returns {Array} [{ name, fallback }]
+ */
+function extractPlaceholders(text) {
+  if (!text || typeof text !== 'string') return [];
+  return [...text.matchAll(PLACEHOLDER_REGEX)].map(match => ({
+    name: match[1],
+    fallback: match[2] !== undefined ? match[2] : null
+  }));
+}
+
+function hasPlaceholders(text) {
+  return extractPlaceholders(text).length > 0;
+}
+
+/**
+ * Valida variáveis de um texto (não bloqueia o salvamento; só sinaliza)
+ * @returns {object} { valid, variables, unknown }
+ */
+function validateTemplate(text) {
+  const names = [...new Set(extractPlaceholders(text).map(p => p.name))];
+  const unknown = names.filter(name => !Object.prototype.hasOwnProperty.call(TEMPLATE_VARIABLES, name));
+  return { valid: unknown.length === 0, variables: names, unknown };
+}
+
+/**
+ * Substitui placeholders pelos valores
+ * @param {string} text - Texto com placeholders
+ * @param {object} vars - Valores por nome
+ * @param {object} options - { escape } (aplicado só aos valores; usado no modo raw)
+ */
+function renderTemplate(text, vars = {}, { escape } = {}) {
+  if (!text || typeof text !== 'string') return text;
+
+  return text.replace(PLACEHOLDER_REGEX, (match, name, fallback) => {
+    if (!Object.prototype.hasOwnProperty.call(TEMPLATE_VARIABLES, name)) {
+      return match;
+    }
+
+    const value = vars[name];
+    if (value === undefined || value === null || String(value).trim() === '') {
+      return fallback !== undefined ? fallback : '';
+    }
+
+    return escape ? escape(String(value)) : String(value);
+  });
+}
+
+/**
+ * Centavos em reais (R$ 1.234,90)
+ */
+function formatCents(cents) {
+  const [int, dec] = (Number(cents) / 100).toFixed(2).split('.');
+  return `R$ ${int.replace(/\B(?=(\d{3})+(?!\d))/g, '.')},${dec}`;
+}
+
+/**
+ * Duração restante legível (25 min, 1 h 5 min)
+ */
+function formatDuration(ms) {
+  const minutes = Math.ceil(ms / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest > 0 ? `${hours} h ${rest} min` : `${hours} h`;
+}
+
+async function getBotName(pool, slug) {
+  const cached = botNameCache.get(slug);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL_MS) {
+    return cached.name;
+  }
+
+  const result = await pool.query(`SELECT name FROM public.bots WHERE slug = $1`, [slug]);
+  const name = result.rows[0]?.name || null;
+  botNameCache.set(slug, { name, timestamp: Date.now() });
+  return name;
+}
+
+/**
+ * Último PIX do usuário (ou da transação informada) em funnel_events
+ */
+async function getPixVars(pool, { slug, telegram_id, transaction_id, now }) {
+  const result = transaction_id
+    ? await pool.query(
+      `SELECT price_cents, meta, occurred_at
+       FROM public.funnel_events
+       WHERE transaction_id = $1 AND event_name = 'pix_created'
+       ORDER BY occurred_at DESC
+       LIMIT 1`,
+      [transaction_id]
+    )
+    : await pool.query(
+      `SELECT price_cents, meta, occurred_at
+       FROM public.funnel_events
+       WHERE bot_slug = $1 AND tg_id = $2 AND event_name = 'pix_created'
+         AND occurred_at > now() - interval '7 days'
+       ORDER BY occurred_at DESC
+       LIMIT 1`,
+      [slug, telegram_id]
+    );
+
+  const row = result.rows[0];
+  if (!row) return {};
+
+  const expiresAt = row.meta?.expires_at
+    ? new Date(row.meta.expires_at)
+    : new Date(new Date(row.occurred_at).getTime() + PIX_EXPIRATION_MINUTES * 60000);
+  const remaining = expiresAt.getTime() - now.getTime();
+
+  return {
+    pix_amount: row.price_cents != null ? formatCents(row.price_cents) : null,
+    pix_expires_in: remaining > 0 ? formatDuration(remaining) : null
+  };
+}
+
+/**
+ * Carrega só as variáveis usadas no texto
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { slug, chat_id, names, transaction_id, now }
+ * @returns {Promise<object>} Valores por nome (null quando indisponível)
+ */
+async function loadTemplateVars(pool, { slug, chat_id, names, transaction_id = null, now = new Date() }) {
+  const vars = {};
+  if (!pool) return vars;
+
+  if (names.some(name => USER_VARIABLES.includes(name))) {
+    const result = await pool.query(
+      `SELECT first_name, username, first_seen_at
+       FROM public.bot_users
+       WHERE bot_slug = $1 AND telegram_id = $2`,
+      [slug, chat_id]
+    );
+    const user = result.rows[0];
+    if (user) {
+      vars.first_name = user.first_name;
+      vars.username = user.username ? `@${user.username}` : null;
+      vars.days_since_start = user.first_seen_at
+        ? String(Math.max(Math.floor((now.getTime() - new Date(user.first_seen_at).getTime()) / 86400000), 0))
+        : null;
+    }
+  }
+
+  if (names.includes('bot_name')) {
+    vars.bot_name = await getBotName(pool, slug);
+  }
+
+  if (names.some(name => PIX_VARIABLES.includes(name))) {
+    Object.assign(vars, await getPixVars(pool, { slug, telegram_id: chat_id, transaction_id, now }));
+  }
+
+  return vars;
+}
+
+/**
+ * Renderiza texto para um destinatário (chamado pelo sendService antes do escape)
+ * Falha ao carregar variáveis não impede o envio: aplica os fallbacks
+ * @param {object} pool - Pool PostgreSQL
+ * @param {object} params - { slug, chat_id, text, raw, template_vars, transaction_id, escape }
+ * @returns {Promise<string>}
+ */
+async function renderMessageTemplate(pool, { slug, chat_id, text, raw = false, template_vars = {}, transaction_id = null, escape }) {
+  const names = [...new Set(extractPlaceholders(text).map(p => p.name))]
+    .filter(name => Object.prototype.hasOwnProperty.call(TEMPLATE_VARIABLES, name));
+  if (names.length === 0) return text;
+
+  // Valores explícitos (ex.: PIX recém-gerado) dispensam a consulta
+  const missing = names.filter(name => template_vars[name] === undefined);
+
+  let loaded = {};
+  try {
+    loaded = missing.length > 0
+      ? await loadTemplateVars(pool, { slug, chat_id, names: missing, transaction_id })
+      : {};
+  } catch (err) {
+    console.error('[TEMPLATE][LOAD][ERR]', { slug, chat_id, error: err.message });
+  }
+
+  // No modo raw o texto já é MarkdownV2: só os valores são escapados
+  return renderTemplate(text, { ...loaded, ...template_vars }, { escape: raw ? escape : undefined });
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  extractPlaceholders,
+  hasPlaceholders,
+  validateTemplate,
+  renderTemplate,
+  renderMessageTemplate,
+  formatCents,
+  formatDuration
+};
@@ -0,0 +1,97 @@
+/**
+ * Modo de recebimento de updates por bot
+ * webhook: Telegram chama /tg/:slug/webhook (exige URL HTTPS pública)
+ * polling: pollingWorker chama getUpdates com offset persistido em bots.polling_offset
+ */
+
+const { callApi } = require('./telegramClient');
+const { getTokenBySlug } = require('./tokenService');
+
+const UPDATE_MODES = ['webhook', 'polling'];
+
+const MODE_COLUMNS = 'slug, update_mode, polling_offset, polling_last_at, polling_error';
+
+/**
+ * Modo atual do bot
+ * @throws BOT_NOT_FOUND
+ */
+async function getUpdateMode(pool, slug) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug) throw new Error('MISSING_SLUG');
+
+  const result = await pool.query(
+    `SELECT ${MODE_COLUMNS}
+     FROM public.bots
+     WHERE slug = $1 AND deleted_at IS NULL`,
+    [slug]
+  );
+
+  if (result.rowCount === 0) {
+    throw new Error('BOT_NOT_FOUND');
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Troca o modo do bot
+ * Ao ativar polling remove o webhook (getUpdates falha com 409 enquanto houver webhook),
+ * mantendo os updates pendentes para o worker consumir
+ * Ao voltar para webhook o worker para sozinho; a URL é registrada por /webhook/set
+ * @param {object} pool - Pool PostgreSQL
+ * @param {string} slug - Slug do bot
+ * @param {string} mode - 'webhook' | 'polling'
+ * @returns {Promise<object>} { slug, update_mode, polling_offset, polling_last_at, polling_error }
+ */
+async function setUpdateMode(pool, slug, mode) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!slug) throw new Error('MISSING_SLUG');
+  if (!UPDATE_MODES.includes(mode)) throw new Error('INVALID_UPDATE_MODE');
+
+  if (mode === 'polling') {
+    const token = await getTokenBySlug(pool, slug);
+    if (!token) throw new Error('BOT_TOKEN_NOT_SET');
+
+    const deleted = await callApi(token, 'deleteWebhook', { drop_pending_updates: false });
+    if (!deleted.ok) {
+      console.error('[UPDATE_MODE][DELETE_WEBHOOK][ERR]', { slug, error: deleted.error });
+      throw new Error('UPDATE_MODE_WEBHOOK_DELETE_FAILED');
+    }
+  }
+
+  const result = await pool.query(
+    `UPDATE public.bots
+     SET update_mode = $2, polling_error = NULL
+     WHERE slug = $1 AND deleted_at IS NULL
+     RETURNING ${MODE_COLUMNS}`,
+    [slug, mode]
+  );
+
+  if (result.rowCount === 0) {
+    throw new Error('BOT_NOT_FOUND');
+  }
+
+  console.info('[UPDATE_MODE][SET]', { slug, mode });
+  return result.rows[0];
+}
+
+/**
+ * Marca o bot como webhook após registrar a URL no Telegram (setWebhook bem-sucedido)
+ */
+async function markWebhookMode(pool, slug) {
+  if (!pool || !slug) return;
+
+  await pool.query(
+    `UPDATE public.bots
+     SET update_mode = 'webhook', polling_error = NULL
+     WHERE slug = $1 AND update_mode <> 'webhook'`,
+    [slug]
+  );
+}
+
+module.exports = {
+  UPDATE_MODES,
+  getUpdateMode,
+  setUpdateMode,
+  markWebhookMode
+};
@@ -0,0 +1,75 @@
+/**
+ * Serviço de tags de usuário por bot
+ * Tags são aplicadas por botões (tag_user), fluxos, etc.
+ */
+
+const TAG_REGEX = /^[a-z0-9_:.-]{1,64}$/i;
+
+/**
+ * Valida formato de uma tag
+ */
+function isValidTag(tag) {
+  return typeof tag === 'string' && TAG_REGEX.test(tag);
+}
+
+/**
+ * Aplica uma tag ao usuário (idempotente)
+ * @returns {Promise<boolean>} true se a tag foi criada agora
+ */
+async function addUserTag(pool, { bot_slug, telegram_id, tag, source = null }) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!bot_slug) throw new Error('MISSING_BOT_SLUG');
+  if (!telegram_id) throw new Error('MISSING_TELEGRAM_ID');
+  if (!isValidTag(tag)) throw new Error('INVALID_TAG');
+
+  const result = await pool.query(
+    `INSERT INTO public.bot_user_tags (bot_slug, telegram_id, tag, source, created_at)
+     VALUES ($1, $2, $3, $4, now())
+     ON CONFLICT (bot_slug, telegram_id, tag) DO NOTHING`,
+    [bot_slug, telegram_id, tag, source]
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Remove uma tag do usuário
+ * @returns {Promise<boolean>} true se havia a tag
+ */
+async function removeUserTag(pool, { bot_slug, telegram_id, tag }) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+  if (!bot_slug) throw new Error('MISSING_BOT_SLUG');
+  if (!telegram_id) throw new Error('MISSING_TELEGRAM_ID');
+
+  const result = await pool.query(
+    `DELETE FROM public.bot_user_tags
+     WHERE bot_slug = $1 AND telegram_id = $2 AND tag = $3`,
+    [bot_slug, telegram_id, tag]
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Lista tags de um usuário
+ * @returns {Promise<Array<string>>}
+ */
+async function listUserTags(pool, bot_slug, telegram_id) {
+  if (!pool) throw new Error('DATABASE_NOT_AVAILABLE');
+
+  const result = await pool.query(
+    `SELECT tag FROM public.bot_user_tags
+     WHERE bot_slug = $1 AND telegram_id = $2
+     ORDER BY created_at`,
+    [bot_slug, telegram_id]
+  );
+
+  return result.rows.map(r => r.tag);
+}
+
+module.exports = {
+  isValidTag,
+  addUserTag,
+  removeUserTag,
+  listUserTags
+};
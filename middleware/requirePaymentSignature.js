@@ -0,0 +1,57 @@
+const { verifyPaymentSignature } = require('../lib/paymentSignatureService');
+const { getProviderAdapter } = require('../lib/paymentProviderService');
+const { observe } = require('../lib/metricsService');
+
+/**
+ * Exige assinatura HMAC válida nos webhooks de pagamento
+ * Provedor: :provider da rota ou header X-Payment-Provider; só provedores registrados em PROVIDER_ADAPTERS
+ * Rotas /api/payment/:provider/webhook usam a verificação do adaptador (ex.: x-signature do Mercado Pago)
+ * Depende de req.rawBody (capturado no express.json das rotas /api/payment)
+ */
+module.exports = function requirePaymentSignature(req, res, next) {
+  const provider = String(req.params?.provider || req.get('x-payment-provider') || '').trim().toLowerCase();
+
+  // Nome vem do cliente: fora da lista de adaptadores não escolhe segredo nenhum
+  const adapter = getProviderAdapter(provider);
+  if (!adapter) {
+    console.warn('[PAYMENT_WEBHOOK][PROVIDER_UNKNOWN]', { provider: provider.slice(0, 32) || null, path: req.path, ip: req.ip });
+    observe('payment_webhook_rejected', 1, { provider: 'unknown', reason: 'PAYMENT_PROVIDER_UNKNOWN' });
+    return res.status(req.params?.provider ? 404 : 401).json({ ok: false, error: 'PAYMENT_PROVIDER_UNKNOWN' });
+  }
+
+  const verify = req.params?.provider && adapter.verify ? adapter.verify : verifyPaymentSignature;
+  const result = verify({
+    provider,
+    headers: req.headers,
+    query: req.query,
+    body: req.body,
+    raw_body: req.rawBody,
+    timestamp: req.get('x-webhook-timestamp'),
+    signature: req.get('x-webhook-signature')
+  });
+
+  if (!result.ok) {
+    // Não logar o corpo, a assinatura recebida nem a query (token da URL): req.path vai sem query
+    console.warn('[PAYMENT_WEBHOOK][SIGNATURE][REJECTED]', {
+      provider: provider || null,
+      path: req.path,
+      ip: req.ip,
+      reason: result.error
+    });
+    observe('payment_webhook_rejected', 1, { provider: provider || 'unknown', reason: result.error });
+
+    if (result.error === 'PAYMENT_WEBHOOK_SECRET_NOT_SET') {
+      console.error('[SECURITY][PAYMENT_WEBHOOK_SECRET_NOT_SET]', { provider });
+      return res.status(500).json({ ok: false, error: 'PAYMENT_WEBHOOK_SECRET_NOT_CONFIGURED' });
+    }
+    return res.status(401).json({ ok: false, error: result.error });
+  }
+
+  if (result.secret_index > 0) {
+    // Remetente ainda usa o segredo anterior: sinaliza para concluir a rotação
+    console.warn('[PAYMENT_WEBHOOK][SIGNATURE][PREVIOUS_SECRET]', { provider, secret_index: result.secret_index });
+  }
+
+  req.paymentProvider = provider;
+  return next();
+};
@@ -0,0 +1,43 @@
+-- Migração 015: Ações de botões (callback_query) e tags de usuário
+-- Cada botão de callback aponta para uma ação pelo callback_data (= action_key)
+-- Idempotente e segura (IF NOT EXISTS, sem DROP)
+
+BEGIN;
+SET LOCAL lock_timeout = '5s';
+SET LOCAL statement_timeout = '120s';
+
+-- Ações configuráveis por bot
+CREATE TABLE IF NOT EXISTS public.bot_callback_actions (
+  id bigserial PRIMARY KEY,
+  bot_slug text NOT NULL,
+  action_key text NOT NULL, -- usado como callback_data (máx 64 bytes)
+  action_type text NOT NULL CHECK (action_type IN ('send_message', 'start_downsell', 'tag_user', 'generate_pix', 'open_url')),
+  config jsonb NOT NULL DEFAULT '{}'::jsonb,
+  answer_text text, -- texto opcional do answerCallbackQuery (toast)
+  active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_bot_callback_actions_key
+  ON public.bot_callback_actions(bot_slug, action_key);
+
+-- Tags aplicadas a usuários (botão "tag", fluxos, etc.)
+CREATE TABLE IF NOT EXISTS public.bot_user_tags (
+  id bigserial PRIMARY KEY,
+  bot_slug text NOT NULL,
+  telegram_id bigint NOT NULL,
+  tag text NOT NULL,
+  source text, -- ex: 'callback:<action_key>'
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_bot_user_tags
+  ON public.bot_user_tags(bot_slug, telegram_id, tag);
+CREATE INDEX IF NOT EXISTS ix_bot_user_tags_tag
+  ON public.bot_user_tags(bot_slug, tag);
+
+COMMENT ON TABLE public.bot_callback_actions IS
+  'Ações executadas ao clicar em botões de callback: send_message, start_downsell, tag_user, generate_pix, open_url';
+
+COMMIT;
@@ -0,0 +1,36 @@
+-- Migração 016: Atribuição de campanha do deep-link (/start <payload>)
+-- Guarda first-touch (primeira origem) e last-touch (última origem com payload) por usuário
+-- Idempotente e segura (IF NOT EXISTS, sem DROP)
+
+BEGIN;
+SET LOCAL lock_timeout = '5s';
+SET LOCAL statement_timeout = '120s';
+
+CREATE TABLE IF NOT EXISTS public.bot_user_sources (
+  id bigserial PRIMARY KEY,
+  bot_slug text NOT NULL,
+  telegram_id bigint NOT NULL,
+  -- first-touch: gravado uma única vez (payload null = entrou por /start simples)
+  first_payload text,
+  first_campaign text,
+  first_utm jsonb,
+  first_at timestamptz NOT NULL DEFAULT now(),
+  -- last-touch: atualizado a cada /start com payload
+  last_payload text,
+  last_campaign text,
+  last_utm jsonb,
+  last_at timestamptz NOT NULL DEFAULT now(),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_bot_user_sources_user
+  ON public.bot_user_sources(bot_slug, telegram_id);
+
+CREATE INDEX IF NOT EXISTS ix_bot_user_sources_first_campaign
+  ON public.bot_user_sources(bot_slug, first_campaign);
+
+CREATE INDEX IF NOT EXISTS ix_bot_user_sources_last_campaign
+  ON public.bot_user_sources(bot_slug, last_campaign);
+
+COMMIT;
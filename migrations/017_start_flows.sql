@@ -0,0 +1,31 @@
+-- Migração 017: Fluxos de /start por campanha
+-- Cada fluxo é escolhido pelo payload do deep-link (exato ou prefixo)
+-- Sem fluxo correspondente, usa bots.start_message (fluxo padrão)
+-- Idempotente e segura (IF NOT EXISTS, sem DROP)
+
+BEGIN;
+SET LOCAL lock_timeout = '5s';
+SET LOCAL statement_timeout = '120s';
+
+CREATE TABLE IF NOT EXISTS public.bot_start_flows (
+  id bigserial PRIMARY KEY,
+  bot_slug text NOT NULL,
+  name text NOT NULL,
+  match_type text NOT NULL CHECK (match_type IN ('exact', 'prefix')),
+  match_value text NOT NULL,
+  priority integer NOT NULL DEFAULT 0, -- desempate entre prefixos de mesmo tamanho
+  message jsonb NOT NULL DEFAULT '{}'::jsonb, -- { text, parse_mode, disable_web_page_preview, raw, buttons }
+  media_refs jsonb NOT NULL DEFAULT '[]'::jsonb, -- 0-3 mídias (mesmo formato de start_media_refs)
+  downsell_ids bigint[], -- NULL = downsells after_start do bot; {} = nenhum
+  active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_bot_start_flows_name
+  ON public.bot_start_flows(bot_slug, name);
+
+CREATE INDEX IF NOT EXISTS ix_bot_start_flows_active
+  ON public.bot_start_flows(bot_slug) WHERE active = true;
+
+COMMIT;
@@ -0,0 +1,58 @@
+-- Migração 018: Registro de assinantes por bot (bot_users)
+-- Atualizado a cada update recebido no webhook (processUpdate)
+-- Substitui o SELECT DISTINCT tg_id FROM funnel_events nas audiências de disparo
+-- Idempotente e segura (IF NOT EXISTS, sem DROP)
+
+BEGIN;
+SET LOCAL lock_timeout = '5s';
+SET LOCAL statement_timeout = '120s';
+
+CREATE TABLE IF NOT EXISTS public.bot_users (
+  id bigserial PRIMARY KEY,
+  bot_slug text NOT NULL,
+  telegram_id bigint NOT NULL,
+  first_name text,
+  last_name text,
+  username text,
+  language_code text,
+  is_premium boolean NOT NULL DEFAULT false,
+  first_seen_at timestamptz NOT NULL DEFAULT now(),
+  last_seen_at timestamptz NOT NULL DEFAULT now(),
+  last_start_at timestamptz, -- NULL = nunca deu /start
+  start_count integer NOT NULL DEFAULT 0,
+  blocked boolean NOT NULL DEFAULT false,
+  blocked_at timestamptz,
+  source_payload text, -- payload do deep-link do primeiro /start com payload
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_bot_users_user
+  ON public.bot_users(bot_slug, telegram_id);
+
+CREATE INDEX IF NOT EXISTS ix_bot_users_last_seen
+  ON public.bot_users(bot_slug, last_seen_at DESC);
+
+CREATE INDEX IF NOT EXISTS ix_bot_users_username
+  ON public.bot_users(bot_slug, lower(username));
+
+-- Backfill: quem já deu /start (funnel_events)
+INSERT INTO public.bot_users (
+  bot_slug, telegram_id, first_seen_at, last_seen_at, last_start_at, start_count, created_at, updated_at
+)
+SELECT
+  bot_slug,
+  tg_id::bigint,
+  min(occurred_at),
+  max(occurred_at),
+  max(occurred_at),
+  count(*)::int,
+  now(),
+  now()
+FROM public.funnel_events
+WHERE event_name = 'start'
+  AND tg_id ~ '^\d+$'
+GROUP BY bot_slug, tg_id
+ON CONFLICT (bot_slug, telegram_id) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,29 @@
+-- Migração 019: Respostas automáticas por palavra-chave
+-- Regras por bot (exato, contém, regex), avaliadas por prioridade para textos que não são /start
+-- Idempotente e segura (IF NOT EXISTS, sem DROP)
+
+BEGIN;
+SET LOCAL lock_timeout = '5s';
+SET LOCAL statement_timeout = '120s';
+
+CREATE TABLE IF NOT EXISTS public.bot_auto_replies (
+  id bigserial PRIMARY KEY,
+  bot_slug text NOT NULL,
+  name text NOT NULL,
+  match_type text NOT NULL CHECK (match_type IN ('exact', 'contains', 'regex')),
+  pattern text NOT NULL,
+  case_sensitive boolean NOT NULL DEFAULT false,
+  priority integer NOT NULL DEFAULT 0, -- maior primeiro
+  content jsonb NOT NULL DEFAULT '{}'::jsonb, -- { text, parse_mode, disable_web_page_preview, raw, buttons }
+  media_refs jsonb NOT NULL DEFAULT '[]'::jsonb,
+  active boolean NOT NULL DEFAULT true,
+  hit_count bigint NOT NULL DEFAULT 0,
+  last_hit_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS ix_bot_auto_replies_active
+  ON public.bot_auto_replies(bot_slug, priority DESC) WHERE active = true;
+
+COMMIT;
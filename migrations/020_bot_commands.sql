@@ -0,0 +1,30 @@
+-- Migração 020: Comandos personalizados por bot (/help, /suporte, /planos...)
+-- Resposta com texto/mídias; descrição registrada no Telegram via setMyCommands por idioma
+-- language_code '' = padrão (todos os idiomas)
+-- Idempotente e segura (IF NOT EXISTS, sem DROP)
+
+BEGIN;
+SET LOCAL lock_timeout = '5s';
+SET LOCAL statement_timeout = '120s';
+
+CREATE TABLE IF NOT EXISTS public.bot_commands (
+  id bigserial PRIMARY KEY,
+  bot_slug text NOT NULL,
+  command text NOT NULL CHECK (command ~ '^[a-z0-9_]{1,32}$'), -- sem a barra
+  language_code text NOT NULL DEFAULT '',
+  description text NOT NULL,
+  content jsonb NOT NULL DEFAULT '{}'::jsonb, -- { text, parse_mode, disable_web_page_preview, raw, buttons }
+  media_refs jsonb NOT NULL DEFAULT '[]'::jsonb,
+  active boolean NOT NULL DEFAULT true,
+  hit_count bigint NOT NULL DEFAULT 0,
+  last_hit_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT uq_bot_commands UNIQUE (bot_slug, command, language_code)
+);
+
+-- Último sync com o Telegram (setMyCommands)
+ALTER TABLE public.bots ADD COLUMN IF NOT EXISTS commands_synced_at timestamptz;
+ALTER TABLE public.bots ADD COLUMN IF NOT EXISTS commands_sync_error text;
+
+COMMIT;
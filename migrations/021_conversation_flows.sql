@@ -0,0 +1,69 @@
+-- Migração 021: Fluxos de conversa (motor de fluxos com estado por usuário)
+-- bot_flows: cabeçalho do fluxo (gatilho e versão publicada)
+-- bot_flow_versions: definições versionadas (imutáveis; publicar = apontar active_version)
+-- bot_flow_states: execução por usuário (nó atual, variáveis, espera)
+-- Ação de botão start_flow inicia um fluxo manualmente
+-- Idempotente e segura (IF NOT EXISTS; só o CHECK de action_type é recriado)
+
+BEGIN;
+SET LOCAL lock_timeout = '5s';
+SET LOCAL statement_timeout = '120s';
+
+CREATE TABLE IF NOT EXISTS public.bot_flows (
+  id bigserial PRIMARY KEY,
+  bot_slug text NOT NULL,
+  flow_key text NOT NULL CHECK (flow_key ~ '^[a-z0-9_-]{1,32}$'),
+  name text NOT NULL,
+  trigger_type text NOT NULL DEFAULT 'manual' CHECK (trigger_type IN ('start', 'manual')),
+  trigger_value text, -- payload do /start (NULL = qualquer /start)
+  active_version integer, -- NULL = não publicado
+  active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT uq_bot_flows_key UNIQUE (bot_slug, flow_key)
+);
+
+CREATE TABLE IF NOT EXISTS public.bot_flow_versions (
+  id bigserial PRIMARY KEY,
+  flow_id bigint NOT NULL REFERENCES public.bot_flows(id) ON DELETE CASCADE,
+  version integer NOT NULL,
+  definition jsonb NOT NULL, -- { start, nodes: { id: { type, ... } } }
+  note text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT uq_bot_flow_versions UNIQUE (flow_id, version)
+);
+
+CREATE TABLE IF NOT EXISTS public.bot_flow_states (
+  id bigserial PRIMARY KEY,
+  bot_slug text NOT NULL,
+  telegram_id bigint NOT NULL,
+  flow_id bigint NOT NULL REFERENCES public.bot_flows(id) ON DELETE CASCADE,
+  flow_version integer NOT NULL,
+  current_node text,
+  status text NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'waiting_input', 'waiting_timer', 'completed', 'failed', 'cancelled')),
+  wait_until timestamptz, -- retomada do nó wait ou timeout do button_choice
+  vars jsonb NOT NULL DEFAULT '{}'::jsonb,
+  steps integer NOT NULL DEFAULT 0,
+  last_error text,
+  started_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  finished_at timestamptz
+);
+
+-- No máximo uma execução em andamento por usuário/bot
+CREATE UNIQUE INDEX IF NOT EXISTS uq_bot_flow_states_open
+  ON public.bot_flow_states(bot_slug, telegram_id)
+  WHERE status IN ('running', 'waiting_input', 'waiting_timer');
+
+-- Worker de nós temporizados
+CREATE INDEX IF NOT EXISTS ix_bot_flow_states_due
+  ON public.bot_flow_states(wait_until)
+  WHERE status IN ('waiting_timer', 'waiting_input') AND wait_until IS NOT NULL;
+
+-- Novo tipo de ação de botão: start_flow { flow_key }
+ALTER TABLE public.bot_callback_actions DROP CONSTRAINT IF EXISTS bot_callback_actions_action_type_check;
+ALTER TABLE public.bot_callback_actions ADD CONSTRAINT bot_callback_actions_action_type_check
+  CHECK (action_type IN ('send_message', 'start_downsell', 'tag_user', 'generate_pix', 'open_url', 'start_flow'));
+
+COMMIT;
@@ -0,0 +1,35 @@
+-- Migração 022: Log durável de updates recebidos do Telegram
+-- Cada update é gravado por (bot_slug, update_id) antes do processamento; retentativas do Telegram viram duplicatas descartadas
+-- Idempotente e segura (IF NOT EXISTS, sem DROP)
+
+BEGIN;
+SET LOCAL lock_timeout = '5s';
+SET LOCAL statement_timeout = '120s';
+
+CREATE TABLE IF NOT EXISTS public.bot_inbound_updates (
+  id bigserial PRIMARY KEY,
+  bot_slug text NOT NULL,
+  update_id bigint NOT NULL,
+  kind text NOT NULL, -- message | callback_query | my_chat_member | other
+  telegram_id bigint,
+  payload jsonb NOT NULL,
+  status text NOT NULL DEFAULT 'received'
+    CHECK (status IN ('received', 'processing', 'processed', 'failed')),
+  error text,
+  duration_ms integer,
+  duplicate_count integer NOT NULL DEFAULT 0,
+  last_duplicate_at timestamptz,
+  replay_count integer NOT NULL DEFAULT 0,
+  last_replayed_at timestamptz,
+  received_at timestamptz NOT NULL DEFAULT now(),
+  processed_at timestamptz,
+  CONSTRAINT uq_bot_inbound_updates UNIQUE (bot_slug, update_id)
+);
+
+CREATE INDEX IF NOT EXISTS ix_bot_inbound_updates_recent
+  ON public.bot_inbound_updates(bot_slug, received_at DESC);
+
+CREATE INDEX IF NOT EXISTS ix_bot_inbound_updates_failed
+  ON public.bot_inbound_updates(bot_slug, received_at DESC) WHERE status = 'failed';
+
+COMMIT;
@@ -0,0 +1,27 @@
+-- Migração 023: Modo de recebimento de updates por bot (webhook ou long-polling)
+-- No modo polling o worker chama getUpdates e persiste o offset aqui
+-- Idempotente e segura (IF NOT EXISTS, sem DROP)
+
+BEGIN;
+SET LOCAL lock_timeout = '5s';
+SET LOCAL statement_timeout = '120s';
+
+ALTER TABLE public.bots ADD COLUMN IF NOT EXISTS update_mode text NOT NULL DEFAULT 'webhook';
+ALTER TABLE public.bots ADD COLUMN IF NOT EXISTS polling_offset bigint NOT NULL DEFAULT 0; -- próximo update_id a pedir
+ALTER TABLE public.bots ADD COLUMN IF NOT EXISTS polling_last_at timestamptz;
+ALTER TABLE public.bots ADD COLUMN IF NOT EXISTS polling_error text;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'bots_update_mode_check'
+  ) THEN
+    ALTER TABLE public.bots
+      ADD CONSTRAINT bots_update_mode_check CHECK (update_mode IN ('webhook', 'polling'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS ix_bots_polling
+  ON public.bots(slug) WHERE update_mode = 'polling' AND deleted_at IS NULL;
+
+COMMIT;
@@ -0,0 +1,25 @@
+-- Migração 024: Teste A/B da mensagem inicial do /start
+-- A configuração do experimento fica em bots.start_message.experiment (jsonb)
+-- Aqui fica a variante sorteada de cada usuário (fixa enquanto o experimento durar)
+-- Idempotente e segura (IF NOT EXISTS, sem DROP)
+
+BEGIN;
+SET LOCAL lock_timeout = '5s';
+SET LOCAL statement_timeout = '120s';
+
+CREATE TABLE IF NOT EXISTS public.start_message_assignments (
+  id bigserial PRIMARY KEY,
+  bot_slug text NOT NULL,
+  experiment_id text NOT NULL,
+  telegram_id bigint NOT NULL,
+  variant_key text NOT NULL,
+  assigned_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_start_message_assignments_user
+  ON public.start_message_assignments(bot_slug, experiment_id, telegram_id);
+
+CREATE INDEX IF NOT EXISTS ix_start_message_assignments_variant
+  ON public.start_message_assignments(bot_slug, experiment_id, variant_key);
+
+COMMIT;
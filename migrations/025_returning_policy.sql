@@ -0,0 +1,18 @@
+-- Migração 025: Política de usuário que volta (/start repetido)
+-- bots.returning_policy: { active, cooldown_minutes, reschedule_downsells, message, media_refs }
+-- bot_users.last_full_start_at: última vez que o usuário recebeu a sequência completa do /start
+-- Idempotente e segura (IF NOT EXISTS, sem DROP)
+
+BEGIN;
+SET LOCAL lock_timeout = '5s';
+SET LOCAL statement_timeout = '120s';
+
+ALTER TABLE public.bots ADD COLUMN IF NOT EXISTS returning_policy jsonb;
+ALTER TABLE public.bot_users ADD COLUMN IF NOT EXISTS last_full_start_at timestamptz;
+
+-- Backfill: até aqui todo /start recebia a sequência completa
+UPDATE public.bot_users
+SET last_full_start_at = last_start_at
+WHERE last_full_start_at IS NULL AND last_start_at IS NOT NULL;
+
+COMMIT;
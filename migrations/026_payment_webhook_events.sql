@@ -0,0 +1,21 @@
+-- Migração 026: Registro dos webhooks de pagamento em gateway_events
+-- Cada chamada assinada e aceita vira uma linha com purpose = 'payment_webhook'
+-- Chave: (provider, provider_event_id) — reenvios do provedor não são reprocessados
+-- Idempotente e segura (IF NOT EXISTS, sem DROP)
+
+BEGIN;
+SET LOCAL lock_timeout = '5s';
+SET LOCAL statement_timeout = '120s';
+
+ALTER TABLE public.gateway_events
+  ADD COLUMN IF NOT EXISTS provider text,
+  ADD COLUMN IF NOT EXISTS provider_event_id text,
+  ADD COLUMN IF NOT EXISTS event_type text,
+  ADD COLUMN IF NOT EXISTS payload jsonb,
+  ADD COLUMN IF NOT EXISTS occurred_at timestamptz DEFAULT now();
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_gateway_events_provider_event
+  ON public.gateway_events (provider, provider_event_id)
+  WHERE provider_event_id IS NOT NULL;
+
+COMMIT;
@@ -0,0 +1,34 @@
+-- Migração 027: Ciclo de vida dos pagamentos (public.payments)
+-- Uma linha por transaction_id com bot, usuário, valor e datas de cada status
+-- Tabela criada por scripts/migrate-core.js; recriada aqui se ausente
+-- Idempotente e segura (IF NOT EXISTS, sem DROP)
+
+BEGIN;
+SET LOCAL lock_timeout = '5s';
+SET LOCAL statement_timeout = '120s';
+
+CREATE TABLE IF NOT EXISTS public.payments (
+  id BIGSERIAL PRIMARY KEY,
+  transaction_id TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  external_id TEXT NULL,
+  status TEXT NOT NULL,            -- PENDING | PAID | CANCELED | FAILED
+  amount_cents INTEGER NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_payments_tx ON public.payments (transaction_id);
+
+ALTER TABLE public.payments
+  ADD COLUMN IF NOT EXISTS bot_slug text,
+  ADD COLUMN IF NOT EXISTS telegram_id bigint,
+  ADD COLUMN IF NOT EXISTS paid_at timestamptz,
+  ADD COLUMN IF NOT EXISTS canceled_at timestamptz,
+  ADD COLUMN IF NOT EXISTS failed_at timestamptz;
+
+-- Listagem do admin: pagamentos do bot por data
+CREATE INDEX IF NOT EXISTS ix_payments_bot_created
+  ON public.payments (bot_slug, created_at DESC);
+
+COMMIT;
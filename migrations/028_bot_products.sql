@@ -0,0 +1,43 @@
+-- Migração 028: Catálogo de produtos/planos por bot
+-- Referenciado por botões (callback "p:<id>"), geração de PIX, downsells (preço promocional) e pagamentos
+-- access_days NULL = acesso vitalício; delivery_type define a entrega após a aprovação
+-- Idempotente e segura (IF NOT EXISTS, sem DROP)
+
+BEGIN;
+SET LOCAL lock_timeout = '5s';
+SET LOCAL statement_timeout = '120s';
+
+CREATE TABLE IF NOT EXISTS public.bot_products (
+  id bigserial PRIMARY KEY,
+  bot_slug text NOT NULL,
+  name text NOT NULL,
+  description text,
+  price_cents integer NOT NULL CHECK (price_cents > 0),
+  currency text NOT NULL DEFAULT 'BRL' CHECK (currency ~ '^[A-Z]{3}$'),
+  access_days integer CHECK (access_days IS NULL OR access_days > 0),
+  delivery_type text NOT NULL DEFAULT 'none'
+    CHECK (delivery_type IN ('none', 'message', 'invite_link', 'download_link')),
+  active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT uq_bot_products_name UNIQUE (bot_slug, name)
+);
+
+CREATE INDEX IF NOT EXISTS ix_bot_products_slug_active
+  ON public.bot_products (bot_slug, active);
+
+-- Downsell como oferta de um produto com preço promocional
+ALTER TABLE public.bot_downsells
+  ADD COLUMN IF NOT EXISTS product_id bigint,
+  ADD COLUMN IF NOT EXISTS price_cents integer CHECK (price_cents IS NULL OR price_cents > 0);
+
+-- Produto (e downsell de origem) de cada pagamento: receita por produto
+ALTER TABLE public.payments
+  ADD COLUMN IF NOT EXISTS product_id bigint,
+  ADD COLUMN IF NOT EXISTS downsell_id bigint;
+
+CREATE INDEX IF NOT EXISTS ix_payments_bot_product
+  ON public.payments (bot_slug, product_id, paid_at)
+  WHERE product_id IS NOT NULL;
+
+COMMIT;
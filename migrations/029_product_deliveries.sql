@@ -0,0 +1,45 @@
+-- Migração 029: Entrega automática de produtos após a aprovação do pagamento
+-- bot_products ganha a configuração da entrega (mensagem, mídias, chat do convite, link de download)
+-- product_deliveries é a fila durável da entrega (uma por transação), com novas tentativas pelo deliveryWorker
+-- Idempotente e segura (IF NOT EXISTS, sem DROP)
+
+BEGIN;
+SET LOCAL lock_timeout = '5s';
+SET LOCAL statement_timeout = '120s';
+
+ALTER TABLE public.bot_products
+  ADD COLUMN IF NOT EXISTS delivery_content jsonb NOT NULL DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS delivery_media_refs jsonb NOT NULL DEFAULT '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS delivery_chat_id text,
+  ADD COLUMN IF NOT EXISTS delivery_url text;
+
+CREATE TABLE IF NOT EXISTS public.product_deliveries (
+  id bigserial PRIMARY KEY,
+  bot_slug text NOT NULL,
+  telegram_id bigint NOT NULL,
+  transaction_id text NOT NULL,
+  product_id bigint NOT NULL,
+  delivery_type text NOT NULL
+    CHECK (delivery_type IN ('message', 'invite_link', 'download_link')),
+  status text NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'delivered', 'failed')),
+  attempts integer NOT NULL DEFAULT 0,
+  next_attempt_at timestamptz NOT NULL DEFAULT now(),
+  last_error text,
+  -- Convite criado na primeira tentativa é reaproveitado nas seguintes
+  invite_link text,
+  message_id bigint,
+  delivered_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT uq_product_deliveries_transaction UNIQUE (transaction_id)
+);
+
+CREATE INDEX IF NOT EXISTS ix_product_deliveries_due
+  ON public.product_deliveries (next_attempt_at)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS ix_product_deliveries_user
+  ON public.product_deliveries (bot_slug, telegram_id);
+
+COMMIT;
@@ -0,0 +1,43 @@
+-- Migração 030: Assinaturas VIP com vencimento (acesso a canal/grupo privado)
+-- Criadas/renovadas na aprovação do pagamento de produto invite_link; ends_at NULL = vitalícia
+-- O membershipWorker envia o lembrete reminder_days antes do vencimento e remove o membro
+-- (banChatMember + unbanChatMember) ao vencer; next_attempt_at espaça novas tentativas de remoção
+-- Idempotente e segura (IF NOT EXISTS, sem DROP)
+
+BEGIN;
+SET LOCAL lock_timeout = '5s';
+SET LOCAL statement_timeout = '120s';
+
+ALTER TABLE public.bot_products
+  ADD COLUMN IF NOT EXISTS reminder_days integer CHECK (reminder_days IS NULL OR reminder_days > 0);
+
+CREATE TABLE IF NOT EXISTS public.bot_memberships (
+  id bigserial PRIMARY KEY,
+  bot_slug text NOT NULL,
+  telegram_id bigint NOT NULL,
+  product_id bigint NOT NULL,
+  chat_id text NOT NULL,
+  -- Último pagamento aplicado (reenvio do mesmo webhook não estende o acesso de novo)
+  transaction_id text NOT NULL,
+  status text NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'expired')),
+  starts_at timestamptz NOT NULL DEFAULT now(),
+  ends_at timestamptz,
+  reminder_sent_at timestamptz,
+  removed_at timestamptz,
+  remove_attempts integer NOT NULL DEFAULT 0,
+  next_attempt_at timestamptz NOT NULL DEFAULT now(),
+  last_error text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT uq_bot_memberships_user_product UNIQUE (bot_slug, telegram_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS ix_bot_memberships_due
+  ON public.bot_memberships (ends_at)
+  WHERE status = 'active' AND ends_at IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS ix_bot_memberships_slug_status
+  ON public.bot_memberships (bot_slug, status, ends_at);
+
+COMMIT;
@@ -0,0 +1,20 @@
+-- Migração 031: Estorno e chargeback de pagamentos
+-- payments.refunded_at: data do estorno/chargeback (status REFUNDED | CHARGEBACK)
+-- bot_products.revocation_content: mensagem opcional ao usuário quando o acesso é revogado
+-- bot_memberships.revoked_at: assinatura encerrada por estorno (removida pelo membershipWorker)
+-- Idempotente e segura (IF NOT EXISTS, sem DROP)
+
+BEGIN;
+SET LOCAL lock_timeout = '5s';
+SET LOCAL statement_timeout = '120s';
+
+ALTER TABLE public.payments
+  ADD COLUMN IF NOT EXISTS refunded_at timestamptz;
+
+ALTER TABLE public.bot_products
+  ADD COLUMN IF NOT EXISTS revocation_content jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE public.bot_memberships
+  ADD COLUMN IF NOT EXISTS revoked_at timestamptz;
+
+COMMIT;
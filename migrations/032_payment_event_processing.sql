@@ -0,0 +1,35 @@
+-- Migração 032: Status de processamento dos webhooks de pagamento (gateway_events)
+-- O ACK ao provedor acontece depois do registro; o processamento é acompanhado por linha:
+--   pending (a processar / em andamento até next_attempt_at) -> processed | failed (tentativas esgotadas)
+-- payload guarda o evento normalizado para o paymentEventWorker reprocessar após falha ou restart
+-- Linhas anteriores (processing_status NULL) não são reprocessadas
+-- Idempotente e segura (IF NOT EXISTS, sem DROP)
+
+BEGIN;
+SET LOCAL lock_timeout = '5s';
+SET LOCAL statement_timeout = '120s';
+
+ALTER TABLE public.gateway_events
+  ADD COLUMN IF NOT EXISTS processing_status text,
+  ADD COLUMN IF NOT EXISTS process_attempts integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS next_attempt_at timestamptz,
+  ADD COLUMN IF NOT EXISTS process_error text,
+  ADD COLUMN IF NOT EXISTS processed_at timestamptz;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'gateway_events_processing_status_check'
+  ) THEN
+    ALTER TABLE public.gateway_events
+      ADD CONSTRAINT gateway_events_processing_status_check
+      CHECK (processing_status IS NULL OR processing_status IN ('pending', 'processed', 'failed'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS ix_gateway_events_processing_due
+  ON public.gateway_events (next_attempt_at)
+  WHERE processing_status = 'pending';
+
+COMMIT;
@@ -0,0 +1,16 @@
+-- Migração 033: Início do processamento dos updates recebidos (bot_inbound_updates)
+-- processing_started_at marca quando o update entrou em processing (recebimento ou replay);
+-- update parado em processing além do limite é retomado na reentrega ou marcado como failed
+-- Idempotente e segura (IF NOT EXISTS, sem DROP)
+
+BEGIN;
+SET LOCAL lock_timeout = '5s';
+SET LOCAL statement_timeout = '120s';
+
+ALTER TABLE public.bot_inbound_updates
+  ADD COLUMN IF NOT EXISTS processing_started_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS ix_bot_inbound_updates_processing
+  ON public.bot_inbound_updates(processing_started_at) WHERE status = 'processing';
+
+COMMIT;
@@ -1018,6 +1018,10 @@
           await handleWebhookStatus(target);
           break;
         }
+        case 'update-mode-polling': {
+          await handleUpdateModePolling(target);
+          break;
+        }
         case 'configure-start-message': {
           const slug = target.dataset.slug || currentAdminSlug();
           if (!slug) {
@@ -1066,6 +1070,62 @@
           }
           break;
         }
+        case 'manage-commands': {
+          const slug = target.dataset.slug || currentAdminSlug();
+          if (!slug) {
+            console.error('[ADMIN][MANAGE_COMMANDS] Slug não encontrado');
+            showToast('error', 'Slug não encontrado');
+            return;
+          }
+          try {
+            console.log('[ADMIN][MANAGE_COMMANDS]', { slug });
+            await openCommandsModal(slug);
+          } catch (err) {
+            console.error('[ADMIN][MANAGE_COMMANDS][ERR]', err);
+            showToast('error', `Erro ao abrir modal: ${err.message}`);
+          }
+          break;
+        }
+        case 'new-command': {
+          if (currentCommandsSlug) {
+            openCommandFormModal(currentCommandsSlug);
+          }
+          break;
+        }
+        case 'retry-load-commands': {
+          if (currentCommandsSlug) {
+            await loadCommands(currentCommandsSlug);
+          }
+          break;
+        }
+        case 'manage-auto-replies': {
+          const slug = target.dataset.slug || currentAdminSlug();
+          if (!slug) {
+            console.error('[ADMIN][MANAGE_AUTO_REPLIES] Slug não encontrado');
+            showToast('error', 'Slug não encontrado');
+            return;
+          }
+          try {
+            console.log('[ADMIN][MANAGE_AUTO_REPLIES]', { slug });
+            await openAutoRepliesModal(slug);
+          } catch (err) {
+            console.error('[ADMIN][MANAGE_AUTO_REPLIES][ERR]', err);
+            showToast('error', `Erro ao abrir modal: ${err.message}`);
+          }
+          break;
+        }
+        case 'new-auto-reply': {
+          if (currentAutoRepliesSlug) {
+            await openAutoReplyFormModal(currentAutoRepliesSlug);
+          }
+          break;
+        }
+        case 'retry-load-auto-replies': {
+          if (currentAutoRepliesSlug) {
+            await loadAutoReplies(currentAutoRepliesSlug);
+          }
+          break;
+        }
         case 'manage-shots': {
           const slug = target.dataset.slug || currentAdminSlug();
           if (!slug) {
@@ -1715,7 +1775,18 @@
         if (statusDisplay && statusText) {
           statusDisplay.style.display = 'block';
           
-          if (data.url) {
+          const mode = await fetchUpdateMode(slug, headers);
+          if (mode && mode.update_mode === 'polling') {
+            let statusHtml = `🔄 <strong>Modo polling (getUpdates)</strong><br>`;
+            statusHtml += `Offset: ${mode.polling_offset}<br>`;
+            statusHtml += `Último ciclo: ${mode.polling_last_at ? new Date(mode.polling_last_at).toLocaleString('pt-BR') : '—'}`;
+            
+            if (mode.polling_error) {
+              statusHtml += `<br>⚠️ Último erro: ${mode.polling_error}`;
+            }
+            
+            statusText.innerHTML = statusHtml;
+          } else if (data.url) {
             let statusHtml = `✅ <strong>Webhook ativo</strong><br>`;
             statusHtml += `URL: ${data.url}<br>`;
             statusHtml += `Updates pendentes: ${data.pending_update_count || 0}`;
@@ -1744,6 +1815,73 @@
     }
   }
 
+  async function fetchUpdateMode(slug, headers) {
+    try {
+      const response = await fetch(`${baseUrl}/api/admin/bots/${encodeURIComponent(slug)}/update-mode`, { headers });
+      const data = await response.json().catch(() => ({}));
+      return response.ok && data.ok ? data : null;
+    } catch (err) {
+      console.error('[ADMIN][ERR] update-mode:', err);
+      return null;
+    }
+  }
+
+  async function handleUpdateModePolling(button) {
+    const slug = currentAdminSlug();
+    if (!slug) {
+      showToast('error', 'Slug não encontrado.');
+      return;
+    }
+
+    const headers = getAuthHeaders();
+    if (!headers) {
+      showToast('error', 'Token admin não configurado.');
+      return;
+    }
+
+    if (!confirm('Ativar polling? O webhook deste bot será removido no Telegram.')) {
+      return;
+    }
+
+    button.disabled = true;
+
+    try {
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), 15000);
+      const response = await fetch(`${baseUrl}/api/admin/bots/${encodeURIComponent(slug)}/update-mode`, {
+        method: 'PUT',
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mode: 'polling' }),
+        signal: controller.signal,
+      });
+      clearTimeout(timeout);
+
+      const data = await response.json().catch(() => ({}));
+
+      if (response.ok && data.ok) {
+        showToast('success', 'Polling ativado!');
+        
+        const statusDisplay = document.querySelector('[data-field="webhook-status-display"]');
+        const statusText = document.querySelector('[data-field="webhook-status-text"]');
+        
+        if (statusDisplay && statusText) {
+          statusDisplay.style.display = 'block';
+          statusText.innerHTML = `🔄 <strong>Polling ativado!</strong><br>Webhook removido; o servidor busca os updates via getUpdates.`;
+        }
+        
+        console.info('[ADMIN][UPDATE_MODE][POLLING][OK]', { slug });
+      } else {
+        const errorMsg = data.error || 'UPDATE_MODE_FAILED';
+        showToast('error', `Erro ao ativar polling: ${errorMsg}`);
+      }
+    } catch (err) {
+      showToast('error', 'Erro ao ativar polling.');
+      console.error('[ADMIN][ERR] update-mode-polling:', err);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
   async function handleDetailCopyWebhook(button) {
     const container = button.closest('.form-field');
     const input = container.querySelector('input[data-field="webhook"]');
@@ -1797,6 +1935,8 @@
 
     // Carregar dados atuais
     let startMediaRefs = [];
+    let startButtons = [];
+    let startVariants = {};
     try {
       const headers = getAuthHeaders();
       if (!headers) {
@@ -1818,6 +1958,8 @@
       
       // Armazenar start_media_refs para uso posterior
       startMediaRefs = data?.start_media_refs || [];
+      startButtons = data?.message?.buttons || [];
+      startVariants = data?.message?.variants || {};
       
       // Preencher formulário
       const activeEl = document.getElementById('start-message-active');
@@ -1870,6 +2012,13 @@
       } else {
         console.error('[START_MESSAGE][MULTI_MEDIA] Container ou MultiMediaSelector não encontrado');
       }
+      
+      const buttonsContainer = document.getElementById('start-message-buttons-container');
+      if (buttonsContainer && typeof InlineButtonsEditor !== 'undefined') {
+        window.startButtonsEditor = new InlineButtonsEditor(buttonsContainer, { value: startButtons });
+      }
+      
+      window.startLanguageTabs = mountLanguageTabs('start-message-language-tabs', 'start-message-text', startVariants);
     });
   }
 
@@ -1914,7 +2063,7 @@
     const saveCloseBtn = document.getElementById('start-message-save-close-btn');
     
     const active = activeEl ? activeEl.checked : false;
-    const text = textEl ? textEl.value.trim() : '';
+    const text = defaultEditorText(window.startLanguageTabs, textEl);
     
     const isValid = !active || (text.length > 0 && text.length <= 4096);
     
@@ -1935,6 +2084,60 @@
     }
   }
 
+  /**
+   * Monta abas de idioma sobre o textarea (texto atual vira o padrão)
+   */
+  function mountLanguageTabs(containerId, textareaId, variants) {
+    const container = document.getElementById(containerId);
+    const textarea = document.getElementById(textareaId);
+    if (!container || !textarea || typeof LanguageTabs === 'undefined') return null;
+    return new LanguageTabs(container, textarea, { text: textarea.value, variants });
+  }
+
+  /**
+   * Texto padrão do editor (aba "Padrão", mesmo com outra aba aberta)
+   */
+  function defaultEditorText(tabs, textarea) {
+    if (tabs) return tabs.getDefaultText().trim();
+    return textarea ? textarea.value.trim() : '';
+  }
+
+  /**
+   * Texto padrão + traduções, para conferir variáveis de uma vez
+   */
+  function allEditorTexts(text, variants) {
+    return [text, ...Object.values(variants || {}).map(variant => variant.text)].join('\n');
+  }
+
+  /**
+   * Confere variáveis de template ({first_name|amigo}) antes de salvar
+   * Variável desconhecida é enviada literalmente: pede confirmação
+   */
+  async function confirmTemplateVariables(text) {
+    if (!text || !text.includes('{')) return true;
+    
+    const headers = getAuthHeaders();
+    if (!headers) return true;
+    
+    try {
+      const response = await fetch(`${baseUrl}/api/admin/templates/validate`, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text })
+      });
+      const data = await response.json().catch(() => ({}));
+      
+      if (!response.ok || !data.ok || data.valid) return true;
+      
+      const unknown = data.unknown.map(name => `{${name}}`).join(', ');
+      const available = Object.keys(data.available || {}).map(name => `{${name}}`).join(', ');
+      return confirm(`Variáveis desconhecidas: ${unknown}\nElas serão enviadas como texto.\n\nDisponíveis: ${available}\n\nSalvar assim mesmo?`);
+    } catch (err) {
+      console.error('[ADMIN][TEMPLATES][VALIDATE][ERR]', err);
+      return true;
+    }
+  }
+
   async function saveStartMessage(closeAfter = false) {
     if (!currentStartMessageSlug) return;
     
@@ -1944,7 +2147,8 @@
     const rawEl = document.getElementById('start-message-raw');
     
     const active = activeEl ? activeEl.checked : false;
-    const text = textEl ? textEl.value.trim() : '';
+    const text = defaultEditorText(window.startLanguageTabs, textEl);
+    const variants = window.startLanguageTabs ? window.startLanguageTabs.getVariants() : {};
     const disablePreview = disablePreviewEl ? disablePreviewEl.checked : false;
     const raw = rawEl ? rawEl.checked : false;
     
@@ -1966,11 +2170,18 @@
       return;
     }
     
+    const buttons = readButtonsEditor(window.startButtonsEditor);
+    if (!buttons) return;
+    
+    if (!(await confirmTemplateVariables(allEditorTexts(text, variants)))) return;
+    
     const message = active ? {
       text,
       parse_mode: 'MarkdownV2',
       disable_web_page_preview: disablePreview,
-      raw
+      raw,
+      buttons,
+      variants
     } : null;
     
     const payload = {
@@ -2036,6 +2247,9 @@
       return;
     }
     
+    const buttons = readButtonsEditor(window.startButtonsEditor);
+    if (!buttons) return;
+    
     const headers = getAuthHeaders();
     if (!headers) {
       showToast('error', 'Token admin não configurado.');
@@ -2059,7 +2273,8 @@
             text,
             parse_mode: 'MarkdownV2',
             disable_web_page_preview: disablePreview,
-            raw
+            raw,
+            buttons
           }
         })
       });
@@ -2088,6 +2303,20 @@
     }
   }
 
+  /**
+   * Lê os botões de um InlineButtonsEditor validando no cliente
+   * Retorna null (e mostra toast) se houver erro
+   */
+  function readButtonsEditor(editor) {
+    if (!editor || typeof editor.getValue !== 'function') return [];
+    const error = editor.validate();
+    if (error) {
+      showToast('error', error);
+      return null;
+    }
+    return editor.getValue();
+  }
+
   // ========== DOWNSELLS ==========
   
   let currentDownsellsSlug = null;
@@ -2327,6 +2556,8 @@
     document.getElementById('downsell-active').checked = true;
     document.getElementById('downsell-after-start').checked = true;
     document.getElementById('downsell-after-pix').checked = false;
+    let downsellButtons = [];
+    let downsellVariants = {};
     
     // Se editando, carregar dados
     if (downsellId) {
@@ -2337,6 +2568,8 @@
         try {
           const content = typeof downsell.content === 'string' ? JSON.parse(downsell.content) : downsell.content;
           document.getElementById('downsell-copy').value = content.text || '';
+          downsellButtons = content.buttons || [];
+          downsellVariants = content.variants || {};
           
           const fileIdEl = document.getElementById('downsell-file-id');
           const mediaIdEl = document.getElementById('downsell-media-id');
@@ -2417,6 +2650,13 @@
         
         console.log('[DOWNSELL][MULTI_MEDIA] Componente montado');
       }
+      
+      const buttonsContainer = document.getElementById('downsell-buttons-container');
+      if (buttonsContainer && typeof InlineButtonsEditor !== 'undefined') {
+        window.downsellButtonsEditor = new InlineButtonsEditor(buttonsContainer, { value: downsellButtons });
+      }
+      
+      window.downsellLanguageTabs = mountLanguageTabs('downsell-language-tabs', 'downsell-copy', downsellVariants);
     });
   }
 
@@ -2441,7 +2681,8 @@
     }
     
     const title = document.getElementById('downsell-title').value.trim();
-    const copy = document.getElementById('downsell-copy').value.trim();
+    const copy = defaultEditorText(window.downsellLanguageTabs, document.getElementById('downsell-copy'));
+    const variants = window.downsellLanguageTabs ? window.downsellLanguageTabs.getVariants() : {};
     const mediaTypeEl = document.getElementById('downsell-media-type');
     const mediaType = mediaTypeEl ? mediaTypeEl.value : 'none';
     const fileIdEl = document.getElementById('downsell-file-id');
@@ -2479,6 +2720,11 @@
       return;
     }
     
+    const buttons = readButtonsEditor(window.downsellButtonsEditor);
+    if (!buttons) return;
+    
+    if (!(await confirmTemplateVariables(allEditorTexts(copy, variants)))) return;
+    
     // Dados de mídia (se selecionada)
     const mediaId = document.getElementById('downsell-media-id')?.value || '';
     const sha256 = document.getElementById('downsell-media-sha256')?.value || '';
@@ -2491,6 +2737,14 @@
       parse_mode: 'MarkdownV2'
     };
     
+    if (buttons.length > 0) {
+      content.buttons = buttons;
+    }
+    
+    if (Object.keys(variants).length > 0) {
+      content.variants = variants;
+    }
+    
     // Adicionar mídia se selecionada (novo formato estruturado)
     if (mediaType !== 'none' && fileId && sha256 && kind && r2Key) {
       content.media = {
@@ -2634,91 +2888,56 @@
     }
   }
 
-  // ========== FUNÇÕES DE DISPAROS (SHOTS) ==========
-
-  /**
-   * Função auxiliar para escapar caracteres especiais do MarkdownV2
-   */
-  function escapeMarkdownV2(text) {
-    if (!text) return '';
-    const specialChars = ['_', '*', '[', ']', '(', ')', '~', '`', '>', '#', '+', '-', '=', '|', '{', '}', '.', '!'];
-    let escaped = String(text);
-    specialChars.forEach(char => {
-      escaped = escaped.split(char).join('\\' + char);
-    });
-    return escaped;
-  }
-
-  /**
-   * Gera opções de horário de 15 em 15 minutos
-   */
-  function generateTimeOptions() {
-    const options = [];
-    for (let h = 0; h < 24; h++) {
-      for (let m = 0; m < 60; m += 15) {
-        const hour = String(h).padStart(2, '0');
-        const minute = String(m).padStart(2, '0');
-        options.push(`${hour}:${minute}`);
-      }
-    }
-    return options;
-  }
+  // ========== COMANDOS PERSONALIZADOS ==========
 
-  /**
-   * Popula o select de horário com opções de 15 em 15 minutos
-   */
-  function populateTimeSelect(selectId) {
-    const select = document.getElementById(selectId);
-    if (!select) return;
-    
-    const options = generateTimeOptions();
-    select.innerHTML = '';
-    
-    options.forEach(time => {
-      const option = document.createElement('option');
-      option.value = time;
-      option.textContent = time;
-      select.appendChild(option);
-    });
-  }
+  let currentCommandsSlug = null;
+  let currentCommands = [];
+  let currentEditingCommandId = null;
 
-  /**
-   * Abre o modal de gerenciamento de disparos
-   */
-  async function openShotsModal(slug) {
-    console.log('[SHOTS][OPEN_MODAL]', { slug });
-    currentShotsSlug = slug;
+  async function openCommandsModal(slug) {
+    console.log('[COMMANDS][OPEN_MODAL]', { slug });
+    currentCommandsSlug = slug;
     setCurrentMediaBotSlug(slug); // Para o seletor de mídia
-    
-    const modal = document.getElementById('shots-modal');
+
+    const modal = document.getElementById('commands-modal');
     const overlay = document.getElementById('modal-overlay');
-    
+
     if (!modal || !overlay) {
-      console.error('[SHOTS][MODAL_NOT_FOUND]');
+      console.error('[COMMANDS][MODAL_NOT_FOUND]');
       return;
     }
 
     modal.classList.remove('hidden');
     overlay.classList.remove('hidden');
-    
-    await loadShots(slug);
+
+    await loadCommands(slug);
   }
 
-  /**
-   * Carrega a lista de disparos do backend
-   */
-  async function loadShots(slug) {
-    const loadingEl = document.getElementById('shots-loading');
-    const emptyEl = document.getElementById('shots-empty');
-    const errorEl = document.getElementById('shots-error');
-    const tableWrapper = document.getElementById('shots-table-wrapper');
-    
-    // Mostrar loading
+  function renderCommandsSyncStatus(syncedAt, syncError) {
+    const statusEl = document.getElementById('commands-sync-status');
+    if (!statusEl) return;
+    if (syncError) {
+      statusEl.className = 'text-xs text-rose-400 mt-2';
+      statusEl.textContent = `Falha ao registrar menu no Telegram: ${syncError}`;
+    } else {
+      statusEl.className = 'text-xs text-zinc-400 mt-2';
+      statusEl.textContent = syncedAt
+        ? `Menu sincronizado em ${new Date(syncedAt).toLocaleString('pt-BR')}`
+        : 'Menu ainda não sincronizado';
+    }
+  }
+
+  async function loadCommands(slug) {
+    const loadingEl = document.getElementById('commands-loading');
+    const emptyEl = document.getElementById('commands-empty');
+    const errorEl = document.getElementById('commands-error');
+    const tableWrapper = document.getElementById('commands-table-wrapper');
+
     loadingEl?.classList.remove('hidden');
     emptyEl?.classList.add('hidden');
     errorEl?.classList.add('hidden');
     tableWrapper?.classList.add('hidden');
-    
+
     const headers = getAuthHeaders();
     if (!headers) {
       showToast('error', 'Token admin não configurado.');
@@ -2726,53 +2945,773 @@
       loadingEl?.classList.add('hidden');
       return;
     }
-    
+
     try {
-      const response = await fetch(`${baseUrl}/api/admin/bots/${encodeURIComponent(slug)}/shots`, {
+      const response = await fetch(`${baseUrl}/api/admin/bots/${encodeURIComponent(slug)}/commands`, {
         headers
       });
-      
-      if (!response.ok) throw new Error('Falha ao carregar disparos');
-      
+
+      if (!response.ok) throw new Error('Falha ao carregar comandos');
+
       const data = await response.json();
-      currentShots = data.shots || [];
-      
-      console.log('[SHOTS][LOADED]', { count: currentShots.length });
-      
-      if (currentShots.length === 0) {
+      currentCommands = data.commands || [];
+      renderCommandsSyncStatus(data.synced_at, data.sync_error);
+
+      if (currentCommands.length === 0) {
         emptyEl?.classList.remove('hidden');
-        loadingEl?.classList.add('hidden');
       } else {
-        renderShotsTable(currentShots);
+        renderCommandsTable(currentCommands);
         tableWrapper?.classList.remove('hidden');
-        loadingEl?.classList.add('hidden');
       }
-      
-      updateShotsCount();
+      loadingEl?.classList.add('hidden');
+
+      const countEl = document.getElementById('commands-count');
+      if (countEl) countEl.textContent = currentCommands.length;
     } catch (err) {
-      console.error('[SHOTS][LOAD][ERR]', err);
+      console.error('[COMMANDS][LOAD][ERR]', err);
       errorEl?.classList.remove('hidden');
       loadingEl?.classList.add('hidden');
-      showToast('error', 'Erro ao carregar disparos');
+      showToast('error', 'Erro ao carregar comandos');
     }
   }
 
-  /**
-   * Renderiza a tabela de disparos
-   */
-  function renderShotsTable(shots) {
-    const tbody = document.getElementById('shots-table-body');
+  function renderCommandsTable(commands) {
+    const tbody = document.getElementById('commands-table-body');
     if (!tbody) return;
-    
+
     tbody.innerHTML = '';
-    
-    // Filtrar por busca
-    let filtered = shots;
-    if (shotsSearchTerm) {
-      const term = shotsSearchTerm.toLowerCase();
-      filtered = shots.filter(s => {
-        const title = (s.title || '').toLowerCase();
-        const message = JSON.stringify(s.message || {}).toLowerCase();
+    commands.forEach(command => {
+      tbody.appendChild(renderCommandRow(command));
+    });
+  }
+
+  function renderCommandRow(command) {
+    const tr = document.createElement('tr');
+
+    const cells = [
+      `/${command.command}`,
+      command.language_code || 'padrão',
+      command.description,
+      String(command.hit_count || 0)
+    ];
+    cells.forEach((value, index) => {
+      const td = document.createElement('td');
+      td.className = index === 0 ? 'table-cell font-mono text-xs' : 'table-cell';
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+
+    const tdActive = document.createElement('td');
+    tdActive.className = 'table-cell';
+    const activeSpan = document.createElement('span');
+    activeSpan.className = `px-2 py-1 text-xs rounded ${command.active ? 'bg-green-900/30 text-green-300' : 'bg-zinc-700 text-zinc-400'}`;
+    activeSpan.textContent = command.active ? 'Ativo' : 'Inativo';
+    tdActive.appendChild(activeSpan);
+    tr.appendChild(tdActive);
+
+    const tdActions = document.createElement('td');
+    tdActions.className = 'table-cell';
+    const actionsDiv = document.createElement('div');
+    actionsDiv.className = 'flex gap-2';
+
+    const editBtn = document.createElement('button');
+    editBtn.className = 'text-xs px-2 py-1 rounded bg-blue-700 hover:bg-blue-600';
+    editBtn.textContent = '✏️';
+    editBtn.title = 'Editar';
+    editBtn.onclick = () => openCommandFormModal(currentCommandsSlug, command.id);
+    actionsDiv.appendChild(editBtn);
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'text-xs px-2 py-1 rounded bg-red-700 hover:bg-red-600';
+    deleteBtn.textContent = '🗑️';
+    deleteBtn.title = 'Deletar';
+    deleteBtn.onclick = () => deleteCommand(command.id);
+    actionsDiv.appendChild(deleteBtn);
+
+    tdActions.appendChild(actionsDiv);
+    tr.appendChild(tdActions);
+
+    return tr;
+  }
+
+  function openCommandFormModal(slug, commandId = null) {
+    console.log('[COMMANDS][OPEN_FORM]', { slug, commandId });
+    currentEditingCommandId = commandId;
+
+    const modal = document.getElementById('command-form-modal');
+    const overlay = document.getElementById('modal-overlay');
+    const title = document.getElementById('command-form-modal-title');
+
+    if (!modal || !overlay) {
+      console.error('[COMMANDS][FORM_MODAL_NOT_FOUND]');
+      return;
+    }
+
+    title.textContent = commandId ? 'Editar comando' : 'Novo comando';
+
+    const command = commandId ? currentCommands.find(c => c.id === commandId) : null;
+    const content = command?.content || {};
+
+    document.getElementById('command-name').value = command ? `/${command.command}` : '';
+    document.getElementById('command-language').value = command?.language_code || '';
+    document.getElementById('command-description').value = command?.description || '';
+    document.getElementById('command-text').value = content.text || '';
+    document.getElementById('command-active').checked = command ? command.active !== false : true;
+
+    modal.classList.remove('hidden');
+    overlay.classList.remove('hidden');
+
+    requestAnimationFrame(() => {
+      const container = document.getElementById('command-multi-media-container');
+      if (container && typeof MultiMediaSelector !== 'undefined') {
+        window.commandMultiMediaSelector = new MultiMediaSelector(container, {
+          maxItems: 3,
+          allowedKinds: ['audio', 'video', 'photo'],
+          showTypeFilter: true,
+          value: command?.media_refs || []
+        });
+      }
+
+      const buttonsContainer = document.getElementById('command-buttons-container');
+      if (buttonsContainer && typeof InlineButtonsEditor !== 'undefined') {
+        window.commandButtonsEditor = new InlineButtonsEditor(buttonsContainer, { value: content.buttons || [] });
+      }
+    });
+  }
+
+  function showCommandsSyncResult(sync) {
+    if (sync && !sync.ok) {
+      showToast('error', `Salvo, mas o menu não foi registrado no Telegram: ${sync.error}`);
+    }
+  }
+
+  async function saveCommand() {
+    if (!currentCommandsSlug) {
+      showToast('error', 'Slug não encontrado');
+      return;
+    }
+
+    const command = document.getElementById('command-name').value.trim().replace(/^\//, '').toLowerCase();
+    const description = document.getElementById('command-description').value.trim();
+    const text = document.getElementById('command-text').value.trim();
+    const mediaRefs = window.commandMultiMediaSelector?.getValue?.() || [];
+
+    if (!/^[a-z0-9_]{1,32}$/.test(command)) {
+      showToast('error', 'Comando inválido (use letras minúsculas, números e _)');
+      return;
+    }
+
+    if (!description) {
+      showToast('error', 'Descrição obrigatória');
+      return;
+    }
+
+    if (!text && mediaRefs.length === 0) {
+      showToast('error', 'Informe um texto ou ao menos uma mídia');
+      return;
+    }
+
+    const buttons = readButtonsEditor(window.commandButtonsEditor);
+    if (!buttons) return;
+
+    const content = { text, parse_mode: 'MarkdownV2' };
+    if (buttons.length > 0) {
+      content.buttons = buttons;
+    }
+
+    const payload = {
+      command,
+      language_code: document.getElementById('command-language').value.trim().toLowerCase(),
+      description,
+      content,
+      media_refs: mediaRefs,
+      active: document.getElementById('command-active').checked
+    };
+
+    const headers = getAuthHeaders();
+    if (!headers) {
+      showToast('error', 'Token admin não configurado.');
+      return;
+    }
+
+    try {
+      const isEditing = currentEditingCommandId !== null;
+      const url = isEditing
+        ? `${baseUrl}/api/admin/bots/${encodeURIComponent(currentCommandsSlug)}/commands/${currentEditingCommandId}`
+        : `${baseUrl}/api/admin/bots/${encodeURIComponent(currentCommandsSlug)}/commands`;
+
+      const response = await fetch(url, {
+        method: isEditing ? 'PUT' : 'POST',
+        headers: {
+          ...headers,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload)
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Falha ao salvar');
+      }
+
+      showToast('success', isEditing ? 'Comando atualizado' : 'Comando criado');
+      showCommandsSyncResult(data.sync);
+      closeModal('command-form-modal');
+      await loadCommands(currentCommandsSlug);
+    } catch (err) {
+      console.error('[COMMANDS][SAVE][ERR]', err);
+      showToast('error', `Erro: ${err.message}`);
+    }
+  }
+
+  async function deleteCommand(commandId) {
+    if (!currentCommandsSlug) return;
+
+    const command = currentCommands.find(c => c.id === commandId);
+    if (!confirm(`Tem certeza que deseja deletar "/${command?.command || ''}"?`)) {
+      return;
+    }
+
+    const headers = getAuthHeaders();
+    if (!headers) {
+      showToast('error', 'Token admin não configurado.');
+      return;
+    }
+
+    try {
+      const response = await fetch(
+        `${baseUrl}/api/admin/bots/${encodeURIComponent(currentCommandsSlug)}/commands/${commandId}`,
+        { method: 'DELETE', headers }
+      );
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Falha ao deletar');
+      }
+
+      showToast('success', 'Comando deletado');
+      showCommandsSyncResult(data.sync);
+      await loadCommands(currentCommandsSlug);
+    } catch (err) {
+      console.error('[COMMANDS][DELETE][ERR]', err);
+      showToast('error', `Erro: ${err.message}`);
+    }
+  }
+
+  async function syncCommands() {
+    if (!currentCommandsSlug) return;
+
+    const headers = getAuthHeaders();
+    if (!headers) {
+      showToast('error', 'Token admin não configurado.');
+      return;
+    }
+
+    try {
+      const response = await fetch(
+        `${baseUrl}/api/admin/bots/${encodeURIComponent(currentCommandsSlug)}/commands/sync`,
+        { method: 'POST', headers }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Falha ao sincronizar');
+      }
+      showToast('success', 'Menu de comandos sincronizado');
+    } catch (err) {
+      console.error('[COMMANDS][SYNC][ERR]', err);
+      showToast('error', `Erro: ${err.message}`);
+    } finally {
+      await loadCommands(currentCommandsSlug);
+    }
+  }
+
+  // ========== RESPOSTAS AUTOMÁTICAS ==========
+
+  let currentAutoRepliesSlug = null;
+  let currentAutoReplies = [];
+  let currentEditingAutoReplyId = null;
+
+  const AUTO_REPLY_MATCH_LABELS = {
+    exact: 'Exato',
+    contains: 'Contém',
+    regex: 'Regex'
+  };
+
+  async function openAutoRepliesModal(slug) {
+    console.log('[AUTO_REPLIES][OPEN_MODAL]', { slug });
+    currentAutoRepliesSlug = slug;
+    setCurrentMediaBotSlug(slug); // Para o seletor de mídia
+
+    const modal = document.getElementById('auto-replies-modal');
+    const overlay = document.getElementById('modal-overlay');
+
+    if (!modal || !overlay) {
+      console.error('[AUTO_REPLIES][MODAL_NOT_FOUND]');
+      return;
+    }
+
+    modal.classList.remove('hidden');
+    overlay.classList.remove('hidden');
+
+    await loadAutoReplies(slug);
+  }
+
+  async function loadAutoReplies(slug) {
+    const loadingEl = document.getElementById('auto-replies-loading');
+    const emptyEl = document.getElementById('auto-replies-empty');
+    const errorEl = document.getElementById('auto-replies-error');
+    const tableWrapper = document.getElementById('auto-replies-table-wrapper');
+
+    loadingEl?.classList.remove('hidden');
+    emptyEl?.classList.add('hidden');
+    errorEl?.classList.add('hidden');
+    tableWrapper?.classList.add('hidden');
+
+    const headers = getAuthHeaders();
+    if (!headers) {
+      showToast('error', 'Token admin não configurado.');
+      errorEl?.classList.remove('hidden');
+      loadingEl?.classList.add('hidden');
+      return;
+    }
+
+    try {
+      const response = await fetch(`${baseUrl}/api/admin/bots/${encodeURIComponent(slug)}/auto-replies`, {
+        headers
+      });
+
+      if (!response.ok) throw new Error('Falha ao carregar respostas');
+
+      const data = await response.json();
+      currentAutoReplies = data.rules || [];
+
+      if (currentAutoReplies.length === 0) {
+        emptyEl?.classList.remove('hidden');
+      } else {
+        renderAutoRepliesTable(currentAutoReplies);
+        tableWrapper?.classList.remove('hidden');
+      }
+      loadingEl?.classList.add('hidden');
+
+      const countEl = document.getElementById('auto-replies-count');
+      if (countEl) countEl.textContent = currentAutoReplies.length;
+    } catch (err) {
+      console.error('[AUTO_REPLIES][LOAD][ERR]', err);
+      errorEl?.classList.remove('hidden');
+      loadingEl?.classList.add('hidden');
+      showToast('error', 'Erro ao carregar respostas');
+    }
+  }
+
+  function renderAutoRepliesTable(rules) {
+    const tbody = document.getElementById('auto-replies-table-body');
+    if (!tbody) return;
+
+    tbody.innerHTML = '';
+    rules.forEach(rule => {
+      tbody.appendChild(renderAutoReplyRow(rule));
+    });
+  }
+
+  function renderAutoReplyRow(rule) {
+    const tr = document.createElement('tr');
+
+    const cells = [
+      rule.name,
+      AUTO_REPLY_MATCH_LABELS[rule.match_type] || rule.match_type,
+      rule.pattern,
+      String(rule.priority || 0),
+      String(rule.hit_count || 0)
+    ];
+    cells.forEach((value, index) => {
+      const td = document.createElement('td');
+      td.className = index === 2 ? 'table-cell font-mono text-xs' : 'table-cell';
+      td.textContent = value;
+      if (index === 4 && rule.last_hit_at) {
+        td.title = `Último: ${new Date(rule.last_hit_at).toLocaleString('pt-BR')}`;
+      }
+      tr.appendChild(td);
+    });
+
+    const tdActive = document.createElement('td');
+    tdActive.className = 'table-cell';
+    const activeSpan = document.createElement('span');
+    activeSpan.className = `px-2 py-1 text-xs rounded ${rule.active ? 'bg-green-900/30 text-green-300' : 'bg-zinc-700 text-zinc-400'}`;
+    activeSpan.textContent = rule.active ? 'Ativo' : 'Inativo';
+    tdActive.appendChild(activeSpan);
+    tr.appendChild(tdActive);
+
+    const tdActions = document.createElement('td');
+    tdActions.className = 'table-cell';
+    const actionsDiv = document.createElement('div');
+    actionsDiv.className = 'flex gap-2';
+
+    const toggleBtn = document.createElement('button');
+    toggleBtn.className = 'text-xs px-2 py-1 rounded bg-zinc-700 hover:bg-zinc-600';
+    toggleBtn.textContent = rule.active ? '⏸️' : '▶️';
+    toggleBtn.title = rule.active ? 'Desativar' : 'Ativar';
+    toggleBtn.onclick = () => toggleAutoReply(rule.id);
+    actionsDiv.appendChild(toggleBtn);
+
+    const editBtn = document.createElement('button');
+    editBtn.className = 'text-xs px-2 py-1 rounded bg-blue-700 hover:bg-blue-600';
+    editBtn.textContent = '✏️';
+    editBtn.title = 'Editar';
+    editBtn.onclick = () => openAutoReplyFormModal(currentAutoRepliesSlug, rule.id);
+    actionsDiv.appendChild(editBtn);
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'text-xs px-2 py-1 rounded bg-red-700 hover:bg-red-600';
+    deleteBtn.textContent = '🗑️';
+    deleteBtn.title = 'Deletar';
+    deleteBtn.onclick = () => deleteAutoReply(rule.id);
+    actionsDiv.appendChild(deleteBtn);
+
+    tdActions.appendChild(actionsDiv);
+    tr.appendChild(tdActions);
+
+    return tr;
+  }
+
+  function openAutoReplyFormModal(slug, ruleId = null) {
+    console.log('[AUTO_REPLIES][OPEN_FORM]', { slug, ruleId });
+    currentEditingAutoReplyId = ruleId;
+
+    const modal = document.getElementById('auto-reply-form-modal');
+    const overlay = document.getElementById('modal-overlay');
+    const title = document.getElementById('auto-reply-form-modal-title');
+
+    if (!modal || !overlay) {
+      console.error('[AUTO_REPLIES][FORM_MODAL_NOT_FOUND]');
+      return;
+    }
+
+    title.textContent = ruleId ? 'Editar resposta' : 'Nova resposta';
+
+    const rule = ruleId ? currentAutoReplies.find(r => r.id === ruleId) : null;
+    const content = rule?.content || {};
+
+    document.getElementById('auto-reply-name').value = rule?.name || '';
+    document.getElementById('auto-reply-match-type').value = rule?.match_type || 'contains';
+    document.getElementById('auto-reply-pattern').value = rule?.pattern || '';
+    document.getElementById('auto-reply-case-sensitive').checked = rule?.case_sensitive === true;
+    document.getElementById('auto-reply-priority').value = rule?.priority || 0;
+    document.getElementById('auto-reply-text').value = content.text || '';
+    document.getElementById('auto-reply-active').checked = rule ? rule.active !== false : true;
+
+    modal.classList.remove('hidden');
+    overlay.classList.remove('hidden');
+
+    requestAnimationFrame(() => {
+      const container = document.getElementById('auto-reply-multi-media-container');
+      if (container && typeof MultiMediaSelector !== 'undefined') {
+        window.autoReplyMultiMediaSelector = new MultiMediaSelector(container, {
+          maxItems: 3,
+          allowedKinds: ['audio', 'video', 'photo'],
+          showTypeFilter: true,
+          value: rule?.media_refs || []
+        });
+      }
+
+      const buttonsContainer = document.getElementById('auto-reply-buttons-container');
+      if (buttonsContainer && typeof InlineButtonsEditor !== 'undefined') {
+        window.autoReplyButtonsEditor = new InlineButtonsEditor(buttonsContainer, { value: content.buttons || [] });
+      }
+    });
+  }
+
+  async function saveAutoReply() {
+    if (!currentAutoRepliesSlug) {
+      showToast('error', 'Slug não encontrado');
+      return;
+    }
+
+    const name = document.getElementById('auto-reply-name').value.trim();
+    const pattern = document.getElementById('auto-reply-pattern').value.trim();
+    const text = document.getElementById('auto-reply-text').value.trim();
+    const priority = parseInt(document.getElementById('auto-reply-priority').value, 10) || 0;
+    const mediaRefs = window.autoReplyMultiMediaSelector?.getValue?.() || [];
+
+    if (!name || !pattern) {
+      showToast('error', 'Nome e padrão são obrigatórios');
+      return;
+    }
+
+    if (!text && mediaRefs.length === 0) {
+      showToast('error', 'Informe um texto ou ao menos uma mídia');
+      return;
+    }
+
+    const buttons = readButtonsEditor(window.autoReplyButtonsEditor);
+    if (!buttons) return;
+
+    const content = { text, parse_mode: 'MarkdownV2' };
+    if (buttons.length > 0) {
+      content.buttons = buttons;
+    }
+
+    const payload = {
+      name,
+      match_type: document.getElementById('auto-reply-match-type').value,
+      pattern,
+      case_sensitive: document.getElementById('auto-reply-case-sensitive').checked,
+      priority,
+      content,
+      media_refs: mediaRefs,
+      active: document.getElementById('auto-reply-active').checked
+    };
+
+    const headers = getAuthHeaders();
+    if (!headers) {
+      showToast('error', 'Token admin não configurado.');
+      return;
+    }
+
+    try {
+      const isEditing = currentEditingAutoReplyId !== null;
+      const url = isEditing
+        ? `${baseUrl}/api/admin/bots/${encodeURIComponent(currentAutoRepliesSlug)}/auto-replies/${currentEditingAutoReplyId}`
+        : `${baseUrl}/api/admin/bots/${encodeURIComponent(currentAutoRepliesSlug)}/auto-replies`;
+
+      const response = await fetch(url, {
+        method: isEditing ? 'PUT' : 'POST',
+        headers: {
+          ...headers,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload)
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Falha ao salvar');
+      }
+
+      showToast('success', isEditing ? 'Resposta atualizada' : 'Resposta criada');
+      closeModal('auto-reply-form-modal');
+      await loadAutoReplies(currentAutoRepliesSlug);
+    } catch (err) {
+      console.error('[AUTO_REPLIES][SAVE][ERR]', err);
+      showToast('error', `Erro: ${err.message}`);
+    }
+  }
+
+  async function deleteAutoReply(ruleId) {
+    if (!currentAutoRepliesSlug) return;
+
+    const rule = currentAutoReplies.find(r => r.id === ruleId);
+    if (!confirm(`Tem certeza que deseja deletar "${rule?.name || 'esta resposta'}"?`)) {
+      return;
+    }
+
+    const headers = getAuthHeaders();
+    if (!headers) {
+      showToast('error', 'Token admin não configurado.');
+      return;
+    }
+
+    try {
+      const response = await fetch(
+        `${baseUrl}/api/admin/bots/${encodeURIComponent(currentAutoRepliesSlug)}/auto-replies/${ruleId}`,
+        { method: 'DELETE', headers }
+      );
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Falha ao deletar');
+      }
+
+      showToast('success', 'Resposta deletada');
+      await loadAutoReplies(currentAutoRepliesSlug);
+    } catch (err) {
+      console.error('[AUTO_REPLIES][DELETE][ERR]', err);
+      showToast('error', `Erro: ${err.message}`);
+    }
+  }
+
+  async function toggleAutoReply(ruleId) {
+    if (!currentAutoRepliesSlug) return;
+
+    const rule = currentAutoReplies.find(r => r.id === ruleId);
+    if (!rule) return;
+
+    const headers = getAuthHeaders();
+    if (!headers) {
+      showToast('error', 'Token admin não configurado.');
+      return;
+    }
+
+    try {
+      const response = await fetch(
+        `${baseUrl}/api/admin/bots/${encodeURIComponent(currentAutoRepliesSlug)}/auto-replies/${ruleId}`,
+        {
+          method: 'PUT',
+          headers: {
+            ...headers,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ active: !rule.active })
+        }
+      );
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Falha ao alternar status');
+      }
+
+      const data = await response.json();
+      showToast('success', `Resposta ${data.rule?.active ? 'ativada' : 'desativada'}`);
+
+      const index = currentAutoReplies.findIndex(r => r.id === ruleId);
+      if (index >= 0) {
+        currentAutoReplies[index] = data.rule;
+        renderAutoRepliesTable(currentAutoReplies);
+      }
+    } catch (err) {
+      console.error('[AUTO_REPLIES][TOGGLE][ERR]', err);
+      showToast('error', `Erro: ${err.message}`);
+    }
+  }
+
+  // ========== FUNÇÕES DE DISPAROS (SHOTS) ==========
+
+  /**
+   * Função auxiliar para escapar caracteres especiais do MarkdownV2
+   */
+  function escapeMarkdownV2(text) {
+    if (!text) return '';
+    const specialChars = ['_', '*', '[', ']', '(', ')', '~', '`', '>', '#', '+', '-', '=', '|', '{', '}', '.', '!'];
+    let escaped = String(text);
+    specialChars.forEach(char => {
+      escaped = escaped.split(char).join('\\' + char);
+    });
+    return escaped;
+  }
+
+  /**
+   * Gera opções de horário de 15 em 15 minutos
+   */
+  function generateTimeOptions() {
+    const options = [];
+    for (let h = 0; h < 24; h++) {
+      for (let m = 0; m < 60; m += 15) {
+        const hour = String(h).padStart(2, '0');
+        const minute = String(m).padStart(2, '0');
+        options.push(`${hour}:${minute}`);
+      }
+    }
+    return options;
+  }
+
+  /**
+   * Popula o select de horário com opções de 15 em 15 minutos
+   */
+  function populateTimeSelect(selectId) {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+    
+    const options = generateTimeOptions();
+    select.innerHTML = '';
+    
+    options.forEach(time => {
+      const option = document.createElement('option');
+      option.value = time;
+      option.textContent = time;
+      select.appendChild(option);
+    });
+  }
+
+  /**
+   * Abre o modal de gerenciamento de disparos
+   */
+  async function openShotsModal(slug) {
+    console.log('[SHOTS][OPEN_MODAL]', { slug });
+    currentShotsSlug = slug;
+    setCurrentMediaBotSlug(slug); // Para o seletor de mídia
+    
+    const modal = document.getElementById('shots-modal');
+    const overlay = document.getElementById('modal-overlay');
+    
+    if (!modal || !overlay) {
+      console.error('[SHOTS][MODAL_NOT_FOUND]');
+      return;
+    }
+
+    modal.classList.remove('hidden');
+    overlay.classList.remove('hidden');
+    
+    await loadShots(slug);
+  }
+
+  /**
+   * Carrega a lista de disparos do backend
+   */
+  async function loadShots(slug) {
+    const loadingEl = document.getElementById('shots-loading');
+    const emptyEl = document.getElementById('shots-empty');
+    const errorEl = document.getElementById('shots-error');
+    const tableWrapper = document.getElementById('shots-table-wrapper');
+    
+    // Mostrar loading
+    loadingEl?.classList.remove('hidden');
+    emptyEl?.classList.add('hidden');
+    errorEl?.classList.add('hidden');
+    tableWrapper?.classList.add('hidden');
+    
+    const headers = getAuthHeaders();
+    if (!headers) {
+      showToast('error', 'Token admin não configurado.');
+      errorEl?.classList.remove('hidden');
+      loadingEl?.classList.add('hidden');
+      return;
+    }
+    
+    try {
+      const response = await fetch(`${baseUrl}/api/admin/bots/${encodeURIComponent(slug)}/shots`, {
+        headers
+      });
+      
+      if (!response.ok) throw new Error('Falha ao carregar disparos');
+      
+      const data = await response.json();
+      currentShots = data.shots || [];
+      
+      console.log('[SHOTS][LOADED]', { count: currentShots.length });
+      
+      if (currentShots.length === 0) {
+        emptyEl?.classList.remove('hidden');
+        loadingEl?.classList.add('hidden');
+      } else {
+        renderShotsTable(currentShots);
+        tableWrapper?.classList.remove('hidden');
+        loadingEl?.classList.add('hidden');
+      }
+      
+      updateShotsCount();
+    } catch (err) {
+      console.error('[SHOTS][LOAD][ERR]', err);
+      errorEl?.classList.remove('hidden');
+      loadingEl?.classList.add('hidden');
+      showToast('error', 'Erro ao carregar disparos');
+    }
+  }
+
+  /**
+   * Renderiza a tabela de disparos
+   */
+  function renderShotsTable(shots) {
+    const tbody = document.getElementById('shots-table-body');
+    if (!tbody) return;
+    
+    tbody.innerHTML = '';
+    
+    // Filtrar por busca
+    let filtered = shots;
+    if (shotsSearchTerm) {
+      const term = shotsSearchTerm.toLowerCase();
+      filtered = shots.filter(s => {
+        const title = (s.title || '').toLowerCase();
+        const message = JSON.stringify(s.message || {}).toLowerCase();
         return title.includes(term) || message.includes(term);
       });
     }
@@ -2865,6 +3804,8 @@
       if (filters.all_started) filterLabels.push('Todos');
       if (filters.has_unpaid_pix) filterLabels.push('PIX aberto');
       if (filters.exclude_paid) filterLabels.push('Exclui pagos');
+      if (filters.source?.campaign) filterLabels.push(`Campanha: ${filters.source.campaign}`);
+      if (filters.source?.utm_source) filterLabels.push(`Origem: ${filters.source.utm_source}`);
       tdAudience.textContent = filterLabels.length > 0 ? filterLabels.join(' • ') : 'Todos';
     } catch {
       tdAudience.textContent = 'Todos';
@@ -3011,6 +3952,13 @@
     if (filterHasUnpaidPix) filterHasUnpaidPix.checked = false;
     if (filterExcludePaid) filterExcludePaid.checked = true;
     
+    const filterCampaign = document.getElementById('shot-filter-campaign');
+    const filterUtmSource = document.getElementById('shot-filter-utm-source');
+    const filterTouch = document.getElementById('shot-filter-touch');
+    if (filterCampaign) filterCampaign.value = '';
+    if (filterUtmSource) filterUtmSource.value = '';
+    if (filterTouch) filterTouch.value = 'any';
+    
     // Limpar resultado de teste
     const testResult = document.getElementById('shot-test-result');
     if (testResult) {
@@ -3018,6 +3966,9 @@
       testResult.textContent = '';
     }
     
+    let shotButtons = [];
+    let shotVariants = {};
+    
     // Se editando, carregar dados
     if (shotId) {
       const shot = currentShots.find(s => s.id === shotId);
@@ -3027,6 +3978,8 @@
         try {
           const message = typeof shot.message === 'string' ? JSON.parse(shot.message) : shot.message;
           if (messageInput) messageInput.value = message.text || '';
+          shotButtons = message.buttons || [];
+          shotVariants = message.variants || {};
           
           // Carregar mídia
           if (message.video_file_id || message.photo_file_id) {
@@ -3056,6 +4009,10 @@
           if (filterAllStarted) filterAllStarted.checked = filters.all_started === true;
           if (filterHasUnpaidPix) filterHasUnpaidPix.checked = filters.has_unpaid_pix === true;
           if (filterExcludePaid) filterExcludePaid.checked = filters.exclude_paid === true;
+          const source = filters.source || {};
+          if (filterCampaign) filterCampaign.value = source.campaign || '';
+          if (filterUtmSource) filterUtmSource.value = source.utm_source || '';
+          if (filterTouch) filterTouch.value = source.touch || 'any';
         } catch (err) {
           console.error('[SHOTS][PARSE_FILTERS]', err);
         }
@@ -3109,6 +4066,13 @@
         
         console.log('[SHOT][MULTI_MEDIA] Componente montado');
       }
+      
+      const buttonsContainer = document.getElementById('shot-buttons-container');
+      if (buttonsContainer && typeof InlineButtonsEditor !== 'undefined') {
+        window.shotButtonsEditor = new InlineButtonsEditor(buttonsContainer, { value: shotButtons });
+      }
+      
+      window.shotLanguageTabs = mountLanguageTabs('shot-language-tabs', 'shot-message-text', shotVariants);
     });
   }
 
@@ -3157,7 +4121,7 @@
     }
     
     const title = titleInput.value.trim();
-    const message = messageInput.value.trim();
+    const message = defaultEditorText(window.shotLanguageTabs, messageInput);
     const mediaType = mediaTypeEl ? mediaTypeEl.value : 'none';
     const fileId = fileIdInput ? fileIdInput.value.trim() : '';
     const active = activeCheckbox ? activeCheckbox.checked : true;
@@ -3184,6 +4148,12 @@
       return;
     }
     
+    const buttons = readButtonsEditor(window.shotButtonsEditor);
+    if (!buttons) return;
+    
+    const variants = window.shotLanguageTabs ? window.shotLanguageTabs.getVariants() : {};
+    if (!(await confirmTemplateVariables(allEditorTexts(message, variants)))) return;
+    
     // Dados de mídia (se selecionada)
     const mediaId = document.getElementById('shot-media-id')?.value || '';
     const sha256 = document.getElementById('shot-media-sha256')?.value || '';
@@ -3196,6 +4166,14 @@
       parse_mode: 'MarkdownV2'
     };
     
+    if (buttons.length > 0) {
+      messageObj.buttons = buttons;
+    }
+    
+    if (Object.keys(variants).length > 0) {
+      messageObj.variants = variants;
+    }
+    
     // Adicionar mídia se selecionada (novo formato estruturado)
     if (mediaType !== 'none' && fileId && sha256 && kind && r2Key) {
       messageObj.media = {
@@ -3272,6 +4250,15 @@
     if (filterHasUnpaidPix && filterHasUnpaidPix.checked) filters.has_unpaid_pix = true;
     if (filterExcludePaid && filterExcludePaid.checked) filters.exclude_paid = true;
     
+    // Filtro por origem do deep-link
+    const sourceCampaign = (document.getElementById('shot-filter-campaign')?.value || '').trim();
+    const sourceUtmSource = (document.getElementById('shot-filter-utm-source')?.value || '').trim();
+    if (sourceCampaign || sourceUtmSource) {
+      filters.source = { touch: document.getElementById('shot-filter-touch')?.value || 'any' };
+      if (sourceCampaign) filters.source.campaign = sourceCampaign;
+      if (sourceUtmSource) filters.source.utm_source = sourceUtmSource;
+    }
+    
     payload.filters = filters;
     
     const headers = getAuthHeaders();
@@ -3593,6 +4580,47 @@
       });
     }
     
+    // Event listeners para modal de comandos
+    const newCommandBtn = document.getElementById('new-command-btn');
+    if (newCommandBtn) {
+      newCommandBtn.addEventListener('click', () => {
+        if (currentCommandsSlug) {
+          openCommandFormModal(currentCommandsSlug);
+        }
+      });
+    }
+    
+    const syncCommandsBtn = document.getElementById('sync-commands-btn');
+    if (syncCommandsBtn) {
+      syncCommandsBtn.addEventListener('click', syncCommands);
+    }
+    
+    const commandForm = document.getElementById('command-form');
+    if (commandForm) {
+      commandForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveCommand();
+      });
+    }
+    
+    // Event listeners para modal de respostas automáticas
+    const newAutoReplyBtn = document.getElementById('new-auto-reply-btn');
+    if (newAutoReplyBtn) {
+      newAutoReplyBtn.addEventListener('click', () => {
+        if (currentAutoRepliesSlug) {
+          openAutoReplyFormModal(currentAutoRepliesSlug);
+        }
+      });
+    }
+    
+    const autoReplyForm = document.getElementById('auto-reply-form');
+    if (autoReplyForm) {
+      autoReplyForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveAutoReply();
+      });
+    }
+    
     const downsellForm = document.getElementById('downsell-form');
     if (downsellForm) {
       downsellForm.addEventListener('submit', async (e) => {
@@ -0,0 +1,179 @@
+/**
+ * Inline Buttons Editor Component
+ * Edita botões inline (linhas x colunas) de URL ou callback
+ * Limites do Telegram: 8 botões por linha, 100 no total, texto 64, callback_data 64 bytes
+ */
+
+class InlineButtonsEditor {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = {
+      maxPerRow: 8,
+      maxTotal: 100,
+      maxText: 64,
+      maxCallbackBytes: 64,
+      ...options
+    };
+
+    this.rows = [];
+
+    this.render();
+
+    if (options.value && Array.isArray(options.value)) {
+      this.setValue(options.value);
+    }
+  }
+
+  render() {
+    this.container.innerHTML = `
+      <div class="inline-buttons-editor space-y-3">
+        <div class="flex items-center justify-between">
+          <div>
+            <label class="form-label">Botões inline (opcional)</label>
+            <p class="text-xs text-zinc-500">Até 8 botões por linha e 100 no total. Cada botão abre um link ou envia um callback.</p>
+          </div>
+          <button type="button" class="btn-secondary text-xs px-4 py-2" data-action="add-row">+ Linha</button>
+        </div>
+        <div data-field="rows" class="space-y-3"></div>
+        <p data-field="empty" class="text-xs text-zinc-500">Nenhum botão configurado</p>
+        <p data-field="error" class="text-xs text-rose-400 hidden"></p>
+      </div>
+    `;
+
+    this.container.querySelector('[data-action="add-row"]').addEventListener('click', () => {
+      this.rows.push([{ text: '', type: 'url', value: '' }]);
+      this.renderRows();
+    });
+  }
+
+  renderRows() {
+    const rowsEl = this.container.querySelector('[data-field="rows"]');
+    const emptyEl = this.container.querySelector('[data-field="empty"]');
+
+    emptyEl.style.display = this.rows.length === 0 ? 'block' : 'none';
+
+    rowsEl.innerHTML = this.rows.map((row, rowIndex) => `
+      <div class="rounded-lg border border-zinc-700 p-3 space-y-2" data-row="${rowIndex}">
+        <div class="flex items-center justify-between">
+          <span class="text-xs text-zinc-400">Linha ${rowIndex + 1}</span>
+          <div class="flex gap-2">
+            <button type="button" class="text-xs text-accent" data-action="add-button" data-row="${rowIndex}">+ Botão</button>
+            <button type="button" class="text-xs text-red-400" data-action="remove-row" data-row="${rowIndex}">Remover linha</button>
+          </div>
+        </div>
+        ${row.map((button, colIndex) => `
+          <div class="flex flex-wrap gap-2 items-center">
+            <input type="text" class="form-input text-sm flex-1" placeholder="Texto do botão"
+              maxlength="${this.options.maxText}" value="${this.escapeAttr(button.text)}"
+              data-input="text" data-row="${rowIndex}" data-col="${colIndex}" />
+            <select class="form-input text-sm w-32" data-input="type" data-row="${rowIndex}" data-col="${colIndex}">
+              <option value="url" ${button.type === 'url' ? 'selected' : ''}>Link (URL)</option>
+              <option value="callback" ${button.type === 'callback' ? 'selected' : ''}>Callback</option>
+            </select>
+            <input type="text" class="form-input text-sm flex-1"
+              placeholder="${button.type === 'url' ? 'https://...' : 'Chave da ação (callback-actions)'}"
+              value="${this.escapeAttr(button.value)}"
+              data-input="value" data-row="${rowIndex}" data-col="${colIndex}" />
+            <button type="button" class="text-red-400 text-sm" data-action="remove-button" data-row="${rowIndex}" data-col="${colIndex}">✖</button>
+          </div>
+        `).join('')}
+      </div>
+    `).join('');
+
+    rowsEl.querySelectorAll('[data-input]').forEach(el => {
+      const eventName = el.tagName === 'SELECT' ? 'change' : 'input';
+      el.addEventListener(eventName, (e) => {
+        const { row, col, input } = e.target.dataset;
+        this.rows[row][col][input] = e.target.value;
+        if (input === 'type') this.renderRows();
+      });
+    });
+
+    rowsEl.querySelectorAll('[data-action]').forEach(el => {
+      el.addEventListener('click', (e) => {
+        const { action, row, col } = e.target.dataset;
+        if (action === 'add-button') {
+          if (this.rows[row].length >= this.options.maxPerRow) {
+            this.showError(`Máximo de ${this.options.maxPerRow} botões por linha`);
+            return;
+          }
+          this.rows[row].push({ text: '', type: 'url', value: '' });
+        } else if (action === 'remove-row') {
+          this.rows.splice(row, 1);
+        } else if (action === 'remove-button') {
+          this.rows[row].splice(col, 1);
+          if (this.rows[row].length === 0) this.rows.splice(row, 1);
+        }
+        this.renderRows();
+      });
+    });
+
+    this.showError('');
+  }
+
+  escapeAttr(value) {
+    return String(value || '')
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;');
+  }
+
+  showError(message) {
+    const errorEl = this.container.querySelector('[data-field="error"]');
+    errorEl.textContent = message;
+    errorEl.classList.toggle('hidden', !message);
+  }
+
+  /**
+   * Valida os botões localmente (mesmos limites do backend)
+   * @returns {string|null} Mensagem de erro ou null se válido
+   */
+  validate() {
+    let total = 0;
+    for (const row of this.rows) {
+      if (row.length > this.options.maxPerRow) return `Máximo de ${this.options.maxPerRow} botões por linha`;
+      for (const button of row) {
+        total++;
+        const text = (button.text || '').trim();
+        const value = (button.value || '').trim();
+        if (!text) return 'Todo botão precisa de texto';
+        if (text.length > this.options.maxText) return `Texto do botão muito longo (máx ${this.options.maxText})`;
+        if (!value) return `Botão "${text}" sem ${button.type === 'url' ? 'URL' : 'callback'}`;
+        if (button.type === 'url' && !/^(https?:\/\/|tg:\/\/)\S+$/i.test(value)) return `URL inválida no botão "${text}"`;
+        if (button.type === 'callback' && new TextEncoder().encode(value).length > this.options.maxCallbackBytes) {
+          return `Callback do botão "${text}" muito longo (máx ${this.options.maxCallbackBytes} bytes)`;
+        }
+      }
+    }
+    if (total > this.options.maxTotal) return `Máximo de ${this.options.maxTotal} botões`;
+    return null;
+  }
+
+  getValue() {
+    return this.rows
+      .map(row => row.map(button => {
+        const text = (button.text || '').trim();
+        const value = (button.value || '').trim();
+        return button.type === 'url' ? { text, url: value } : { text, callback_data: value };
+      }))
+      .filter(row => row.length > 0);
+  }
+
+  setValue(buttons) {
+    this.rows = (buttons || []).map(row => (row || []).map(button => ({
+      text: button.text || '',
+      type: button.callback_data !== undefined ? 'callback' : 'url',
+      value: button.callback_data !== undefined ? button.callback_data : (button.url || '')
+    })));
+    this.renderRows();
+  }
+
+  clear() {
+    this.setValue([]);
+  }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+  window.InlineButtonsEditor = InlineButtonsEditor;
+}
@@ -0,0 +1,154 @@
+/**
+ * Language Tabs Component
+ * Abas de idioma sobre o textarea de uma mensagem: "Padrão" é content.text,
+ * as demais viram content.variants[code].text (escolhidas pelo language_code do usuário)
+ * Idioma sem tradução recebe o texto padrão (aviso abaixo das abas)
+ */
+
+class LanguageTabs {
+  constructor(container, textarea, options = {}) {
+    this.container = container;
+    this.textarea = textarea;
+    this.options = {
+      languages: [
+        { code: 'es', label: 'Español' },
+        { code: 'en', label: 'English' }
+      ],
+      ...options
+    };
+
+    this.current = 'default';
+    this.texts = { default: '' };
+    // Propriedades extras das variantes (ex.: buttons via API) são preservadas
+    this.extras = {};
+
+    // Modal reaberto: a instância anterior solta o textarea
+    if (textarea.languageTabs) textarea.languageTabs.destroy();
+    textarea.languageTabs = this;
+
+    this.render();
+    this.setValue(options.text || '', options.variants || {});
+
+    this.onInput = () => {
+      this.texts[this.current] = this.textarea.value;
+      this.renderTabs();
+    };
+    this.textarea.addEventListener('input', this.onInput);
+  }
+
+  destroy() {
+    this.textarea.removeEventListener('input', this.onInput);
+    this.container.innerHTML = '';
+  }
+
+  render() {
+    this.container.innerHTML = `
+      <div class="language-tabs space-y-1 mb-2">
+        <div data-field="tabs" class="flex gap-1 flex-wrap"></div>
+        <p data-field="warning" class="text-xs text-yellow-500 hidden"></p>
+      </div>
+    `;
+  }
+
+  languageCodes() {
+    const codes = this.options.languages.map(lang => lang.code);
+    // Idiomas salvos via API que não estão na lista padrão
+    for (const code of Object.keys(this.texts)) {
+      if (code !== 'default' && !codes.includes(code)) codes.push(code);
+    }
+    return codes;
+  }
+
+  labelFor(code) {
+    const lang = this.options.languages.find(item => item.code === code);
+    return lang ? lang.label : code.toUpperCase();
+  }
+
+  renderTabs() {
+    const tabsEl = this.container.querySelector('[data-field="tabs"]');
+    const codes = this.languageCodes();
+
+    const tabs = [{ code: 'default', label: 'Padrão' }, ...codes.map(code => ({ code, label: this.labelFor(code) }))];
+
+    tabsEl.innerHTML = tabs.map(tab => {
+      const missing = tab.code !== 'default' && !(this.texts[tab.code] || '').trim();
+      const active = tab.code === this.current;
+      return `
+        <button type="button" data-lang="${tab.code}"
+          class="text-xs px-3 py-1 rounded ${active ? 'bg-accent text-white' : 'bg-zinc-800 text-zinc-300'}">
+          ${tab.label}${missing ? ' ⚠️' : ''}
+        </button>
+      `;
+    }).join('');
+
+    tabsEl.querySelectorAll('[data-lang]').forEach(button => {
+      button.addEventListener('click', () => this.switchTo(button.dataset.lang));
+    });
+
+    this.renderWarning(codes);
+  }
+
+  renderWarning(codes) {
+    const warningEl = this.container.querySelector('[data-field="warning"]');
+    const missing = codes.filter(code => !(this.texts[code] || '').trim());
+
+    if (missing.length === 0 || !(this.texts.default || '').trim()) {
+      warningEl.classList.add('hidden');
+      return;
+    }
+
+    warningEl.textContent = `⚠️ Sem tradução: ${missing.map(code => this.labelFor(code)).join(', ')} — esses usuários recebem o texto padrão`;
+    warningEl.classList.remove('hidden');
+  }
+
+  switchTo(code) {
+    this.texts[this.current] = this.textarea.value;
+    this.current = code;
+    this.textarea.value = this.texts[code] || '';
+    // Contadores de caracteres escutam o input
+    this.textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    this.textarea.focus();
+  }
+
+  /**
+   * Texto padrão (content.text)
+   */
+  getDefaultText() {
+    this.texts[this.current] = this.textarea.value;
+    return this.texts.default || '';
+  }
+
+  /**
+   * Variantes preenchidas ({ es: { text }, ... })
+   */
+  getVariants() {
+    this.texts[this.current] = this.textarea.value;
+
+    const variants = {};
+    for (const [code, text] of Object.entries(this.texts)) {
+      if (code === 'default' || !(text || '').trim()) continue;
+      variants[code] = { ...(this.extras[code] || {}), text: text.trim() };
+    }
+    return variants;
+  }
+
+  setValue(text, variants = {}) {
+    this.texts = { default: text || '' };
+    this.extras = {};
+
+    for (const [code, variant] of Object.entries(variants || {})) {
+      const { text: variantText, ...extra } = variant || {};
+      this.texts[code] = variantText || '';
+      this.extras[code] = extra;
+    }
+
+    this.current = 'default';
+    this.textarea.value = this.texts.default;
+    this.renderTabs();
+  }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+  window.LanguageTabs = LanguageTabs;
+}
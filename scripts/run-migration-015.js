@@ -0,0 +1,40 @@
+/**
+ * Executa migração 015 - Ações de botões (callback_query) e tags
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+
+async function runMigration() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+  });
+  
+  try {
+    console.log('[MIGRATION_015] Iniciando...');
+    
+    const migrationPath = path.join(__dirname, '..', 'migrations', '015_callback_actions.sql');
+    const sql = fs.readFileSync(migrationPath, 'utf-8');
+    
+    await pool.query(sql);
+    
+    const result = await pool.query(`
+      SELECT table_name 
+      FROM information_schema.tables 
+      WHERE table_schema = 'public' 
+        AND table_name IN ('bot_callback_actions', 'bot_user_tags')
+      ORDER BY table_name
+    `);
+    console.log('[MIGRATION_015] ✅ Concluída. Tabelas:', result.rows.map(r => r.table_name));
+  } catch (err) {
+    console.error('[MIGRATION_015] ❌ ERRO:', err.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+runMigration();
@@ -0,0 +1,40 @@
+/**
+ * Executa migração 016 - Atribuição de campanha do deep-link
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+
+async function runMigration() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+  });
+  
+  try {
+    console.log('[MIGRATION_016] Iniciando...');
+    
+    const migrationPath = path.join(__dirname, '..', 'migrations', '016_start_attribution.sql');
+    const sql = fs.readFileSync(migrationPath, 'utf-8');
+    
+    await pool.query(sql);
+    
+    const result = await pool.query(`
+      SELECT table_name 
+      FROM information_schema.tables 
+      WHERE table_schema = 'public' 
+        AND table_name IN ('bot_user_sources')
+      ORDER BY table_name
+    `);
+    console.log('[MIGRATION_016] ✅ Concluída. Tabelas:', result.rows.map(r => r.table_name));
+  } catch (err) {
+    console.error('[MIGRATION_016] ❌ ERRO:', err.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+runMigration();
@@ -0,0 +1,40 @@
+/**
+ * Executa migração 017 - Fluxos de /start por campanha
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+
+async function runMigration() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+  });
+  
+  try {
+    console.log('[MIGRATION_017] Iniciando...');
+    
+    const migrationPath = path.join(__dirname, '..', 'migrations', '017_start_flows.sql');
+    const sql = fs.readFileSync(migrationPath, 'utf-8');
+    
+    await pool.query(sql);
+    
+    const result = await pool.query(`
+      SELECT table_name 
+      FROM information_schema.tables 
+      WHERE table_schema = 'public' 
+        AND table_name IN ('bot_start_flows')
+      ORDER BY table_name
+    `);
+    console.log('[MIGRATION_017] ✅ Concluída. Tabelas:', result.rows.map(r => r.table_name));
+  } catch (err) {
+    console.error('[MIGRATION_017] ❌ ERRO:', err.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+runMigration();
@@ -0,0 +1,40 @@
+/**
+ * Executa migração 019 - Respostas automáticas por palavra-chave
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+
+async function runMigration() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+  });
+  
+  try {
+    console.log('[MIGRATION_019] Iniciando...');
+    
+    const migrationPath = path.join(__dirname, '..', 'migrations', '019_auto_replies.sql');
+    const sql = fs.readFileSync(migrationPath, 'utf-8');
+    
+    await pool.query(sql);
+    
+    const result = await pool.query(`
+      SELECT table_name 
+      FROM information_schema.tables 
+      WHERE table_schema = 'public' 
+        AND table_name IN ('bot_auto_replies')
+      ORDER BY table_name
+    `);
+    console.log('[MIGRATION_019] ✅ Concluída. Tabelas:', result.rows.map(r => r.table_name));
+  } catch (err) {
+    console.error('[MIGRATION_019] ❌ ERRO:', err.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+runMigration();
@@ -0,0 +1,41 @@
+/**
+ * Executa migração 023 - Modo de recebimento de updates (webhook/polling)
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+
+async function runMigration() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+  });
+  
+  try {
+    console.log('[MIGRATION_023] Iniciando...');
+    
+    const migrationPath = path.join(__dirname, '..', 'migrations', '023_bot_update_mode.sql');
+    const sql = fs.readFileSync(migrationPath, 'utf-8');
+    
+    await pool.query(sql);
+    
+    const result = await pool.query(`
+      SELECT column_name 
+      FROM information_schema.columns 
+      WHERE table_schema = 'public' 
+        AND table_name = 'bots'
+        AND column_name IN ('update_mode', 'polling_offset', 'polling_last_at', 'polling_error')
+      ORDER BY column_name
+    `);
+    console.log('[MIGRATION_023] ✅ Concluída. Colunas:', result.rows.map(r => r.column_name));
+  } catch (err) {
+    console.error('[MIGRATION_023] ❌ ERRO:', err.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+runMigration();
@@ -0,0 +1,41 @@
+/**
+ * Executa migração 025 - Política de usuário que volta
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+
+async function runMigration() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+  });
+  
+  try {
+    console.log('[MIGRATION_025] Iniciando...');
+    
+    const migrationPath = path.join(__dirname, '..', 'migrations', '025_returning_policy.sql');
+    const sql = fs.readFileSync(migrationPath, 'utf-8');
+    
+    await pool.query(sql);
+    
+    const result = await pool.query(`
+      SELECT table_name, column_name 
+      FROM information_schema.columns 
+      WHERE table_schema = 'public' 
+        AND ((table_name = 'bots' AND column_name = 'returning_policy')
+          OR (table_name = 'bot_users' AND column_name = 'last_full_start_at'))
+      ORDER BY table_name
+    `);
+    console.log('[MIGRATION_025] ✅ Concluída. Colunas:', result.rows.map(r => `${r.table_name}.${r.column_name}`));
+  } catch (err) {
+    console.error('[MIGRATION_025] ❌ ERRO:', err.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+runMigration();
@@ -0,0 +1,41 @@
+/**
+ * Executa migração 026 - Registro dos webhooks de pagamento
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+
+async function runMigration() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+  });
+  
+  try {
+    console.log('[MIGRATION_026] Iniciando...');
+    
+    const migrationPath = path.join(__dirname, '..', 'migrations', '026_payment_webhook_events.sql');
+    const sql = fs.readFileSync(migrationPath, 'utf-8');
+    
+    await pool.query(sql);
+    
+    const result = await pool.query(`
+      SELECT column_name 
+      FROM information_schema.columns 
+      WHERE table_schema = 'public' 
+        AND table_name = 'gateway_events'
+        AND column_name IN ('provider', 'provider_event_id', 'event_type', 'payload')
+      ORDER BY column_name
+    `);
+    console.log('[MIGRATION_026] ✅ Concluída. Colunas:', result.rows.map(r => r.column_name));
+  } catch (err) {
+    console.error('[MIGRATION_026] ❌ ERRO:', err.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+runMigration();
@@ -0,0 +1,41 @@
+/**
+ * Executa migração 027 - Ciclo de vida dos pagamentos
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+
+async function runMigration() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+  });
+  
+  try {
+    console.log('[MIGRATION_027] Iniciando...');
+    
+    const migrationPath = path.join(__dirname, '..', 'migrations', '027_payments_lifecycle.sql');
+    const sql = fs.readFileSync(migrationPath, 'utf-8');
+    
+    await pool.query(sql);
+    
+    const result = await pool.query(`
+      SELECT column_name 
+      FROM information_schema.columns 
+      WHERE table_schema = 'public' 
+        AND table_name = 'payments'
+        AND column_name IN ('bot_slug', 'telegram_id', 'paid_at', 'canceled_at', 'failed_at')
+      ORDER BY column_name
+    `);
+    console.log('[MIGRATION_027] ✅ Concluída. Colunas:', result.rows.map(r => r.column_name));
+  } catch (err) {
+    console.error('[MIGRATION_027] ❌ ERRO:', err.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+runMigration();
@@ -0,0 +1,41 @@
+/**
+ * Executa migração 028 - Catálogo de produtos por bot
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+
+async function runMigration() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+  });
+  
+  try {
+    console.log('[MIGRATION_028] Iniciando...');
+    
+    const migrationPath = path.join(__dirname, '..', 'migrations', '028_bot_products.sql');
+    const sql = fs.readFileSync(migrationPath, 'utf-8');
+    
+    await pool.query(sql);
+    
+    const result = await pool.query(`
+      SELECT table_name, column_name 
+      FROM information_schema.columns 
+      WHERE table_schema = 'public' 
+        AND ((table_name = 'bot_products' AND column_name = 'price_cents')
+          OR (table_name IN ('bot_downsells', 'payments') AND column_name = 'product_id'))
+      ORDER BY table_name
+    `);
+    console.log('[MIGRATION_028] ✅ Concluída. Colunas:', result.rows.map(r => `${r.table_name}.${r.column_name}`));
+  } catch (err) {
+    console.error('[MIGRATION_028] ❌ ERRO:', err.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+runMigration();
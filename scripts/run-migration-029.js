@@ -0,0 +1,41 @@
+/**
+ * Executa migração 029 - Entrega automática de produtos
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+
+async function runMigration() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+  });
+  
+  try {
+    console.log('[MIGRATION_029] Iniciando...');
+    
+    const migrationPath = path.join(__dirname, '..', 'migrations', '029_product_deliveries.sql');
+    const sql = fs.readFileSync(migrationPath, 'utf-8');
+    
+    await pool.query(sql);
+    
+    const result = await pool.query(`
+      SELECT table_name, column_name 
+      FROM information_schema.columns 
+      WHERE table_schema = 'public' 
+        AND ((table_name = 'bot_products' AND column_name = 'delivery_content')
+          OR (table_name = 'product_deliveries' AND column_name = 'status'))
+      ORDER BY table_name
+    `);
+    console.log('[MIGRATION_029] ✅ Concluída. Colunas:', result.rows.map(r => `${r.table_name}.${r.column_name}`));
+  } catch (err) {
+    console.error('[MIGRATION_029] ❌ ERRO:', err.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+runMigration();
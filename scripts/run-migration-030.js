@@ -0,0 +1,41 @@
+/**
+ * Executa migração 030 - Assinaturas VIP com vencimento
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+
+async function runMigration() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+  });
+  
+  try {
+    console.log('[MIGRATION_030] Iniciando...');
+    
+    const migrationPath = path.join(__dirname, '..', 'migrations', '030_bot_memberships.sql');
+    const sql = fs.readFileSync(migrationPath, 'utf-8');
+    
+    await pool.query(sql);
+    
+    const result = await pool.query(`
+      SELECT table_name, column_name 
+      FROM information_schema.columns 
+      WHERE table_schema = 'public' 
+        AND ((table_name = 'bot_products' AND column_name = 'reminder_days')
+          OR (table_name = 'bot_memberships' AND column_name = 'ends_at'))
+      ORDER BY table_name
+    `);
+    console.log('[MIGRATION_030] ✅ Concluída. Colunas:', result.rows.map(r => `${r.table_name}.${r.column_name}`));
+  } catch (err) {
+    console.error('[MIGRATION_030] ❌ ERRO:', err.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+runMigration();
@@ -0,0 +1,42 @@
+/**
+ * Executa migração 031 - Estorno e chargeback de pagamentos
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+
+async function runMigration() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+  });
+  
+  try {
+    console.log('[MIGRATION_031] Iniciando...');
+    
+    const migrationPath = path.join(__dirname, '..', 'migrations', '031_payment_reversals.sql');
+    const sql = fs.readFileSync(migrationPath, 'utf-8');
+    
+    await pool.query(sql);
+    
+    const result = await pool.query(`
+      SELECT table_name, column_name 
+      FROM information_schema.columns 
+      WHERE table_schema = 'public' 
+        AND ((table_name = 'payments' AND column_name = 'refunded_at')
+          OR (table_name = 'bot_products' AND column_name = 'revocation_content')
+          OR (table_name = 'bot_memberships' AND column_name = 'revoked_at'))
+      ORDER BY table_name
+    `);
+    console.log('[MIGRATION_031] ✅ Concluída. Colunas:', result.rows.map(r => `${r.table_name}.${r.column_name}`));
+  } catch (err) {
+    console.error('[MIGRATION_031] ❌ ERRO:', err.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+runMigration();
@@ -0,0 +1,41 @@
+/**
+ * Executa migração 032 - Status de processamento dos webhooks de pagamento
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+
+async function runMigration() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+  });
+  
+  try {
+    console.log('[MIGRATION_032] Iniciando...');
+    
+    const migrationPath = path.join(__dirname, '..', 'migrations', '032_payment_event_processing.sql');
+    const sql = fs.readFileSync(migrationPath, 'utf-8');
+    
+    await pool.query(sql);
+    
+    const result = await pool.query(`
+      SELECT table_name, column_name 
+      FROM information_schema.columns 
+      WHERE table_schema = 'public' 
+        AND table_name = 'gateway_events'
+        AND column_name IN ('processing_status', 'process_attempts', 'next_attempt_at', 'process_error', 'processed_at')
+      ORDER BY column_name
+    `);
+    console.log('[MIGRATION_032] ✅ Concluída. Colunas:', result.rows.map(r => `${r.table_name}.${r.column_name}`));
+  } catch (err) {
+    console.error('[MIGRATION_032] ❌ ERRO:', err.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+runMigration();
@@ -8,9 +8,19 @@ const dns = require('dns');
 const pino = require('pino');
 const requireAdmin = require('./middleware/requireAdmin');
 const requireTgSecret = require('./middleware/requireTgSecret');
+const requirePaymentSignature = require('./middleware/requirePaymentSignature');
 const { rateLimit, strictRateLimit } = require('./middleware/rateLimit');
 const { createQueue } = require('./lib/inMemoryQueue');
 const { insertStartEvent } = require('./lib/funnel');
+const { extractStartPayload, parseStartPayload, recordStartAttribution } = require('./lib/attributionService');
+const { resolveStartFlow } = require('./lib/startFlowService');
+const { extractUpdateUser, upsertBotUser, handleMyChatMember } = require('./lib/botUserService');
+const { resolveReturningStart, sendWelcomeBack, claimFullStart } = require('./lib/returningUserService');
+const { getBotTypingDelay, resolveStepDelay, pauseWithChatAction, invalidateCache: invalidateTypingDelayCache, parseDelay } = require('./lib/stepDelayService');
+const { handleAutoReply } = require('./lib/autoReplyService');
+const { handleBotCommand } = require('./lib/botCommandService');
+const { resolveTriggeredFlow } = require('./lib/flowService');
+const { startConversation, handleFlowInput } = require('./lib/flowEngine');
 const { recordStartLatency, observe } = require('./lib/metricsService');
 const { saveTokenBySlug, getTokenBySlug, maskToken: maskBotToken } = require('./lib/tokenService');
 const { sendMessage: sendTelegramMessage, getQueueMetrics } = require('./lib/queuedSend');
@@ -23,6 +33,15 @@ const { scheduleDownsell, scheduleDownsellsForStart, scheduleDownsellsForPix, li
 const downsellWorker = require('./lib/downsellWorker');
 const downsellScheduler = require('./lib/downsellScheduler');
 const shotWorker = require('./lib/shotWorker');
+const flowWorker = require('./lib/flowWorker');
+const deliveryWorker = require('./lib/deliveryWorker');
+const membershipWorker = require('./lib/membershipWorker');
+const paymentEventWorker = require('./lib/paymentEventWorker');
+const { validateButtons, isButtonsError } = require('./lib/inlineKeyboard');
+const { handleCallbackQuery } = require('./lib/callbackRouter');
+const { recordInboundUpdate, markUpdateResult, startRetentionCleanup: startInboundUpdatesCleanup } = require('./lib/inboundUpdateService');
+const { markWebhookMode } = require('./lib/updateModeService');
+const pollingWorker = require('./lib/pollingWorker');
 
 // Logger otimizado para hot paths
 const log = pino({ level: process.env.LOG_LEVEL || 'info' });
@@ -240,7 +259,15 @@ const PORT = process.env.PORT || 3000;
 const publicDirectory = path.join(__dirname, 'public');
 
 // Aumentar limite para suportar uploads de imagens em base64 (50MB)
-app.use(express.json({ limit: '50mb' }));
+// Webhooks de pagamento guardam o corpo bruto: a assinatura HMAC é sobre os bytes recebidos
+app.use(express.json({
+  limit: '50mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payment/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 
 // Admin UI (arquivos estáticos)
 const adminDirectory = path.join(publicDirectory, 'admin');
@@ -265,16 +292,138 @@ function rid() {
   return crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2,8)}`;
 }
 
+/**
+ * Sequência do /start (mídias + textos) com as pausas entre etapas
+ * Roda em background: as pausas (até MAX_STEP_DELAY_MS cada) não seguram o processamento do update
+ * @param {object} params - { slug, chat_id, messages, hasMedia, mediaRefs, language_code, request_id, startSessionId, enqueueStart }
+ */
+async function sendStartSequence({ slug, chat_id, messages, hasMedia, mediaRefs, language_code, request_id, startSessionId, enqueueStart }) {
+  // Enviar primeira mensagem e medir latência
+  const sendStart = Date.now();
+  let firstMessageSent = false;
+  // Pausa padrão entre etapas (cada etapa pode ter delay_ms próprio)
+  const typingDelay = await getBotTypingDelay(pgPool, slug);
+  
+  // Se há mídias, enviar as mídias primeiro (separadas, sem caption)
+  if (hasMedia && mediaRefs.length > 0) {
+    const { sendMultipleMedias } = require('./lib/multiMediaSendService');
+    
+    try {
+      const mediaResult = await sendMultipleMedias(pgPool, {
+        slug,
+        chat_id,
+        media_refs: mediaRefs,
+        purpose: 'start',
+        default_delay_ms: typingDelay
+      });
+      
+      if (mediaResult.ok) {
+        firstMessageSent = true;
+        console.info('[START][MULTI_MEDIA_SENT]', {
+          slug,
+          chat_id,
+          media_count: mediaRefs.length,
+          success_count: mediaResult.summary.success,
+          total_ms: mediaResult.total_ms
+        });
+      } else {
+        console.warn('[START][MULTI_MEDIA_FAILED]', {
+          slug,
+          chat_id,
+          media_count: mediaRefs.length,
+          errors: mediaResult.summary.errors
+        });
+      }
+    } catch (err) {
+      console.error('[START][MULTI_MEDIA_ERR]', {
+        slug,
+        chat_id,
+        error: err.message
+      });
+    }
+  }
+  
+  // Enviar mensagens de texto (após as mídias, se houver)
+  for (let i = 0; i < messages.length; i++) {
+    const message = prepareMessageForSend(messages[i]);
+    
+    // Digitando... antes da etapa (a lane START fica livre para outros usuários)
+    await pauseWithChatAction(pgPool, {
+      slug,
+      chat_id,
+      kind: 'text',
+      delay_ms: resolveStepDelay(message, typingDelay, i === 0 && !hasMedia)
+    });
+    
+    const result = await sendTelegramMessage(pgPool, {
+      slug,
+      chat_id,
+      text: message.text,
+      parse_mode: message.parse_mode || 'MarkdownV2',
+      disable_web_page_preview: message.disable_web_page_preview !== false,
+      raw: message.raw || false,
+      buttons: message.buttons,
+      variants: message.variants,
+      language_code,
+      purpose: 'start',
+      request_id: `start_${request_id}_${i}`,
+      start_session_id: startSessionId
+    });
+    
+    if (result.ok) {
+      console.info('[START][SEND][OK]', {
+        slug,
+        chat_id,
+        message_id: result.message_id,
+        sequence: i + 1,
+        lat_ms: result.lat_ms,
+        telegram_http_ms: result.telegram_lat_ms,
+        queue_wait_ms: result.queue_wait_ms || 0
+      });
+      
+      // Registrar métrica de latência apenas da primeira mensagem
+      if (!firstMessageSent) {
+        const totalLatency = Date.now() - sendStart;
+        recordStartLatency(slug, totalLatency);
+        observe('start_first_send_latency_ms', totalLatency, { bot: slug });
+        firstMessageSent = true;
+      }
+    } else {
+      console.error('[START][SEND][ERR]', {
+        slug,
+        chat_id,
+        error: result.error,
+        lat_ms: result.lat_ms
+      });
+    }
+  }
+  
+  // Métricas finais
+  const totalEnqueueLat = Date.now() - enqueueStart;
+  observe('start_enqueue_total_ms', totalEnqueueLat, { bot: slug });
+  
+  console.info('[START][ENQUEUE_COMPLETE]', {
+    request_id,
+    slug,
+    chat_id,
+    total_enqueue_ms: totalEnqueueLat,
+    media_sent: hasMedia ? mediaRefs.length : 0,
+    text_messages: messages.length
+  });
+}
+
 /**
  * Processa update do webhook de forma assíncrona
+ * @returns {Promise<object>} { ok, error, done_ms }
  */
 async function processUpdate({ slug, update, request_id, received_at }) {
   const t0 = Date.now();
   const start_enqueue_ms = t0 - received_at;
   const chatId = update?.message?.chat?.id || update?.callback_query?.message?.chat?.id || null;
-  const kind = update?.message ? 'message' : update?.callback_query ? 'callback_query' : 'other';
+  const kind = update?.message ? 'message' : update?.callback_query ? 'callback_query' : update?.my_chat_member ? 'my_chat_member' : 'other';
 
   log.info({ request_id, slug, kind, chatId, start_enqueue_ms }, '[WEBHOOK:PROCESS]');
+  let processError = null;
 
   try {
     const msg = update && update.message;
@@ -289,24 +438,104 @@ async function processUpdate({ slug, update, request_id, received_at }) {
       }
     }
 
+    const isStartCommand = !!messageChatId && (text === '/start' || text.toLowerCase() === 'start' || text.startsWith('/start '));
+    
+    // Registro de assinantes: upsert a cada update (não bloqueia o processamento)
+    const updateUser = extractUpdateUser(update);
+    if (updateUser && pgPool) {
+      upsertBotUser(pgPool, {
+        slug,
+        user: updateUser,
+        is_start: isStartCommand,
+        payload: isStartCommand ? extractStartPayload(text) : null,
+        seenAt: new Date()
+      }).catch(err => {
+        console.error('[BOT_USERS][UPSERT][ERR]', { request_id, slug, telegram_id: updateUser.id, error: err.message });
+      });
+    }
+    
+    // Bloqueio/desbloqueio do bot pelo usuário
+    if (update && update.my_chat_member && pgPool) {
+      await handleMyChatMember(pgPool, { slug, my_chat_member: update.my_chat_member, request_id });
+    }
+    
+    // Clique em botão inline: sempre responder e executar a ação configurada
+    if (update && update.callback_query && pgPool) {
+      await handleCallbackQuery(pgPool, { slug, callback_query: update.callback_query, request_id });
+    }
+
     // Detecta /start - SEM DEDUPE (sempre enviar)
-    if (messageChatId && (text === '/start' || text.toLowerCase() === 'start' || text.startsWith('/start '))) {
+    if (isStartCommand) {
       const enqueueStart = Date.now();
+      // Origem do deep-link (/start <payload>), null se /start simples
+      const startSource = parseStartPayload(extractStartPayload(text));
+      // Fluxo de /start da campanha (null = fluxo padrão)
+      let startFlow = null;
+      // Fluxo de conversa com gatilho /start (substitui mensagem inicial e downsells)
+      let conversationFlow = null;
+      // Variante do teste A/B da mensagem inicial (null = sem experimento)
+      let startVariant = null;
+      // Política de retorno: { welcome_back, policy } (fluxos de conversa não passam por ela)
+      let returningStart = { welcome_back: false, policy: null };
       
       try {
-        // Enviar mensagens configuradas (prioridade máxima)
-        if (pgPool) {
+        conversationFlow = pgPool
+          ? await resolveTriggeredFlow(pgPool, slug, { trigger: 'start', payload: startSource ? startSource.payload : null })
+          : null;
+        
+        if (!conversationFlow && pgPool) {
+          returningStart = await resolveReturningStart(pgPool, { slug, telegram_id: parseInt(messageChatId, 10), now: new Date() });
+        }
+        
+        if (conversationFlow) {
+          const flowResult = await startConversation(pgPool, {
+            slug,
+            flow: conversationFlow,
+            telegram_id: parseInt(messageChatId, 10),
+            vars: startSource ? { payload: startSource.payload, campaign: startSource.campaign } : {},
+            request_id
+          });
+          console.info('[START][USING_CONVERSATION_FLOW]', { request_id, slug, flow: conversationFlow.flow_key, status: flowResult.status });
+        } else if (returningStart.welcome_back) {
+          // Usuário que volta dentro do cooldown: só boas-vindas (sem sequência completa nem downsells)
+          const result = await sendWelcomeBack(pgPool, {
+            slug,
+            chat_id: messageChatId,
+            policy: returningStart.policy,
+            language_code: msg.from?.language_code || null,
+            request_id: `start_${request_id}_welcome_back`
+          });
+          observe('start_welcome_back_total', 1, { bot: slug, ok: !!result.ok });
+          console.info('[START][WELCOME_BACK]', { request_id, slug, chat_id: messageChatId, ok: !!result.ok, error: result.error });
+        } else if (pgPool) {
+          // Enviar mensagens configuradas (prioridade máxima)
           const startSessionId = `${messageChatId}_${Date.now()}`;
           
-          // 1. Verificar se há mensagem personalizada simples (start_message)
-          const { getStartMessage } = require('./lib/startMessageService');
-          const startMessageConfig = await getStartMessage(pgPool, slug);
+          // 1. Fluxo da campanha (deep-link) ou mensagem personalizada simples (start_message)
+          startFlow = startSource ? await resolveStartFlow(pgPool, slug, startSource.payload) : null;
+          const { getStartMessage, assignStartVariant } = require('./lib/startMessageService');
+          const startMessageConfig = startFlow ? null : await getStartMessage(pgPool, slug);
           
           let messages = [];
           let hasMedia = false;
           let mediaRefs = [];
           
-          if (startMessageConfig.active && startMessageConfig.message) {
+          if (startFlow) {
+            console.info('[START][USING_FLOW]', { slug, flow_id: startFlow.id, flow: startFlow.name, payload: startSource.payload });
+            observe('start_flow_used_total', 1, { bot: slug, flow: startFlow.name });
+            
+            if (Array.isArray(startFlow.media_refs) && startFlow.media_refs.length > 0) {
+              hasMedia = true;
+              mediaRefs = startFlow.media_refs;
+            }
+            
+            if (startFlow.message && startFlow.message.text) {
+              messages = [{
+                message_type: 'text',
+                content: startFlow.message
+              }];
+            }
+          } else if (startMessageConfig.active && startMessageConfig.message) {
             // Usar mensagem personalizada simples
             console.info('[START][USING_CUSTOM_MESSAGE]', { slug });
             observe('start_config_used_total', 1, { bot: slug, active: true });
@@ -322,9 +551,23 @@ async function processUpdate({ slug, update, request_id, received_at }) {
               });
             }
             
+            // Teste A/B: variante fixa do usuário (falha no sorteio = mensagem padrão)
+            startVariant = await assignStartVariant(pgPool, {
+              slug,
+              experiment: startMessageConfig.experiment,
+              telegram_id: parseInt(messageChatId, 10)
+            }).catch(err => {
+              console.error('[START][AB][ERR]', { slug, chat_id: messageChatId, error: err.message });
+              return null;
+            });
+            if (startVariant) {
+              console.info('[START][AB][VARIANT]', { slug, experiment_id: startVariant.experiment_id, variant: startVariant.key });
+              observe('start_ab_variant_total', 1, { bot: slug, variant: startVariant.key });
+            }
+            
             messages = [{
               message_type: 'text',
-              content: startMessageConfig.message
+              content: startVariant?.message || startMessageConfig.message
             }];
           } else {
             // Registrar uso de fallback
@@ -343,113 +586,33 @@ async function processUpdate({ slug, update, request_id, received_at }) {
             }
           }
           
-          // Enviar primeira mensagem e medir latência
-          const sendStart = Date.now();
-          let firstMessageSent = false;
-          
-          // Se há mídias, enviar as mídias primeiro (separadas, sem caption)
-          if (hasMedia && mediaRefs.length > 0) {
-            const { sendMultipleMedias } = require('./lib/multiMediaSendService');
-            
-            try {
-              const mediaResult = await sendMultipleMedias(pgPool, {
-                slug,
-                chat_id: messageChatId,
-                media_refs: mediaRefs,
-                purpose: 'start'
-              });
-              
-              if (mediaResult.ok) {
-                firstMessageSent = true;
-                console.info('[START][MULTI_MEDIA_SENT]', {
-                  slug,
-                  chat_id: messageChatId,
-                  media_count: mediaRefs.length,
-                  success_count: mediaResult.summary.success,
-                  total_ms: mediaResult.total_ms
-                });
-              } else {
-                console.warn('[START][MULTI_MEDIA_FAILED]', {
-                  slug,
-                  chat_id: messageChatId,
-                  media_count: mediaRefs.length,
-                  errors: mediaResult.summary.errors
-                });
-              }
-            } catch (err) {
-              console.error('[START][MULTI_MEDIA_ERR]', {
-                slug,
-                chat_id: messageChatId,
-                error: err.message
-              });
-            }
-          }
-          
-          // Enviar mensagens de texto (após as mídias, se houver)
-          for (let i = 0; i < messages.length; i++) {
-            const message = prepareMessageForSend(messages[i]);
-            
-            const result = await sendTelegramMessage(pgPool, {
+          // Sequência e downsells em background: o update não espera as pausas entre etapas
+          setImmediate(async () => {
+            await sendStartSequence({
               slug,
               chat_id: messageChatId,
-              text: message.text,
-              parse_mode: message.parse_mode || 'MarkdownV2',
-              disable_web_page_preview: message.disable_web_page_preview !== false,
-              raw: message.raw || false,
-              purpose: 'start',
-              request_id: `start_${request_id}_${i}`,
-              start_session_id: startSessionId
+              messages,
+              hasMedia,
+              mediaRefs,
+              language_code: msg.from?.language_code || null,
+              request_id,
+              startSessionId,
+              enqueueStart
+            }).catch(err => {
+              console.error('[START][SEQUENCE][ERR]', { slug, chat_id: messageChatId, error: err.message });
             });
             
-            if (result.ok) {
-              console.info('[START][SEND][OK]', {
-                slug,
-                chat_id: messageChatId,
-                message_id: result.message_id,
-                sequence: i + 1,
-                lat_ms: result.lat_ms,
-                telegram_http_ms: result.telegram_lat_ms,
-                queue_wait_ms: result.queue_wait_ms || 0
-              });
-              
-              // Registrar métrica de latência apenas da primeira mensagem
-              if (!firstMessageSent) {
-                const totalLatency = Date.now() - sendStart;
-                recordStartLatency(slug, totalLatency);
-                observe('start_first_send_latency_ms', totalLatency, { bot: slug });
-                firstMessageSent = true;
-              }
-            } else {
-              console.error('[START][SEND][ERR]', {
-                slug,
-                chat_id: messageChatId,
-                error: result.error,
-                lat_ms: result.lat_ms
-              });
-            }
-          }
-          
-          // Métricas finais
-          const totalEnqueueLat = Date.now() - enqueueStart;
-          observe('start_enqueue_total_ms', totalEnqueueLat, { bot: slug });
-          
-          console.info('[START][ENQUEUE_COMPLETE]', {
-            request_id,
-            slug,
-            chat_id: messageChatId,
-            total_enqueue_ms: totalEnqueueLat,
-            media_sent: hasMedia ? mediaRefs.length : 0,
-            text_messages: messages.length
-          });
-          
-          // Agendar downsells ativos após /start (em background)
-          setImmediate(async () => {
+            // Agendar downsells ativos após a sequência do /start
             try {
               const scheduled = await scheduleDownsellsForStart(pgPool, {
                 bot_slug: slug,
                 telegram_id: parseInt(messageChatId, 10),
                 correlation_id: request_id,
-                now: new Date()
+                now: new Date(),
+                // Fluxo de campanha com conjunto próprio; null segue os downsells after_start
+                downsell_ids: startFlow && Array.isArray(startFlow.downsell_ids) ? startFlow.downsell_ids : undefined,
+                start_flow_id: startFlow ? startFlow.id : undefined,
+                skip_existing: !!returningStart.policy && !returningStart.policy.reschedule_downsells
               });
               
               if (scheduled > 0) {
@@ -461,9 +624,41 @@ async function processUpdate({ slug, update, request_id, received_at }) {
           });
         }
         
-        // Gravar evento de funil (não bloqueia envio) - em background
+        // Gravar evento de funil e atribuição (não bloqueia envio) - em background
         setImmediate(() => {
-          insertStartEvent(pgPool, { slug, tg_id: messageChatId, occurredAt: new Date() })
+          let funnelMeta = startSource
+            ? { payload: startSource.payload, campaign: startSource.campaign, utm: startSource.utm, params: startSource.params }
+            : null;
+          if (funnelMeta && startFlow) {
+            funnelMeta.start_flow_id = startFlow.id;
+            funnelMeta.start_flow = startFlow.name;
+          }
+          if (conversationFlow) {
+            funnelMeta = { ...(funnelMeta || {}), conversation_flow: conversationFlow.flow_key };
+          }
+          if (startVariant) {
+            funnelMeta = { ...(funnelMeta || {}), start_experiment: startVariant.experiment_id, start_variant: startVariant.key };
+          }
+          if (returningStart.welcome_back) {
+            funnelMeta = { ...(funnelMeta || {}), returning: true };
+          } else if (!returningStart.policy && !conversationFlow && pgPool) {
+            // Política desativada: registra a sequência completa para quando for ativada
+            claimFullStart(pgPool, { slug, telegram_id: parseInt(messageChatId, 10) }).catch(e => {
+              console.error('[START][FULL_START_MARK][ERR]', { slug, chatId: messageChatId, err: e?.message });
+            });
+          }
+
+          recordStartAttribution(pgPool, { slug, telegram_id: parseInt(messageChatId, 10), source: startSource })
+            .then(attr => {
+              if (startSource) {
+                console.info('[START][ATTRIBUTION]', { slug, chat_id: messageChatId, campaign: startSource.campaign, first_touch: attr.first_touch });
+              }
+            })
+            .catch(e => {
+              console.error('[START][ATTRIBUTION][ERR]', { slug, chatId: messageChatId, err: e?.message });
+            });
+
+          insertStartEvent(pgPool, { slug, tg_id: messageChatId, meta: funnelMeta, occurredAt: new Date() })
             .then(funnelResult => {
               const funnel_insert_ms = Date.now() - enqueueStart;
               observe('start_funnel_insert_ms', funnel_insert_ms, { bot: slug });
@@ -482,14 +677,76 @@ async function processUpdate({ slug, update, request_id, received_at }) {
       } catch (e) {
         console.error('[START][ERR]', { slug, chatId: messageChatId, err: e?.message });
       }
+    } else if (messageChatId && text && pgPool) {
+      // Comandos personalizados têm precedência sobre as respostas automáticas
+      const commandResult = text.startsWith('/')
+        ? await handleBotCommand(pgPool, { slug, chat_id: messageChatId, text, language_code: msg.from?.language_code, request_id })
+        : { matched: false };
+      
+      // Resposta a uma pergunta (button_choice) de fluxo de conversa em andamento
+      const flowResult = commandResult.matched
+        ? { matched: false }
+        : await handleFlowInput(pgPool, { slug, telegram_id: parseInt(messageChatId, 10), text, request_id })
+          .catch(err => {
+            console.error('[FLOW][INPUT][ERR]', { request_id, slug, error: err.message });
+            return { matched: false };
+          });
+      
+      // Demais textos: respostas automáticas por palavra-chave
+      if (!commandResult.matched && !flowResult.matched) {
+        await handleAutoReply(pgPool, { slug, chat_id: messageChatId, text, request_id });
+      }
     }
   } catch (err) {
     console.error('[WEBHOOK][PROCESS][ERR]', err?.message || err);
+    processError = err?.message || String(err);
   }
 
   const done_ms = Date.now() - t0;
   observe('webhook_done_ms', done_ms, { bot: slug });
   console.info('[WEBHOOK:DONE]', { request_id, slug, done_ms });
+  return { ok: !processError, error: processError, done_ms };
+}
+
+/**
+ * Pipeline de entrada de updates (webhook e long-polling)
+ * Log durável + dedupe por update_id (retentativas do Telegram); sem banco, processa assim mesmo
+ * background: retorna após o registro e processa depois (webhook); sem ele espera o processamento,
+ * para o long-polling tratar os updates de cada bot em ordem
+ */
+async function ingestUpdate({ slug, update, request_id, received_at, background = false }) {
+  let inbound = null;
+  let pool = null;
+  try {
+    pool = pgPool || await getPgPool();
+    if (pool && Number.isInteger(update?.update_id)) {
+      inbound = await recordInboundUpdate(pool, { slug, update });
+    }
+  } catch (err) {
+    log.error({ request_id, slug, err: String(err) }, '[WEBHOOK][INBOUND_LOG_ERR]');
+  }
+
+  if (inbound && inbound.duplicate) {
+    log.warn({ request_id, slug, update_id: update.update_id, status: inbound.status }, '[WEBHOOK][DUPLICATE_UPDATE]');
+    return;
+  }
+
+  const run = async () => {
+    try {
+      const result = await processUpdate({ slug, update, request_id, received_at });
+      if (inbound) {
+        await markUpdateResult(pool, inbound.id, { ok: result.ok, error: result.error, duration_ms: result.done_ms });
+      }
+    } catch (err) {
+      log.error({ request_id, slug, err: String(err) }, '[WEBHOOK][BG_ERR]');
+    }
+  };
+
+  if (background) {
+    setImmediate(run);
+    return;
+  }
+  await run();
 }
 
 // rota do webhook — Fast-path com ACK imediato (SEM async)
@@ -516,12 +773,10 @@ app.post('/tg/:slug/webhook', requireTgSecret, (req, res) => {
   log.info({ request_id, slug, ack_ms }, '[WEBHOOK][ACK_MS]');
 
   // Processar em background com setImmediate (não bloqueia event loop)
-  setImmediate(async () => {
-    try {
-      await processUpdate({ slug, update, request_id, received_at: started });
-    } catch (err) {
+  setImmediate(() => {
+    ingestUpdate({ slug, update, request_id, received_at: started, background: true }).catch(err => {
       log.error({ request_id, slug, err: String(err) }, '[WEBHOOK][BG_ERR]');
-    }
+    });
   });
 });
 
@@ -536,7 +791,7 @@ app.get('/api/admin/bots', rateLimit, requireAdmin, async (req, res) => {
     if (pool) {
       const sel = `SELECT name, slug, provider, use_album,
                   (token_encrypted IS NOT NULL AND token_iv IS NOT NULL) AS has_token,
-                  token_updated_at,
+                  token_updated_at, typing_delay_ms,
                   created_at
              FROM public.bots
              WHERE deleted_at IS NULL
@@ -553,7 +808,7 @@ app.get('/api/admin/bots', rateLimit, requireAdmin, async (req, res) => {
         rate_per_minute: IMMUTABLE_DEFAULTS.rate_per_minute,
         sandbox:          IMMUTABLE_DEFAULTS.sandbox,
         renderer:         IMMUTABLE_DEFAULTS.renderer,
-        typing_delay_ms:  IMMUTABLE_DEFAULTS.typing_delay_ms,
+        typing_delay_ms:  r.typing_delay_ms ?? IMMUTABLE_DEFAULTS.typing_delay_ms,
         watermark:        IMMUTABLE_DEFAULTS.watermark,
         webhook_url: `${publicBase}/tg/${encodeURIComponent(r.slug)}/webhook`,
         created_at: r.created_at
@@ -859,6 +1114,7 @@ app.get('/api/admin/bots/:slug', rateLimit, requireAdmin, async (req, res) => {
         SELECT name, slug, provider, use_album,
                (token_encrypted IS NOT NULL AND token_iv IS NOT NULL) AS has_token,
                token_updated_at,
+               typing_delay_ms,
                created_at,
                deleted_at
         FROM public.bots
@@ -890,7 +1146,7 @@ app.get('/api/admin/bots/:slug', rateLimit, requireAdmin, async (req, res) => {
         rate_per_minute: IMMUTABLE_DEFAULTS.rate_per_minute,
         sandbox: IMMUTABLE_DEFAULTS.sandbox,
         renderer: IMMUTABLE_DEFAULTS.renderer,
-        typing_delay_ms: IMMUTABLE_DEFAULTS.typing_delay_ms,
+        typing_delay_ms: row.typing_delay_ms ?? IMMUTABLE_DEFAULTS.typing_delay_ms,
         watermark: IMMUTABLE_DEFAULTS.watermark,
         webhook_url: `${publicBase}/tg/${encodeURIComponent(row.slug)}/webhook`,
         created_at: row.created_at
@@ -916,6 +1172,49 @@ app.get('/api/admin/bots/:slug', rateLimit, requireAdmin, async (req, res) => {
   }
 });
 
+// Endpoint: Pausa padrão entre etapas das sequências (/start, downsell, disparo) com "digitando..."
+app.put('/api/admin/bots/:slug/typing-delay', rateLimit, requireAdmin, async (req, res) => {
+  const request_id = genReqId();
+  const slug = (req.params.slug || '').trim();
+
+  if (!slug) {
+    return res.status(400).json({ ok: false, error: 'MISSING_SLUG' });
+  }
+
+  let typing_delay_ms;
+  try {
+    typing_delay_ms = parseDelay(req.body?.typing_delay_ms);
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+  if (typing_delay_ms === null) {
+    return res.status(400).json({ ok: false, error: 'MISSING_TYPING_DELAY_MS' });
+  }
+
+  const pool = await getPgPool();
+  if (!pool) {
+    return res.status(503).json({ ok: false, error: 'DATABASE_NOT_AVAILABLE' });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE public.bots SET typing_delay_ms = $2 WHERE slug = $1 AND deleted_at IS NULL RETURNING typing_delay_ms`,
+      [slug, typing_delay_ms]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ ok: false, error: 'BOT_NOT_FOUND' });
+    }
+
+    invalidateTypingDelayCache(slug);
+    console.info('[ADMIN_BOT][TYPING_DELAY][SET]', { request_id, slug, typing_delay_ms });
+    return res.json({ ok: true, slug, typing_delay_ms: result.rows[0].typing_delay_ms });
+  } catch (err) {
+    console.error('[ADMIN_BOT][TYPING_DELAY][ERR]', { request_id, slug, err: err?.message });
+    return res.status(500).json({ ok: false, error: 'UPDATE_FAILED' });
+  }
+});
+
 // Endpoint: Deletar bot (soft delete por padrão, hard delete com ?hard=1) (strict rate limit)
 app.delete('/api/admin/bots/:slug', strictRateLimit, requireAdmin, async (req, res) => {
   const request_id = genReqId();
@@ -1060,7 +1359,7 @@ app.delete('/api/admin/bots/:slug', strictRateLimit, requireAdmin, async (req, r
 app.post('/api/admin/bots/:slug/send-test', strictRateLimit, requireAdmin, async (req, res) => {
   const request_id = genReqId();
   const slug = (req.params.slug || '').trim();
-  const { chat_id, text } = req.body || {};
+  const { chat_id, text, buttons } = req.body || {};
 
   if (!slug) {
     console.warn('[SEND_TEST][INVALID]', { request_id, error: 'MISSING_SLUG' });
@@ -1077,6 +1376,14 @@ app.post('/api/admin/bots/:slug/send-test', strictRateLimit, requireAdmin, async
     return res.status(400).json({ ok: false, error: 'MISSING_TEXT' });
   }
 
+  let validButtons;
+  try {
+    validButtons = validateButtons(buttons);
+  } catch (err) {
+    console.warn('[SEND_TEST][INVALID]', { request_id, slug, error: err.message });
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+
   const pool = await getPgPool();
   if (!pool) {
     console.error('[SEND_TEST][ERR]', { request_id, slug, error: 'DATABASE_NOT_AVAILABLE' });
@@ -1095,6 +1402,7 @@ app.post('/api/admin/bots/:slug/send-test', strictRateLimit, requireAdmin, async
       slug,
       chat_id,
       text: text.trim(),
+      buttons: validButtons,
       purpose: 'send-test',
       request_id
     });
@@ -1235,7 +1543,7 @@ app.get('/api/admin/bots/:slug/start-message', requireAdmin, async (req, res) =>
 app.put('/api/admin/bots/:slug/start-message', requireAdmin, async (req, res) => {
   const request_id = genReqId();
   const slug = (req.params.slug || '').trim();
-  const { active, message, start_media_refs } = req.body || {};
+  const { active, message, start_media_refs, experiment } = req.body || {};
 
   if (!slug) {
     return res.status(400).json({ ok: false, error: 'SLUG_REQUIRED' });
@@ -1243,7 +1551,7 @@ app.put('/api/admin/bots/:slug/start-message', requireAdmin, async (req, res) =>
 
   try {
     const pool = await getPgPool();
-    const data = await startMessageService.saveStartMessage(pool, slug, { active, message, start_media_refs });
+    const data = await startMessageService.saveStartMessage(pool, slug, { active, message, start_media_refs, experiment });
     console.info('[ADMIN][START_MESSAGE][SAVE]', { request_id, slug, active: data.active, media_count: start_media_refs?.length || 0 });
     return res.json({ ok: true, ...data });
   } catch (err) {
@@ -1277,6 +1585,34 @@ app.put('/api/admin/bots/:slug/start-message', requireAdmin, async (req, res) =>
     if (err.message === 'INVALID_MEDIA_KIND') {
       return res.status(400).json({ ok: false, error: 'INVALID_MEDIA_KIND' });
     }
+    if (isButtonsError(err.message) || err.message.startsWith('START_EXPERIMENT_') || /^(MESSAGE_VARIANT|INVALID_LANGUAGE_CODE|INVALID_DELAY_MS)/.test(err.message)) {
+      return res.status(400).json({ ok: false, error: err.message });
+    }
+    
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// GET /api/admin/bots/:slug/start-message/experiment - Relatório do teste A/B
+app.get('/api/admin/bots/:slug/start-message/experiment', requireAdmin, async (req, res) => {
+  const request_id = genReqId();
+  const slug = (req.params.slug || '').trim();
+
+  if (!slug) {
+    return res.status(400).json({ ok: false, error: 'SLUG_REQUIRED' });
+  }
+
+  try {
+    const pool = await getPgPool();
+    const report = await startMessageService.getExperimentReport(pool, slug);
+    console.info('[ADMIN][START_MESSAGE][EXPERIMENT]', { request_id, slug, experiment_id: report.experiment_id, variants: report.variants.length });
+    return res.json({ ok: true, ...report });
+  } catch (err) {
+    console.error('[ADMIN][START_MESSAGE][EXPERIMENT][ERR]', { request_id, slug, error: err.message });
+    
+    if (err.message === 'START_EXPERIMENT_NOT_FOUND') {
+      return res.status(404).json({ ok: false, error: 'START_EXPERIMENT_NOT_FOUND' });
+    }
     
     return res.status(500).json({ ok: false, error: err.message });
   }
@@ -1310,15 +1646,32 @@ app.post('/api/admin/bots/:slug/start-message:test', requireAdmin, async (req, r
     if (err.message === 'MESSAGE_TEXT_TOO_LONG') {
       return res.status(400).json({ ok: false, error: 'MESSAGE_TEXT_TOO_LONG' });
     }
+    if (isButtonsError(err.message)) {
+      return res.status(400).json({ ok: false, error: err.message });
+    }
     
     return res.status(500).json({ ok: false, error: err.message });
   }
 });
 
-// Registrar endpoints de downsells e disparos
-const { registerDownsellEndpoints, registerShotEndpoints } = require('./lib/adminEndpoints');
+// Registrar endpoints de downsells, disparos e ações de botões
+const { registerDownsellEndpoints, registerShotEndpoints, registerCallbackActionEndpoints, registerFunnelReportEndpoints, registerStartFlowEndpoints, registerBotUserEndpoints, registerAutoReplyEndpoints, registerBotCommandEndpoints, registerFlowEndpoints, registerInboundUpdateEndpoints, registerUpdateModeEndpoints, registerTemplateEndpoints, registerReturningPolicyEndpoints, registerPaymentEndpoints, registerProductEndpoints, registerMembershipEndpoints } = require('./lib/adminEndpoints');
 registerDownsellEndpoints(app, requireAdmin, getPgPool);
 registerShotEndpoints(app, requireAdmin, getPgPool);
+registerCallbackActionEndpoints(app, requireAdmin, getPgPool);
+registerFunnelReportEndpoints(app, requireAdmin, getPgPool);
+registerStartFlowEndpoints(app, requireAdmin, getPgPool);
+registerBotUserEndpoints(app, requireAdmin, getPgPool);
+registerAutoReplyEndpoints(app, requireAdmin, getPgPool);
+registerBotCommandEndpoints(app, requireAdmin, getPgPool);
+registerFlowEndpoints(app, requireAdmin, getPgPool);
+registerInboundUpdateEndpoints(app, requireAdmin, getPgPool, processUpdate);
+registerUpdateModeEndpoints(app, requireAdmin, getPgPool);
+registerTemplateEndpoints(app, requireAdmin);
+registerReturningPolicyEndpoints(app, requireAdmin, getPgPool);
+registerPaymentEndpoints(app, requireAdmin, getPgPool);
+registerProductEndpoints(app, requireAdmin, getPgPool);
+registerMembershipEndpoints(app, requireAdmin, getPgPool);
 
 // Endpoint: Obter métricas de envio (legado)
 app.get('/api/admin/metrics/send', requireAdmin, async (req, res) => {
@@ -1459,6 +1812,9 @@ app.post('/api/admin/bots/:slug/webhook/set', requireAdmin, async (req, res) =>
     const data = await response.json();
 
     if (data.ok) {
+      // Webhook registrado: sai do modo polling (senão o worker removeria o webhook no 409)
+      await markWebhookMode(pool, slug);
+
       console.info('[WEBHOOK][SET][OK]', {
         request_id,
         slug,
@@ -1697,81 +2053,213 @@ app.post('/api/telegram/validate-token', async (req, res) => {
 // ========== WEBHOOKS DE PAGAMENTO (PIX) ==========
 // NOTA: Integre estes endpoints com seu gateway de pagamento
 // Eles gerenciam agendamento de downsells e cancelamento ao pagar
-const paymentWebhookService = require('./lib/paymentWebhookService');
+// Chamadas exigem assinatura HMAC (requirePaymentSignature) e X-Payment-Provider
+const { recordPaymentEvent } = require('./lib/paymentSignatureService');
+const { processPaymentEvent } = require('./lib/paymentEventWorker');
+
+/**
+ * Registra a chamada assinada em gateway_events antes do ACK
+ * O payload gravado é o evento normalizado: o paymentEventWorker reprocessa se o background falhar
+ * Reenvio do mesmo evento (provider + event id) recebe 200 sem reprocessar
+ * @returns {Promise<object|null>} Linha registrada { id, payload, process_attempts }; null = resposta já enviada
+ */
+async function acceptPaymentEvent(req, res, { request_id, event_type }) {
+  const provider = req.paymentProvider;
+  // Chave de dedupe só do corpo assinado: header fora do HMAC permitiria reenviar a mesma chamada com outro id
+  const event_id = (req.body?.event_id ?? '').toString().trim();
+  const header_event_id = req.get('x-webhook-event-id');
+
+  if (header_event_id !== undefined && header_event_id.trim() !== event_id) {
+    console.warn('[PAYMENT_WEBHOOK][EVENT_ID_MISMATCH]', { request_id, provider, event_type });
+    res.status(400).json({ ok: false, error: 'PAYMENT_EVENT_ID_MISMATCH' });
+    return null;
+  }
+
+  if (!event_id) {
+    console.warn('[PAYMENT_WEBHOOK][EVENT_ID_MISSING]', { request_id, provider, event_type });
+    res.status(400).json({ ok: false, error: 'PAYMENT_EVENT_ID_MISSING' });
+    return null;
+  }
+
+  const event = {
+    provider,
+    event_id,
+    event_type,
+    transaction_id: req.body?.transaction_id,
+    bot_slug: req.body?.bot_slug,
+    telegram_id: req.body?.telegram_id,
+    amount_cents: req.body?.amount_cents,
+    correlation_id: req.body?.correlation_id,
+    raw: req.body
+  };
+
+  let id;
+  try {
+    const pool = await getPgPool();
+    id = await recordPaymentEvent(pool, {
+      provider,
+      event_id,
+      event_type,
+      slug: event.bot_slug,
+      telegram_id: event.telegram_id,
+      request_id,
+      payload: event
+    });
+
+    if (!id) {
+      console.info('[PAYMENT_WEBHOOK][DUPLICATE]', { request_id, provider, event_id, event_type });
+      res.status(200).json({ ok: true, duplicate: true });
+      return null;
+    }
+  } catch (err) {
+    // Sem registro não há dedupe: 500 para o provedor reenviar
+    console.error('[PAYMENT_WEBHOOK][RECORD][ERR]', { request_id, provider, event_id, error: err.message });
+    res.status(500).json({ ok: false, error: 'PAYMENT_EVENT_RECORD_FAILED' });
+    return null;
+  }
 
-// Webhook: PIX criado (agenda downsells com gatilho PIX)
-app.post('/api/payment/webhook/pix-created', async (req, res) => {
-  const started = Date.now();
-  const request_id = genReqId();
-  
-  // ACK IMEDIATO (antes de qualquer I/O)
   res.status(200).json({ ok: true });
-  
-  // Processar em background
+  return { id, payload: event, process_attempts: 1 };
+}
+
+/**
+ * Processa em background o evento aceito (falha fica pending para o paymentEventWorker)
+ */
+function processAcceptedPaymentEvent(row, { request_id, started, metric, labels }) {
   setImmediate(async () => {
     try {
       const pool = await getPgPool();
-      await paymentWebhookService.handlePixCreated(pool, {
-        bot_slug: req.body.bot_slug,
-        telegram_id: req.body.telegram_id,
-        transaction_id: req.body.transaction_id,
-        correlation_id: req.body.correlation_id || request_id
-      });
-      
-      const done_ms = Date.now() - started;
-      observe('payment_webhook_pix_created_ms', done_ms, { bot: req.body.bot_slug });
+      const result = await processPaymentEvent(pool, row, { request_id });
+      if (result.ok) {
+        observe(metric, Date.now() - started, labels);
+      }
     } catch (err) {
-      console.error('[PAYMENT_WEBHOOK][PIX_CREATED][BG_ERR]', { request_id, error: err.message });
+      console.error('[PAYMENT_WEBHOOK][BG_ERR]', { request_id, event_type: row.payload.event_type, error: err.message });
     }
   });
+}
+
+// Webhook: PIX criado (agenda downsells com gatilho PIX)
+app.post('/api/payment/webhook/pix-created', requirePaymentSignature, async (req, res) => {
+  const started = Date.now();
+  const request_id = genReqId();
+  
+  // ACK logo após registrar o evento
+  const row = await acceptPaymentEvent(req, res, { request_id, event_type: 'pix_created' });
+  if (!row) return;
+  
+  processAcceptedPaymentEvent(row, { request_id, started, metric: 'payment_webhook_pix_created_ms', labels: { bot: req.body.bot_slug } });
 });
 
 // Webhook: Pagamento aprovado (cancela downsells pendentes)
-app.post('/api/payment/webhook/payment-approved', async (req, res) => {
+app.post('/api/payment/webhook/payment-approved', requirePaymentSignature, async (req, res) => {
   const started = Date.now();
   const request_id = genReqId();
   
-  // ACK IMEDIATO (antes de qualquer I/O)
-  res.status(200).json({ ok: true });
+  // ACK logo após registrar o evento
+  const row = await acceptPaymentEvent(req, res, { request_id, event_type: 'payment_approved' });
+  if (!row) return;
   
-  // Processar em background
-  setImmediate(async () => {
-    try {
-      const pool = await getPgPool();
-      await paymentWebhookService.handlePaymentApproved(pool, {
-        bot_slug: req.body.bot_slug,
-        telegram_id: req.body.telegram_id,
-        transaction_id: req.body.transaction_id
-      });
-      
-      const done_ms = Date.now() - started;
-      observe('payment_webhook_approved_ms', done_ms, { bot: req.body.bot_slug });
-    } catch (err) {
-      console.error('[PAYMENT_WEBHOOK][PAYMENT_APPROVED][BG_ERR]', { request_id, error: err.message });
-    }
-  });
+  processAcceptedPaymentEvent(row, { request_id, started, metric: 'payment_webhook_approved_ms', labels: { bot: req.body.bot_slug } });
 });
 
 // Webhook: PIX expirado (cancela downsells da transação)
-app.post('/api/payment/webhook/pix-expired', async (req, res) => {
+app.post('/api/payment/webhook/pix-expired', requirePaymentSignature, async (req, res) => {
   const started = Date.now();
   const request_id = genReqId();
   
-  // ACK IMEDIATO (antes de qualquer I/O)
-  res.status(200).json({ ok: true });
+  // ACK logo após registrar o evento
+  const row = await acceptPaymentEvent(req, res, { request_id, event_type: 'pix_expired' });
+  if (!row) return;
   
-  // Processar em background
+  processAcceptedPaymentEvent(row, { request_id, started, metric: 'payment_webhook_expired_ms' });
+});
+
+// Webhook: Pagamento estornado (revoga o acesso entregue)
+app.post('/api/payment/webhook/payment-refunded', requirePaymentSignature, async (req, res) => {
+  const started = Date.now();
+  const request_id = genReqId();
+  
+  // ACK logo após registrar o evento
+  const row = await acceptPaymentEvent(req, res, { request_id, event_type: 'payment_refunded' });
+  if (!row) return;
+  
+  processAcceptedPaymentEvent(row, { request_id, started, metric: 'payment_webhook_refunded_ms' });
+});
+
+// Webhook: Chargeback (revoga o acesso entregue)
+app.post('/api/payment/webhook/chargeback', requirePaymentSignature, async (req, res) => {
+  const started = Date.now();
+  const request_id = genReqId();
+  
+  // ACK logo após registrar o evento
+  const row = await acceptPaymentEvent(req, res, { request_id, event_type: 'payment_chargeback' });
+  if (!row) return;
+  
+  processAcceptedPaymentEvent(row, { request_id, started, metric: 'payment_webhook_chargeback_ms' });
+});
+
+// Webhook nativo do gateway (PushinPay, Mercado Pago, Efí): o adaptador traduz o payload
+// Efí chama <url>/pix ao notificar PIX recebido
+const { normalizeProviderEvents } = require('./lib/paymentProviderService');
+
+app.post(['/api/payment/:provider/webhook', '/api/payment/:provider/webhook/pix'], requirePaymentSignature, async (req, res) => {
+  const started = Date.now();
+  const request_id = genReqId();
+  const provider = req.paymentProvider;
+
+  let events;
+  try {
+    events = await normalizeProviderEvents(provider, { body: req.body, query: req.query, headers: req.headers });
+  } catch (err) {
+    // Payload inválido não adianta reenviar; falha ao consultar o gateway, sim
+    const status = err.message === 'PAYMENT_PAYLOAD_INVALID' ? 400 : 502;
+    console.error('[PAYMENT_PROVIDER][NORMALIZE][ERR]', { request_id, provider, error: err.message });
+    return res.status(status).json({ ok: false, error: err.message });
+  }
+
+  const accepted = [];
+  try {
+    const pool = await getPgPool();
+    for (const event of events) {
+      const id = await recordPaymentEvent(pool, {
+        provider,
+        event_id: event.event_id,
+        event_type: event.event_type || 'ignored',
+        slug: event.bot_slug,
+        telegram_id: event.telegram_id,
+        request_id,
+        payload: event
+      });
+      if (id) accepted.push({ id, payload: event, process_attempts: 1 });
+    }
+  } catch (err) {
+    console.error('[PAYMENT_PROVIDER][RECORD][ERR]', { request_id, provider, error: err.message });
+    return res.status(500).json({ ok: false, error: 'PAYMENT_EVENT_RECORD_FAILED' });
+  }
+
+  res.status(200).json({ ok: true, accepted: accepted.length, duplicate: events.length - accepted.length });
+
+  if (accepted.length === 0) return;
+
+  // Processar em background (falha fica pending para o paymentEventWorker)
   setImmediate(async () => {
     try {
       const pool = await getPgPool();
-      await paymentWebhookService.handlePixExpired(pool, {
-        transaction_id: req.body.transaction_id
-      });
-      
-      const done_ms = Date.now() - started;
-      observe('payment_webhook_expired_ms', done_ms);
+      for (const row of accepted) {
+        const outcome = await processPaymentEvent(pool, row, { request_id });
+        console.info('[PAYMENT_PROVIDER][DISPATCH]', {
+          request_id,
+          provider,
+          event_id: row.payload.event_id,
+          event_type: row.payload.event_type,
+          ok: outcome.ok && !!outcome.result?.ok
+        });
+      }
+
+      observe('payment_provider_webhook_ms', Date.now() - started, { provider });
     } catch (err) {
-      console.error('[PAYMENT_WEBHOOK][PIX_EXPIRED][BG_ERR]', { request_id, error: err.message });
+      console.error('[PAYMENT_PROVIDER][BG_ERR]', { request_id, provider, error: err.message });
     }
   });
 });
@@ -2349,12 +2837,18 @@ app.listen(PORT, HOST, async () => {
       downsellWorker.start(pool, 10000); // 10s
       // downsellScheduler.start(pool, queueManager, 3000); // DESABILITADO: risco de duplicação com worker
       shotWorker.start(pool, 5000); // 5s
+      flowWorker.start(pool, 5000); // 5s (nós wait e timeouts dos fluxos)
+      deliveryWorker.start(pool, 5000); // 5s (entrega de produtos pagos e novas tentativas)
+      membershipWorker.start(pool, 60000); // 60s (lembretes de renovação e remoção de assinaturas vencidas)
+      paymentEventWorker.start(pool, 30000); // 30s (webhooks de pagamento não concluídos)
+      pollingWorker.start(pool, ingestUpdate, 10000); // bots com update_mode = 'polling'
+      startInboundUpdatesCleanup(pool); // retenção do log de updates recebidos
       
       // Iniciar worker de aquecimento de mídia
       const { startPrewarmWorker } = require('./lib/mediaPrewarmWorker');
       startPrewarmWorker(pool, 2000); // 2s (processa fila a cada 2s)
       
-      console.info('[BOOT] Workers iniciados: downsellWorker, shotWorker, mediaPrewarmWorker');
+      console.info('[BOOT] Workers iniciados: downsellWorker, shotWorker, flowWorker, deliveryWorker, membershipWorker, paymentEventWorker, pollingWorker, mediaPrewarmWorker');
       
       const { rows } = await pool.query(`
         SELECT slug, token_encrypted, token_iv 